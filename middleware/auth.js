@@ -33,7 +33,7 @@ const verifyMessageCompat = (message, signature) => {
   }
 };
 
-function verifySignature(message, signature, expectedAddress) {
+export function verifySignature(message, signature, expectedAddress) {
   try {
     const recoveredAddress = verifyMessageCompat(message, signature);
     if (!recoveredAddress) return false;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "medicines" ADD COLUMN     "reorder_point" INTEGER,
+ADD COLUMN     "safety_stock" INTEGER,
+ADD COLUMN     "target_stock_level" INTEGER;
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('REQUESTED', 'APPROVED', 'DISPATCHED', 'RECEIVED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "stock_transfers" (
+    "transfer_id" SERIAL NOT NULL,
+    "source_stock_id" INTEGER NOT NULL,
+    "destination_stock_id" INTEGER,
+    "from_barangay" "Barangay" NOT NULL,
+    "to_barangay" "Barangay" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "status" "TransferStatus" NOT NULL DEFAULT 'REQUESTED',
+    "notes" TEXT,
+    "requested_by_user_id" INTEGER,
+    "approved_by_user_id" INTEGER,
+    "dispatched_by_user_id" INTEGER,
+    "received_by_user_id" INTEGER,
+    "requested_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approved_at" TIMESTAMP(3),
+    "dispatched_at" TIMESTAMP(3),
+    "received_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_transfers_pkey" PRIMARY KEY ("transfer_id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_transfers_from_barangay_idx" ON "stock_transfers"("from_barangay");
+
+-- CreateIndex
+CREATE INDEX "stock_transfers_to_barangay_idx" ON "stock_transfers"("to_barangay");
+
+-- CreateIndex
+CREATE INDEX "stock_transfers_status_idx" ON "stock_transfers"("status");
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_source_stock_id_fkey" FOREIGN KEY ("source_stock_id") REFERENCES "stocks"("stock_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_destination_stock_id_fkey" FOREIGN KEY ("destination_stock_id") REFERENCES "stocks"("stock_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_requested_by_user_id_fkey" FOREIGN KEY ("requested_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_approved_by_user_id_fkey" FOREIGN KEY ("approved_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_dispatched_by_user_id_fkey" FOREIGN KEY ("dispatched_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_received_by_user_id_fkey" FOREIGN KEY ("received_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,115 @@
+-- CreateEnum
+CREATE TYPE "PurchaseOrderStatus" AS ENUM ('ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "purchase_orders" (
+    "po_id" SERIAL NOT NULL,
+    "po_number" VARCHAR(50),
+    "supplier_id" INTEGER NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "status" "PurchaseOrderStatus" NOT NULL DEFAULT 'ORDERED',
+    "order_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expected_date" TIMESTAMP(3),
+    "total_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "created_by_user_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_orders_pkey" PRIMARY KEY ("po_id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_order_items" (
+    "po_item_id" SERIAL NOT NULL,
+    "po_id" INTEGER NOT NULL,
+    "medicine_id" INTEGER NOT NULL,
+    "quantity_ordered" INTEGER NOT NULL,
+    "quantity_received" INTEGER NOT NULL DEFAULT 0,
+    "unit_cost" DECIMAL(10,2) NOT NULL,
+    "line_total" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "purchase_order_items_pkey" PRIMARY KEY ("po_item_id")
+);
+
+-- CreateTable
+CREATE TABLE "goods_received_notes" (
+    "grn_id" SERIAL NOT NULL,
+    "grn_number" VARCHAR(50),
+    "po_id" INTEGER NOT NULL,
+    "received_date" TIMESTAMP(3) NOT NULL,
+    "notes" TEXT,
+    "received_by_user_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "goods_received_notes_pkey" PRIMARY KEY ("grn_id")
+);
+
+-- CreateTable
+CREATE TABLE "goods_received_items" (
+    "grn_item_id" SERIAL NOT NULL,
+    "grn_id" INTEGER NOT NULL,
+    "po_item_id" INTEGER NOT NULL,
+    "stock_id" INTEGER NOT NULL,
+    "batch_number" VARCHAR(100) NOT NULL,
+    "expiry_date" TIMESTAMP(3) NOT NULL,
+    "quantity_received" INTEGER NOT NULL,
+    "unit_cost" DECIMAL(10,2) NOT NULL,
+    "line_total" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "goods_received_items_pkey" PRIMARY KEY ("grn_item_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_orders_po_number_key" ON "purchase_orders"("po_number");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_supplier_id_idx" ON "purchase_orders"("supplier_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_barangay_idx" ON "purchase_orders"("barangay");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_status_idx" ON "purchase_orders"("status");
+
+-- CreateIndex
+CREATE INDEX "purchase_order_items_po_id_idx" ON "purchase_order_items"("po_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goods_received_notes_grn_number_key" ON "goods_received_notes"("grn_number");
+
+-- CreateIndex
+CREATE INDEX "goods_received_notes_po_id_idx" ON "goods_received_notes"("po_id");
+
+-- CreateIndex
+CREATE INDEX "goods_received_items_grn_id_idx" ON "goods_received_items"("grn_id");
+
+-- CreateIndex
+CREATE INDEX "goods_received_items_po_item_id_idx" ON "goods_received_items"("po_item_id");
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers"("supplier_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_created_by_user_id_fkey" FOREIGN KEY ("created_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_items" ADD CONSTRAINT "purchase_order_items_po_id_fkey" FOREIGN KEY ("po_id") REFERENCES "purchase_orders"("po_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_items" ADD CONSTRAINT "purchase_order_items_medicine_id_fkey" FOREIGN KEY ("medicine_id") REFERENCES "medicines"("medicine_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_received_notes" ADD CONSTRAINT "goods_received_notes_po_id_fkey" FOREIGN KEY ("po_id") REFERENCES "purchase_orders"("po_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_received_notes" ADD CONSTRAINT "goods_received_notes_received_by_user_id_fkey" FOREIGN KEY ("received_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_received_items" ADD CONSTRAINT "goods_received_items_grn_id_fkey" FOREIGN KEY ("grn_id") REFERENCES "goods_received_notes"("grn_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_received_items" ADD CONSTRAINT "goods_received_items_po_item_id_fkey" FOREIGN KEY ("po_item_id") REFERENCES "purchase_order_items"("po_item_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_received_items" ADD CONSTRAINT "goods_received_items_stock_id_fkey" FOREIGN KEY ("stock_id") REFERENCES "stocks"("stock_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,84 @@
+-- CreateEnum
+CREATE TYPE "StockCountStatus" AS ENUM ('OPEN', 'SUBMITTED', 'POSTED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "stock_counts" (
+    "count_id" SERIAL NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "status" "StockCountStatus" NOT NULL DEFAULT 'OPEN',
+    "count_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notes" TEXT,
+    "variance_report" JSONB,
+    "started_by_user_id" INTEGER,
+    "submitted_by_user_id" INTEGER,
+    "posted_by_user_id" INTEGER,
+    "submitted_at" TIMESTAMP(3),
+    "posted_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_counts_pkey" PRIMARY KEY ("count_id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_count_items" (
+    "count_item_id" SERIAL NOT NULL,
+    "count_id" INTEGER NOT NULL,
+    "stock_id" INTEGER NOT NULL,
+    "medicine_id" INTEGER NOT NULL,
+    "system_quantity" INTEGER NOT NULL,
+    "counted_quantity" INTEGER,
+    "variance" INTEGER,
+    "adjustment_reason" "RemovalReason",
+    "approved" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "counted_by_user_id" INTEGER,
+    "counted_at" TIMESTAMP(3),
+    "transaction_id" INTEGER,
+    "removal_id" INTEGER,
+
+    CONSTRAINT "stock_count_items_pkey" PRIMARY KEY ("count_item_id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_counts_barangay_idx" ON "stock_counts"("barangay");
+
+-- CreateIndex
+CREATE INDEX "stock_counts_status_idx" ON "stock_counts"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_count_items_transaction_id_key" ON "stock_count_items"("transaction_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_count_items_removal_id_key" ON "stock_count_items"("removal_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_count_items_count_id_stock_id_key" ON "stock_count_items"("count_id", "stock_id");
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_started_by_user_id_fkey" FOREIGN KEY ("started_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_submitted_by_user_id_fkey" FOREIGN KEY ("submitted_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_posted_by_user_id_fkey" FOREIGN KEY ("posted_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_count_id_fkey" FOREIGN KEY ("count_id") REFERENCES "stock_counts"("count_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_stock_id_fkey" FOREIGN KEY ("stock_id") REFERENCES "stocks"("stock_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_medicine_id_fkey" FOREIGN KEY ("medicine_id") REFERENCES "medicines"("medicine_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_counted_by_user_id_fkey" FOREIGN KEY ("counted_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "stock_transactions"("transaction_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_removal_id_fkey" FOREIGN KEY ("removal_id") REFERENCES "stock_removals"("removal_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "medicines" ADD COLUMN     "catalog_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "medicine_catalog" (
+    "catalog_id" SERIAL NOT NULL,
+    "generic_name" VARCHAR(255) NOT NULL,
+    "strength" VARCHAR(100),
+    "dosage_form" VARCHAR(100),
+    "category" VARCHAR(100),
+    "description" TEXT,
+    "catalog_key" VARCHAR(500) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "medicine_catalog_pkey" PRIMARY KEY ("catalog_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "medicine_catalog_catalog_key_key" ON "medicine_catalog"("catalog_key");
+
+-- CreateIndex
+CREATE INDEX "medicine_catalog_generic_name_idx" ON "medicine_catalog"("generic_name");
+
+-- CreateIndex
+CREATE INDEX "medicines_catalog_id_idx" ON "medicines"("catalog_id");
+
+-- AddForeignKey
+ALTER TABLE "medicines" ADD CONSTRAINT "medicines_catalog_id_fkey" FOREIGN KEY ("catalog_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "medicines" ADD COLUMN     "base_unit" VARCHAR(50) NOT NULL DEFAULT 'unit';
+
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN     "pack_size" INTEGER,
+ADD COLUMN     "packs_received" INTEGER,
+ADD COLUMN     "received_unit" VARCHAR(50),
+ALTER COLUMN "unit_cost" SET DATA TYPE DECIMAL(12,4);
+
+-- AlterTable
+ALTER TABLE "purchase_order_items" ALTER COLUMN "unit_cost" SET DATA TYPE DECIMAL(12,4);
+
+-- AlterTable
+ALTER TABLE "goods_received_items" ALTER COLUMN "unit_cost" SET DATA TYPE DECIMAL(12,4);
+
+-- CreateTable
+CREATE TABLE "medicine_units" (
+    "unit_id" SERIAL NOT NULL,
+    "medicine_id" INTEGER NOT NULL,
+    "unit_name" VARCHAR(50) NOT NULL,
+    "base_quantity" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "medicine_units_pkey" PRIMARY KEY ("unit_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "medicine_units_medicine_id_unit_name_key" ON "medicine_units"("medicine_id", "unit_name");
+
+-- AddForeignKey
+ALTER TABLE "medicine_units" ADD CONSTRAINT "medicine_units_medicine_id_fkey" FOREIGN KEY ("medicine_id") REFERENCES "medicines"("medicine_id") ON DELETE CASCADE ON UPDATE CASCADE;
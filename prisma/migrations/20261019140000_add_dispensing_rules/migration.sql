@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "medicines" ADD COLUMN     "is_controlled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "max_quantity_per_period" INTEGER,
+ADD COLUMN     "quantity_period_days" INTEGER,
+ADD COLUMN     "requires_prescription" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "cosigned_at" TIMESTAMP(3),
+ADD COLUMN     "cosigned_by_user_id" INTEGER,
+ADD COLUMN     "prescription_date" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "receipts_resident_id_date_released_idx" ON "receipts"("resident_id", "date_released");
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_cosigned_by_user_id_fkey" FOREIGN KEY ("cosigned_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
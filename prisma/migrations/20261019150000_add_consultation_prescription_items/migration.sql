@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "PrescriptionItemStatus" AS ENUM ('PENDING', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "consultation_id" INTEGER,
+ADD COLUMN     "prescription_item_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "consultation_prescription_items" (
+    "item_id" SERIAL NOT NULL,
+    "consultation_id" INTEGER NOT NULL,
+    "catalog_id" INTEGER,
+    "medicine_id" INTEGER,
+    "medicine_name" VARCHAR(255) NOT NULL,
+    "dose" VARCHAR(100),
+    "frequency" VARCHAR(100),
+    "duration_days" INTEGER,
+    "instructions" TEXT,
+    "quantity_prescribed" INTEGER NOT NULL,
+    "quantity_dispensed" INTEGER NOT NULL DEFAULT 0,
+    "status" "PrescriptionItemStatus" NOT NULL DEFAULT 'PENDING',
+    "created_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "consultation_prescription_items_pkey" PRIMARY KEY ("item_id")
+);
+
+-- CreateIndex
+CREATE INDEX "consultation_prescription_items_consultation_id_idx" ON "consultation_prescription_items"("consultation_id");
+
+-- CreateIndex
+CREATE INDEX "consultation_prescription_items_status_idx" ON "consultation_prescription_items"("status");
+
+-- CreateIndex
+CREATE INDEX "receipts_prescription_item_id_idx" ON "receipts"("prescription_item_id");
+
+-- AddForeignKey
+ALTER TABLE "consultation_prescription_items" ADD CONSTRAINT "consultation_prescription_items_consultation_id_fkey" FOREIGN KEY ("consultation_id") REFERENCES "consultations"("consultation_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "consultation_prescription_items" ADD CONSTRAINT "consultation_prescription_items_catalog_id_fkey" FOREIGN KEY ("catalog_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "consultation_prescription_items" ADD CONSTRAINT "consultation_prescription_items_medicine_id_fkey" FOREIGN KEY ("medicine_id") REFERENCES "medicines"("medicine_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "consultation_prescription_items" ADD CONSTRAINT "consultation_prescription_items_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_consultation_id_fkey" FOREIGN KEY ("consultation_id") REFERENCES "consultations"("consultation_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_prescription_item_id_fkey" FOREIGN KEY ("prescription_item_id") REFERENCES "consultation_prescription_items"("item_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "medicine_catalog" ADD COLUMN     "duplicate_window_days" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "receipts_resident_name_idx" ON "receipts"("resident_name");
@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "AllergySeverity" AS ENUM ('MILD', 'MODERATE', 'SEVERE');
+
+-- CreateEnum
+CREATE TYPE "PregnancyCategory" AS ENUM ('A', 'B', 'C', 'D', 'X');
+
+-- AlterTable
+ALTER TABLE "medicine_catalog" ADD COLUMN     "contraindicated_conditions" TEXT[],
+ADD COLUMN     "drug_class" VARCHAR(100),
+ADD COLUMN     "pregnancy_category" "PregnancyCategory";
+
+-- CreateTable
+CREATE TABLE "resident_allergies" (
+    "allergy_id" SERIAL NOT NULL,
+    "resident_id" INTEGER NOT NULL,
+    "allergen" VARCHAR(255) NOT NULL,
+    "catalog_id" INTEGER,
+    "reaction" VARCHAR(255),
+    "severity" "AllergySeverity" NOT NULL DEFAULT 'MODERATE',
+    "notes" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "recorded_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "resident_allergies_pkey" PRIMARY KEY ("allergy_id")
+);
+
+-- CreateTable
+CREATE TABLE "resident_conditions" (
+    "condition_id" SERIAL NOT NULL,
+    "resident_id" INTEGER NOT NULL,
+    "condition_name" VARCHAR(255) NOT NULL,
+    "condition_code" VARCHAR(20),
+    "diagnosed_date" TIMESTAMP(3),
+    "notes" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "recorded_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "resident_conditions_pkey" PRIMARY KEY ("condition_id")
+);
+
+-- CreateIndex
+CREATE INDEX "resident_allergies_resident_id_is_active_idx" ON "resident_allergies"("resident_id", "is_active");
+
+-- CreateIndex
+CREATE INDEX "resident_conditions_resident_id_is_active_idx" ON "resident_conditions"("resident_id", "is_active");
+
+-- AddForeignKey
+ALTER TABLE "resident_allergies" ADD CONSTRAINT "resident_allergies_resident_id_fkey" FOREIGN KEY ("resident_id") REFERENCES "residents"("resident_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "resident_allergies" ADD CONSTRAINT "resident_allergies_catalog_id_fkey" FOREIGN KEY ("catalog_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "resident_allergies" ADD CONSTRAINT "resident_allergies_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "resident_conditions" ADD CONSTRAINT "resident_conditions_resident_id_fkey" FOREIGN KEY ("resident_id") REFERENCES "residents"("resident_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "resident_conditions" ADD CONSTRAINT "resident_conditions_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
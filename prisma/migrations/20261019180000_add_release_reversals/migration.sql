@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "ReversalReason" AS ENUM ('PATIENT_RETURNED', 'DISPENSED_IN_ERROR', 'WRONG_RESIDENT', 'WRONG_MEDICINE', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "release_reversals" (
+    "reversal_id" SERIAL NOT NULL,
+    "release_id" INTEGER NOT NULL,
+    "stock_id" INTEGER NOT NULL,
+    "quantity_returned" INTEGER NOT NULL,
+    "reason" "ReversalReason" NOT NULL,
+    "notes" TEXT,
+    "transaction_id" INTEGER,
+    "reversed_by_user_id" INTEGER,
+    "reversed_by_wallet" VARCHAR(42),
+    "reversed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "blockchain_hash" VARCHAR(66),
+    "blockchain_tx_hash" VARCHAR(66),
+    "last_synced_at" TIMESTAMP(3),
+
+    CONSTRAINT "release_reversals_pkey" PRIMARY KEY ("reversal_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "release_reversals_release_id_key" ON "release_reversals"("release_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "release_reversals_transaction_id_key" ON "release_reversals"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "release_reversals_stock_id_idx" ON "release_reversals"("stock_id");
+
+-- CreateIndex
+CREATE INDEX "release_reversals_reversed_at_idx" ON "release_reversals"("reversed_at");
+
+-- AddForeignKey
+ALTER TABLE "release_reversals" ADD CONSTRAINT "release_reversals_release_id_fkey" FOREIGN KEY ("release_id") REFERENCES "receipts"("release_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "release_reversals" ADD CONSTRAINT "release_reversals_stock_id_fkey" FOREIGN KEY ("stock_id") REFERENCES "stocks"("stock_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "release_reversals" ADD CONSTRAINT "release_reversals_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "stock_transactions"("transaction_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "release_reversals" ADD CONSTRAINT "release_reversals_reversed_by_user_id_fkey" FOREIGN KEY ("reversed_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
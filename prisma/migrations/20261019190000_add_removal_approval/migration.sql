@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "RemovalStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "stock_removals" ADD COLUMN     "decided_at" TIMESTAMP(3),
+ADD COLUMN     "decided_by_user_id" INTEGER,
+ADD COLUMN     "decision_notes" TEXT,
+ADD COLUMN     "estimated_value" DECIMAL(12,2),
+ADD COLUMN     "status" "RemovalStatus" NOT NULL DEFAULT 'APPROVED';
+
+-- CreateIndex
+CREATE INDEX "stock_removals_status_idx" ON "stock_removals"("status");
+
+-- AddForeignKey
+ALTER TABLE "stock_removals" ADD CONSTRAINT "stock_removals_decided_by_user_id_fkey" FOREIGN KEY ("decided_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
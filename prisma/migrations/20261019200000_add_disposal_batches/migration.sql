@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "DisposalMethod" AS ENUM ('INCINERATION', 'ENCAPSULATION', 'INERTIZATION', 'CHEMICAL_DECOMPOSITION', 'RETURN_TO_SUPPLIER', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "DisposalStatus" AS ENUM ('DRAFT', 'CERTIFIED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "stock_removals" ADD COLUMN     "disposal_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "disposal_batches" (
+    "disposal_id" SERIAL NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "status" "DisposalStatus" NOT NULL DEFAULT 'DRAFT',
+    "disposal_method" "DisposalMethod" NOT NULL,
+    "disposal_date" TIMESTAMP(3) NOT NULL,
+    "disposal_site" VARCHAR(255),
+    "notes" TEXT,
+    "certificate_number" VARCHAR(50),
+    "certificate_pdf" BYTEA,
+    "certificate_hash" VARCHAR(66),
+    "certified_at" TIMESTAMP(3),
+    "created_by_user_id" INTEGER,
+    "certified_by_user_id" INTEGER,
+    "blockchain_hash" VARCHAR(66),
+    "blockchain_tx_hash" VARCHAR(66),
+    "last_synced_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "disposal_batches_pkey" PRIMARY KEY ("disposal_id")
+);
+
+-- CreateTable
+CREATE TABLE "disposal_witnesses" (
+    "witness_id" SERIAL NOT NULL,
+    "disposal_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "designation" VARCHAR(100),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "disposal_witnesses_pkey" PRIMARY KEY ("witness_id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_removals_disposal_id_idx" ON "stock_removals"("disposal_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "disposal_batches_certificate_number_key" ON "disposal_batches"("certificate_number");
+
+-- CreateIndex
+CREATE INDEX "disposal_batches_barangay_idx" ON "disposal_batches"("barangay");
+
+-- CreateIndex
+CREATE INDEX "disposal_batches_status_idx" ON "disposal_batches"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "disposal_witnesses_disposal_id_user_id_key" ON "disposal_witnesses"("disposal_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "stock_removals" ADD CONSTRAINT "stock_removals_disposal_id_fkey" FOREIGN KEY ("disposal_id") REFERENCES "disposal_batches"("disposal_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disposal_batches" ADD CONSTRAINT "disposal_batches_created_by_user_id_fkey" FOREIGN KEY ("created_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disposal_batches" ADD CONSTRAINT "disposal_batches_certified_by_user_id_fkey" FOREIGN KEY ("certified_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disposal_witnesses" ADD CONSTRAINT "disposal_witnesses_disposal_id_fkey" FOREIGN KEY ("disposal_id") REFERENCES "disposal_batches"("disposal_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disposal_witnesses" ADD CONSTRAINT "disposal_witnesses_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE RESTRICT ON UPDATE CASCADE;
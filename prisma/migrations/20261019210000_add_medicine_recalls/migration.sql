@@ -0,0 +1,87 @@
+-- AlterEnum
+ALTER TYPE "RemovalReason" ADD VALUE 'RECALLED';
+
+-- CreateEnum
+CREATE TYPE "RecallStatus" AS ENUM ('ACTIVE', 'CLOSED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "RecallDisposition" AS ENUM ('REMOVE', 'RETURN_TO_SUPPLIER');
+
+-- CreateEnum
+CREATE TYPE "RecallTaskStatus" AS ENUM ('OPEN', 'IN_PROGRESS', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN     "recall_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "medicine_recalls" (
+    "recall_id" SERIAL NOT NULL,
+    "reference_number" VARCHAR(100),
+    "catalog_id" INTEGER,
+    "generic_name" VARCHAR(255) NOT NULL,
+    "batch_numbers" TEXT[],
+    "manufacturer" VARCHAR(255),
+    "reason" TEXT NOT NULL,
+    "disposition" "RecallDisposition" NOT NULL DEFAULT 'REMOVE',
+    "status" "RecallStatus" NOT NULL DEFAULT 'ACTIVE',
+    "notes" TEXT,
+    "initiated_by_user_id" INTEGER,
+    "closed_by_user_id" INTEGER,
+    "closed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "medicine_recalls_pkey" PRIMARY KEY ("recall_id")
+);
+
+-- CreateTable
+CREATE TABLE "recall_tasks" (
+    "task_id" SERIAL NOT NULL,
+    "recall_id" INTEGER NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "status" "RecallTaskStatus" NOT NULL DEFAULT 'OPEN',
+    "stocks_affected" INTEGER NOT NULL DEFAULT 0,
+    "quantity_affected" INTEGER NOT NULL DEFAULT 0,
+    "quantity_removed" INTEGER NOT NULL DEFAULT 0,
+    "recipients" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "completed_by_user_id" INTEGER,
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recall_tasks_pkey" PRIMARY KEY ("task_id")
+);
+
+-- CreateIndex
+CREATE INDEX "stocks_recall_id_idx" ON "stocks"("recall_id");
+
+-- CreateIndex
+CREATE INDEX "medicine_recalls_status_idx" ON "medicine_recalls"("status");
+
+-- CreateIndex
+CREATE INDEX "medicine_recalls_catalog_id_idx" ON "medicine_recalls"("catalog_id");
+
+-- CreateIndex
+CREATE INDEX "recall_tasks_barangay_status_idx" ON "recall_tasks"("barangay", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recall_tasks_recall_id_barangay_key" ON "recall_tasks"("recall_id", "barangay");
+
+-- AddForeignKey
+ALTER TABLE "stocks" ADD CONSTRAINT "stocks_recall_id_fkey" FOREIGN KEY ("recall_id") REFERENCES "medicine_recalls"("recall_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "medicine_recalls" ADD CONSTRAINT "medicine_recalls_catalog_id_fkey" FOREIGN KEY ("catalog_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "medicine_recalls" ADD CONSTRAINT "medicine_recalls_initiated_by_user_id_fkey" FOREIGN KEY ("initiated_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "medicine_recalls" ADD CONSTRAINT "medicine_recalls_closed_by_user_id_fkey" FOREIGN KEY ("closed_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_tasks" ADD CONSTRAINT "recall_tasks_recall_id_fkey" FOREIGN KEY ("recall_id") REFERENCES "medicine_recalls"("recall_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_tasks" ADD CONSTRAINT "recall_tasks_completed_by_user_id_fkey" FOREIGN KEY ("completed_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "medicine_catalog" ADD COLUMN     "gtin" VARCHAR(14);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "medicine_catalog_gtin_key" ON "medicine_catalog"("gtin");
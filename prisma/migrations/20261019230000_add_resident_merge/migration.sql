@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "residents" ADD COLUMN     "merged_at" TIMESTAMP(3),
+ADD COLUMN     "merged_into_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "residents_merged_into_id_idx" ON "residents"("merged_into_id");
+
+-- AddForeignKey
+ALTER TABLE "residents" ADD CONSTRAINT "residents_merged_into_id_fkey" FOREIGN KEY ("merged_into_id") REFERENCES "residents"("resident_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,134 @@
+-- CreateEnum
+CREATE TYPE "MembershipStartReason" AS ENUM ('REGISTERED', 'BIRTH', 'MOVED_IN');
+
+-- CreateEnum
+CREATE TYPE "MembershipEndReason" AS ENUM ('MOVED_OUT', 'DEATH');
+
+-- AlterTable
+ALTER TABLE "residents" ADD COLUMN     "date_of_death" TIMESTAMP(3),
+ADD COLUMN     "family_id" INTEGER,
+ADD COLUMN     "household_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "households" (
+    "household_id" SERIAL NOT NULL,
+    "household_no" VARCHAR(50) NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "zone" VARCHAR(50),
+    "address" TEXT,
+    "head_resident_id" INTEGER,
+    "notes" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "households_pkey" PRIMARY KEY ("household_id")
+);
+
+-- CreateTable
+CREATE TABLE "families" (
+    "family_id" SERIAL NOT NULL,
+    "household_id" INTEGER NOT NULL,
+    "family_no" VARCHAR(50) NOT NULL,
+    "head_resident_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "families_pkey" PRIMARY KEY ("family_id")
+);
+
+-- CreateTable
+CREATE TABLE "household_memberships" (
+    "membership_id" SERIAL NOT NULL,
+    "household_id" INTEGER NOT NULL,
+    "family_id" INTEGER,
+    "resident_id" INTEGER NOT NULL,
+    "relationship_to_head" VARCHAR(50),
+    "start_date" TIMESTAMP(3) NOT NULL,
+    "start_reason" "MembershipStartReason" NOT NULL DEFAULT 'REGISTERED',
+    "end_date" TIMESTAMP(3),
+    "end_reason" "MembershipEndReason",
+    "notes" TEXT,
+    "recorded_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "household_memberships_pkey" PRIMARY KEY ("membership_id")
+);
+
+-- CreateIndex
+CREATE INDEX "residents_household_id_idx" ON "residents"("household_id");
+
+-- CreateIndex
+CREATE INDEX "residents_family_id_idx" ON "residents"("family_id");
+
+-- CreateIndex
+CREATE INDEX "households_barangay_zone_idx" ON "households"("barangay", "zone");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "households_barangay_household_no_key" ON "households"("barangay", "household_no");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "families_household_id_family_no_key" ON "families"("household_id", "family_no");
+
+-- CreateIndex
+CREATE INDEX "household_memberships_household_id_end_date_idx" ON "household_memberships"("household_id", "end_date");
+
+-- CreateIndex
+CREATE INDEX "household_memberships_resident_id_end_date_idx" ON "household_memberships"("resident_id", "end_date");
+
+-- AddForeignKey
+ALTER TABLE "residents" ADD CONSTRAINT "residents_household_id_fkey" FOREIGN KEY ("household_id") REFERENCES "households"("household_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "residents" ADD CONSTRAINT "residents_family_id_fkey" FOREIGN KEY ("family_id") REFERENCES "families"("family_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "households" ADD CONSTRAINT "households_head_resident_id_fkey" FOREIGN KEY ("head_resident_id") REFERENCES "residents"("resident_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "families" ADD CONSTRAINT "families_household_id_fkey" FOREIGN KEY ("household_id") REFERENCES "households"("household_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "families" ADD CONSTRAINT "families_head_resident_id_fkey" FOREIGN KEY ("head_resident_id") REFERENCES "residents"("resident_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "household_memberships" ADD CONSTRAINT "household_memberships_household_id_fkey" FOREIGN KEY ("household_id") REFERENCES "households"("household_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "household_memberships" ADD CONSTRAINT "household_memberships_family_id_fkey" FOREIGN KEY ("family_id") REFERENCES "families"("family_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "household_memberships" ADD CONSTRAINT "household_memberships_resident_id_fkey" FOREIGN KEY ("resident_id") REFERENCES "residents"("resident_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "household_memberships" ADD CONSTRAINT "household_memberships_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: one household per distinct barangay + household_no already encoded on residents
+INSERT INTO "households" ("household_no", "barangay", "zone", "address")
+SELECT DISTINCT ON ("barangay", TRIM("household_no")) TRIM("household_no"), "barangay", "zone", "address"
+FROM "residents"
+WHERE "household_no" IS NOT NULL AND TRIM("household_no") <> ''
+ORDER BY "barangay", TRIM("household_no"), "is_active" DESC, "created_at";
+
+UPDATE "residents" r
+SET "household_id" = h."household_id"
+FROM "households" h
+WHERE h."barangay" = r."barangay" AND h."household_no" = TRIM(r."household_no");
+
+-- Backfill: families by family_no within each household
+INSERT INTO "families" ("household_id", "family_no")
+SELECT DISTINCT "household_id", TRIM("family_no")
+FROM "residents"
+WHERE "household_id" IS NOT NULL AND "family_no" IS NOT NULL AND TRIM("family_no") <> '';
+
+UPDATE "residents" r
+SET "family_id" = f."family_id"
+FROM "families" f
+WHERE f."household_id" = r."household_id" AND f."family_no" = TRIM(r."family_no");
+
+-- Backfill: current memberships for active residents, dated from their registration
+INSERT INTO "household_memberships" ("household_id", "family_id", "resident_id", "start_date", "start_reason")
+SELECT "household_id", "family_id", "resident_id", "created_at", 'REGISTERED'
+FROM "residents"
+WHERE "household_id" IS NOT NULL AND "is_active" = true;
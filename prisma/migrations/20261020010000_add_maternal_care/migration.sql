@@ -0,0 +1,102 @@
+-- CreateEnum
+CREATE TYPE "PregnancyStatus" AS ENUM ('ACTIVE', 'POSTPARTUM', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "PregnancyOutcome" AS ENUM ('LIVE_BIRTH', 'STILLBIRTH', 'MISCARRIAGE', 'ABORTION', 'TRANSFERRED_OUT', 'LOST_TO_FOLLOW_UP');
+
+-- CreateEnum
+CREATE TYPE "MaternalVisitType" AS ENUM ('PRENATAL', 'POSTPARTUM');
+
+-- CreateEnum
+CREATE TYPE "MaternalVisitStatus" AS ENUM ('SCHEDULED', 'COMPLETED', 'MISSED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "pregnancy_episodes" (
+    "episode_id" SERIAL NOT NULL,
+    "resident_id" INTEGER NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "status" "PregnancyStatus" NOT NULL DEFAULT 'ACTIVE',
+    "lmp_date" TIMESTAMP(3),
+    "edd" TIMESTAMP(3) NOT NULL,
+    "gravida" INTEGER,
+    "para" INTEGER,
+    "risk_flags" TEXT[],
+    "is_high_risk" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "outcome" "PregnancyOutcome",
+    "outcome_date" TIMESTAMP(3),
+    "delivery_place" VARCHAR(100),
+    "birth_attendant" VARCHAR(100),
+    "birth_weight_grams" INTEGER,
+    "outcome_notes" TEXT,
+    "created_by_user_id" INTEGER,
+    "closed_by_user_id" INTEGER,
+    "closed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pregnancy_episodes_pkey" PRIMARY KEY ("episode_id")
+);
+
+-- CreateTable
+CREATE TABLE "maternal_visits" (
+    "visit_id" SERIAL NOT NULL,
+    "episode_id" INTEGER NOT NULL,
+    "visit_type" "MaternalVisitType" NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "label" VARCHAR(100) NOT NULL,
+    "due_date" TIMESTAMP(3) NOT NULL,
+    "status" "MaternalVisitStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "visit_date" TIMESTAMP(3),
+    "consultation_id" INTEGER,
+    "calendar_event_id" INTEGER,
+    "blood_pressure" VARCHAR(20),
+    "weight_kg" DECIMAL(5,2),
+    "fundal_height_cm" DECIMAL(4,1),
+    "fetal_heart_rate" INTEGER,
+    "findings" TEXT,
+    "recorded_by_user_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "maternal_visits_pkey" PRIMARY KEY ("visit_id")
+);
+
+-- CreateIndex
+CREATE INDEX "pregnancy_episodes_resident_id_status_idx" ON "pregnancy_episodes"("resident_id", "status");
+
+-- CreateIndex
+CREATE INDEX "pregnancy_episodes_barangay_status_idx" ON "pregnancy_episodes"("barangay", "status");
+
+-- CreateIndex
+CREATE INDEX "maternal_visits_status_due_date_idx" ON "maternal_visits"("status", "due_date");
+
+-- CreateIndex
+CREATE INDEX "maternal_visits_consultation_id_idx" ON "maternal_visits"("consultation_id");
+
+-- CreateIndex
+CREATE INDEX "maternal_visits_calendar_event_id_idx" ON "maternal_visits"("calendar_event_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "maternal_visits_episode_id_visit_type_sequence_key" ON "maternal_visits"("episode_id", "visit_type", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "pregnancy_episodes" ADD CONSTRAINT "pregnancy_episodes_resident_id_fkey" FOREIGN KEY ("resident_id") REFERENCES "residents"("resident_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pregnancy_episodes" ADD CONSTRAINT "pregnancy_episodes_created_by_user_id_fkey" FOREIGN KEY ("created_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pregnancy_episodes" ADD CONSTRAINT "pregnancy_episodes_closed_by_user_id_fkey" FOREIGN KEY ("closed_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maternal_visits" ADD CONSTRAINT "maternal_visits_episode_id_fkey" FOREIGN KEY ("episode_id") REFERENCES "pregnancy_episodes"("episode_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maternal_visits" ADD CONSTRAINT "maternal_visits_consultation_id_fkey" FOREIGN KEY ("consultation_id") REFERENCES "consultations"("consultation_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maternal_visits" ADD CONSTRAINT "maternal_visits_calendar_event_id_fkey" FOREIGN KEY ("calendar_event_id") REFERENCES "calendar_events"("event_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "maternal_visits" ADD CONSTRAINT "maternal_visits_recorded_by_user_id_fkey" FOREIGN KEY ("recorded_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
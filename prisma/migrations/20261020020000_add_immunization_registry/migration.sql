@@ -0,0 +1,94 @@
+-- CreateTable
+CREATE TABLE "vaccine_schedule" (
+    "schedule_id" SERIAL NOT NULL,
+    "antigen_code" VARCHAR(30) NOT NULL,
+    "antigen_name" VARCHAR(100) NOT NULL,
+    "dose_number" INTEGER NOT NULL,
+    "min_age_days" INTEGER NOT NULL,
+    "max_age_days" INTEGER,
+    "min_interval_days" INTEGER,
+    "counts_toward_fic" BOOLEAN NOT NULL DEFAULT false,
+    "catalog_id" INTEGER,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "vaccine_schedule_pkey" PRIMARY KEY ("schedule_id")
+);
+
+-- CreateTable
+CREATE TABLE "immunization_records" (
+    "record_id" SERIAL NOT NULL,
+    "resident_id" INTEGER NOT NULL,
+    "schedule_id" INTEGER NOT NULL,
+    "barangay" "Barangay" NOT NULL,
+    "date_given" TIMESTAMP(3) NOT NULL,
+    "given_elsewhere" BOOLEAN NOT NULL DEFAULT false,
+    "facility" VARCHAR(255),
+    "stock_id" INTEGER,
+    "batch_number" VARCHAR(100),
+    "site" VARCHAR(50),
+    "notes" TEXT,
+    "administered_by_user_id" INTEGER,
+    "is_voided" BOOLEAN NOT NULL DEFAULT false,
+    "voided_at" TIMESTAMP(3),
+    "voided_by_user_id" INTEGER,
+    "void_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "immunization_records_pkey" PRIMARY KEY ("record_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vaccine_schedule_antigen_code_dose_number_key" ON "vaccine_schedule"("antigen_code", "dose_number");
+
+-- CreateIndex
+CREATE INDEX "immunization_records_resident_id_is_voided_idx" ON "immunization_records"("resident_id", "is_voided");
+
+-- CreateIndex
+CREATE INDEX "immunization_records_barangay_date_given_idx" ON "immunization_records"("barangay", "date_given");
+
+-- CreateIndex
+CREATE INDEX "immunization_records_schedule_id_idx" ON "immunization_records"("schedule_id");
+
+-- CreateIndex
+CREATE INDEX "immunization_records_stock_id_idx" ON "immunization_records"("stock_id");
+
+-- AddForeignKey
+ALTER TABLE "vaccine_schedule" ADD CONSTRAINT "vaccine_schedule_catalog_id_fkey" FOREIGN KEY ("catalog_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "immunization_records" ADD CONSTRAINT "immunization_records_resident_id_fkey" FOREIGN KEY ("resident_id") REFERENCES "residents"("resident_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "immunization_records" ADD CONSTRAINT "immunization_records_schedule_id_fkey" FOREIGN KEY ("schedule_id") REFERENCES "vaccine_schedule"("schedule_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "immunization_records" ADD CONSTRAINT "immunization_records_stock_id_fkey" FOREIGN KEY ("stock_id") REFERENCES "stocks"("stock_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "immunization_records" ADD CONSTRAINT "immunization_records_administered_by_user_id_fkey" FOREIGN KEY ("administered_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "immunization_records" ADD CONSTRAINT "immunization_records_voided_by_user_id_fkey" FOREIGN KEY ("voided_by_user_id") REFERENCES "users"("user_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the DOH Expanded Program on Immunization routine schedule for infants
+-- Ages and intervals in days; catalog_id is linked per vaccine through PATCH /immunizations/schedule/:id
+INSERT INTO "vaccine_schedule" ("antigen_code", "antigen_name", "dose_number", "min_age_days", "max_age_days", "min_interval_days", "counts_toward_fic", "sort_order") VALUES
+    ('BCG',   'Bacillus Calmette-Guerin',               1,   0,  365, NULL, true,   10),
+    ('HEPB',  'Hepatitis B (birth dose)',               1,   0,    7, NULL, false,  20),
+    ('PENTA', 'Pentavalent (DPT-HepB-Hib)',             1,  42, 1825, NULL, true,   30),
+    ('OPV',   'Oral Polio Vaccine',                     1,  42, 1825, NULL, true,   40),
+    ('PCV',   'Pneumococcal Conjugate Vaccine',         1,  42, 1825, NULL, false,  50),
+    ('PENTA', 'Pentavalent (DPT-HepB-Hib)',             2,  70, 1825,   28, true,   60),
+    ('OPV',   'Oral Polio Vaccine',                     2,  70, 1825,   28, true,   70),
+    ('PCV',   'Pneumococcal Conjugate Vaccine',         2,  70, 1825,   28, false,  80),
+    ('PENTA', 'Pentavalent (DPT-HepB-Hib)',             3,  98, 1825,   28, true,   90),
+    ('OPV',   'Oral Polio Vaccine',                     3,  98, 1825,   28, true,  100),
+    ('PCV',   'Pneumococcal Conjugate Vaccine',         3,  98, 1825,   28, false, 110),
+    ('IPV',   'Inactivated Polio Vaccine',              1,  98, 1825, NULL, true,  120),
+    ('IPV',   'Inactivated Polio Vaccine',              2, 270, 1825,   28, false, 130),
+    ('MMR',   'Measles-Mumps-Rubella',                  1, 270, 1825, NULL, true,  140),
+    ('MMR',   'Measles-Mumps-Rubella',                  2, 365, 1825,   28, false, 150);
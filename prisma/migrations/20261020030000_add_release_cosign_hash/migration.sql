@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "cosign_signature_hash" VARCHAR(64);
+
+-- CreateIndex
+CREATE INDEX "receipts_cosign_signature_hash_idx" ON "receipts"("cosign_signature_hash");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "medicine_catalog" ADD COLUMN     "merged_into_id" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "medicine_catalog" ADD CONSTRAINT "medicine_catalog_merged_into_id_fkey" FOREIGN KEY ("merged_into_id") REFERENCES "medicine_catalog"("catalog_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- A release can now be reversed in several partial returns
+DROP INDEX "release_reversals_release_id_key";
+
+-- CreateIndex
+CREATE INDEX "release_reversals_release_id_idx" ON "release_reversals"("release_id");
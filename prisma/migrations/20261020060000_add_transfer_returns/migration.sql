@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "TransferStatus" ADD VALUE 'RETURNED';
+
+-- AlterTable
+ALTER TABLE "stock_transfers" ADD COLUMN     "returned_at" TIMESTAMP(3);
@@ -0,0 +1,157 @@
+// backend/routes/barcodes.js
+// Scan-driven intake and dispensing: GS1 barcode / DataMatrix parsing and stock lookup by GTIN + lot
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter } from '../middleware/baranggayAccess.js';
+import { StockLedgerError } from '../services/inventoryLedger.js';
+import { parseGs1, isValidGtin, normalizeGtin } from '../services/gs1Barcode.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const stockSelect = {
+  stock_id: true,
+  batch_number: true,
+  remaining_quantity: true,
+  expiry_date: true,
+  storage_location: true,
+  is_active: true,
+  recall_id: true,
+  medicine: {
+    select: {
+      medicine_id: true,
+      medicine_name: true,
+      strength: true,
+      dosage_form: true,
+      base_unit: true,
+      barangay: true
+    }
+  }
+};
+
+/**
+ * Why a stock cannot be released, or null when it can
+ */
+function releaseBlocker(stock, today) {
+  if (!stock.is_active) return 'INACTIVE';
+  if (stock.recall_id) return 'RECALLED';
+  if (new Date(stock.expiry_date) < today) return 'EXPIRED';
+  if (stock.remaining_quantity <= 0) return 'DEPLETED';
+  return null;
+}
+
+/**
+ * Catalog entry and in-scope stocks for a scanned GTIN (and lot, when known)
+ * @returns {Promise<Object>} - { catalog, stocks }
+ */
+async function findScannedStocks(user, gtin, lot) {
+  const catalog = await prisma.medicine_catalog.findUnique({
+    where: { gtin },
+    select: { catalog_id: true, generic_name: true, strength: true, dosage_form: true, gtin: true }
+  });
+  if (!catalog) return { catalog: null, stocks: [] };
+
+  const stocks = await prisma.medicine_stocks.findMany({
+    where: {
+      medicine: { catalog_id: catalog.catalog_id, ...getBarangayFilter(user) },
+      ...(lot && { batch_number: { equals: lot, mode: 'insensitive' } })
+    },
+    select: stockSelect,
+    orderBy: [{ expiry_date: 'asc' }, { stock_id: 'asc' }]
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return {
+    catalog,
+    stocks: stocks.map(stock => {
+      const blocker = releaseBlocker(stock, today);
+      return { ...stock, releasable: !blocker, blocked_reason: blocker };
+    })
+  };
+}
+
+const handleBarcodeError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * POST /api/barcodes/parse
+ * Parse a scanned payload into GTIN / lot / expiry / serial, with the matching catalog entry and stocks
+ */
+router.post('/parse', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const scan = parseGs1(req.body.payload);
+    const { catalog, stocks } = scan.gtin
+      ? await findScannedStocks(user, scan.gtin, scan.lot)
+      : { catalog: null, stocks: [] };
+
+    res.json({
+      success: true,
+      data: scan,
+      catalog,
+      stocks,
+      releasable_stock_id: stocks.find(s => s.releasable)?.stock_id ?? null,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    handleBarcodeError(res, next, 'Error parsing barcode:')(err);
+  }
+});
+
+/**
+ * GET /api/barcodes/stocks?gtin=&lot=  or  ?payload=
+ * Existing stock for a product and lot
+ */
+router.get('/stocks', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    let gtin;
+    let lot;
+
+    if (req.query.payload) {
+      ({ gtin, lot } = parseGs1(req.query.payload));
+    } else {
+      gtin = normalizeGtin(req.query.gtin);
+      lot = req.query.lot ? req.query.lot.trim() : null;
+      if (gtin && !isValidGtin(gtin)) {
+        return res.status(400).json({ error: 'GTIN check digit is invalid', gtin });
+      }
+    }
+
+    if (!gtin) {
+      return res.status(400).json({ error: 'gtin or payload is required' });
+    }
+
+    const { catalog, stocks } = await findScannedStocks(user, gtin, lot);
+
+    res.json({
+      success: true,
+      data: stocks,
+      catalog,
+      gtin,
+      lot: lot || null,
+      total: stocks.length,
+      releasable_quantity: stocks.filter(s => s.releasable).reduce((sum, s) => sum + s.remaining_quantity, 0),
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    handleBarcodeError(res, next, 'Error looking up scanned stock:')(err);
+  }
+});
+
+export default router;
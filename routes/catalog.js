@@ -0,0 +1,401 @@
+// backend/routes/catalog.js
+// Shared medicine catalog (formulary); barangay inventory rows in medicine_records link to it
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter } from '../middleware/baranggayAccess.js';
+import { requireRole, adminOnly } from '../middleware/auth.js';
+import { logAuditFromRequest } from '../utils/auditLogger.js';
+import { buildCatalogKey } from '../services/medicineCatalog.js';
+import { runInLedger, writeAudit } from '../services/inventoryLedger.js';
+import { isValidGtin, normalizeGtin } from '../services/gs1Barcode.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Barangay inventory rows for a catalog entry, limited to what the user may see
+ */
+const medicinesInclude = (user) => ({
+  where: { is_active: true, ...getBarangayFilter(user) },
+  select: {
+    medicine_id: true,
+    medicine_name: true,
+    barangay: true,
+    total_quantity: true
+  },
+  orderBy: { barangay: 'asc' }
+});
+
+/**
+ * duplicate_window_days from a request body: undefined = not sent, null = system default, 0 = guard off
+ */
+const parseWindowDays = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const parsed = parseInt(value);
+  return isNaN(parsed) || parsed < 0 ? NaN : parsed;
+};
+
+const PREGNANCY_CATEGORIES = ['A', 'B', 'C', 'D', 'X'];
+
+/**
+ * Contraindication metadata from a request body; only fields that were sent are returned
+ * contraindicated_conditions may be an array or a comma-separated string of condition names / ICD-10 codes
+ */
+const parseContraindications = (body) => {
+  const data = {};
+
+  if (body.drug_class !== undefined) {
+    data.drug_class = body.drug_class ? body.drug_class.trim() : null;
+  }
+
+  if (body.contraindicated_conditions !== undefined) {
+    const list = Array.isArray(body.contraindicated_conditions)
+      ? body.contraindicated_conditions
+      : (body.contraindicated_conditions || '').split(',');
+    data.contraindicated_conditions = [...new Set(list.map(c => c.toString().trim()).filter(Boolean))];
+  }
+
+  if (body.pregnancy_category !== undefined) {
+    const category = body.pregnancy_category ? body.pregnancy_category.toString().toUpperCase() : null;
+    if (category && !PREGNANCY_CATEGORIES.includes(category)) {
+      return { error: `pregnancy_category must be one of ${PREGNANCY_CATEGORIES.join(', ')}` };
+    }
+    data.pregnancy_category = category;
+  }
+
+  return { data };
+};
+
+/**
+ * gtin from a request body: undefined = not sent, null = clear it
+ * GTIN-8/12/13 are stored zero-padded to 14 digits; another entry holding it is a conflict
+ */
+const parseGtin = async (body, catalogId = null) => {
+  if (body.gtin === undefined) return { data: {} };
+  if (body.gtin === null || body.gtin === '') return { data: { gtin: null } };
+
+  const gtin = String(body.gtin).trim();
+  if (!isValidGtin(gtin)) {
+    return { status: 400, error: 'gtin must be a valid GTIN-8, 12, 13 or 14' };
+  }
+
+  const normalized = normalizeGtin(gtin);
+  const owner = await prisma.medicine_catalog.findUnique({ where: { gtin: normalized }, select: { catalog_id: true } });
+  if (owner && owner.catalog_id !== catalogId) {
+    return { status: 409, error: 'Another catalog entry already has this GTIN', details: { catalog_id: owner.catalog_id } };
+  }
+
+  return { data: { gtin: normalized } };
+};
+
+const withInventoryTotals = (entry) => ({
+  ...entry,
+  barangay_count: new Set(entry.medicines.map(m => m.barangay)).size,
+  total_quantity: entry.medicines.reduce((sum, m) => sum + m.total_quantity, 0)
+});
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/catalog
+ * Search the formulary
+ * Query: search, dosage_form, include_inactive=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = req.user || null;
+    const { search, dosage_form, include_inactive } = req.query;
+
+    const where = {
+      ...(include_inactive !== 'true' && { is_active: true }),
+      ...(dosage_form && { dosage_form: { equals: dosage_form, mode: 'insensitive' } }),
+      ...(search && {
+        OR: [
+          { generic_name: { contains: search, mode: 'insensitive' } },
+          { medicines: { some: { medicine_name: { contains: search, mode: 'insensitive' } } } }
+        ]
+      })
+    };
+
+    const entries = await prisma.medicine_catalog.findMany({
+      where,
+      include: { medicines: medicinesInclude(user) },
+      orderBy: [{ generic_name: 'asc' }, { strength: 'asc' }]
+    });
+
+    res.json({ success: true, data: entries.map(withInventoryTotals) });
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/catalog/:id
+ * Catalog entry with each barangay's inventory row
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const catalogId = parseInt(req.params.id);
+
+    if (isNaN(catalogId)) {
+      return res.status(400).json({ error: 'Invalid catalog ID' });
+    }
+
+    const entry = await prisma.medicine_catalog.findUnique({
+      where: { catalog_id: catalogId },
+      include: { medicines: medicinesInclude(req.user || null) }
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+
+    res.json({ success: true, data: withInventoryTotals(entry) });
+  } catch (error) {
+    console.error('Error fetching catalog entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/catalog
+ * Add a drug to the formulary
+ * Body: { generic_name, strength?, dosage_form?, category?, description?, duplicate_window_days?,
+ *         drug_class?, contraindicated_conditions?, pregnancy_category?, gtin? }
+ */
+router.post('/', requireRole('ADMIN', 'MUNICIPAL_STAFF', 'PHARMACIST'), async (req, res) => {
+  try {
+    const { generic_name, strength, dosage_form, category, description } = req.body;
+    const duplicateWindowDays = parseWindowDays(req.body.duplicate_window_days);
+
+    if (!generic_name || !generic_name.trim()) {
+      return res.status(400).json({ error: 'generic_name is required' });
+    }
+    if (Number.isNaN(duplicateWindowDays)) {
+      return res.status(400).json({ error: 'duplicate_window_days must be a non-negative number' });
+    }
+
+    const contraindications = parseContraindications(req.body);
+    if (contraindications.error) {
+      return res.status(400).json({ error: contraindications.error });
+    }
+
+    const gtin = await parseGtin(req.body);
+    if (gtin.error) {
+      return res.status(gtin.status).json({ error: gtin.error, ...gtin.details });
+    }
+
+    const catalogKey = buildCatalogKey({ generic_name, strength, dosage_form });
+    const existing = await prisma.medicine_catalog.findUnique({ where: { catalog_key: catalogKey } });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'This drug is already in the catalog',
+        catalog_id: existing.catalog_id
+      });
+    }
+
+    const entry = await prisma.medicine_catalog.create({
+      data: {
+        generic_name: generic_name.trim(),
+        strength: strength ? strength.trim() : null,
+        dosage_form: dosage_form ? dosage_form.trim() : null,
+        category: category || null,
+        description: description || null,
+        duplicate_window_days: duplicateWindowDays ?? null,
+        ...contraindications.data,
+        ...gtin.data,
+        catalog_key: catalogKey
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'medicine_catalog',
+      recordId: entry.catalog_id,
+      action: 'CREATE',
+      newValues: entry
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error creating catalog entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/catalog/:id
+ * Correct a catalog entry
+ */
+router.put('/:id', requireRole('ADMIN', 'MUNICIPAL_STAFF', 'PHARMACIST'), async (req, res) => {
+  try {
+    const catalogId = parseInt(req.params.id);
+    const existing = await prisma.medicine_catalog.findUnique({ where: { catalog_id: catalogId } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+
+    const generic_name = req.body.generic_name ?? existing.generic_name;
+    const strength = req.body.strength !== undefined ? req.body.strength : existing.strength;
+    const dosage_form = req.body.dosage_form !== undefined ? req.body.dosage_form : existing.dosage_form;
+    const catalogKey = buildCatalogKey({ generic_name, strength, dosage_form });
+    const duplicateWindowDays = parseWindowDays(req.body.duplicate_window_days);
+
+    if (Number.isNaN(duplicateWindowDays)) {
+      return res.status(400).json({ error: 'duplicate_window_days must be a non-negative number' });
+    }
+
+    const contraindications = parseContraindications(req.body);
+    if (contraindications.error) {
+      return res.status(400).json({ error: contraindications.error });
+    }
+
+    const gtin = await parseGtin(req.body, catalogId);
+    if (gtin.error) {
+      return res.status(gtin.status).json({ error: gtin.error, ...gtin.details });
+    }
+
+    if (catalogKey !== existing.catalog_key) {
+      const clash = await prisma.medicine_catalog.findUnique({ where: { catalog_key: catalogKey } });
+      if (clash) {
+        return res.status(409).json({
+          error: 'Another catalog entry already describes this drug; merge them instead',
+          catalog_id: clash.catalog_id
+        });
+      }
+    }
+
+    const entry = await prisma.medicine_catalog.update({
+      where: { catalog_id: catalogId },
+      data: {
+        generic_name,
+        strength: strength || null,
+        dosage_form: dosage_form || null,
+        category: req.body.category !== undefined ? req.body.category : existing.category,
+        description: req.body.description !== undefined ? req.body.description : existing.description,
+        is_active: req.body.is_active !== undefined ? Boolean(req.body.is_active) : existing.is_active,
+        duplicate_window_days: duplicateWindowDays !== undefined ? duplicateWindowDays : existing.duplicate_window_days,
+        ...contraindications.data,
+        ...gtin.data,
+        catalog_key: catalogKey,
+        updated_at: new Date()
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'medicine_catalog',
+      recordId: catalogId,
+      action: 'UPDATE',
+      oldValues: existing,
+      newValues: entry
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error updating catalog entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/catalog/:id/merge
+ * Fold duplicate catalog entries (spelling variants) into this one (admin only)
+ * Body: { duplicate_ids: [] }
+ */
+router.post('/:id/merge', adminOnly, async (req, res) => {
+  try {
+    const catalogId = parseInt(req.params.id);
+    const duplicateIds = (req.body.duplicate_ids || [])
+      .map(id => parseInt(id))
+      .filter(id => !isNaN(id) && id !== catalogId);
+
+    if (duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'duplicate_ids must list at least one other catalog entry' });
+    }
+
+    const target = await prisma.medicine_catalog.findUnique({ where: { catalog_id: catalogId } });
+    if (!target) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+    if (!target.is_active) {
+      return res.status(409).json({ error: 'Cannot merge into an inactive catalog entry', merged_into_id: target.merged_into_id });
+    }
+
+    const result = await runInLedger(async (tx) => {
+      const duplicates = await tx.medicine_catalog.findMany({
+        where: { catalog_id: { in: duplicateIds } }
+      });
+
+      const relinked = await tx.medicine_records.updateMany({
+        where: { catalog_id: { in: duplicates.map(d => d.catalog_id) } },
+        data: { catalog_id: catalogId, updated_at: new Date() }
+      });
+
+      await tx.vaccine_schedule.updateMany({
+        where: { catalog_id: { in: duplicates.map(d => d.catalog_id) } },
+        data: { catalog_id: catalogId, updated_at: new Date() }
+      });
+
+      // The duplicates' keys (and those merged into them earlier) now resolve to the target
+      await tx.medicine_catalog.updateMany({
+        where: { merged_into_id: { in: duplicates.map(d => d.catalog_id) } },
+        data: { merged_into_id: catalogId, updated_at: new Date() }
+      });
+      await tx.medicine_catalog.updateMany({
+        where: { catalog_id: { in: duplicates.map(d => d.catalog_id) } },
+        data: { is_active: false, gtin: null, merged_into_id: catalogId, updated_at: new Date() }
+      });
+
+      // Keep a scanned GTIN when only a duplicate had one
+      const gtin = target.gtin || duplicates.find(d => d.gtin)?.gtin;
+      if (gtin && !target.gtin) {
+        await tx.medicine_catalog.update({
+          where: { catalog_id: catalogId },
+          data: { gtin }
+        });
+      }
+
+      await writeAudit(tx, req, {
+        tableName: 'medicine_catalog',
+        recordId: catalogId,
+        action: 'MERGE',
+        oldValues: { duplicates },
+        newValues: { catalog_id: catalogId, relinked_medicines: relinked.count }
+      });
+
+      return { merged: duplicates.length, relinked: relinked.count };
+    });
+
+    // Barangays that now hold two inventory rows for the same drug
+    const rows = await prisma.medicine_records.groupBy({
+      by: ['barangay'],
+      where: { catalog_id: catalogId, is_active: true },
+      _count: { medicine_id: true }
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      barangaysWithMultipleRows: rows
+        .filter(r => r._count.medicine_id > 1)
+        .map(r => ({ barangay: r.barangay, medicines: r._count.medicine_id })),
+      message: `Merged ${result.merged} catalog entr${result.merged === 1 ? 'y' : 'ies'} into ${target.generic_name}`
+    });
+  } catch (error) {
+    console.error('Error merging catalog entries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
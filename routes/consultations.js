@@ -5,6 +5,10 @@ import { logAuditFromRequest } from '../utils/auditLogger.js';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
 import { optionalAuth } from '../middleware/auth.js';
 import { sendBookingConfirmation, sendConsultationConfirmed, sendConsultationCancelled } from '../utils/emailService.js';
+import { runInLedger, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { parsePrescriptionItems } from '../services/prescriptionFill.js';
+import { findResidentMatches, pickAutoLink, splitFullName, MATCH_LEVELS } from '../services/residentMatching.js';
+import { calculateAgeCategory, isSeniorCitizen } from '../services/residentAges.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -13,20 +17,6 @@ const prisma = new PrismaClient();
 // HELPER FUNCTIONS
 // ============================================
 
-// Calculate age category
-function calculateAgeCategory(age) {
-  if (age === null || age === undefined) return null;
-  if (age <= 1.99) return 'ZERO_TO_23_MONTHS';
-  if (age <= 4.99) return 'TWENTY_FOUR_TO_59_MONTHS';
-  if (age <= 5.99) return 'SIXTY_TO_71_MONTHS';
-  return 'ABOVE_71_MONTHS';
-}
-
-// Check if senior citizen
-function isSeniorCitizen(age) {
-  return age !== null && age >= 60;
-}
-
 // Generate meeting link and credentials
 const generateMeetingDetails = () => {
   const meetingId = Math.random().toString(36).substring(2, 15);
@@ -146,6 +136,43 @@ const getAvailableTimeSlots = async (date, doctorId = null, nurseId = null) => {
   return timeSlots;
 };
 
+// Fill in the prescribed drug's name and catalog link from the medicine or catalog entry
+const resolvePrescribedMedicine = async (item) => {
+  if (item.medicine_id) {
+    const medicine = await prisma.medicine_records.findUnique({
+      where: { medicine_id: item.medicine_id },
+      select: { medicine_id: true, medicine_name: true, strength: true, catalog_id: true }
+    });
+    if (!medicine) {
+      throw new StockLedgerError('Prescribed medicine not found', 404, { medicine_id: item.medicine_id });
+    }
+    return {
+      ...item,
+      catalog_id: item.catalog_id || medicine.catalog_id,
+      medicine_name: item.medicine_name || [medicine.medicine_name, medicine.strength].filter(Boolean).join(' ')
+    };
+  }
+
+  if (item.catalog_id) {
+    const entry = await prisma.medicine_catalog.findUnique({ where: { catalog_id: item.catalog_id } });
+    if (!entry) {
+      throw new StockLedgerError('Catalog entry not found', 404, { catalog_id: item.catalog_id });
+    }
+    return {
+      ...item,
+      medicine_name: item.medicine_name || [entry.generic_name, entry.strength].filter(Boolean).join(' ')
+    };
+  }
+
+  return item;
+};
+
+// One line of the free-text prescription summary
+const describePrescriptionItem = (item) => {
+  const sig = [item.dose, item.frequency, item.duration_days && `x ${item.duration_days} days`].filter(Boolean).join(', ');
+  return `${item.medicine_name}${sig ? ` - ${sig}` : ''} (#${item.quantity_prescribed})`;
+};
+
 // ============================================
 // ROUTES
 // ============================================
@@ -326,109 +353,47 @@ router.post('/', async (req, res, next) => {
     const meetingDetails = generateMeetingDetails();
     
     // ============================================
-    // SMART RESIDENT MATCHING & MERGING (Multi-Strategy)
+    // SMART RESIDENT MATCHING & MERGING
     // ============================================
     let residentId = null;
     let residentAction = 'none';
     let matchStrategy = null;
+    let possibleMatches = [];
     
     try {
-      let existingResident = null;
-      
-      // Strategy 1: Match by phone number (highest priority)
-      if (patient_phone && patient_phone.trim()) {
-        existingResident = await prisma.residents.findFirst({
-          where: {
-            phone: patient_phone.trim(),
-            is_active: true
-          }
-        });
-        
-        if (existingResident) {
-          matchStrategy = 'phone';
-          console.log(`✓ Match found by phone: ${patient_phone}`);
-        }
-      }
-      
-      // Strategy 2: Match by full name + barangay (exact match)
-      if (!existingResident && patient_barangay && patient_name) {
-        existingResident = await prisma.residents.findFirst({
-          where: {
-            full_name: { equals: patient_name.trim(), mode: 'insensitive' },
-            barangay: patient_barangay,
-            is_active: true
-          }
-        });
-        
-        if (existingResident) {
-          matchStrategy = 'name_barangay_exact';
-          console.log(`✓ Match found by exact name + barangay: ${patient_name}`);
-        }
-      }
-      
-      // Strategy 3: Match by first name + last name + barangay
-      if (!existingResident && patient_barangay && patient_name) {
-        const nameParts = patient_name.trim().split(' ');
-        const firstName = nameParts[0];
-        const lastName = nameParts.slice(1).join(' ') || firstName;
-        
-        existingResident = await prisma.residents.findFirst({
-          where: {
-            first_name: { equals: firstName, mode: 'insensitive' },
-            last_name: { equals: lastName, mode: 'insensitive' },
-            barangay: patient_barangay,
-            is_active: true
-          }
-        });
-        
-        if (existingResident) {
-          matchStrategy = 'name_parts_barangay';
-          console.log(`✓ Match found by name parts + barangay: ${firstName} ${lastName}`);
-        }
-      }
-      
-      // Strategy 4: Match by phone in name field
-      if (!existingResident && patient_name) {
-        const phonePattern = /\d{10,11}/;
-        const phoneInName = patient_name.match(phonePattern);
-        
-        if (phoneInName) {
-          existingResident = await prisma.residents.findFirst({
-            where: {
-              phone: { contains: phoneInName[0] },
-              is_active: true
-            }
-          });
-          
-          if (existingResident) {
-            matchStrategy = 'phone_in_name';
-            console.log(`✓ Match found by phone in name field: ${phoneInName[0]}`);
-          }
-        }
-      }
-      
-      // Strategy 5: Fuzzy match by name only (if no barangay provided)
-      if (!existingResident && patient_name && !patient_barangay) {
-        existingResident = await prisma.residents.findFirst({
-          where: {
-            full_name: { equals: patient_name.trim(), mode: 'insensitive' },
-            is_active: true
-          },
-          orderBy: { created_at: 'desc' }
-        });
-        
-        if (existingResident) {
-          matchStrategy = 'name_only';
-          console.log(`⚠ Match found by name only (no barangay): ${patient_name}`);
-        }
+      // Shared matching engine: phone, phonetic / edit-distance name and barangay scored together.
+      // Only a confident match (or a unique exact name in the barangay) is linked automatically;
+      // a shared family phone alone is not enough. Other MEDIUM candidates are returned for review.
+      const matchInput = {
+        full_name: patient_name,
+        age: patient_age,
+        phone: patient_phone,
+        barangay: patient_barangay
+      };
+      const candidates = await findResidentMatches(prisma, matchInput, { minScore: MATCH_LEVELS.MEDIUM, limit: 5 });
+      const bestMatch = pickAutoLink(candidates, matchInput);
+      if (!bestMatch) {
+        possibleMatches = candidates.map(c => ({
+          resident_id: c.resident_id,
+          full_name: c.full_name,
+          barangay: c.barangay,
+          age: c.age,
+          match_score: c.match_score,
+          match_reasons: c.match_reasons
+        }));
       }
-      
+
+      const existingResident = bestMatch
+        ? await prisma.residents.findUnique({ where: { resident_id: bestMatch.resident_id } })
+        : null;
+
       if (existingResident) {
         // FOUND: Link to existing resident and update missing information
         residentId = existingResident.resident_id;
         residentAction = 'found';
+        matchStrategy = bestMatch.match_reasons.join('+');
         
-        console.log(`✓ Found existing resident ${residentId} (${existingResident.full_name}) via ${matchStrategy}`);
+        console.log(`✓ Found existing resident ${residentId} (${existingResident.full_name}) via ${matchStrategy}, score ${bestMatch.match_score}`);
         
         // Update resident with any new information from consultation
         const updateData = {};
@@ -440,7 +405,7 @@ router.post('/', async (req, res, next) => {
         }
         
         // Log phone mismatch if matched by name but phone is different
-        if (matchStrategy !== 'phone' && patient_phone && existingResident.phone !== patient_phone) {
+        if (!bestMatch.match_reasons.includes('phone') && patient_phone && existingResident.phone !== patient_phone) {
           console.log(`  ⚠ Phone mismatch: Existing ${existingResident.phone} vs New ${patient_phone}`);
         }
         
@@ -509,9 +474,7 @@ router.post('/', async (req, res, next) => {
         
       } else {
         // NOT FOUND: Create new resident from consultation data
-        const nameParts = patient_name.trim().split(' ');
-        const firstName = nameParts[0];
-        const lastName = nameParts.slice(1).join(' ') || firstName;
+        const { first_name: firstName, last_name: lastName } = splitFullName(patient_name);
         
         const newResident = await prisma.residents.create({
           data: {
@@ -615,7 +578,10 @@ router.post('/', async (req, res, next) => {
           ? `Linked to existing resident profile (matched by ${matchStrategy})`
           : residentAction === 'updated'
           ? `Updated existing resident profile with new information (matched by ${matchStrategy})`
-          : 'Created new resident profile'
+          : possibleMatches.length > 0
+          ? 'Created new resident profile; review possible duplicates and merge if they are the same person'
+          : 'Created new resident profile',
+        ...(possibleMatches.length > 0 && { possibleMatches })
       },
       message: 'Consultation scheduled successfully. Confirmation emails have been sent.'
     });
@@ -729,6 +695,9 @@ router.get('/:id', async (req, res, next) => {
         },
         resident: {
           select: { resident_id: true, full_name: true, is_profile_complete: true }
+        },
+        prescription_items: {
+          orderBy: { item_id: 'asc' }
         }
       }
     });
@@ -907,4 +876,194 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-export default router;
\ No newline at end of file
+/**
+ * GET /api/consultations/:id/prescriptions
+ * Prescription line items with what has been dispensed against each
+ */
+router.get('/:id/prescriptions', async (req, res, next) => {
+  try {
+    const consultationId = parseInt(req.params.id);
+
+    if (isNaN(consultationId)) {
+      return res.status(400).json({ error: 'Invalid consultation ID' });
+    }
+
+    const consultation = await prisma.consultations.findUnique({
+      where: { consultation_id: consultationId },
+      select: { consultation_id: true, patient_name: true, patient_barangay: true, resident_id: true, prescription: true }
+    });
+
+    if (!consultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    const items = await prisma.consultation_prescription_items.findMany({
+      where: { consultation_id: consultationId },
+      include: {
+        medicine_releases: {
+          select: {
+            release_id: true,
+            medicine_id: true,
+            stock_id: true,
+            quantity_released: true,
+            date_released: true,
+            medicine: { select: { medicine_name: true, barangay: true } }
+          },
+          orderBy: { date_released: 'asc' }
+        }
+      },
+      orderBy: { item_id: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: items.map(item => ({
+        ...item,
+        quantity_remaining: item.status === 'CANCELLED'
+          ? 0
+          : Math.max(0, item.quantity_prescribed - item.quantity_dispensed)
+      })),
+      consultation
+    });
+  } catch (error) {
+    console.error('Error fetching prescription items:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consultations/:id/prescriptions
+ * Add structured prescription line items to a consultation
+ * Body: { items: [{ medicine_id? | catalog_id? | medicine_name, dose, frequency, duration_days, quantity, instructions }] }
+ * quantity is in the medicine's base unit (e.g. tablets)
+ */
+router.post('/:id/prescriptions', async (req, res, next) => {
+  try {
+    const consultationId = parseInt(req.params.id);
+    const user = req.user || null;
+
+    if (isNaN(consultationId)) {
+      return res.status(400).json({ error: 'Invalid consultation ID' });
+    }
+
+    const consultation = await prisma.consultations.findUnique({
+      where: { consultation_id: consultationId }
+    });
+
+    if (!consultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    if (user && !canModifyRecord(user, consultation.patient_barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    if (consultation.status === 'CANCELLED') {
+      return res.status(400).json({ error: 'Cannot prescribe on a cancelled consultation' });
+    }
+
+    const parsed = parsePrescriptionItems(req.body.items);
+    const items = [];
+    for (const item of parsed) {
+      items.push(await resolvePrescribedMedicine(item));
+    }
+
+    const created = await runInLedger(async (tx) => {
+      const rows = [];
+      for (const item of items) {
+        rows.push(await tx.consultation_prescription_items.create({
+          data: {
+            ...item,
+            consultation_id: consultationId,
+            created_by: user?.user_id || null
+          }
+        }));
+      }
+
+      // Keep the free-text prescription readable for screens that still show it
+      const summary = rows.map(describePrescriptionItem).join('\n');
+      await tx.consultations.update({
+        where: { consultation_id: consultationId },
+        data: {
+          prescription: consultation.prescription ? `${consultation.prescription}\n${summary}` : summary,
+          updated_at: new Date()
+        }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'consultations',
+        recordId: consultationId,
+        action: 'PRESCRIBE',
+        oldValues: null,
+        newValues: { consultation_id: consultationId, items: rows }
+      });
+
+      return rows;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: `${created.length} prescription item(s) added`
+    });
+  } catch (error) {
+    console.error('Error adding prescription items:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/consultations/:id/prescriptions/:itemId/cancel
+ * Stop filling a prescription line item; units already dispensed stay recorded
+ */
+router.patch('/:id/prescriptions/:itemId/cancel', async (req, res, next) => {
+  try {
+    const consultationId = parseInt(req.params.id);
+    const itemId = parseInt(req.params.itemId);
+    const user = req.user || null;
+
+    const item = await prisma.consultation_prescription_items.findFirst({
+      where: { item_id: itemId, consultation_id: consultationId },
+      include: { consultation: { select: { patient_barangay: true } } }
+    });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Prescription item not found' });
+    }
+
+    if (user && !canModifyRecord(user, item.consultation.patient_barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const result = await prisma.consultation_prescription_items.updateMany({
+      where: { item_id: itemId, status: { in: ['PENDING', 'PARTIALLY_FILLED'] } },
+      data: { status: 'CANCELLED', updated_at: new Date() }
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({ error: `Cannot cancel an item that is ${item.status}` });
+    }
+
+    const { consultation, ...oldItem } = item;
+    const updated = { ...oldItem, status: 'CANCELLED' };
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'consultation_prescription_items',
+      recordId: itemId,
+      action: 'CANCEL',
+      oldValues: oldItem,
+      newValues: updated
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({ success: true, data: updated, message: 'Prescription item cancelled' });
+  } catch (error) {
+    console.error('Error cancelling prescription item:', error);
+    next(error);
+  }
+});
+
+export default router;
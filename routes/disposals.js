@@ -0,0 +1,658 @@
+// backend/routes/disposals.js
+// Disposal batches for expired and damaged stock
+// Approved EXPIRED / DAMAGED removals are grouped into a batch with its witnesses; certifying the
+// batch renders the destruction certificate PDF and anchors its hash on-chain
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { requireRole } from '../middleware/auth.js';
+import { runInLedger, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  CERTIFIER_ROLES,
+  MIN_WITNESSES,
+  certificateNumber,
+  parseWitnesses,
+  renderCertificate,
+  certificateHash
+} from '../services/disposalCertificate.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// The PDF bytes are only sent from GET /:id/certificate
+const disposalOmit = { certificate_pdf: true };
+
+const disposalInclude = {
+  removals: {
+    include: {
+      medicine: { select: { medicine_id: true, medicine_name: true, generic_name: true, strength: true, dosage_form: true, barangay: true } },
+      stock: { select: { stock_id: true, batch_number: true, expiry_date: true, unit_cost: true } }
+    },
+    orderBy: { removal_id: 'asc' }
+  },
+  witnesses: {
+    include: { user: { select: { user_id: true, full_name: true, role: true } } },
+    orderBy: { witness_id: 'asc' }
+  },
+  created_by_user: { select: { full_name: true } },
+  certified_by_user: { select: { full_name: true, role: true } }
+};
+
+const loadDisposal = (client, disposalId) => client.disposal_batches.findUnique({
+  where: { disposal_id: disposalId },
+  omit: disposalOmit,
+  include: disposalInclude
+});
+
+/**
+ * Lock a disposal batch for the rest of the transaction and return it
+ * Edits and certification of one batch are serialized
+ */
+async function lockDisposal(tx, disposalId) {
+  const rows = await tx.$queryRaw`
+    SELECT disposal_id FROM disposal_batches WHERE disposal_id = ${disposalId} FOR UPDATE
+  `;
+
+  if (rows.length === 0) {
+    throw new StockLedgerError('Disposal batch not found', 404, { disposal_id: disposalId });
+  }
+
+  return loadDisposal(tx, disposalId);
+}
+
+/**
+ * Check that a draft can still be edited by this user
+ */
+function assertEditableDraft(user, disposal) {
+  if (user && !canModifyRecord(user, disposal.barangay)) {
+    throw new StockLedgerError('Access denied to this barangay', 403);
+  }
+  if (disposal.status !== 'DRAFT') {
+    throw new StockLedgerError(`Disposal batch is ${disposal.status.toLowerCase()} and can no longer be changed`, 409, {
+      status: disposal.status
+    });
+  }
+}
+
+/**
+ * Validate the removals for a batch and return their shared barangay
+ * Removals must be approved EXPIRED / DAMAGED write-offs of one barangay not already in another batch
+ */
+async function validateRemovals(tx, removalIds, disposalId = null) {
+  if (!Array.isArray(removalIds) || removalIds.length === 0) {
+    throw new StockLedgerError('removal_ids must list at least one removal', 400);
+  }
+
+  const ids = [...new Set(removalIds.map(id => parseInt(id)))];
+  const removals = await tx.stock_removals.findMany({
+    where: { removal_id: { in: ids } },
+    select: {
+      removal_id: true,
+      reason: true,
+      status: true,
+      disposal_id: true,
+      medicine: { select: { barangay: true } }
+    }
+  });
+
+  const missing = ids.filter(id => !removals.some(r => r.removal_id === id));
+  if (missing.length > 0) {
+    throw new StockLedgerError('Some removals were not found', 404, { missing });
+  }
+
+  const ineligible = removals.filter(r => !DISPOSAL_REASONS.includes(r.reason) || r.status !== 'APPROVED');
+  if (ineligible.length > 0) {
+    throw new StockLedgerError(`Only approved ${DISPOSAL_REASONS.join(' / ')} removals can be disposed of`, 400, {
+      ineligible: ineligible.map(r => ({ removal_id: r.removal_id, reason: r.reason, status: r.status }))
+    });
+  }
+
+  const inOtherBatch = removals.filter(r => r.disposal_id && r.disposal_id !== disposalId);
+  if (inOtherBatch.length > 0) {
+    throw new StockLedgerError('Some removals already belong to another disposal batch', 409, {
+      removals: inOtherBatch.map(r => ({ removal_id: r.removal_id, disposal_id: r.disposal_id }))
+    });
+  }
+
+  const barangays = [...new Set(removals.map(r => r.medicine.barangay))];
+  if (barangays.length > 1) {
+    throw new StockLedgerError('A disposal batch can only hold removals from one barangay', 400, { barangays });
+  }
+
+  return { ids, barangay: barangays[0] };
+}
+
+/**
+ * Check that every witness is an active user
+ */
+async function validateWitnessUsers(tx, witnesses) {
+  const users = await tx.users.findMany({
+    where: { user_id: { in: witnesses.map(w => w.user_id) }, is_active: true },
+    select: { user_id: true }
+  });
+
+  const unknown = witnesses.filter(w => !users.some(u => u.user_id === w.user_id)).map(w => w.user_id);
+  if (unknown.length > 0) {
+    throw new StockLedgerError('Witnesses must be active users', 400, { unknown_user_ids: unknown });
+  }
+}
+
+/**
+ * Point the given removals at a batch, guarding against another batch claiming them first
+ */
+async function attachRemovals(tx, disposalId, ids) {
+  const { count } = await tx.stock_removals.updateMany({
+    where: {
+      removal_id: { in: ids },
+      OR: [{ disposal_id: null }, { disposal_id: disposalId }]
+    },
+    data: { disposal_id: disposalId }
+  });
+
+  if (count !== ids.length) {
+    throw new StockLedgerError('Some removals were added to another disposal batch', 409);
+  }
+}
+
+function parseDisposalDetails(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.disposal_method !== undefined || !partial) {
+    if (!DISPOSAL_METHODS.includes(body.disposal_method)) {
+      throw new StockLedgerError(`disposal_method must be one of ${DISPOSAL_METHODS.join(', ')}`, 400);
+    }
+    data.disposal_method = body.disposal_method;
+  }
+
+  if (body.disposal_date !== undefined || !partial) {
+    const date = new Date(body.disposal_date);
+    if (!body.disposal_date || isNaN(date.getTime())) {
+      throw new StockLedgerError('disposal_date must be a valid date', 400);
+    }
+    data.disposal_date = date;
+  }
+
+  if (body.disposal_site !== undefined) data.disposal_site = body.disposal_site || null;
+  if (body.notes !== undefined) data.notes = body.notes || null;
+
+  return data;
+}
+
+/**
+ * Anchor a certified batch's certificate hash; failures are reported, never thrown
+ */
+const anchorDisposal = async (disposal) => {
+  try {
+    const { default: blockchainService } = await import('../utils/blockchainUtils.js');
+    const result = await blockchainService.syncDisposalCertificateToBlockchain(disposal);
+    return { anchored: true, blockchain_hash: result.dataHash, blockchain_tx_hash: result.txHash };
+  } catch (bcErr) {
+    console.error('Blockchain anchoring of disposal certificate failed:', bcErr.message);
+    return { anchored: false, error: bcErr.message };
+  }
+};
+
+const handleDisposalError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/disposals/eligible-removals
+ * Approved EXPIRED / DAMAGED removals not yet in a disposal batch
+ */
+router.get('/eligible-removals', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+
+    const removals = await prisma.stock_removals.findMany({
+      where: {
+        medicine: getBarangayFilter(user),
+        reason: { in: DISPOSAL_REASONS },
+        status: 'APPROVED',
+        disposal_id: null
+      },
+      include: disposalInclude.removals.include,
+      orderBy: { date_removed: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: removals,
+      total: removals.length,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching removals eligible for disposal:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/disposals
+ * List disposal batches for the user's barangay
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status, barangay } = req.query;
+
+    const where = { ...getBarangayFilter(user) };
+    if (barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where.barangay = barangay;
+    }
+    if (status) where.status = status;
+
+    const disposals = await prisma.disposal_batches.findMany({
+      where,
+      omit: disposalOmit,
+      include: {
+        created_by_user: { select: { full_name: true } },
+        certified_by_user: { select: { full_name: true } },
+        _count: { select: { removals: true, witnesses: true } }
+      },
+      orderBy: { disposal_date: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: disposals,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching disposal batches:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/disposals/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const disposal = await loadDisposal(prisma, parseInt(req.params.id));
+
+    if (!disposal) {
+      return res.status(404).json({ error: 'Disposal batch not found' });
+    }
+
+    if (user && !canModifyRecord(user, disposal.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    res.json({ success: true, data: disposal });
+  } catch (err) {
+    console.error('Error fetching disposal batch:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/disposals/:id/certificate
+ * Download the destruction certificate exactly as it was hashed and anchored
+ */
+router.get('/:id/certificate', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const disposal = await prisma.disposal_batches.findUnique({
+      where: { disposal_id: parseInt(req.params.id) },
+      select: { disposal_id: true, barangay: true, status: true, certificate_number: true, certificate_pdf: true, certificate_hash: true }
+    });
+
+    if (!disposal) {
+      return res.status(404).json({ error: 'Disposal batch not found' });
+    }
+
+    if (user && !canModifyRecord(user, disposal.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    if (!disposal.certificate_pdf) {
+      return res.status(409).json({ error: 'Disposal batch has not been certified yet', status: disposal.status });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${disposal.certificate_number}.pdf"`,
+      'X-Certificate-Hash': disposal.certificate_hash
+    });
+    res.send(Buffer.from(disposal.certificate_pdf));
+  } catch (err) {
+    console.error('Error sending disposal certificate:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/disposals/:id/verify
+ * Compare the stored certificate with its recorded hash and the hash anchored on-chain
+ */
+router.get('/:id/verify', async (req, res, next) => {
+  try {
+    const disposal = await prisma.disposal_batches.findUnique({
+      where: { disposal_id: parseInt(req.params.id) },
+      select: { disposal_id: true, certificate_number: true, certificate_pdf: true, certificate_hash: true, blockchain_tx_hash: true }
+    });
+
+    if (!disposal) {
+      return res.status(404).json({ error: 'Disposal batch not found' });
+    }
+
+    if (!disposal.certificate_pdf) {
+      return res.status(409).json({ error: 'Disposal batch has not been certified yet' });
+    }
+
+    const currentHash = certificateHash(Buffer.from(disposal.certificate_pdf));
+    const result = {
+      disposal_id: disposal.disposal_id,
+      certificate_number: disposal.certificate_number,
+      stored_hash: disposal.certificate_hash,
+      current_hash: currentHash,
+      document_intact: currentHash === disposal.certificate_hash,
+      blockchain_tx_hash: disposal.blockchain_tx_hash
+    };
+
+    try {
+      const { default: blockchainService, DISPOSAL_ID_OFFSET } = await import('../utils/blockchainUtils.js');
+      const [chainHash, storedBy, timestamp, exists] =
+        await blockchainService.contract.getRemovalHash(DISPOSAL_ID_OFFSET + disposal.disposal_id);
+
+      res.json({
+        success: true,
+        ...result,
+        verified: exists && result.document_intact && chainHash === disposal.certificate_hash,
+        status: !exists ? 'NOT_ON_BLOCKCHAIN' : chainHash === currentHash ? 'VERIFIED' : 'HASH_MISMATCH',
+        blockchain: exists
+          ? { hash: chainHash, stored_by: storedBy, timestamp: new Date(Number(timestamp) * 1000).toISOString() }
+          : null
+      });
+    } catch (bcErr) {
+      console.error('Blockchain lookup of disposal certificate failed:', bcErr.message);
+      res.json({ success: true, ...result, verified: false, status: 'BLOCKCHAIN_UNAVAILABLE', error: bcErr.message });
+    }
+  } catch (err) {
+    console.error('Error verifying disposal certificate:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/disposals
+ * Start a disposal batch
+ * Body: { removal_ids, witnesses: [{ user_id, designation? }], disposal_method, disposal_date, disposal_site?, notes? }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const details = parseDisposalDetails(req.body);
+    const witnesses = parseWitnesses(req.body.witnesses);
+
+    const disposal = await runInLedger(async (tx) => {
+      const { ids, barangay } = await validateRemovals(tx, req.body.removal_ids);
+
+      if (user && !canModifyRecord(user, barangay)) {
+        throw new StockLedgerError('Cannot dispose of stock from a different barangay', 403, {
+          removalBarangay: barangay,
+          yourBarangay: user.assigned_barangay
+        });
+      }
+
+      await validateWitnessUsers(tx, witnesses);
+
+      const created = await tx.disposal_batches.create({
+        data: {
+          ...details,
+          barangay,
+          created_by_user_id: user?.user_id || null,
+          witnesses: { create: witnesses }
+        }
+      });
+
+      await attachRemovals(tx, created.disposal_id, ids);
+      const disposal = await loadDisposal(tx, created.disposal_id);
+
+      await writeAudit(tx, req, {
+        tableName: 'disposal_batches',
+        recordId: disposal.disposal_id,
+        action: 'CREATE',
+        newValues: disposal
+      });
+
+      return disposal;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: disposal,
+      message: `Disposal batch created with ${disposal.removals.length} removal(s)`
+    });
+  } catch (err) {
+    handleDisposalError(res, next, 'Error creating disposal batch:')(err);
+  }
+});
+
+/**
+ * PUT /api/disposals/:id
+ * Edit a DRAFT batch; removal_ids and witnesses, when sent, replace the current lists
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const disposalId = parseInt(req.params.id);
+    const details = parseDisposalDetails(req.body, { partial: true });
+    const witnesses = req.body.witnesses !== undefined ? parseWitnesses(req.body.witnesses) : null;
+
+    const disposal = await runInLedger(async (tx) => {
+      const before = await lockDisposal(tx, disposalId);
+      assertEditableDraft(user, before);
+
+      if (req.body.removal_ids !== undefined) {
+        const { ids, barangay } = await validateRemovals(tx, req.body.removal_ids, disposalId);
+        if (barangay !== before.barangay) {
+          throw new StockLedgerError('Removals must be from the batch barangay', 400, {
+            batchBarangay: before.barangay,
+            removalBarangay: barangay
+          });
+        }
+
+        await tx.stock_removals.updateMany({
+          where: { disposal_id: disposalId, removal_id: { notIn: ids } },
+          data: { disposal_id: null }
+        });
+        await attachRemovals(tx, disposalId, ids);
+      }
+
+      if (witnesses) {
+        await validateWitnessUsers(tx, witnesses);
+        await tx.disposal_witnesses.deleteMany({ where: { disposal_id: disposalId } });
+        await tx.disposal_witnesses.createMany({
+          data: witnesses.map(w => ({ ...w, disposal_id: disposalId }))
+        });
+      }
+
+      await tx.disposal_batches.update({
+        where: { disposal_id: disposalId },
+        data: { ...details, updated_at: new Date() }
+      });
+
+      const after = await loadDisposal(tx, disposalId);
+
+      await writeAudit(tx, req, {
+        tableName: 'disposal_batches',
+        recordId: disposalId,
+        action: 'UPDATE',
+        oldValues: before,
+        newValues: after
+      });
+
+      return after;
+    });
+
+    res.json({ success: true, data: disposal });
+  } catch (err) {
+    handleDisposalError(res, next, 'Error updating disposal batch:')(err);
+  }
+});
+
+/**
+ * PATCH /api/disposals/:id/cancel
+ * Cancel a DRAFT batch; its removals become available for another batch
+ */
+router.patch('/:id/cancel', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const disposalId = parseInt(req.params.id);
+
+    const disposal = await runInLedger(async (tx) => {
+      const before = await lockDisposal(tx, disposalId);
+      assertEditableDraft(user, before);
+
+      await tx.stock_removals.updateMany({
+        where: { disposal_id: disposalId },
+        data: { disposal_id: null }
+      });
+      await tx.disposal_batches.update({
+        where: { disposal_id: disposalId },
+        data: { status: 'CANCELLED', cancelled_at: new Date(), updated_at: new Date() }
+      });
+
+      const after = await loadDisposal(tx, disposalId);
+
+      await writeAudit(tx, req, {
+        tableName: 'disposal_batches',
+        recordId: disposalId,
+        action: 'CANCEL',
+        oldValues: before,
+        newValues: after
+      });
+
+      return after;
+    });
+
+    res.json({ success: true, data: disposal, message: 'Disposal batch cancelled' });
+  } catch (err) {
+    handleDisposalError(res, next, 'Error cancelling disposal batch:')(err);
+  }
+});
+
+/**
+ * POST /api/disposals/:id/certify
+ * Confirm the destruction took place: render the certificate, store it with its hash,
+ * and anchor the hash on-chain. The batch cannot be changed afterwards.
+ */
+router.post('/:id/certify', requireRole(...CERTIFIER_ROLES), async (req, res, next) => {
+  try {
+    const user = req.user;
+    const disposalId = parseInt(req.params.id);
+
+    const disposal = await runInLedger(async (tx) => {
+      const before = await lockDisposal(tx, disposalId);
+      assertEditableDraft(user, before);
+
+      if (before.removals.length === 0) {
+        throw new StockLedgerError('Disposal batch has no removals', 400);
+      }
+      if (before.witnesses.length < MIN_WITNESSES) {
+        throw new StockLedgerError(`A disposal needs at least ${MIN_WITNESSES} witnesses`, 400, {
+          witnesses: before.witnesses.length
+        });
+      }
+      if (before.disposal_date > new Date()) {
+        throw new StockLedgerError('A disposal cannot be certified before its disposal date', 400, {
+          disposal_date: before.disposal_date
+        });
+      }
+
+      const certifiedAt = new Date();
+      const certified = {
+        ...before,
+        certificate_number: certificateNumber(before, certifiedAt),
+        certified_at: certifiedAt,
+        certified_by_user: { full_name: user.full_name, role: user.role }
+      };
+      const { pdf, hash } = renderCertificate(certified);
+
+      await tx.disposal_batches.update({
+        where: { disposal_id: disposalId },
+        data: {
+          status: 'CERTIFIED',
+          certificate_number: certified.certificate_number,
+          certificate_pdf: pdf,
+          certificate_hash: hash,
+          certified_at: certifiedAt,
+          certified_by_user_id: user.user_id,
+          updated_at: certifiedAt
+        }
+      });
+
+      const after = await loadDisposal(tx, disposalId);
+
+      await writeAudit(tx, req, {
+        tableName: 'disposal_batches',
+        recordId: disposalId,
+        action: 'CERTIFY',
+        oldValues: before,
+        newValues: after
+      });
+
+      return after;
+    });
+
+    const blockchain = await anchorDisposal(disposal);
+
+    res.json({
+      success: true,
+      data: disposal,
+      blockchain,
+      message: `Certificate ${disposal.certificate_number} issued`
+    });
+  } catch (err) {
+    handleDisposalError(res, next, 'Error certifying disposal batch:')(err);
+  }
+});
+
+/**
+ * POST /api/disposals/:id/anchor
+ * Retry anchoring a certified batch whose certificate hash is not on-chain yet
+ */
+router.post('/:id/anchor', requireRole(...CERTIFIER_ROLES), async (req, res, next) => {
+  try {
+    const disposal = await loadDisposal(prisma, parseInt(req.params.id));
+
+    if (!disposal) {
+      return res.status(404).json({ error: 'Disposal batch not found' });
+    }
+    if (!canModifyRecord(req.user, disposal.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (disposal.status !== 'CERTIFIED') {
+      return res.status(409).json({ error: 'Only certified disposal batches can be anchored', status: disposal.status });
+    }
+    if (disposal.blockchain_tx_hash) {
+      return res.status(409).json({ error: 'Certificate is already anchored', blockchain_tx_hash: disposal.blockchain_tx_hash });
+    }
+
+    const blockchain = await anchorDisposal(disposal);
+
+    res.status(blockchain.anchored ? 200 : 502).json({ success: blockchain.anchored, blockchain });
+  } catch (err) {
+    console.error('Error anchoring disposal certificate:', err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,586 @@
+// backend/routes/households.js
+// Household and family registry with membership history (births, moves, deaths)
+// Member listings carry program flags (4Ps, PhilHealth, senior, pregnant, under five)
+// for household-based field visits and 4Ps compliance checks
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { runInLedger, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import {
+  memberSelect,
+  memberFlags,
+  summarizeHousehold,
+  parseMembershipDate,
+  endMembership,
+  joinHousehold
+} from '../services/householdRegistry.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const headSelect = { select: { resident_id: true, full_name: true, phone: true } };
+
+/**
+ * Load a household the user may access; sends the error response and returns null otherwise
+ */
+async function findAccessibleHousehold(req, res) {
+  const user = req.user || null;
+  const household = await prisma.households.findUnique({
+    where: { household_id: parseInt(req.params.id) }
+  });
+
+  if (!household) {
+    res.status(404).json({ error: 'Household not found' });
+    return null;
+  }
+
+  if (user && !canModifyRecord(user, household.barangay)) {
+    res.status(403).json({
+      error: 'Access denied to this barangay',
+      householdBarangay: household.barangay,
+      yourBarangay: user.assigned_barangay
+    });
+    return null;
+  }
+
+  return household;
+}
+
+/**
+ * Current members of a household with their program flags
+ */
+async function loadCurrentMembers(client, householdId) {
+  const memberships = await client.household_memberships.findMany({
+    where: { household_id: householdId, end_date: null },
+    include: {
+      resident: { select: memberSelect },
+      family: { select: { family_id: true, family_no: true } }
+    },
+    orderBy: [{ family_id: 'asc' }, { start_date: 'asc' }]
+  });
+
+  return memberships.map(({ resident, ...membership }) => ({
+    ...membership,
+    resident,
+    flags: memberFlags(resident)
+  }));
+}
+
+/**
+ * A current member of the household, or a 400
+ */
+async function requireCurrentMember(client, householdId, residentId, label) {
+  if (residentId === null || residentId === undefined || residentId === '') return null;
+
+  const membership = await client.household_memberships.findFirst({
+    where: { household_id: householdId, resident_id: parseInt(residentId), end_date: null }
+  });
+  if (!membership) {
+    throw new StockLedgerError(`${label} must be a current member of the household`, 400, { resident_id: residentId });
+  }
+  return membership.resident_id;
+}
+
+const handleHouseholdError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/households
+ * Households with head, member and family counts
+ * Query: barangay, zone, search (household no. or head name), is_4ps, page, limit
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { barangay, zone, search, is_4ps, page = 1, limit = 50 } = req.query;
+
+    const where = { ...getBarangayFilter(user), is_active: true };
+    if (barangay && (!user || user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where.barangay = barangay;
+    }
+    if (zone) where.zone = zone;
+    if (is_4ps !== undefined) {
+      const has4ps = { residents: { some: { is_4ps_member: true, is_active: true } } };
+      Object.assign(where, is_4ps === 'true' ? has4ps : { NOT: has4ps });
+    }
+    if (search) {
+      where.OR = [
+        { household_no: { contains: search, mode: 'insensitive' } },
+        { head: { full_name: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 500);
+    const [households, total] = await Promise.all([
+      prisma.households.findMany({
+        where,
+        include: {
+          head: headSelect,
+          _count: {
+            select: {
+              residents: { where: { is_active: true } },
+              families: true
+            }
+          }
+        },
+        orderBy: [{ barangay: 'asc' }, { household_no: 'asc' }],
+        skip: (parseInt(page) - 1) * take,
+        take
+      }),
+      prisma.households.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: households,
+      pagination: { page: parseInt(page), limit: take, total, pages: Math.ceil(total / take) },
+      barangay: user?.assigned_barangay || barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching households:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/households/:id
+ * Household with families, current members and program summary
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const [details, members] = await Promise.all([
+      prisma.households.findUnique({
+        where: { household_id: household.household_id },
+        include: {
+          head: headSelect,
+          families: { include: { head: headSelect }, orderBy: { family_no: 'asc' } }
+        }
+      }),
+      loadCurrentMembers(prisma, household.household_id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...details, members },
+      summary: summarizeHousehold(members.map(m => m.resident))
+    });
+  } catch (err) {
+    console.error('Error fetching household:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/households/:id/members
+ * Household members with program flags
+ * Query: include_past=true also lists residents who moved out or died
+ */
+router.get('/:id/members', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const members = req.query.include_past === 'true'
+      ? (await prisma.household_memberships.findMany({
+          where: { household_id: household.household_id },
+          include: {
+            resident: { select: memberSelect },
+            family: { select: { family_id: true, family_no: true } }
+          },
+          orderBy: [{ end_date: { sort: 'desc', nulls: 'first' } }, { start_date: 'asc' }]
+        })).map(({ resident, ...membership }) => ({
+          ...membership,
+          resident,
+          is_current: membership.end_date === null,
+          flags: memberFlags(resident)
+        }))
+      : await loadCurrentMembers(prisma, household.household_id);
+
+    const current = members.filter(m => m.end_date === null).map(m => m.resident);
+
+    res.json({
+      success: true,
+      data: members,
+      total: members.length,
+      summary: summarizeHousehold(current)
+    });
+  } catch (err) {
+    console.error('Error fetching household members:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/households/:id/history
+ * Membership events (registration, births, moves, deaths), newest first
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const memberships = await prisma.household_memberships.findMany({
+      where: { household_id: household.household_id },
+      include: {
+        resident: { select: { resident_id: true, full_name: true } },
+        recorded_by_user: { select: { full_name: true } }
+      }
+    });
+
+    const events = memberships.flatMap(m => [
+      { date: m.start_date, event: m.start_reason, membership_id: m.membership_id, resident: m.resident, relationship_to_head: m.relationship_to_head },
+      ...(m.end_date
+        ? [{ date: m.end_date, event: m.end_reason, membership_id: m.membership_id, resident: m.resident, relationship_to_head: m.relationship_to_head }]
+        : [])
+    ]).sort((a, b) => new Date(b.date) - new Date(a.date) || b.membership_id - a.membership_id);
+
+    res.json({ success: true, data: events, total: events.length });
+  } catch (err) {
+    console.error('Error fetching household history:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/households
+ * Register a household
+ * Body: { household_no, barangay, zone?, address?, notes? }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { household_no, zone, address, notes } = req.body;
+    const barangay = req.body.barangay || user?.assigned_barangay;
+
+    if (!household_no || !household_no.toString().trim() || !barangay) {
+      return res.status(400).json({ error: 'household_no and barangay are required' });
+    }
+    if (user && !canModifyRecord(user, barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const householdNo = household_no.toString().trim();
+    const existing = await prisma.households.findUnique({
+      where: { barangay_household_no: { barangay, household_no: householdNo } }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Household number already exists in this barangay', household_id: existing.household_id });
+    }
+
+    const household = await runInLedger(async (tx) => {
+      const created = await tx.households.create({
+        data: {
+          household_no: householdNo,
+          barangay,
+          zone: zone || null,
+          address: address || null,
+          notes: notes || null
+        }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'households',
+        recordId: created.household_id,
+        action: 'CREATE',
+        newValues: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json({ success: true, data: household });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error creating household:')(err);
+  }
+});
+
+/**
+ * PUT /api/households/:id
+ * Update zone, address, notes, head of household or active flag
+ * Body: { zone?, address?, notes?, head_resident_id?, is_active? }
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const { zone, address, notes, head_resident_id, is_active } = req.body;
+
+    const updated = await runInLedger(async (tx) => {
+      const data = { updated_at: new Date() };
+      if (zone !== undefined) data.zone = zone || null;
+      if (address !== undefined) data.address = address || null;
+      if (notes !== undefined) data.notes = notes || null;
+      if (head_resident_id !== undefined) {
+        data.head_resident_id = await requireCurrentMember(tx, household.household_id, head_resident_id, 'head_resident_id');
+      }
+      if (is_active !== undefined) {
+        if (!is_active && await tx.household_memberships.count({ where: { household_id: household.household_id, end_date: null } }) > 0) {
+          throw new StockLedgerError('Household still has current members', 409);
+        }
+        data.is_active = Boolean(is_active);
+      }
+
+      const result = await tx.households.update({ where: { household_id: household.household_id }, data });
+
+      // Current members follow the household's zone and address
+      if (zone !== undefined || address !== undefined) {
+        await tx.residents.updateMany({
+          where: { household_id: household.household_id },
+          data: {
+            ...(zone !== undefined && { zone: result.zone }),
+            ...(address !== undefined && result.address && { address: result.address }),
+            updated_at: new Date()
+          }
+        });
+      }
+
+      await writeAudit(tx, req, {
+        tableName: 'households',
+        recordId: household.household_id,
+        action: 'UPDATE',
+        oldValues: household,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error updating household:')(err);
+  }
+});
+
+/**
+ * POST /api/households/:id/families
+ * Add a family unit to the household
+ * Body: { family_no, head_resident_id? }
+ */
+router.post('/:id/families', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const familyNo = (req.body.family_no || '').toString().trim();
+    if (!familyNo) {
+      return res.status(400).json({ error: 'family_no is required' });
+    }
+
+    const family = await runInLedger(async (tx) => {
+      const existing = await tx.families.findUnique({
+        where: { household_id_family_no: { household_id: household.household_id, family_no: familyNo } }
+      });
+      if (existing) {
+        throw new StockLedgerError('Family number already exists in this household', 409, { family_id: existing.family_id });
+      }
+
+      const headId = await requireCurrentMember(tx, household.household_id, req.body.head_resident_id, 'head_resident_id');
+      const created = await tx.families.create({
+        data: { household_id: household.household_id, family_no: familyNo, head_resident_id: headId }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'families',
+        recordId: created.family_id,
+        action: 'CREATE',
+        newValues: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json({ success: true, data: family });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error creating family:')(err);
+  }
+});
+
+/**
+ * PATCH /api/households/:id/families/:familyId
+ * Change a family's head
+ * Body: { head_resident_id }
+ */
+router.patch('/:id/families/:familyId', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const family = await runInLedger(async (tx) => {
+      const existing = await tx.families.findFirst({
+        where: { family_id: parseInt(req.params.familyId), household_id: household.household_id }
+      });
+      if (!existing) {
+        throw new StockLedgerError('Family not found in this household', 404);
+      }
+
+      const headId = await requireCurrentMember(tx, household.household_id, req.body.head_resident_id, 'head_resident_id');
+      const updated = await tx.families.update({
+        where: { family_id: existing.family_id },
+        data: { head_resident_id: headId, updated_at: new Date() }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'families',
+        recordId: existing.family_id,
+        action: 'UPDATE',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: family });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error updating family:')(err);
+  }
+});
+
+/**
+ * POST /api/households/:id/members
+ * Add a resident by registration, birth or move-in; a stay in another household is closed as a move out
+ * Body: { resident_id, family_id?, relationship_to_head?, reason = REGISTERED, date?, notes?, is_head? }
+ */
+router.post('/:id/members', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const { resident_id, family_id, relationship_to_head, reason = 'REGISTERED', notes, is_head } = req.body;
+    if (!resident_id) {
+      return res.status(400).json({ error: 'resident_id is required' });
+    }
+    if (!household.is_active) {
+      return res.status(409).json({ error: 'Household is inactive' });
+    }
+
+    const resident = await prisma.residents.findUnique({ where: { resident_id: parseInt(resident_id) } });
+    if (!resident || (!resident.is_active && !resident.date_of_death)) {
+      return res.status(404).json({ error: 'Resident not found' });
+    }
+    // Joining moves the resident's barangay and address, so the user must also have access
+    // to the barangay the resident comes from; cross-barangay moves are for municipal roles
+    if (req.user && !canModifyRecord(req.user, resident.barangay)) {
+      return res.status(403).json({
+        error: 'Access denied to the resident\'s barangay',
+        residentBarangay: resident.barangay,
+        yourBarangay: req.user.assigned_barangay
+      });
+    }
+
+    const date = parseMembershipDate(req.body.date);
+    if (reason === 'BIRTH' && resident.date_of_birth && new Date(resident.date_of_birth) > date) {
+      return res.status(400).json({ error: 'Date is before the resident was born' });
+    }
+
+    const result = await runInLedger(async (tx) => {
+      const family = family_id
+        ? await tx.families.findUnique({ where: { family_id: parseInt(family_id) } })
+        : null;
+      if (family_id && !family) {
+        throw new StockLedgerError('Family not found', 404);
+      }
+
+      const joined = await joinHousehold(tx, household, {
+        resident,
+        family,
+        relationship_to_head,
+        reason,
+        date,
+        notes,
+        userId: req.user?.user_id
+      });
+
+      if (is_head) {
+        await tx.households.update({
+          where: { household_id: household.household_id },
+          data: { head_resident_id: resident.resident_id, updated_at: new Date() }
+        });
+      }
+
+      await writeAudit(tx, req, {
+        tableName: 'household_memberships',
+        recordId: joined.membership.membership_id,
+        action: 'CREATE',
+        oldValues: joined.previous,
+        newValues: { ...joined.membership, is_head: Boolean(is_head) }
+      });
+
+      return joined;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.membership,
+      previous: result.previous,
+      message: result.previous
+        ? `Resident moved from household #${result.previous.household_id}`
+        : 'Resident added to household'
+    });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error adding household member:')(err);
+  }
+});
+
+/**
+ * POST /api/households/:id/members/:residentId/leave
+ * Record a member moving out or dying
+ * Body: { reason: MOVED_OUT | DEATH, date?, notes? }
+ */
+router.post('/:id/members/:residentId/leave', async (req, res, next) => {
+  try {
+    const household = await findAccessibleHousehold(req, res);
+    if (!household) return;
+
+    const { reason, notes } = req.body;
+    const date = parseMembershipDate(req.body.date);
+
+    const ended = await runInLedger(async (tx) => {
+      const membership = await tx.household_memberships.findFirst({
+        where: { household_id: household.household_id, resident_id: parseInt(req.params.residentId), end_date: null }
+      });
+      if (!membership) {
+        throw new StockLedgerError('Resident is not a current member of this household', 404);
+      }
+
+      const result = await endMembership(tx, membership, { reason, date, notes });
+
+      await writeAudit(tx, req, {
+        tableName: 'household_memberships',
+        recordId: membership.membership_id,
+        action: reason === 'DEATH' ? 'DEATH' : 'UPDATE',
+        oldValues: membership,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: ended,
+      message: reason === 'DEATH' ? 'Death recorded; resident deactivated' : 'Resident moved out of household'
+    });
+  } catch (err) {
+    handleHouseholdError(res, next, 'Error recording household departure:')(err);
+  }
+});
+
+export default router;
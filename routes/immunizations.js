@@ -0,0 +1,650 @@
+// backend/routes/immunizations.js
+// Child immunization registry: EPI schedule, per-child dose records, due / overdue doses
+// for defaulter tracing and barangay coverage (per dose and Fully Immunized Child).
+// A dose given at the health center draws one base unit of the vaccine from medicine_stocks
+// (first-expiry-first-out unless a batch is named); voiding the record puts it back.
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { adminOnly } from '../middleware/auth.js';
+import { runInLedger, allocateFefo, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import {
+  OVERDUE_GRACE_DAYS,
+  TRACKING_AGE_DAYS,
+  ageInDays,
+  doseLabel,
+  doseStatuses,
+  isFullyImmunized,
+  validateDose,
+  coverageFor
+} from '../services/immunizationSchedule.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const childSelect = {
+  resident_id: true,
+  full_name: true,
+  gender: true,
+  date_of_birth: true,
+  barangay: true,
+  zone: true,
+  household_no: true,
+  phone: true,
+  emergency_contact: true,
+  emergency_phone: true
+};
+
+const recordInclude = {
+  schedule: { select: { antigen_code: true, antigen_name: true, dose_number: true } },
+  stock: { select: { stock_id: true, medicine_id: true, batch_number: true, expiry_date: true } },
+  administered_by_user: { select: { full_name: true } },
+  voided_by_user: { select: { full_name: true } }
+};
+
+const loadSchedule = (client = prisma) =>
+  client.vaccine_schedule.findMany({
+    where: { is_active: true },
+    orderBy: [{ sort_order: 'asc' }, { antigen_code: 'asc' }, { dose_number: 'asc' }]
+  });
+
+const loadRecords = (client, residentIds) =>
+  client.immunization_records.findMany({
+    where: { resident_id: { in: residentIds }, is_voided: false },
+    include: { schedule: { select: { antigen_code: true, dose_number: true } } },
+    orderBy: { date_given: 'asc' }
+  });
+
+/**
+ * Barangay the query is limited to: the user's own, or the requested one for municipal roles
+ */
+function barangayWhere(user, barangay) {
+  const where = { ...getBarangayFilter(user) };
+  if (barangay && (!user || user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+    where.barangay = barangay;
+  }
+  return where;
+}
+
+/**
+ * Active children under five (on the reference date) with their dose records
+ */
+async function loadChildren(where, asOf) {
+  const children = await prisma.residents.findMany({
+    where: {
+      ...where,
+      is_active: true,
+      date_of_death: null,
+      date_of_birth: { gt: new Date(asOf.getTime() - TRACKING_AGE_DAYS * DAY_MS), lte: asOf }
+    },
+    select: childSelect,
+    orderBy: { date_of_birth: 'asc' }
+  });
+
+  const records = await loadRecords(prisma, children.map(c => c.resident_id));
+  const byResident = new Map();
+  for (const record of records) {
+    if (!byResident.has(record.resident_id)) byResident.set(record.resident_id, []);
+    byResident.get(record.resident_id).push(record);
+  }
+
+  return children.map(child => ({ ...child, records: byResident.get(child.resident_id) || [] }));
+}
+
+const parseAsOf = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new StockLedgerError('as_of is not a valid date', 400);
+  }
+  return date;
+};
+
+/**
+ * Work out the stock batch a dose is drawn from
+ * stock_id names the batch; otherwise FEFO over medicine_id, or over the barangay's
+ * inventory row for the vaccine linked to the schedule
+ * @returns {Promise<number>} - stock_id
+ */
+async function resolveVaccineStock(tx, { dose, barangay, stock_id, medicine_id }) {
+  if (stock_id) {
+    const stock = await tx.medicine_stocks.findUnique({
+      where: { stock_id: parseInt(stock_id) },
+      include: { medicine: { select: { barangay: true, catalog_id: true } } }
+    });
+    if (!stock) {
+      throw new StockLedgerError('Stock not found', 404, { stock_id: parseInt(stock_id) });
+    }
+    if (stock.medicine.barangay !== barangay) {
+      throw new StockLedgerError('Stock belongs to another barangay', 400, { stock_id: stock.stock_id });
+    }
+    if (dose.catalog_id && stock.medicine.catalog_id !== dose.catalog_id) {
+      throw new StockLedgerError(`Stock is not the vaccine linked to ${doseLabel(dose)}`, 400, { stock_id: stock.stock_id });
+    }
+    if (!stock.is_active || new Date(stock.expiry_date) <= new Date()) {
+      throw new StockLedgerError('Stock batch is expired or inactive', 400, { stock_id: stock.stock_id });
+    }
+    return stock.stock_id;
+  }
+
+  let medicine;
+  if (medicine_id) {
+    medicine = await tx.medicine_records.findUnique({ where: { medicine_id: parseInt(medicine_id) } });
+    if (!medicine) {
+      throw new StockLedgerError('Medicine not found', 404, { medicine_id: parseInt(medicine_id) });
+    }
+    if (medicine.barangay !== barangay) {
+      throw new StockLedgerError('Medicine belongs to another barangay', 400, { medicine_id: medicine.medicine_id });
+    }
+    if (dose.catalog_id && medicine.catalog_id !== dose.catalog_id) {
+      throw new StockLedgerError(`Medicine is not the vaccine linked to ${doseLabel(dose)}`, 400, { medicine_id: medicine.medicine_id });
+    }
+  } else if (dose.catalog_id) {
+    medicine = await tx.medicine_records.findFirst({
+      where: { catalog_id: dose.catalog_id, barangay, is_active: true },
+      orderBy: { total_quantity: 'desc' }
+    });
+  }
+
+  if (!medicine) {
+    throw new StockLedgerError(
+      `No vaccine inventory found for ${doseLabel(dose)} in ${barangay}; pass stock_id or medicine_id, or given_elsewhere for doses from another facility`,
+      400,
+      { catalog_id: dose.catalog_id }
+    );
+  }
+
+  const [allocation] = await allocateFefo(tx, medicine.medicine_id, 1);
+  return allocation.stock_id;
+}
+
+const handleImmunizationError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/immunizations/schedule
+ * EPI schedule with the catalog vaccine each dose draws from
+ * Query: include_inactive
+ */
+router.get('/schedule', async (req, res, next) => {
+  try {
+    const schedule = await prisma.vaccine_schedule.findMany({
+      where: req.query.include_inactive === 'true' ? {} : { is_active: true },
+      include: { catalog: { select: { catalog_id: true, generic_name: true, strength: true, dosage_form: true } } },
+      orderBy: [{ sort_order: 'asc' }, { antigen_code: 'asc' }, { dose_number: 'asc' }]
+    });
+
+    res.json({ success: true, data: schedule, overdue_grace_days: OVERDUE_GRACE_DAYS });
+  } catch (err) {
+    console.error('Error fetching vaccine schedule:', err);
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/immunizations/schedule/:id
+ * Link the catalog vaccine or adjust ages / intervals of a dose
+ * Body: { catalog_id?, min_age_days?, max_age_days?, min_interval_days?, counts_toward_fic?, sort_order?, is_active? }
+ */
+router.patch('/schedule/:id', adminOnly, async (req, res, next) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    const existing = await prisma.vaccine_schedule.findUnique({ where: { schedule_id: scheduleId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule entry not found' });
+    }
+
+    const data = {};
+    for (const field of ['min_age_days', 'max_age_days', 'min_interval_days', 'sort_order', 'catalog_id']) {
+      if (req.body[field] === undefined) continue;
+      if (req.body[field] === null && field !== 'min_age_days' && field !== 'sort_order') {
+        data[field] = null;
+        continue;
+      }
+      const value = parseInt(req.body[field]);
+      if (isNaN(value) || value < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative number` });
+      }
+      data[field] = value;
+    }
+    for (const field of ['counts_toward_fic', 'is_active']) {
+      if (req.body[field] !== undefined) data[field] = Boolean(req.body[field]);
+    }
+
+    const minAge = data.min_age_days ?? existing.min_age_days;
+    const maxAge = data.max_age_days !== undefined ? data.max_age_days : existing.max_age_days;
+    if (maxAge !== null && maxAge < minAge) {
+      return res.status(400).json({ error: 'max_age_days cannot be below min_age_days' });
+    }
+    if (data.catalog_id) {
+      const catalog = await prisma.medicine_catalog.findUnique({ where: { catalog_id: data.catalog_id } });
+      if (!catalog) {
+        return res.status(404).json({ error: 'Catalog entry not found' });
+      }
+    }
+
+    const updated = await runInLedger(async (tx) => {
+      const result = await tx.vaccine_schedule.update({
+        where: { schedule_id: scheduleId },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'vaccine_schedule',
+        recordId: scheduleId,
+        action: 'UPDATE',
+        oldValues: existing,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error updating vaccine schedule:')(err);
+  }
+});
+
+/**
+ * GET /api/immunizations/residents/:residentId
+ * A child's immunization card: every scheduled dose with its status, plus FIC
+ * Query: as_of
+ */
+router.get('/residents/:residentId', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const asOf = parseAsOf(req.query.as_of);
+
+    const resident = await prisma.residents.findUnique({
+      where: { resident_id: parseInt(req.params.residentId) },
+      select: { ...childSelect, is_active: true }
+    });
+    if (!resident) {
+      return res.status(404).json({ error: 'Resident not found' });
+    }
+    if (user && !canModifyRecord(user, resident.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (!resident.date_of_birth) {
+      return res.status(400).json({ error: 'Resident has no date_of_birth; the schedule cannot be computed' });
+    }
+
+    const [schedule, records] = await Promise.all([
+      loadSchedule(),
+      prisma.immunization_records.findMany({
+        where: { resident_id: resident.resident_id },
+        include: recordInclude,
+        orderBy: { date_given: 'asc' }
+      })
+    ]);
+
+    const statuses = doseStatuses(schedule, records.filter(r => !r.is_voided), resident.date_of_birth, asOf);
+
+    res.json({
+      success: true,
+      data: {
+        resident,
+        age_days: ageInDays(resident.date_of_birth, asOf),
+        doses: statuses,
+        records,
+        fully_immunized: isFullyImmunized(statuses, resident.date_of_birth),
+        due: statuses.filter(d => d.status === 'DUE').length,
+        overdue: statuses.filter(d => d.status === 'OVERDUE').length
+      },
+      as_of: asOf
+    });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error fetching immunization card:')(err);
+  }
+});
+
+/**
+ * GET /api/immunizations/due
+ * Children under five with doses due or overdue, for defaulter tracing
+ * Query: status (DUE | OVERDUE, default both), barangay, antigen_code, as_of
+ */
+router.get('/due', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status, barangay, antigen_code } = req.query;
+    const asOf = parseAsOf(req.query.as_of);
+
+    const statuses = status ? [status.toUpperCase()] : ['DUE', 'OVERDUE'];
+    if (statuses.some(s => !['DUE', 'OVERDUE'].includes(s))) {
+      return res.status(400).json({ error: 'status must be DUE or OVERDUE' });
+    }
+
+    const [schedule, children] = await Promise.all([
+      loadSchedule(),
+      loadChildren(barangayWhere(user, barangay), asOf)
+    ]);
+
+    const data = [];
+    const byBarangay = {};
+    for (const { records, ...child } of children) {
+      const doses = doseStatuses(schedule, records, child.date_of_birth, asOf)
+        .filter(d => statuses.includes(d.status))
+        .filter(d => !antigen_code || d.antigen_code === antigen_code.toUpperCase());
+      if (doses.length === 0) continue;
+
+      data.push({ ...child, age_days: ageInDays(child.date_of_birth, asOf), doses });
+
+      const row = byBarangay[child.barangay] ||= { children: 0, due: 0, overdue: 0 };
+      row.children += 1;
+      row.due += doses.filter(d => d.status === 'DUE').length;
+      row.overdue += doses.filter(d => d.status === 'OVERDUE').length;
+    }
+
+    res.json({
+      success: true,
+      data,
+      total: data.length,
+      byBarangay,
+      as_of: asOf,
+      barangay: user?.assigned_barangay || barangay || 'ALL'
+    });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error fetching due immunizations:')(err);
+  }
+});
+
+/**
+ * GET /api/immunizations/coverage
+ * Per-dose coverage among eligible children and FIC coverage of the 12-23 month cohort, per barangay
+ * Query: barangay, as_of
+ */
+router.get('/coverage', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const asOf = parseAsOf(req.query.as_of);
+
+    const [schedule, children] = await Promise.all([
+      loadSchedule(),
+      loadChildren(barangayWhere(user, req.query.barangay), asOf)
+    ]);
+
+    const groups = {};
+    for (const child of children) {
+      (groups[child.barangay] ||= []).push(child);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total: { children: children.length, ...coverageFor(schedule, children, asOf) },
+        byBarangay: Object.fromEntries(
+          Object.entries(groups).map(([name, list]) => [name, { children: list.length, ...coverageFor(schedule, list, asOf) }])
+        )
+      },
+      as_of: asOf,
+      barangay: user?.assigned_barangay || req.query.barangay || 'ALL'
+    });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error computing immunization coverage:')(err);
+  }
+});
+
+/**
+ * GET /api/immunizations
+ * Query: barangay, resident_id, antigen_code, start_date, end_date, include_voided, page, limit
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { resident_id, antigen_code, start_date, end_date, include_voided, page = 1, limit = 50 } = req.query;
+
+    const where = barangayWhere(user, req.query.barangay);
+    if (include_voided !== 'true') where.is_voided = false;
+    if (resident_id) where.resident_id = parseInt(resident_id);
+    if (antigen_code) where.schedule = { antigen_code: antigen_code.toUpperCase() };
+    if (start_date || end_date) {
+      where.date_given = {};
+      if (start_date) where.date_given.gte = new Date(start_date);
+      if (end_date) where.date_given.lte = new Date(end_date);
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 500);
+    const [records, total] = await Promise.all([
+      prisma.immunization_records.findMany({
+        where,
+        include: { ...recordInclude, resident: { select: { resident_id: true, full_name: true, date_of_birth: true } } },
+        orderBy: [{ date_given: 'desc' }, { record_id: 'desc' }],
+        skip: (parseInt(page) - 1) * take,
+        take
+      }),
+      prisma.immunization_records.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: records,
+      pagination: { page: parseInt(page), limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (err) {
+    console.error('Error fetching immunization records:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/immunizations
+ * Record a dose; doses given here draw one unit of vaccine stock
+ * Body: { resident_id, schedule_id | (antigen_code, dose_number), date_given?, given_elsewhere?, facility?,
+ *         stock_id?, medicine_id?, batch_number?, site?, notes? }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { resident_id, schedule_id, antigen_code, dose_number, given_elsewhere, facility, medicine_id, stock_id, batch_number, site, notes } = req.body;
+
+    if (!resident_id) {
+      return res.status(400).json({ error: 'resident_id is required' });
+    }
+    if (!schedule_id && !(antigen_code && dose_number)) {
+      return res.status(400).json({ error: 'schedule_id or antigen_code and dose_number are required' });
+    }
+
+    const dateGiven = req.body.date_given ? new Date(req.body.date_given) : new Date();
+    if (isNaN(dateGiven.getTime())) {
+      return res.status(400).json({ error: 'date_given is not a valid date' });
+    }
+    if (dateGiven > new Date()) {
+      return res.status(400).json({ error: 'date_given cannot be in the future' });
+    }
+
+    const resident = await prisma.residents.findUnique({ where: { resident_id: parseInt(resident_id) } });
+    if (!resident || !resident.is_active) {
+      return res.status(404).json({ error: 'Resident not found' });
+    }
+    if (user && !canModifyRecord(user, resident.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (!resident.date_of_birth) {
+      return res.status(400).json({ error: 'Resident has no date_of_birth; record it before adding doses' });
+    }
+
+    const dose = schedule_id
+      ? await prisma.vaccine_schedule.findUnique({ where: { schedule_id: parseInt(schedule_id) } })
+      : await prisma.vaccine_schedule.findUnique({
+        where: { antigen_code_dose_number: { antigen_code: antigen_code.toUpperCase(), dose_number: parseInt(dose_number) } }
+      });
+    if (!dose || !dose.is_active) {
+      return res.status(404).json({ error: 'Schedule entry not found' });
+    }
+
+    const elsewhere = given_elsewhere === true || given_elsewhere === 'true';
+
+    const record = await runInLedger(async (tx) => {
+      // Serialize dose recording per child so the order / duplicate checks hold
+      await tx.$queryRaw`SELECT resident_id FROM residents WHERE resident_id = ${resident.resident_id} FOR UPDATE`;
+
+      const records = await loadRecords(tx, [resident.resident_id]);
+      validateDose(dose, { dob: resident.date_of_birth, dateGiven, records });
+
+      let stockId = null;
+      if (!elsewhere) {
+        stockId = await resolveVaccineStock(tx, { dose, barangay: resident.barangay, stock_id, medicine_id });
+      }
+
+      const created = await tx.immunization_records.create({
+        data: {
+          resident_id: resident.resident_id,
+          schedule_id: dose.schedule_id,
+          barangay: resident.barangay,
+          date_given: dateGiven,
+          given_elsewhere: elsewhere,
+          facility: facility || null,
+          stock_id: stockId,
+          batch_number: batch_number || null,
+          site: site || null,
+          notes: notes || null,
+          administered_by_user_id: user?.user_id || null
+        }
+      });
+
+      if (stockId) {
+        const { stock } = await applyStockChange(tx, {
+          req,
+          stockId,
+          quantity: 1,
+          transactionType: 'REMOVAL',
+          notes: `Immunization #${created.record_id}: ${doseLabel(dose)} for resident #${resident.resident_id}`,
+          transactionDate: dateGiven,
+          rejectRecalled: true
+        });
+
+        if (!batch_number) {
+          await tx.immunization_records.update({
+            where: { record_id: created.record_id },
+            data: { batch_number: stock.batch_number }
+          });
+        }
+      }
+
+      const result = await tx.immunization_records.findUnique({
+        where: { record_id: created.record_id },
+        include: recordInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'immunization_records',
+        recordId: created.record_id,
+        action: 'CREATE',
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: `${doseLabel(dose)} recorded${record.stock_id ? ` from batch ${record.stock.batch_number}` : ''}`
+    });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error recording immunization:')(err);
+  }
+});
+
+/**
+ * POST /api/immunizations/:id/void
+ * Void a dose recorded in error; vaccine drawn from stock is returned to its batch
+ * Body: { reason }
+ */
+router.post('/:id/void', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const existing = await prisma.immunization_records.findUnique({
+      where: { record_id: parseInt(req.params.id) },
+      include: { schedule: true }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Immunization record not found' });
+    }
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const voided = await runInLedger(async (tx) => {
+      const { count } = await tx.immunization_records.updateMany({
+        where: { record_id: existing.record_id, is_voided: false },
+        data: {
+          is_voided: true,
+          voided_at: new Date(),
+          voided_by_user_id: user?.user_id || null,
+          void_reason: reason,
+          updated_at: new Date()
+        }
+      });
+      if (count === 0) {
+        throw new StockLedgerError('Immunization record is already voided', 409, { record_id: existing.record_id });
+      }
+
+      // A later dose of the same antigen depends on this one
+      const later = await tx.immunization_records.findFirst({
+        where: {
+          resident_id: existing.resident_id,
+          is_voided: false,
+          schedule: { antigen_code: existing.schedule.antigen_code, dose_number: { gt: existing.schedule.dose_number } }
+        },
+        include: { schedule: { select: { antigen_code: true, dose_number: true } } }
+      });
+      if (later) {
+        throw new StockLedgerError(`Void ${doseLabel(later.schedule)} first`, 409, { record_id: later.record_id });
+      }
+
+      if (existing.stock_id) {
+        await applyStockChange(tx, {
+          req,
+          stockId: existing.stock_id,
+          quantity: 1,
+          transactionType: 'ADDITION',
+          notes: `Immunization #${existing.record_id} voided: ${reason}`
+        });
+      }
+
+      const result = await tx.immunization_records.findUnique({
+        where: { record_id: existing.record_id },
+        include: recordInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'immunization_records',
+        recordId: existing.record_id,
+        action: 'VOID',
+        oldValues: existing,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: voided });
+  } catch (err) {
+    handleImmunizationError(res, next, 'Error voiding immunization record:')(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,854 @@
+// backend/routes/maternal.js
+// Maternal care: pregnancy episodes with prenatal visit schedule, risk flags, outcome and
+// postpartum follow-up. Visits link to the consultation that recorded them and to the
+// calendar session they are booked into; residents.is_pregnant follows the ACTIVE episode.
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { runInLedger, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import {
+  PRENATAL_SCHEDULE_WEEKS,
+  PREGNANCY_OUTCOMES,
+  BIRTH_OUTCOMES,
+  resolvePregnancyDates,
+  gestationalWeeks,
+  prenatalDueDate,
+  buildPrenatalSchedule,
+  buildPostpartumSchedule,
+  deriveRiskFlags,
+  overdueCutoff
+} from '../services/maternalCare.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const residentSelect = {
+  select: {
+    resident_id: true,
+    full_name: true,
+    date_of_birth: true,
+    age: true,
+    phone: true,
+    barangay: true,
+    zone: true,
+    household_no: true
+  }
+};
+
+const visitInclude = {
+  consultation: {
+    select: { consultation_id: true, scheduled_date: true, status: true, diagnosis: true }
+  },
+  calendar_event: {
+    select: { event_id: true, title: true, start_time: true, location: true, is_cancelled: true }
+  },
+  recorded_by_user: { select: { full_name: true } }
+};
+
+/**
+ * Load an episode the user may access; sends the error response and returns null otherwise
+ */
+async function findAccessibleEpisode(req, res) {
+  const user = req.user || null;
+  const episode = await prisma.pregnancy_episodes.findUnique({
+    where: { episode_id: parseInt(req.params.id) }
+  });
+
+  if (!episode) {
+    res.status(404).json({ error: 'Pregnancy episode not found' });
+    return null;
+  }
+
+  if (user && !canModifyRecord(user, episode.barangay)) {
+    res.status(403).json({
+      error: 'Access denied to this barangay',
+      episodeBarangay: episode.barangay,
+      yourBarangay: user.assigned_barangay
+    });
+    return null;
+  }
+
+  return episode;
+}
+
+/**
+ * Load a visit (with its episode) the user may access
+ */
+async function findAccessibleVisit(req, res) {
+  const user = req.user || null;
+  const visit = await prisma.maternal_visits.findUnique({
+    where: { visit_id: parseInt(req.params.visitId) },
+    include: { episode: true }
+  });
+
+  if (!visit) {
+    res.status(404).json({ error: 'Visit not found' });
+    return null;
+  }
+
+  if (user && !canModifyRecord(user, visit.episode.barangay)) {
+    res.status(403).json({ error: 'Access denied to this barangay' });
+    return null;
+  }
+
+  return visit;
+}
+
+/**
+ * Move an episode between statuses; 409 if it changed underneath us
+ */
+async function transitionEpisode(tx, episodeId, fromStatuses, data) {
+  const { count } = await tx.pregnancy_episodes.updateMany({
+    where: { episode_id: episodeId, status: { in: fromStatuses } },
+    data: { ...data, updated_at: new Date() }
+  });
+  if (count === 0) {
+    throw new StockLedgerError(`Pregnancy episode is not ${fromStatuses.join(' or ')}`, 409, { episode_id: episodeId });
+  }
+}
+
+/**
+ * Move a visit out of SCHEDULED; 409 if it was already recorded
+ */
+async function transitionVisit(tx, visitId, data) {
+  const { count } = await tx.maternal_visits.updateMany({
+    where: { visit_id: visitId, status: 'SCHEDULED' },
+    data: { ...data, updated_at: new Date() }
+  });
+  if (count === 0) {
+    throw new StockLedgerError('Visit is no longer scheduled', 409, { visit_id: visitId });
+  }
+}
+
+/**
+ * Close a postpartum episode once none of its follow-ups are still scheduled
+ * @returns {Promise<boolean>} - Whether the episode was closed
+ */
+async function closeIfFollowUpDone(tx, episode, userId) {
+  if (episode.status !== 'POSTPARTUM') return false;
+
+  const open = await tx.maternal_visits.count({
+    where: { episode_id: episode.episode_id, status: 'SCHEDULED' }
+  });
+  if (open > 0) return false;
+
+  const { count } = await tx.pregnancy_episodes.updateMany({
+    where: { episode_id: episode.episode_id, status: 'POSTPARTUM' },
+    data: { status: 'CLOSED', closed_at: new Date(), closed_by_user_id: userId || null, updated_at: new Date() }
+  });
+  return count > 0;
+}
+
+const parseOptionalDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new StockLedgerError(`${label} is not a valid date`, 400);
+  }
+  return date;
+};
+
+const handleMaternalError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/maternal/overdue
+ * Scheduled prenatal / postpartum visits past due (plus the grace period), per barangay
+ * Query: barangay, visit_type
+ */
+router.get('/overdue', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { barangay, visit_type } = req.query;
+
+    const episodeWhere = { ...getBarangayFilter(user), status: { in: ['ACTIVE', 'POSTPARTUM'] } };
+    if (barangay && (!user || user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      episodeWhere.barangay = barangay;
+    }
+
+    const cutoff = overdueCutoff();
+    const visits = await prisma.maternal_visits.findMany({
+      where: {
+        status: 'SCHEDULED',
+        due_date: { lt: cutoff },
+        ...(visit_type && { visit_type }),
+        episode: episodeWhere
+      },
+      include: {
+        episode: {
+          select: {
+            episode_id: true,
+            barangay: true,
+            status: true,
+            edd: true,
+            is_high_risk: true,
+            risk_flags: true,
+            resident: residentSelect
+          }
+        },
+        calendar_event: visitInclude.calendar_event
+      },
+      orderBy: [{ due_date: 'asc' }]
+    });
+
+    const today = new Date();
+    const data = visits.map(visit => ({
+      ...visit,
+      days_overdue: Math.floor((today - new Date(visit.due_date)) / DAY_MS)
+    }));
+
+    const byBarangay = {};
+    for (const visit of data) {
+      const row = byBarangay[visit.episode.barangay] ||= { overdue: 0, prenatal: 0, postpartum: 0, high_risk: 0, mothers: new Set() };
+      row.overdue += 1;
+      row[visit.visit_type === 'PRENATAL' ? 'prenatal' : 'postpartum'] += 1;
+      if (visit.episode.is_high_risk) row.high_risk += 1;
+      row.mothers.add(visit.episode.episode_id);
+    }
+
+    res.json({
+      success: true,
+      data,
+      total: data.length,
+      byBarangay: Object.fromEntries(
+        Object.entries(byBarangay).map(([name, row]) => [name, { ...row, mothers: row.mothers.size }])
+      ),
+      cutoff,
+      barangay: user?.assigned_barangay || barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching overdue maternal visits:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/maternal/episodes
+ * Query: status, barangay, resident_id, high_risk, page, limit
+ */
+router.get('/episodes', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status, barangay, resident_id, high_risk, page = 1, limit = 50 } = req.query;
+
+    const where = { ...getBarangayFilter(user) };
+    if (barangay && (!user || user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where.barangay = barangay;
+    }
+    if (status) where.status = status;
+    if (resident_id) where.resident_id = parseInt(resident_id);
+    if (high_risk !== undefined) where.is_high_risk = high_risk === 'true';
+
+    const take = Math.min(parseInt(limit) || 50, 500);
+    const [episodes, total] = await Promise.all([
+      prisma.pregnancy_episodes.findMany({
+        where,
+        include: {
+          resident: residentSelect,
+          visits: {
+            where: { status: 'SCHEDULED' },
+            orderBy: { due_date: 'asc' },
+            take: 1
+          }
+        },
+        orderBy: [{ status: 'asc' }, { edd: 'asc' }],
+        skip: (parseInt(page) - 1) * take,
+        take
+      }),
+      prisma.pregnancy_episodes.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: episodes.map(({ visits, ...episode }) => ({
+        ...episode,
+        gestational_weeks: episode.status === 'ACTIVE' ? gestationalWeeks(episode.edd) : null,
+        next_visit: visits[0] || null
+      })),
+      pagination: { page: parseInt(page), limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (err) {
+    console.error('Error fetching pregnancy episodes:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/maternal/episodes/:id
+ */
+router.get('/episodes/:id', async (req, res, next) => {
+  try {
+    const episode = await findAccessibleEpisode(req, res);
+    if (!episode) return;
+
+    const details = await prisma.pregnancy_episodes.findUnique({
+      where: { episode_id: episode.episode_id },
+      include: {
+        resident: residentSelect,
+        visits: { include: visitInclude, orderBy: [{ visit_type: 'asc' }, { sequence: 'asc' }] },
+        created_by_user: { select: { full_name: true } },
+        closed_by_user: { select: { full_name: true } }
+      }
+    });
+
+    const cutoff = overdueCutoff();
+    res.json({
+      success: true,
+      data: {
+        ...details,
+        gestational_weeks: details.status === 'ACTIVE' ? gestationalWeeks(details.edd) : null,
+        overdue_visits: details.visits.filter(v => v.status === 'SCHEDULED' && new Date(v.due_date) < cutoff).length
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching pregnancy episode:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/maternal/episodes
+ * Register a pregnancy and schedule its remaining prenatal contacts
+ * Body: { resident_id, lmp_date | edd, gravida?, para?, risk_flags?, notes? }
+ */
+router.post('/episodes', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { resident_id, gravida, para, risk_flags, notes } = req.body;
+
+    if (!resident_id) {
+      return res.status(400).json({ error: 'resident_id is required' });
+    }
+
+    const resident = await prisma.residents.findUnique({ where: { resident_id: parseInt(resident_id) } });
+    if (!resident || !resident.is_active) {
+      return res.status(404).json({ error: 'Resident not found' });
+    }
+    if (user && !canModifyRecord(user, resident.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (resident.gender && resident.gender !== 'FEMALE') {
+      return res.status(400).json({ error: 'Pregnancy episodes can only be opened for female residents' });
+    }
+
+    const dates = resolvePregnancyDates(req.body);
+    const flags = deriveRiskFlags({ flags: risk_flags, resident, edd: dates.edd, para });
+    const schedule = buildPrenatalSchedule(dates.edd);
+
+    const episode = await runInLedger(async (tx) => {
+      // Serialize registrations per resident so two requests cannot both open an episode
+      await tx.$queryRaw`SELECT resident_id FROM residents WHERE resident_id = ${resident.resident_id} FOR UPDATE`;
+
+      const open = await tx.pregnancy_episodes.findFirst({
+        where: { resident_id: resident.resident_id, status: 'ACTIVE' }
+      });
+      if (open) {
+        throw new StockLedgerError('Resident already has an active pregnancy episode', 409, { episode_id: open.episode_id });
+      }
+
+      const created = await tx.pregnancy_episodes.create({
+        data: {
+          resident_id: resident.resident_id,
+          barangay: resident.barangay,
+          ...dates,
+          gravida: gravida !== undefined && gravida !== null ? parseInt(gravida) : null,
+          para: para !== undefined && para !== null ? parseInt(para) : null,
+          risk_flags: flags,
+          is_high_risk: flags.length > 0,
+          notes: notes || null,
+          created_by_user_id: user?.user_id || null,
+          visits: { create: schedule }
+        },
+        include: { visits: { orderBy: { sequence: 'asc' } } }
+      });
+
+      await tx.residents.update({
+        where: { resident_id: resident.resident_id },
+        data: { is_pregnant: true, pregnancy_due_date: dates.edd, updated_at: new Date() }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'pregnancy_episodes',
+        recordId: created.episode_id,
+        action: 'CREATE',
+        newValues: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: episode,
+      gestational_weeks: gestationalWeeks(episode.edd),
+      message: `Pregnancy registered; ${episode.visits.length} prenatal visit(s) scheduled`
+    });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error registering pregnancy:')(err);
+  }
+});
+
+/**
+ * PATCH /api/maternal/episodes/:id
+ * Update dates, gravida / para, risk flags or notes
+ * A new LMP / EDD moves the due dates of prenatal visits that are still scheduled
+ */
+router.patch('/episodes/:id', async (req, res, next) => {
+  try {
+    const episode = await findAccessibleEpisode(req, res);
+    if (!episode) return;
+
+    const { gravida, para, risk_flags, notes } = req.body;
+    const datesChanged = req.body.lmp_date !== undefined || req.body.edd !== undefined;
+
+    if (datesChanged && episode.status !== 'ACTIVE') {
+      return res.status(409).json({ error: 'Pregnancy dates can only change while the episode is active' });
+    }
+
+    const data = { updated_at: new Date() };
+    if (datesChanged) {
+      Object.assign(data, resolvePregnancyDates({
+        lmp_date: req.body.lmp_date !== undefined ? req.body.lmp_date : (req.body.edd ? null : episode.lmp_date),
+        edd: req.body.edd
+      }));
+    }
+    if (gravida !== undefined) data.gravida = gravida === null ? null : parseInt(gravida);
+    if (para !== undefined) data.para = para === null ? null : parseInt(para);
+    if (notes !== undefined) data.notes = notes || null;
+    if (risk_flags !== undefined || para !== undefined || datesChanged) {
+      const resident = await prisma.residents.findUnique({ where: { resident_id: episode.resident_id } });
+      // Flags derived from age / parity are recomputed; other recorded flags are kept unless replaced
+      data.risk_flags = deriveRiskFlags({
+        flags: risk_flags !== undefined
+          ? risk_flags
+          : episode.risk_flags.filter(f => !['AGE_UNDER_18', 'AGE_35_OR_OLDER', 'GRAND_MULTIPARA'].includes(f)),
+        resident,
+        edd: data.edd || episode.edd,
+        para: data.para !== undefined ? data.para : episode.para
+      });
+      data.is_high_risk = data.risk_flags.length > 0;
+    }
+
+    const updated = await runInLedger(async (tx) => {
+      const result = await tx.pregnancy_episodes.update({ where: { episode_id: episode.episode_id }, data });
+
+      if (datesChanged) {
+        // Visits booked into a calendar session keep their date
+        const scheduled = await tx.maternal_visits.findMany({
+          where: { episode_id: episode.episode_id, visit_type: 'PRENATAL', status: 'SCHEDULED', calendar_event_id: null }
+        });
+        for (const visit of scheduled) {
+          const dueDate = prenatalDueDate(result.edd, visit.sequence);
+          if (!dueDate) continue;
+          await tx.maternal_visits.update({
+            where: { visit_id: visit.visit_id },
+            data: { due_date: dueDate, updated_at: new Date() }
+          });
+        }
+
+        await tx.residents.update({
+          where: { resident_id: episode.resident_id },
+          data: { pregnancy_due_date: result.edd, updated_at: new Date() }
+        });
+      }
+
+      await writeAudit(tx, req, {
+        tableName: 'pregnancy_episodes',
+        recordId: episode.episode_id,
+        action: 'UPDATE',
+        oldValues: episode,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error updating pregnancy episode:')(err);
+  }
+});
+
+/**
+ * POST /api/maternal/episodes/:id/outcome
+ * Record how the pregnancy ended; clears is_pregnant and cancels remaining prenatal visits
+ * Births move the episode to POSTPARTUM with follow-up checks, other outcomes close it
+ * Body: { outcome, outcome_date?, delivery_place?, birth_attendant?, birth_weight_grams?, notes? }
+ */
+router.post('/episodes/:id/outcome', async (req, res, next) => {
+  try {
+    const episode = await findAccessibleEpisode(req, res);
+    if (!episode) return;
+
+    const { outcome, delivery_place, birth_attendant, birth_weight_grams, notes } = req.body;
+    if (!PREGNANCY_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of ${PREGNANCY_OUTCOMES.join(', ')}` });
+    }
+
+    const outcomeDate = parseOptionalDate(req.body.outcome_date, 'outcome_date') || new Date();
+    if (outcomeDate > new Date()) {
+      return res.status(400).json({ error: 'outcome_date cannot be in the future' });
+    }
+
+    const isBirth = BIRTH_OUTCOMES.includes(outcome);
+    const userId = req.user?.user_id || null;
+
+    const result = await runInLedger(async (tx) => {
+      await transitionEpisode(tx, episode.episode_id, ['ACTIVE'], {
+        status: isBirth ? 'POSTPARTUM' : 'CLOSED',
+        outcome,
+        outcome_date: outcomeDate,
+        delivery_place: delivery_place || null,
+        birth_attendant: birth_attendant || null,
+        birth_weight_grams: birth_weight_grams ? parseInt(birth_weight_grams) : null,
+        outcome_notes: notes || null,
+        ...(!isBirth && { closed_at: new Date(), closed_by_user_id: userId })
+      });
+
+      const cancelled = await tx.maternal_visits.updateMany({
+        where: { episode_id: episode.episode_id, visit_type: 'PRENATAL', status: 'SCHEDULED' },
+        data: { status: 'CANCELLED', updated_at: new Date() }
+      });
+
+      if (isBirth) {
+        await tx.maternal_visits.createMany({
+          data: buildPostpartumSchedule(outcomeDate).map(visit => ({ ...visit, episode_id: episode.episode_id }))
+        });
+      }
+
+      await tx.residents.update({
+        where: { resident_id: episode.resident_id },
+        data: { is_pregnant: false, pregnancy_due_date: null, updated_at: new Date() }
+      });
+
+      const updated = await tx.pregnancy_episodes.findUnique({
+        where: { episode_id: episode.episode_id },
+        include: { visits: { orderBy: [{ visit_type: 'asc' }, { sequence: 'asc' }] } }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'pregnancy_episodes',
+        recordId: episode.episode_id,
+        action: 'OUTCOME',
+        oldValues: episode,
+        newValues: { ...updated, cancelled_prenatal_visits: cancelled.count }
+      });
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: isBirth
+        ? 'Outcome recorded; postpartum follow-up scheduled'
+        : 'Outcome recorded; episode closed'
+    });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error recording pregnancy outcome:')(err);
+  }
+});
+
+/**
+ * PATCH /api/maternal/episodes/:id/close
+ * Close a postpartum episode early; remaining follow-ups are cancelled
+ * Body: { notes? }
+ */
+router.patch('/episodes/:id/close', async (req, res, next) => {
+  try {
+    const episode = await findAccessibleEpisode(req, res);
+    if (!episode) return;
+
+    const updated = await runInLedger(async (tx) => {
+      await transitionEpisode(tx, episode.episode_id, ['POSTPARTUM'], {
+        status: 'CLOSED',
+        closed_at: new Date(),
+        closed_by_user_id: req.user?.user_id || null,
+        ...(req.body.notes && { notes: [episode.notes, req.body.notes].filter(Boolean).join('\n') })
+      });
+
+      await tx.maternal_visits.updateMany({
+        where: { episode_id: episode.episode_id, status: 'SCHEDULED' },
+        data: { status: 'CANCELLED', updated_at: new Date() }
+      });
+
+      const result = await tx.pregnancy_episodes.findUnique({ where: { episode_id: episode.episode_id } });
+
+      await writeAudit(tx, req, {
+        tableName: 'pregnancy_episodes',
+        recordId: episode.episode_id,
+        action: 'CLOSE',
+        oldValues: episode,
+        newValues: result
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error closing pregnancy episode:')(err);
+  }
+});
+
+/**
+ * POST /api/maternal/episodes/:id/visits
+ * Add an extra (unscheduled) prenatal or postpartum contact
+ * Body: { due_date, label? }
+ */
+router.post('/episodes/:id/visits', async (req, res, next) => {
+  try {
+    const episode = await findAccessibleEpisode(req, res);
+    if (!episode) return;
+
+    if (episode.status === 'CLOSED') {
+      return res.status(409).json({ error: 'Pregnancy episode is closed' });
+    }
+
+    const dueDate = parseOptionalDate(req.body.due_date, 'due_date');
+    if (!dueDate) {
+      return res.status(400).json({ error: 'due_date is required' });
+    }
+
+    const visitType = episode.status === 'ACTIVE' ? 'PRENATAL' : 'POSTPARTUM';
+
+    const visit = await runInLedger(async (tx) => {
+      const last = await tx.maternal_visits.findFirst({
+        where: { episode_id: episode.episode_id, visit_type: visitType },
+        orderBy: { sequence: 'desc' }
+      });
+      const sequence = Math.max(last?.sequence || 0, visitType === 'PRENATAL' ? PRENATAL_SCHEDULE_WEEKS.length : 0) + 1;
+
+      const created = await tx.maternal_visits.create({
+        data: {
+          episode_id: episode.episode_id,
+          visit_type: visitType,
+          sequence,
+          label: req.body.label || `Additional ${visitType.toLowerCase()} visit`,
+          due_date: dueDate
+        }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'maternal_visits',
+        recordId: created.visit_id,
+        action: 'CREATE',
+        newValues: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json({ success: true, data: visit });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error adding maternal visit:')(err);
+  }
+});
+
+/**
+ * PATCH /api/maternal/visits/:visitId
+ * Reschedule a visit, or book it into a calendar session (its start becomes the due date)
+ * Body: { due_date } or { calendar_event_id } (null unlinks)
+ */
+router.patch('/visits/:visitId', async (req, res, next) => {
+  try {
+    const visit = await findAccessibleVisit(req, res);
+    if (!visit) return;
+
+    if (visit.status !== 'SCHEDULED') {
+      return res.status(409).json({ error: 'Only scheduled visits can be rescheduled' });
+    }
+
+    const data = { updated_at: new Date() };
+
+    if (req.body.calendar_event_id !== undefined) {
+      if (req.body.calendar_event_id === null) {
+        data.calendar_event_id = null;
+      } else {
+        const event = await prisma.calendar_events.findUnique({
+          where: { event_id: parseInt(req.body.calendar_event_id) }
+        });
+        if (!event || event.is_cancelled) {
+          return res.status(404).json({ error: 'Calendar event not found' });
+        }
+        if (event.barangay !== visit.episode.barangay) {
+          return res.status(400).json({ error: 'Calendar event is in a different barangay', eventBarangay: event.barangay });
+        }
+        data.calendar_event_id = event.event_id;
+        data.due_date = event.start_time;
+      }
+    }
+
+    if (req.body.due_date !== undefined && !data.due_date) {
+      data.due_date = parseOptionalDate(req.body.due_date, 'due_date');
+      if (!data.due_date) {
+        return res.status(400).json({ error: 'due_date is required' });
+      }
+    }
+
+    const updated = await runInLedger(async (tx) => {
+      const result = await tx.maternal_visits.update({
+        where: { visit_id: visit.visit_id },
+        data,
+        include: visitInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'maternal_visits',
+        recordId: visit.visit_id,
+        action: 'UPDATE',
+        oldValues: { due_date: visit.due_date, calendar_event_id: visit.calendar_event_id },
+        newValues: { due_date: result.due_date, calendar_event_id: result.calendar_event_id }
+      });
+
+      return result;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error rescheduling maternal visit:')(err);
+  }
+});
+
+/**
+ * POST /api/maternal/visits/:visitId/record
+ * Record a completed visit, optionally from the consultation where it took place
+ * Body: { visit_date?, consultation_id?, blood_pressure?, weight_kg?, fundal_height_cm?,
+ *         fetal_heart_rate?, findings?, risk_flags? (added to the episode) }
+ */
+router.post('/visits/:visitId/record', async (req, res, next) => {
+  try {
+    const visit = await findAccessibleVisit(req, res);
+    if (!visit) return;
+
+    const { consultation_id, blood_pressure, weight_kg, fundal_height_cm, fetal_heart_rate, findings, risk_flags } = req.body;
+
+    let consultation = null;
+    if (consultation_id) {
+      consultation = await prisma.consultations.findUnique({
+        where: { consultation_id: parseInt(consultation_id) },
+        select: { consultation_id: true, resident_id: true, scheduled_date: true, completed_at: true }
+      });
+      if (!consultation) {
+        return res.status(404).json({ error: 'Consultation not found' });
+      }
+      if (consultation.resident_id && consultation.resident_id !== visit.episode.resident_id) {
+        return res.status(400).json({ error: 'Consultation belongs to a different resident' });
+      }
+    }
+
+    const visitDate = parseOptionalDate(req.body.visit_date, 'visit_date')
+      || consultation?.completed_at
+      || consultation?.scheduled_date
+      || new Date();
+    if (visitDate > new Date()) {
+      return res.status(400).json({ error: 'visit_date cannot be in the future' });
+    }
+
+    const userId = req.user?.user_id || null;
+
+    const result = await runInLedger(async (tx) => {
+      await transitionVisit(tx, visit.visit_id, {
+        status: 'COMPLETED',
+        visit_date: visitDate,
+        consultation_id: consultation?.consultation_id || null,
+        blood_pressure: blood_pressure || null,
+        weight_kg: weight_kg !== undefined && weight_kg !== null && weight_kg !== '' ? weight_kg : null,
+        fundal_height_cm: fundal_height_cm !== undefined && fundal_height_cm !== null && fundal_height_cm !== '' ? fundal_height_cm : null,
+        fetal_heart_rate: fetal_heart_rate ? parseInt(fetal_heart_rate) : null,
+        findings: findings || null,
+        recorded_by_user_id: userId
+      });
+
+      // New risks found at the visit are added to the episode
+      const flags = deriveRiskFlags({
+        flags: [...visit.episode.risk_flags, ...(Array.isArray(risk_flags) ? risk_flags : risk_flags ? [risk_flags] : [])],
+        blood_pressure
+      });
+      const addedFlags = flags.filter(f => !visit.episode.risk_flags.includes(f));
+      if (addedFlags.length > 0) {
+        await tx.pregnancy_episodes.update({
+          where: { episode_id: visit.episode_id },
+          data: { risk_flags: flags, is_high_risk: true, updated_at: new Date() }
+        });
+      }
+
+      const episodeClosed = await closeIfFollowUpDone(tx, visit.episode, userId);
+      const updated = await tx.maternal_visits.findUnique({ where: { visit_id: visit.visit_id }, include: visitInclude });
+
+      await writeAudit(tx, req, {
+        tableName: 'maternal_visits',
+        recordId: visit.visit_id,
+        action: 'COMPLETE',
+        oldValues: { status: visit.status },
+        newValues: { ...updated, added_risk_flags: addedFlags, episode_closed: episodeClosed }
+      });
+
+      return { visit: updated, addedFlags, episodeClosed };
+    });
+
+    res.json({
+      success: true,
+      data: result.visit,
+      addedRiskFlags: result.addedFlags,
+      episodeClosed: result.episodeClosed
+    });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error recording maternal visit:')(err);
+  }
+});
+
+/**
+ * PATCH /api/maternal/visits/:visitId/missed
+ * Mark a visit as missed (after follow-up by the midwife / BHW)
+ * Body: { notes? }
+ */
+router.patch('/visits/:visitId/missed', async (req, res, next) => {
+  try {
+    const visit = await findAccessibleVisit(req, res);
+    if (!visit) return;
+
+    const userId = req.user?.user_id || null;
+
+    const result = await runInLedger(async (tx) => {
+      await transitionVisit(tx, visit.visit_id, {
+        status: 'MISSED',
+        findings: req.body.notes || null,
+        recorded_by_user_id: userId
+      });
+
+      const episodeClosed = await closeIfFollowUpDone(tx, visit.episode, userId);
+
+      await writeAudit(tx, req, {
+        tableName: 'maternal_visits',
+        recordId: visit.visit_id,
+        action: 'MISSED',
+        oldValues: { status: visit.status },
+        newValues: { status: 'MISSED', notes: req.body.notes || null, episode_closed: episodeClosed }
+      });
+
+      return { episodeClosed };
+    });
+
+    res.json({ success: true, episodeClosed: result.episodeClosed, message: 'Visit marked as missed' });
+  } catch (err) {
+    handleMaternalError(res, next, 'Error marking maternal visit missed:')(err);
+  }
+});
+
+export default router;
@@ -5,6 +5,13 @@ import { ethers } from 'ethers';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
 import { authenticateUser } from '../middleware/auth.js';
 import { logAuditFromRequest } from '../utils/auditLogger.js'; // ✅ IMPORT THIS
+import { resolveCatalogEntry } from '../services/medicineCatalog.js';
+import { StockLedgerError } from '../services/inventoryLedger.js';
+import { convertReceivedQuantity, rememberPackSize, normalizeUnitName } from '../services/unitConversion.js';
+import { parseDispensingRules } from '../services/dispensingRules.js';
+import { fieldsFromBarcode, matchCatalogGtin } from '../services/gs1Barcode.js';
+import { findActiveRecall, addIntakeToRecallTask } from '../services/medicineRecalls.js';
+import { syncMedicineTotal, findTotalQuantityDrift, summarizeDriftByBarangay, repairTotalQuantityDrift } from '../services/medicineTotals.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -33,6 +40,7 @@ const generateMedicineHash = (medicineData) => {
 /**
  * POST /api/medicines
  * Create new medicine and stock with barangay assignment
+ * A scanned GS1 barcode (barcode) fills batch_number / expiry_date and picks the catalog entry by GTIN
  */
 router.post('/', async (req, res) => {
   try {
@@ -46,16 +54,22 @@ router.post('/', async (req, res) => {
       manufacturer,
       category,
       storage_requirements,
-      batch_number,
       quantity,
       unit_cost,
       supplier_name,
       date_received,
-      expiry_date,
       storage_location,
-      barangay
+      barangay,
+      catalog_id,
+      base_unit,
+      unit,
+      pack_size,
+      pack_cost
     } = req.body;
 
+    const scanned = fieldsFromBarcode(req.body);
+    const { batch_number, expiry_date } = scanned || req.body;
+
     // Validate required fields
     if (!medicine_name || !batch_number || !quantity || !expiry_date) {
       return res.status(400).json({ 
@@ -85,10 +99,40 @@ router.post('/', async (req, res) => {
       assignedBarangay = 'MUNICIPAL';
     }
 
+    // Prescription-only / controlled flags and per-resident cap (new medicines only)
+    const dispensingRules = parseDispensingRules(req.body, user);
+
+    // A known GTIN identifies the catalog entry directly
+    const scannedCatalog = scanned?.scan.gtin && !catalog_id
+      ? await prisma.medicine_catalog.findUnique({ where: { gtin: scanned.scan.gtin }, select: { catalog_id: true } })
+      : null;
+
+    // Link to the shared catalog entry for this drug
+    const catalogEntry = await resolveCatalogEntry(prisma, {
+      catalog_id: catalog_id || scannedCatalog?.catalog_id,
+      generic_name,
+      medicine_name,
+      strength,
+      dosage_form,
+      category
+    });
+
+    // A barangay keeps one inventory row per catalog entry; new batches go onto it
+    const barangayMedicine = await prisma.medicine_records.findFirst({
+      where: {
+        catalog_id: catalogEntry.catalog_id,
+        barangay: assignedBarangay,
+        is_active: true
+      }
+    });
+
     // Check if batch number already exists
     const existingMedicine = await prisma.medicine_records.findFirst({
       where: {
-        medicine_name,
+        OR: [
+          { medicine_name },
+          ...(barangayMedicine ? [{ medicine_id: barangayMedicine.medicine_id }] : [])
+        ],
         medicine_stocks: {
           some: {
             batch_number,
@@ -104,18 +148,31 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Create medicine record
-    const medicine = await prisma.medicine_records.create({
+    // Received packs are stored in the medicine's base unit
+    const received = await convertReceivedQuantity(
+      prisma,
+      barangayMedicine || { base_unit: normalizeUnitName(base_unit) || 'unit' },
+      { quantity: parsedQuantity, unit, pack_size, unit_cost, pack_cost }
+    );
+
+    // Only a valid intake records the scanned GTIN on the catalog entry
+    await matchCatalogGtin(prisma, catalogEntry, scanned?.scan.gtin);
+
+    // Create medicine record (unless this barangay already stocks the drug)
+    const medicine = barangayMedicine || await prisma.medicine_records.create({
       data: {
         medicine_name,
         medicine_type: medicine_type || 'General',
         description,
-        generic_name,
-        dosage_form,
-        strength,
+        generic_name: generic_name || catalogEntry.generic_name,
+        dosage_form: dosage_form || catalogEntry.dosage_form,
+        strength: strength || catalogEntry.strength,
         manufacturer,
-        category,
+        category: category || catalogEntry.category,
         storage_requirements,
+        base_unit: normalizeUnitName(base_unit) || 'unit',
+        ...dispensingRules,
+        catalog_id: catalogEntry.catalog_id,
         barangay: assignedBarangay,
         created_by: user?.user_id || null,
         is_active: true,
@@ -123,43 +180,63 @@ router.post('/', async (req, res) => {
       }
     });
 
+    // A lot named by an active recall is frozen as it arrives
+    const recall = await findActiveRecall(prisma, medicine, batch_number);
+
     // Create stock record
     const stock = await prisma.medicine_stocks.create({
       data: {
         medicine_id: medicine.medicine_id,
         batch_number,
-        quantity: parsedQuantity,
-        remaining_quantity: parsedQuantity,
-        unit_cost: parseFloat(unit_cost) || 0,
-        total_cost: (parseFloat(unit_cost) || 0) * parsedQuantity,
+        quantity: received.quantity,
+        remaining_quantity: received.quantity,
+        unit_cost: received.unit_cost,
+        total_cost: received.total_cost,
+        received_unit: received.received_unit,
+        pack_size: received.pack_size,
+        packs_received: received.packs_received,
         supplier_name,
         date_received: new Date(date_received || Date.now()),
         expiry_date: expiryDateObj,
         storage_location: storage_location || 'Main Storage',
         is_active: true,
         added_by_user_id: user?.user_id || null,
+        ...(recall && { recall_id: recall.recall_id }),
         created_at: new Date()
       }
     });
+    if (recall) {
+      await addIntakeToRecallTask(prisma, recall.recall_id, medicine.barangay, { stocks: 1, quantity: received.quantity });
+    }
+    await rememberPackSize(prisma, medicine, unit, pack_size);
+    medicine.total_quantity = await syncMedicineTotal(prisma, medicine.medicine_id);
 
     // ✅ AUDIT LOG - Using helper function
     await logAuditFromRequest({
       req,
-      tableName: 'medicine',
-      recordId: medicine.medicine_id,
+      tableName: barangayMedicine ? 'medicine_stocks' : 'medicine',
+      recordId: barangayMedicine ? stock.stock_id : medicine.medicine_id,
       action: 'CREATE',
-      newValues: { ...medicine, stock }
+      newValues: barangayMedicine ? stock : { ...medicine, stock }
     });
 
     res.status(201).json({
       success: true,
       medicine,
       stock,
-      message: `Medicine created for ${assignedBarangay}`
+      catalog: catalogEntry,
+      ...(scanned && { scan: scanned.scan }),
+      ...(recall && { frozen_by_recall_id: recall.recall_id }),
+      message: barangayMedicine
+        ? `Batch added to existing ${medicine.medicine_name} in ${assignedBarangay}`
+        : `Medicine created for ${assignedBarangay}`
     });
 
   } catch (error) {
     console.error('Error creating medicine:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -251,7 +328,12 @@ router.put('/:id', async (req, res) => {
       manufacturer,
       category,
       storage_requirements,
-      barangay
+      reorder_point,
+      safety_stock,
+      target_stock_level,
+      barangay,
+      catalog_id,
+      base_unit
     } = req.body;
 
     // Check if medicine exists and get old values
@@ -283,9 +365,51 @@ router.put('/:id', async (req, res) => {
       manufacturer,
       category,
       storage_requirements,
+      ...parseDispensingRules(req.body, user),
       updated_at: new Date()
     };
 
+    // Replenishment levels: a number sets the level, null clears it
+    const reorderLevels = { reorder_point, safety_stock, target_stock_level };
+    for (const [field, value] of Object.entries(reorderLevels)) {
+      if (value === undefined) continue;
+      if (value === null || value === '') {
+        updateData[field] = null;
+        continue;
+      }
+
+      const parsed = parseInt(value);
+      if (isNaN(parsed) || parsed < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative number` });
+      }
+      updateData[field] = parsed;
+    }
+
+    // Changing the base unit would silently rescale every batch, so only allow it while nothing is in stock
+    if (base_unit && normalizeUnitName(base_unit) !== existingMedicine.base_unit) {
+      const stockedBatches = await prisma.medicine_stocks.count({
+        where: { medicine_id: medicineId, is_active: true, remaining_quantity: { gt: 0 } }
+      });
+      if (stockedBatches > 0) {
+        return res.status(400).json({
+          error: 'Cannot change base_unit while the medicine has stock on hand',
+          base_unit: existingMedicine.base_unit
+        });
+      }
+      updateData.base_unit = normalizeUnitName(base_unit);
+    }
+
+    // Re-link to a different catalog entry
+    if (catalog_id !== undefined && catalog_id !== null && catalog_id !== '') {
+      const catalogEntry = await prisma.medicine_catalog.findUnique({
+        where: { catalog_id: parseInt(catalog_id) }
+      });
+      if (!catalogEntry || !catalogEntry.is_active) {
+        return res.status(404).json({ error: 'Catalog entry not found' });
+      }
+      updateData.catalog_id = catalogEntry.catalog_id;
+    }
+
     // Only admin can change barangay assignment
     if (user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF') && barangay) {
       updateData.barangay = barangay;
@@ -297,7 +421,8 @@ router.put('/:id', async (req, res) => {
       include: {
         created_by_user: {
           select: { full_name: true }
-        }
+        },
+        catalog: true
       }
     });
 
@@ -318,6 +443,9 @@ router.put('/:id', async (req, res) => {
 
   } catch (error) {
     console.error('Error updating medicine:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -371,6 +499,7 @@ router.delete('/:id', async (req, res) => {
         is_active: false
       }
     });
+    await syncMedicineTotal(prisma, medicineId);
 
     // ✅ AUDIT LOG - Using helper function (REPLACES old manual logging)
     await logAuditFromRequest({
@@ -450,6 +579,7 @@ router.get('/', async (req, res) => {
         ]
       }),
       ...(category && { category }),
+      ...(req.query.catalog_id && { catalog_id: parseInt(req.query.catalog_id) }),
       is_active: is_active !== undefined ? is_active === 'true' : true
     };
 
@@ -460,6 +590,9 @@ router.get('/', async (req, res) => {
           created_by_user: {
             select: { full_name: true, wallet_address: true }
           },
+          catalog: {
+            select: { catalog_id: true, generic_name: true, strength: true, dosage_form: true }
+          },
           medicine_stocks: {
             where: { is_active: true },
             select: {
@@ -587,6 +720,7 @@ router.get('/:id', async (req, res) => {
         created_by_user: {
           select: { full_name: true, wallet_address: true }
         },
+        catalog: true,
         medicine_stocks: {
           where: { is_active: true },
           include: {
@@ -688,6 +822,133 @@ router.post('/:id/verify', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/medicines/:id/units
+ * Base unit and pack conversions for a medicine
+ */
+router.get('/:id/units', async (req, res) => {
+  try {
+    const medicineId = parseInt(req.params.id);
+
+    if (isNaN(medicineId)) {
+      return res.status(400).json({ error: 'Invalid medicine ID' });
+    }
+
+    const medicine = await prisma.medicine_records.findFirst({
+      where: { medicine_id: medicineId, ...getBarangayFilter(req.user || null) },
+      select: {
+        medicine_id: true,
+        medicine_name: true,
+        base_unit: true,
+        units: { orderBy: { base_quantity: 'asc' } }
+      }
+    });
+
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found or access denied' });
+    }
+
+    res.json({ success: true, data: medicine });
+  } catch (error) {
+    console.error('Error fetching medicine units:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/medicines/:id/units
+ * Add or change a pack conversion, e.g. { unit_name: "box", base_quantity: 100 }
+ */
+router.post('/:id/units', async (req, res) => {
+  try {
+    const medicineId = parseInt(req.params.id);
+    const unitName = normalizeUnitName(req.body.unit_name);
+    const baseQuantity = parseInt(req.body.base_quantity);
+
+    if (!unitName || isNaN(baseQuantity) || baseQuantity <= 0) {
+      return res.status(400).json({ error: 'unit_name and a positive base_quantity are required' });
+    }
+
+    const medicine = await prisma.medicine_records.findUnique({ where: { medicine_id: medicineId } });
+
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const user = req.user || null;
+    if (user && !canModifyRecord(user, medicine.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    if (unitName === medicine.base_unit) {
+      return res.status(400).json({ error: `${unitName} is already the base unit of this medicine` });
+    }
+
+    const existing = await prisma.medicine_units.findUnique({
+      where: { medicine_id_unit_name: { medicine_id: medicineId, unit_name: unitName } }
+    });
+
+    const unit = await prisma.medicine_units.upsert({
+      where: { medicine_id_unit_name: { medicine_id: medicineId, unit_name: unitName } },
+      update: { base_quantity: baseQuantity },
+      create: { medicine_id: medicineId, unit_name: unitName, base_quantity: baseQuantity }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'medicine_units',
+      recordId: unit.unit_id,
+      action: existing ? 'UPDATE' : 'CREATE',
+      oldValues: existing,
+      newValues: unit
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.status(existing ? 200 : 201).json({ success: true, data: unit });
+  } catch (error) {
+    console.error('Error saving medicine unit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/medicines/:id/units/:unitId
+ */
+router.delete('/:id/units/:unitId', async (req, res) => {
+  try {
+    const medicineId = parseInt(req.params.id);
+    const unitId = parseInt(req.params.unitId);
+
+    const unit = await prisma.medicine_units.findFirst({
+      where: { unit_id: unitId, medicine_id: medicineId },
+      include: { medicine: { select: { barangay: true } } }
+    });
+
+    if (!unit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const user = req.user || null;
+    if (user && !canModifyRecord(user, unit.medicine.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    await prisma.medicine_units.delete({ where: { unit_id: unitId } });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'medicine_units',
+      recordId: unitId,
+      action: 'DELETE',
+      oldValues: unit
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({ success: true, message: 'Unit removed' });
+  } catch (error) {
+    console.error('Error deleting medicine unit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/medicines/barangay/:barangay
  * Get medicines for specific barangay (admin/municipal staff only)
@@ -765,11 +1026,118 @@ router.get('/compare/barangays', async (req, res) => {
       ORDER BY bhc.center_name
     `;
 
-    res.json({ success: true, data: comparison });
+    // Same drug across barangays, grouped by catalog entry rather than by the typed name
+    const catalogRows = await prisma.$queryRaw`
+      SELECT
+        c.catalog_id,
+        c.generic_name,
+        c.strength,
+        c.dosage_form,
+        m.barangay,
+        COUNT(DISTINCT s.stock_id)::int as total_batches,
+        COALESCE(SUM(s.remaining_quantity), 0)::int as total_quantity
+      FROM medicine_catalog c
+      JOIN medicines m ON m.catalog_id = c.catalog_id AND m.is_active = true
+      LEFT JOIN stocks s ON s.medicine_id = m.medicine_id AND s.is_active = true
+      GROUP BY c.catalog_id, c.generic_name, c.strength, c.dosage_form, m.barangay
+      ORDER BY c.generic_name, c.strength, m.barangay
+    `;
+
+    const byCatalog = Object.values(catalogRows.reduce((acc, row) => {
+      if (!acc[row.catalog_id]) {
+        acc[row.catalog_id] = {
+          catalog_id: row.catalog_id,
+          generic_name: row.generic_name,
+          strength: row.strength,
+          dosage_form: row.dosage_form,
+          total_quantity: 0,
+          barangays: []
+        };
+      }
+      acc[row.catalog_id].total_quantity += row.total_quantity;
+      acc[row.catalog_id].barangays.push({
+        barangay: row.barangay,
+        total_batches: row.total_batches,
+        total_quantity: row.total_quantity
+      });
+      return acc;
+    }, {}));
+
+    const unlinkedMedicines = await prisma.medicine_records.count({
+      where: { is_active: true, catalog_id: null }
+    });
+
+    res.json({ success: true, data: comparison, byCatalog, unlinkedMedicines });
   } catch (error) {
     console.error('Compare barangays error:', error);
     res.status(500).json({ error: 'Failed to compare barangays' });
   }
 });
 
+/**
+ * GET /api/medicines/consistency/total-quantity
+ * Medicines whose total_quantity differs from the sum of their active batches
+ * Query: barangay (admin / municipal staff only)
+ */
+router.get('/consistency/total-quantity', async (req, res) => {
+  try {
+    const user = req.user || null;
+    let where = getBarangayFilter(user);
+
+    if (req.query.barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where = { barangay: req.query.barangay };
+    }
+
+    const drift = await findTotalQuantityDrift(prisma, where);
+
+    res.json({
+      success: true,
+      consistent: drift.length === 0,
+      data: drift,
+      byBarangay: summarizeDriftByBarangay(drift),
+      barangay: where.barangay || 'ALL'
+    });
+  } catch (error) {
+    console.error('Total quantity consistency check error:', error);
+    res.status(500).json({ error: 'Failed to check total quantity consistency' });
+  }
+});
+
+/**
+ * POST /api/medicines/consistency/total-quantity/repair
+ * Recompute total_quantity for every drifting medicine (admin only)
+ * Body: { barangay? } - limit the repair to one barangay
+ */
+router.post('/consistency/total-quantity/repair', async (req, res) => {
+  try {
+    const user = req.user || null;
+
+    if (!user || (user.role !== 'ADMIN' && user.role !== 'MUNICIPAL_STAFF')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = req.body?.barangay ? { barangay: req.body.barangay } : {};
+    const repaired = await repairTotalQuantityDrift(prisma, where);
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'medicine',
+      recordId: null,
+      action: 'REPAIR_TOTAL_QUANTITY',
+      oldValues: { drift: repaired },
+      newValues: { repaired: repaired.length, barangay: where.barangay || 'ALL' }
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({
+      success: true,
+      data: repaired,
+      byBarangay: summarizeDriftByBarangay(repaired),
+      message: `Repaired total_quantity for ${repaired.length} medicine(s)`
+    });
+  } catch (error) {
+    console.error('Total quantity repair error:', error);
+    res.status(500).json({ error: 'Failed to repair total quantities' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,623 @@
+// backend/routes/purchaseOrders.js
+// Purchase orders against suppliers and goods-received notes (GRNs)
+// Receiving a GRN creates (or tops up) medicine_stocks batches through the inventory ledger
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { runInLedger, lockMedicine, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { convertReceivedQuantity, rememberPackSize } from '../services/unitConversion.js';
+import { findActiveRecall, addIntakeToRecallTask } from '../services/medicineRecalls.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toMoney = (value) => Number(Number(value).toFixed(2));
+const toUnitCost = (value) => Number(Number(value).toFixed(4));
+
+const formatDocumentNumber = (prefix, id, date = new Date()) =>
+  `${prefix}-${date.getFullYear()}-${String(id).padStart(5, '0')}`;
+
+const purchaseOrderInclude = {
+  supplier: { select: { supplier_id: true, supplier_name: true, contact_person: true, phone: true } },
+  items: {
+    include: {
+      medicine: { select: { medicine_id: true, medicine_name: true, generic_name: true, strength: true, dosage_form: true, base_unit: true } }
+    },
+    orderBy: { po_item_id: 'asc' }
+  },
+  receipts: {
+    include: { items: true, received_by_user: { select: { full_name: true } } },
+    orderBy: { received_date: 'asc' }
+  },
+  created_by_user: { select: { full_name: true, wallet_address: true } }
+};
+
+/**
+ * Compare what was ordered with what was received, line by line
+ */
+function buildReconciliation(purchaseOrder) {
+  const lines = purchaseOrder.items.map(item => {
+    const receivedLines = purchaseOrder.receipts
+      .flatMap(receipt => receipt.items)
+      .filter(received => received.po_item_id === item.po_item_id);
+
+    const receivedValue = receivedLines.reduce((sum, r) => sum + Number(r.line_total), 0);
+    const outstandingQuantity = Math.max(0, item.quantity_ordered - item.quantity_received);
+
+    return {
+      po_item_id: item.po_item_id,
+      medicine_id: item.medicine_id,
+      medicine_name: item.medicine?.medicine_name,
+      quantity_ordered: item.quantity_ordered,
+      quantity_received: item.quantity_received,
+      quantity_outstanding: outstandingQuantity,
+      ordered_unit_cost: toUnitCost(item.unit_cost),
+      ordered_value: toMoney(item.line_total),
+      received_value: toMoney(receivedValue),
+      outstanding_value: toMoney(outstandingQuantity * Number(item.unit_cost)),
+      cost_variance: toMoney(receivedValue - item.quantity_received * Number(item.unit_cost)),
+      batches: receivedLines.map(r => ({
+        grn_id: r.grn_id,
+        stock_id: r.stock_id,
+        batch_number: r.batch_number,
+        expiry_date: r.expiry_date,
+        quantity_received: r.quantity_received,
+        unit_cost: toUnitCost(r.unit_cost)
+      }))
+    };
+  });
+
+  return {
+    lines,
+    totals: {
+      ordered_value: toMoney(lines.reduce((sum, l) => sum + l.ordered_value, 0)),
+      received_value: toMoney(lines.reduce((sum, l) => sum + l.received_value, 0)),
+      outstanding_value: toMoney(lines.reduce((sum, l) => sum + l.outstanding_value, 0)),
+      cost_variance: toMoney(lines.reduce((sum, l) => sum + l.cost_variance, 0))
+    }
+  };
+}
+
+const handlePurchaseOrderError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/purchase-orders
+ * List purchase orders for the user's barangay
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const barangayFilter = getBarangayFilter(user);
+    const { status, supplier_id, barangay, page = 1, limit = 50 } = req.query;
+
+    const where = { ...barangayFilter };
+    if (barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where.barangay = barangay;
+    }
+    if (status) where.status = status;
+    if (supplier_id) where.supplier_id = parseInt(supplier_id);
+
+    const [purchaseOrders, total] = await Promise.all([
+      prisma.purchase_orders.findMany({
+        where,
+        include: {
+          supplier: { select: { supplier_id: true, supplier_name: true } },
+          _count: { select: { items: true, receipts: true } }
+        },
+        orderBy: { order_date: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.purchase_orders.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      },
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching purchase orders:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/purchase-orders/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const purchaseOrder = await prisma.purchase_orders.findUnique({
+      where: { po_id: parseInt(req.params.id) },
+      include: purchaseOrderInclude
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (user && !canModifyRecord(user, purchaseOrder.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    res.json({ success: true, data: purchaseOrder });
+  } catch (err) {
+    console.error('Error fetching purchase order:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/purchase-orders/:id/reconciliation
+ * Ordered vs received quantities and cost per line
+ */
+router.get('/:id/reconciliation', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const purchaseOrder = await prisma.purchase_orders.findUnique({
+      where: { po_id: parseInt(req.params.id) },
+      include: purchaseOrderInclude
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (user && !canModifyRecord(user, purchaseOrder.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    res.json({
+      success: true,
+      po_id: purchaseOrder.po_id,
+      po_number: purchaseOrder.po_number,
+      status: purchaseOrder.status,
+      ...buildReconciliation(purchaseOrder)
+    });
+  } catch (err) {
+    console.error('Error reconciling purchase order:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/purchase-orders
+ * Create a purchase order with line items
+ * Body: { supplier_id, barangay?, expected_date?, notes?,
+ *         items: [{ medicine_id, quantity_ordered, unit_cost | pack_cost, unit?, pack_size? }] }
+ * Lines ordered in packs are stored in the medicine's base unit; unit_cost is per base unit
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { supplier_id, barangay, expected_date, notes, items } = req.body;
+
+    if (!supplier_id || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['supplier_id', 'items']
+      });
+    }
+
+    // Determine barangay assignment (same rules as medicine creation)
+    let assignedBarangay = barangay;
+    if (user && user.role !== 'ADMIN' && user.role !== 'MUNICIPAL_STAFF') {
+      assignedBarangay = user.assigned_barangay;
+    }
+    if (!assignedBarangay) {
+      assignedBarangay = 'MUNICIPAL';
+    }
+
+    const supplier = await prisma.suppliers.findUnique({
+      where: { supplier_id: parseInt(supplier_id) }
+    });
+
+    if (!supplier || !supplier.is_active) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    for (const item of items) {
+      const quantityOrdered = parseInt(item.quantity_ordered);
+      const cost = parseFloat(item.pack_cost ?? item.unit_cost);
+
+      if (!item.medicine_id || isNaN(quantityOrdered) || quantityOrdered <= 0 || isNaN(cost) || cost < 0) {
+        return res.status(400).json({
+          error: 'Each item needs medicine_id, a positive quantity_ordered and a non-negative unit_cost or pack_cost',
+          item
+        });
+      }
+    }
+
+    const medicines = await prisma.medicine_records.findMany({
+      where: { medicine_id: { in: items.map(i => parseInt(i.medicine_id)) }, is_active: true },
+      select: { medicine_id: true, barangay: true, base_unit: true }
+    });
+
+    const foreign = items.filter(item => {
+      const medicine = medicines.find(m => m.medicine_id === parseInt(item.medicine_id));
+      return !medicine || medicine.barangay !== assignedBarangay;
+    });
+
+    if (foreign.length > 0) {
+      return res.status(400).json({
+        error: `All items must be active medicines of ${assignedBarangay}`,
+        invalidMedicineIds: foreign.map(item => parseInt(item.medicine_id))
+      });
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const medicine = medicines.find(m => m.medicine_id === parseInt(item.medicine_id));
+      const ordered = await convertReceivedQuantity(prisma, medicine, {
+        quantity: item.quantity_ordered,
+        unit: item.unit,
+        pack_size: item.pack_size,
+        unit_cost: item.unit_cost,
+        pack_cost: item.pack_cost
+      });
+
+      lines.push({
+        medicine_id: medicine.medicine_id,
+        quantity_ordered: ordered.quantity,
+        unit_cost: ordered.unit_cost,
+        line_total: ordered.total_cost
+      });
+    }
+
+    const purchaseOrder = await runInLedger(async (tx) => {
+      const created = await tx.purchase_orders.create({
+        data: {
+          supplier_id: supplier.supplier_id,
+          barangay: assignedBarangay,
+          expected_date: expected_date ? new Date(expected_date) : null,
+          notes: notes || null,
+          total_amount: toMoney(lines.reduce((sum, l) => sum + l.line_total, 0)),
+          created_by_user_id: user?.user_id || null,
+          items: { create: lines }
+        }
+      });
+
+      const numbered = await tx.purchase_orders.update({
+        where: { po_id: created.po_id },
+        data: { po_number: formatDocumentNumber('PO', created.po_id, created.order_date) },
+        include: purchaseOrderInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'purchase_orders',
+        recordId: numbered.po_id,
+        action: 'CREATE',
+        newValues: numbered
+      });
+
+      return numbered;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.po_number} created for ${assignedBarangay}`
+    });
+  } catch (err) {
+    handlePurchaseOrderError(res, next, 'Error creating purchase order:')(err);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receipts
+ * Record a goods-received note; each line becomes a stock batch
+ * Body: { received_date?, notes?, items: [{ po_item_id, quantity_received, batch_number, expiry_date,
+ *         unit_cost? | pack_cost?, unit?, pack_size?, storage_location? }] }
+ * quantity_received is in `unit` (base unit by default); unit_cost defaults to the ordered cost per base unit
+ */
+router.post('/:id/receipts', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const poId = parseInt(req.params.id);
+    const { received_date, notes, items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one received item is required' });
+    }
+
+    const existing = await prisma.purchase_orders.findUnique({
+      where: { po_id: poId },
+      include: { supplier: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const receivedDate = received_date ? new Date(received_date) : new Date();
+
+    const result = await runInLedger(async (tx) => {
+      // Serialize concurrent receipts against the same order
+      const [locked] = await tx.$queryRaw`
+        SELECT status FROM purchase_orders WHERE po_id = ${poId} FOR UPDATE
+      `;
+
+      if (!['ORDERED', 'PARTIALLY_RECEIVED'].includes(locked.status)) {
+        throw new StockLedgerError(`Cannot receive against a ${locked.status} purchase order`, 409);
+      }
+
+      const poItems = await tx.purchase_order_items.findMany({
+        where: { po_id: poId },
+        include: {
+          medicine: {
+            select: { medicine_id: true, base_unit: true, barangay: true, catalog_id: true, generic_name: true, medicine_name: true }
+          }
+        }
+      });
+
+      const grn = await tx.goods_received_notes.create({
+        data: {
+          po_id: poId,
+          received_date: receivedDate,
+          notes: notes || null,
+          received_by_user_id: user?.user_id || null
+        }
+      });
+      const grnNumber = formatDocumentNumber('GRN', grn.grn_id, receivedDate);
+      await tx.goods_received_notes.update({
+        where: { grn_id: grn.grn_id },
+        data: { grn_number: grnNumber }
+      });
+
+      for (const line of items) {
+        const poItem = poItems.find(i => i.po_item_id === parseInt(line.po_item_id));
+        if (!poItem) {
+          throw new StockLedgerError('Item does not belong to this purchase order', 400, { po_item_id: line.po_item_id });
+        }
+
+        const expiryDate = new Date(line.expiry_date);
+
+        if (!line.batch_number || isNaN(expiryDate.getTime())) {
+          throw new StockLedgerError('Each received item needs a positive quantity_received, batch_number and expiry_date', 400, {
+            po_item_id: poItem.po_item_id
+          });
+        }
+
+        const received = await convertReceivedQuantity(tx, poItem.medicine, {
+          quantity: line.quantity_received,
+          unit: line.unit,
+          pack_size: line.pack_size,
+          unit_cost: line.unit_cost ?? poItem.unit_cost,
+          pack_cost: line.pack_cost
+        });
+        const quantityReceived = received.quantity;
+
+        const outstanding = poItem.quantity_ordered - poItem.quantity_received;
+        if (quantityReceived > outstanding) {
+          throw new StockLedgerError('Received quantity exceeds outstanding quantity', 400, {
+            po_item_id: poItem.po_item_id,
+            outstanding,
+            requested: quantityReceived
+          });
+        }
+
+        const unitCost = received.unit_cost;
+        const lineTotal = received.total_cost;
+
+        await lockMedicine(tx, poItem.medicine_id);
+
+        let stock = await tx.medicine_stocks.findUnique({
+          where: {
+            medicine_id_batch_number: {
+              medicine_id: poItem.medicine_id,
+              batch_number: line.batch_number
+            }
+          }
+        });
+
+        // A lot named by an active recall is frozen as it arrives
+        const recall = stock?.recall_id ? null : await findActiveRecall(tx, poItem.medicine, line.batch_number);
+        const recallId = stock?.recall_id || recall?.recall_id || null;
+
+        if (stock) {
+          if (new Date(stock.expiry_date).getTime() !== expiryDate.getTime()) {
+            throw new StockLedgerError('Batch already exists with a different expiry date', 400, {
+              batch_number: line.batch_number,
+              existingExpiry: stock.expiry_date
+            });
+          }
+
+          // An unknown cost on either side leaves the batch cost unknown
+          const quantity = stock.quantity + quantityReceived;
+          const totalCost = stock.total_cost !== null && lineTotal !== null
+            ? toMoney(Number(stock.total_cost) + lineTotal)
+            : null;
+
+          await tx.medicine_stocks.update({
+            where: { stock_id: stock.stock_id },
+            data: {
+              quantity,
+              total_cost: totalCost,
+              unit_cost: totalCost !== null ? toUnitCost(totalCost / quantity) : null,
+              is_active: true,
+              ...(recall && { recall_id: recall.recall_id })
+            }
+          });
+        } else {
+          // Created empty; the ADDITION below brings it to the received quantity
+          stock = await tx.medicine_stocks.create({
+            data: {
+              medicine_id: poItem.medicine_id,
+              batch_number: line.batch_number,
+              quantity: quantityReceived,
+              remaining_quantity: 0,
+              unit_cost: unitCost,
+              total_cost: lineTotal,
+              received_unit: received.received_unit,
+              pack_size: received.pack_size,
+              packs_received: received.packs_received,
+              supplier_id: existing.supplier_id,
+              supplier_name: existing.supplier.supplier_name,
+              date_received: receivedDate,
+              expiry_date: expiryDate,
+              storage_location: line.storage_location || 'Main Storage',
+              is_active: true,
+              added_by_user_id: user?.user_id || null,
+              added_by_wallet: user?.wallet_address || null,
+              ...(recall && { recall_id: recall.recall_id }),
+              created_at: new Date()
+            }
+          });
+        }
+
+        if (recallId) {
+          await addIntakeToRecallTask(tx, recallId, poItem.medicine.barangay, {
+            stocks: recall ? 1 : 0,
+            quantity: quantityReceived
+          });
+        }
+
+        await rememberPackSize(tx, poItem.medicine, line.unit, line.pack_size);
+
+        await applyStockChange(tx, {
+          req,
+          stockId: stock.stock_id,
+          quantity: quantityReceived,
+          transactionType: 'ADDITION',
+          notes: `${grnNumber} against ${existing.po_number}`,
+          transactionDate: receivedDate
+        });
+
+        await tx.goods_received_items.create({
+          data: {
+            grn_id: grn.grn_id,
+            po_item_id: poItem.po_item_id,
+            stock_id: stock.stock_id,
+            batch_number: line.batch_number,
+            expiry_date: expiryDate,
+            quantity_received: quantityReceived,
+            unit_cost: unitCost,
+            line_total: lineTotal
+          }
+        });
+
+        poItem.quantity_received += quantityReceived;
+        await tx.purchase_order_items.update({
+          where: { po_item_id: poItem.po_item_id },
+          data: { quantity_received: poItem.quantity_received }
+        });
+      }
+
+      const fullyReceived = poItems.every(i => i.quantity_received >= i.quantity_ordered);
+      const purchaseOrder = await tx.purchase_orders.update({
+        where: { po_id: poId },
+        data: {
+          status: fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED',
+          updated_at: new Date()
+        },
+        include: purchaseOrderInclude
+      });
+
+      const receipt = purchaseOrder.receipts.find(r => r.grn_id === grn.grn_id);
+
+      await writeAudit(tx, req, {
+        tableName: 'goods_received_notes',
+        recordId: grn.grn_id,
+        action: 'CREATE',
+        newValues: receipt
+      });
+
+      return { purchaseOrder, receipt };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.receipt,
+      purchaseOrder: result.purchaseOrder,
+      reconciliation: buildReconciliation(result.purchaseOrder),
+      message: `${result.receipt.grn_number} recorded; purchase order is ${result.purchaseOrder.status}`
+    });
+  } catch (err) {
+    handlePurchaseOrderError(res, next, 'Error receiving purchase order:')(err);
+  }
+});
+
+/**
+ * PATCH /api/purchase-orders/:id/cancel
+ * Cancel an order that has not received anything yet
+ */
+router.patch('/:id/cancel', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const poId = parseInt(req.params.id);
+
+    const existing = await prisma.purchase_orders.findUnique({ where: { po_id: poId } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    if (existing.status !== 'ORDERED') {
+      return res.status(409).json({ error: `Cannot cancel a ${existing.status} purchase order` });
+    }
+
+    const purchaseOrder = await runInLedger(async (tx) => {
+      // Only cancels if no receipt got in since the status was read
+      const { count } = await tx.purchase_orders.updateMany({
+        where: { po_id: poId, status: 'ORDERED' },
+        data: {
+          status: 'CANCELLED',
+          notes: req.body.reason
+            ? [existing.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n')
+            : existing.notes,
+          updated_at: new Date()
+        }
+      });
+      if (count === 0) {
+        throw new StockLedgerError('Purchase order is no longer ORDERED and cannot be cancelled', 409);
+      }
+
+      const updated = await tx.purchase_orders.findUnique({ where: { po_id: poId } });
+
+      await writeAudit(tx, req, {
+        tableName: 'purchase_orders',
+        recordId: poId,
+        action: 'CANCEL',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: purchaseOrder });
+  } catch (err) {
+    handlePurchaseOrderError(res, next, 'Error cancelling purchase order:')(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,687 @@
+// backend/routes/recalls.js
+// Manufacturer / FDA batch recalls
+// Opening a recall freezes the matching batches in every barangay (no further release or transfer),
+// lists who received them, and gives each affected barangay a removal / return task
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { requireRole } from '../middleware/auth.js';
+import { runInLedger, lockMedicine, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import {
+  RECALL_MANAGER_ROLES,
+  RECALL_DISPOSITIONS,
+  parseBatchNumbers,
+  resolveRecallDrug,
+  recallStockWhere,
+  findRecallRecipients,
+  summarizeByBarangay
+} from '../services/medicineRecalls.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const recallInclude = {
+  catalog: { select: { catalog_id: true, generic_name: true, strength: true, dosage_form: true } },
+  tasks: {
+    include: { completed_by_user: { select: { full_name: true } } },
+    orderBy: { barangay: 'asc' }
+  },
+  initiated_by_user: { select: { full_name: true } },
+  closed_by_user: { select: { full_name: true } },
+  _count: { select: { stocks: true } }
+};
+
+const stockSelect = {
+  stock_id: true,
+  batch_number: true,
+  remaining_quantity: true,
+  expiry_date: true,
+  storage_location: true,
+  recall_id: true,
+  medicine: { select: { medicine_id: true, medicine_name: true, barangay: true } }
+};
+
+const loadRecall = (client, recallId) => client.medicine_recalls.findUnique({
+  where: { recall_id: recallId },
+  include: recallInclude
+});
+
+/**
+ * Freeze every batch the recall covers and create or refresh the per-barangay tasks
+ * Medicine rows are locked first, in the same order the ledger uses, before stocks are touched
+ * @returns {Promise<Object>} - { frozen, stocks, covered_by_other_recall, recipients, summary }
+ */
+async function applyRecallScope(tx, recall) {
+  const matched = await tx.medicine_stocks.findMany({
+    where: recallStockWhere(recall),
+    select: stockSelect,
+    orderBy: [{ medicine_id: 'asc' }, { stock_id: 'asc' }]
+  });
+
+  const medicineIds = [...new Set(matched.map(s => s.medicine.medicine_id))];
+  for (const medicineId of medicineIds) {
+    await lockMedicine(tx, medicineId);
+  }
+
+  const coveredElsewhere = matched.filter(s => s.recall_id && s.recall_id !== recall.recall_id);
+  const stocks = matched.filter(s => !s.recall_id || s.recall_id === recall.recall_id);
+  const toFreeze = stocks.filter(s => !s.recall_id).map(s => s.stock_id);
+
+  if (toFreeze.length > 0) {
+    await tx.medicine_stocks.updateMany({
+      where: { stock_id: { in: toFreeze }, recall_id: null },
+      data: { recall_id: recall.recall_id }
+    });
+  }
+
+  const recipients = await findRecallRecipients(tx, stocks.map(s => s.stock_id));
+  const summary = summarizeByBarangay(stocks, recipients);
+
+  for (const [barangay, figures] of Object.entries(summary)) {
+    const existing = await tx.recall_tasks.findUnique({
+      where: { recall_id_barangay: { recall_id: recall.recall_id, barangay } }
+    });
+
+    if (!existing) {
+      // Nothing left on the shelf and nobody to contact
+      if (figures.quantity_affected === 0 && figures.recipients === 0) continue;
+
+      await tx.recall_tasks.create({
+        data: { recall_id: recall.recall_id, barangay, ...figures }
+      });
+      continue;
+    }
+
+    // Stock that turned up after the task was done reopens it
+    const reopen = existing.status === 'COMPLETED' && figures.quantity_affected > 0;
+    await tx.recall_tasks.update({
+      where: { task_id: existing.task_id },
+      data: {
+        ...figures,
+        ...(reopen && { status: 'OPEN', completed_at: null, completed_by_user_id: null }),
+        updated_at: new Date()
+      }
+    });
+  }
+
+  return {
+    frozen: toFreeze.length,
+    stocks,
+    covered_by_other_recall: coveredElsewhere.map(s => ({
+      stock_id: s.stock_id,
+      batch_number: s.batch_number,
+      barangay: s.medicine.barangay,
+      recall_id: s.recall_id
+    })),
+    recipients: recipients.length,
+    summary
+  };
+}
+
+/**
+ * Move a recall between statuses, guarding against concurrent transitions
+ */
+async function transitionRecall(tx, recallId, fromStatuses, data) {
+  const { count } = await tx.medicine_recalls.updateMany({
+    where: { recall_id: recallId, status: { in: fromStatuses } },
+    data: { ...data, updated_at: new Date() }
+  });
+
+  if (count === 0) {
+    throw new StockLedgerError(`Recall is not in ${fromStatuses.join(' or ')} status`, 409, { recall_id: recallId });
+  }
+}
+
+const handleRecallError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/recalls
+ * List recalls; barangay users see the ones with a task for their barangay
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status } = req.query;
+    const barangayFilter = getBarangayFilter(user);
+
+    const where = {};
+    if (status) where.status = status;
+    if (barangayFilter.barangay) where.tasks = { some: { barangay: barangayFilter.barangay } };
+
+    const recalls = await prisma.medicine_recalls.findMany({
+      where,
+      include: recallInclude,
+      orderBy: { created_at: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: recalls,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching recalls:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/recalls/tasks
+ * Recall tasks for the user's barangay, open ones first
+ * Query: status
+ */
+router.get('/tasks', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status } = req.query;
+
+    const where = { ...getBarangayFilter(user), recall: { status: { not: 'CANCELLED' } } };
+    if (status) where.status = status;
+
+    const tasks = await prisma.recall_tasks.findMany({
+      where,
+      include: {
+        recall: {
+          select: {
+            recall_id: true,
+            reference_number: true,
+            generic_name: true,
+            batch_numbers: true,
+            disposition: true,
+            reason: true,
+            status: true
+          }
+        },
+        completed_by_user: { select: { full_name: true } }
+      },
+      orderBy: [{ status: 'asc' }, { created_at: 'desc' }]
+    });
+
+    res.json({
+      success: true,
+      data: tasks,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching recall tasks:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/recalls/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const recall = await loadRecall(prisma, parseInt(req.params.id));
+
+    if (!recall) {
+      return res.status(404).json({ error: 'Recall not found' });
+    }
+
+    res.json({ success: true, data: recall });
+  } catch (err) {
+    console.error('Error fetching recall:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/recalls/:id/stocks
+ * Every batch frozen by the recall, across barangays (own barangay for barangay staff)
+ */
+router.get('/:id/stocks', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const recallId = parseInt(req.params.id);
+
+    const stocks = await prisma.medicine_stocks.findMany({
+      where: { recall_id: recallId, medicine: getBarangayFilter(user) },
+      select: stockSelect,
+      orderBy: [{ medicine: { barangay: 'asc' } }, { batch_number: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: stocks,
+      total: stocks.length,
+      total_quantity: stocks.reduce((sum, s) => sum + s.remaining_quantity, 0),
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching recalled stocks:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/recalls/:id/recipients
+ * Residents who received medicine from a recalled batch
+ */
+router.get('/:id/recipients', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const recallId = parseInt(req.params.id);
+
+    const stocks = await prisma.medicine_stocks.findMany({
+      where: { recall_id: recallId },
+      select: { stock_id: true }
+    });
+    const recipients = await findRecallRecipients(
+      prisma,
+      stocks.map(s => s.stock_id),
+      getBarangayFilter(user)
+    );
+
+    res.json({
+      success: true,
+      data: recipients,
+      total: recipients.length,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching recall recipients:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/recalls
+ * Open a recall and freeze the matching batches
+ * Body: { catalog_id | medicine_id | generic_name, batch_numbers, reason, reference_number?, manufacturer?, disposition?, notes? }
+ */
+router.post('/', requireRole(...RECALL_MANAGER_ROLES), async (req, res, next) => {
+  try {
+    const { reason, reference_number, manufacturer, disposition = 'REMOVE', notes } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    if (!RECALL_DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ error: `disposition must be one of ${RECALL_DISPOSITIONS.join(', ')}` });
+    }
+
+    const batchNumbers = parseBatchNumbers(req.body.batch_numbers);
+    const drug = await resolveRecallDrug(prisma, req.body);
+
+    const { recall, scope } = await runInLedger(async (tx) => {
+      const created = await tx.medicine_recalls.create({
+        data: {
+          ...drug,
+          batch_numbers: batchNumbers,
+          reason: reason.trim(),
+          reference_number: reference_number || null,
+          manufacturer: manufacturer || null,
+          disposition,
+          notes: notes || null,
+          initiated_by_user_id: req.user.user_id
+        }
+      });
+
+      const scope = await applyRecallScope(tx, created);
+      const recall = await loadRecall(tx, created.recall_id);
+
+      await writeAudit(tx, req, {
+        tableName: 'medicine_recalls',
+        recordId: recall.recall_id,
+        action: 'CREATE',
+        newValues: { ...recall, frozen_stocks: scope.stocks.map(s => s.stock_id) }
+      });
+
+      return { recall, scope };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: recall,
+      scope: {
+        frozen: scope.frozen,
+        recipients: scope.recipients,
+        by_barangay: scope.summary,
+        covered_by_other_recall: scope.covered_by_other_recall
+      },
+      message: `Recall opened; ${scope.frozen} batch(es) frozen in ${Object.keys(scope.summary).length} barangay(s)`
+    });
+  } catch (err) {
+    handleRecallError(res, next, 'Error opening recall:')(err);
+  }
+});
+
+/**
+ * POST /api/recalls/:id/rescan
+ * Freeze recalled batches received since the recall was opened and refresh the task figures
+ */
+router.post('/:id/rescan', requireRole(...RECALL_MANAGER_ROLES), async (req, res, next) => {
+  try {
+    const recallId = parseInt(req.params.id);
+
+    const { recall, scope } = await runInLedger(async (tx) => {
+      const existing = await tx.medicine_recalls.findUnique({ where: { recall_id: recallId } });
+      if (!existing) {
+        throw new StockLedgerError('Recall not found', 404);
+      }
+      if (existing.status !== 'ACTIVE') {
+        throw new StockLedgerError('Only active recalls can be rescanned', 409, { status: existing.status });
+      }
+
+      const scope = await applyRecallScope(tx, existing);
+
+      if (scope.frozen > 0) {
+        await writeAudit(tx, req, {
+          tableName: 'medicine_recalls',
+          recordId: recallId,
+          action: 'RESCAN',
+          newValues: { frozen: scope.frozen, by_barangay: scope.summary }
+        });
+      }
+
+      return { recall: await loadRecall(tx, recallId), scope };
+    });
+
+    res.json({
+      success: true,
+      data: recall,
+      scope: {
+        frozen: scope.frozen,
+        recipients: scope.recipients,
+        by_barangay: scope.summary,
+        covered_by_other_recall: scope.covered_by_other_recall
+      }
+    });
+  } catch (err) {
+    handleRecallError(res, next, 'Error rescanning recall:')(err);
+  }
+});
+
+/**
+ * PATCH /api/recalls/:id/tasks/:taskId
+ * Mark a barangay task as in progress and/or update its notes
+ * Body: { status?: 'IN_PROGRESS', notes? }
+ */
+router.patch('/:id/tasks/:taskId', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status, notes } = req.body;
+
+    const task = await prisma.recall_tasks.findFirst({
+      where: { task_id: parseInt(req.params.taskId), recall_id: parseInt(req.params.id) }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Recall task not found' });
+    }
+    if (user && !canModifyRecord(user, task.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (status && status !== 'IN_PROGRESS') {
+      return res.status(400).json({ error: 'Use POST /complete to finish a task', allowed: ['IN_PROGRESS'] });
+    }
+    if (task.status === 'COMPLETED') {
+      return res.status(409).json({ error: 'Recall task is already completed' });
+    }
+
+    const updated = await runInLedger(async (tx) => {
+      const updated = await tx.recall_tasks.update({
+        where: { task_id: task.task_id },
+        data: {
+          ...(status && { status }),
+          ...(notes !== undefined && { notes: notes || null }),
+          updated_at: new Date()
+        }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'recall_tasks',
+        recordId: task.task_id,
+        action: 'UPDATE',
+        oldValues: task,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    handleRecallError(res, next, 'Error updating recall task:')(err);
+  }
+});
+
+/**
+ * POST /api/recalls/:id/tasks/:taskId/complete
+ * Take whatever is left of the barangay's recalled batches out of stock (removal reason RECALLED)
+ * and close the task
+ * Body: { notes? }
+ */
+router.post('/:id/tasks/:taskId/complete', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const recallId = parseInt(req.params.id);
+    const taskId = parseInt(req.params.taskId);
+
+    const task = await prisma.recall_tasks.findFirst({
+      where: { task_id: taskId, recall_id: recallId },
+      include: { recall: true }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Recall task not found' });
+    }
+    if (user && !canModifyRecord(user, task.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+    if (task.recall.status !== 'ACTIVE') {
+      return res.status(409).json({ error: 'Recall is not active', status: task.recall.status });
+    }
+
+    const action = task.recall.disposition === 'RETURN_TO_SUPPLIER' ? 'Returned to supplier' : 'Removed';
+
+    const { updated, removals } = await runInLedger(async (tx) => {
+      const { count } = await tx.recall_tasks.updateMany({
+        where: { task_id: taskId, status: { in: ['OPEN', 'IN_PROGRESS'] } },
+        data: { status: 'COMPLETED', updated_at: new Date() }
+      });
+      if (count === 0) {
+        throw new StockLedgerError('Recall task is already completed', 409);
+      }
+
+      const stocks = await tx.medicine_stocks.findMany({
+        where: { recall_id: recallId, medicine: { barangay: task.barangay }, remaining_quantity: { gt: 0 } },
+        select: { stock_id: true, medicine_id: true, remaining_quantity: true },
+        orderBy: [{ medicine_id: 'asc' }, { stock_id: 'asc' }]
+      });
+
+      const completedAt = new Date();
+      const removals = [];
+
+      for (const stock of stocks) {
+        const lastRemoval = await tx.stock_removals.findFirst({
+          orderBy: { removal_id: 'desc' }
+        });
+        const removalId = lastRemoval ? lastRemoval.removal_id + 1 : 1;
+
+        const { transaction } = await applyStockChange(tx, {
+          req,
+          stockId: stock.stock_id,
+          quantity: stock.remaining_quantity,
+          transactionType: 'REMOVAL',
+          medicineId: stock.medicine_id,
+          notes: `Recall #${recallId}: removal #${removalId} (${action.toLowerCase()})`,
+          transactionDate: completedAt
+        });
+
+        const removal = await tx.stock_removals.create({
+          data: {
+            removal_id: removalId,
+            medicine_id: stock.medicine_id,
+            stock_id: stock.stock_id,
+            quantity_removed: transaction.quantity_changed,
+            reason: 'RECALLED',
+            notes: [`Recall #${recallId}${task.recall.reference_number ? ` (${task.recall.reference_number})` : ''} - ${action}`, req.body.notes]
+              .filter(Boolean).join(' - '),
+            date_removed: completedAt,
+            removed_by_user_id: user?.user_id || null,
+            removed_by_wallet: user?.wallet_address ? user.wallet_address.toLowerCase() : null
+          }
+        });
+
+        await writeAudit(tx, req, {
+          tableName: 'stock_removals',
+          recordId: removal.removal_id,
+          action: 'CREATE',
+          newValues: removal
+        });
+
+        removals.push(removal);
+      }
+
+      const updated = await tx.recall_tasks.update({
+        where: { task_id: taskId },
+        data: {
+          quantity_removed: task.quantity_removed + removals.reduce((sum, r) => sum + r.quantity_removed, 0),
+          notes: req.body.notes !== undefined ? req.body.notes || null : task.notes,
+          completed_by_user_id: user?.user_id || null,
+          completed_at: completedAt
+        }
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'recall_tasks',
+        recordId: taskId,
+        action: 'COMPLETE',
+        oldValues: { status: task.status },
+        newValues: { ...updated, removal_ids: removals.map(r => r.removal_id) }
+      });
+
+      return { updated, removals };
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      removals,
+      message: `${action} ${updated.quantity_removed} unit(s) for ${task.barangay}`
+    });
+  } catch (err) {
+    handleRecallError(res, next, 'Error completing recall task:')(err);
+  }
+});
+
+/**
+ * PATCH /api/recalls/:id/close
+ * Close a recall once every barangay task is completed; batches stay frozen
+ */
+router.patch('/:id/close', requireRole(...RECALL_MANAGER_ROLES), async (req, res, next) => {
+  try {
+    const recallId = parseInt(req.params.id);
+
+    const recall = await runInLedger(async (tx) => {
+      const openTasks = await tx.recall_tasks.count({
+        where: { recall_id: recallId, status: { not: 'COMPLETED' } }
+      });
+      if (openTasks > 0) {
+        throw new StockLedgerError('Every barangay task must be completed before the recall is closed', 409, {
+          open_tasks: openTasks
+        });
+      }
+
+      await transitionRecall(tx, recallId, ['ACTIVE'], {
+        status: 'CLOSED',
+        closed_by_user_id: req.user.user_id,
+        closed_at: new Date()
+      });
+
+      const recall = await loadRecall(tx, recallId);
+
+      await writeAudit(tx, req, {
+        tableName: 'medicine_recalls',
+        recordId: recallId,
+        action: 'CLOSE',
+        oldValues: { status: 'ACTIVE' },
+        newValues: recall
+      });
+
+      return recall;
+    });
+
+    res.json({ success: true, data: recall, message: 'Recall closed' });
+  } catch (err) {
+    handleRecallError(res, next, 'Error closing recall:')(err);
+  }
+});
+
+/**
+ * PATCH /api/recalls/:id/cancel
+ * Withdraw a recall opened in error and unfreeze its batches
+ * Not allowed once any recalled stock has been removed
+ */
+router.patch('/:id/cancel', requireRole(...RECALL_MANAGER_ROLES), async (req, res, next) => {
+  try {
+    const recallId = parseInt(req.params.id);
+
+    const recall = await runInLedger(async (tx) => {
+      const removed = await tx.recall_tasks.aggregate({
+        where: { recall_id: recallId },
+        _sum: { quantity_removed: true }
+      });
+      if ((removed._sum.quantity_removed || 0) > 0) {
+        throw new StockLedgerError('Recalled stock has already been removed; close the recall instead', 409, {
+          quantity_removed: removed._sum.quantity_removed
+        });
+      }
+
+      await transitionRecall(tx, recallId, ['ACTIVE'], {
+        status: 'CANCELLED',
+        closed_by_user_id: req.user.user_id,
+        closed_at: new Date()
+      });
+
+      const frozen = await tx.medicine_stocks.findMany({
+        where: { recall_id: recallId },
+        select: { medicine_id: true },
+        distinct: ['medicine_id'],
+        orderBy: { medicine_id: 'asc' }
+      });
+      for (const { medicine_id } of frozen) {
+        await lockMedicine(tx, medicine_id);
+      }
+
+      const { count } = await tx.medicine_stocks.updateMany({
+        where: { recall_id: recallId },
+        data: { recall_id: null }
+      });
+
+      const recall = await loadRecall(tx, recallId);
+
+      await writeAudit(tx, req, {
+        tableName: 'medicine_recalls',
+        recordId: recallId,
+        action: 'CANCEL',
+        oldValues: { status: 'ACTIVE' },
+        newValues: { ...recall, unfrozen_stocks: count }
+      });
+
+      return recall;
+    });
+
+    res.json({ success: true, data: recall, message: 'Recall cancelled and batches released' });
+  } catch (err) {
+    handleRecallError(res, next, 'Error cancelling recall:')(err);
+  }
+});
+
+export default router;
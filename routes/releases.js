@@ -3,6 +3,13 @@ import express from "express";
 import { PrismaClient } from "@prisma/client";
 import { logAuditFromRequest } from '../utils/auditLogger.js';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { runInLedger, lockMedicine, allocateFefo, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { convertToBaseUnits } from '../services/unitConversion.js';
+import { validatePrescription, enforceQuantityCap, verifyCosign, assertCosignUnused, buildCosignMessage } from '../services/dispensingRules.js';
+import { checkDuplicateDispensing } from '../services/medicationHistory.js';
+import { findClinicalConflicts, loadClinicalProfile, enforceClinicalChecks } from '../services/clinicalChecks.js';
+import { loadPrescriptionItem, prescriptionFromItem, assertItemFillable, lockPrescriptionItem, recordFill } from '../services/prescriptionFill.js';
+import { requireRole } from '../middleware/auth.js';
 // import { authenticateUser } from '../middleware/auth.js';
 
 // // Uncomment these:
@@ -35,6 +42,36 @@ const prisma = new PrismaClient();
 //   return user.assigned_barangay === recordBarangay;
 // };
 
+// Catalog fields the release checks read
+const clinicalCatalogSelect = {
+  generic_name: true,
+  drug_class: true,
+  contraindicated_conditions: true,
+  pregnancy_category: true,
+  duplicate_window_days: true
+};
+
+const REVERSAL_REASONS = ['PATIENT_RETURNED', 'DISPENSED_IN_ERROR', 'WRONG_RESIDENT', 'WRONG_MEDICINE', 'OTHER'];
+
+/**
+ * Anchor a reversal on-chain when the release it reverses was anchored
+ * Failures are reported, not thrown: the reversal is already committed and can be re-anchored
+ */
+const anchorReversal = async (reversal, release) => {
+  if (!release.blockchain_hash) {
+    return { anchored: false, reason: 'Original release is not anchored on-chain' };
+  }
+
+  try {
+    const { default: blockchainService } = await import('../utils/blockchainUtils.js');
+    const result = await blockchainService.syncReversalToBlockchain(reversal, release);
+    return { anchored: true, blockchain_hash: result.dataHash, blockchain_tx_hash: result.txHash };
+  } catch (bcErr) {
+    console.error('Blockchain anchoring of reversal failed:', bcErr.message);
+    return { anchored: false, error: bcErr.message };
+  }
+};
+
 // ============================================
 // ROUTES
 // ============================================
@@ -101,6 +138,98 @@ router.get("/stats", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/releases/cosign-message
+ * Message a second pharmacist / admin signs to co-sign a controlled release
+ * Requested by the dispensing user: the message names them, and each signature is accepted once
+ * Query: medicine_id, quantity, unit?, resident_id?, wallet_address (co-signer)
+ */
+router.get("/cosign-message", async (req, res, next) => {
+  try {
+    const { medicine_id, quantity, unit, resident_id, wallet_address } = req.query;
+
+    if (!medicine_id || !quantity || !wallet_address) {
+      return res.status(400).json({ error: 'medicine_id, quantity and wallet_address are required' });
+    }
+
+    const medicine = await prisma.medicine_records.findUnique({
+      where: { medicine_id: parseInt(medicine_id) }
+    });
+
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const baseQuantity = unit
+      ? await convertToBaseUnits(prisma, medicine, quantity, unit)
+      : parseInt(quantity);
+    const timestamp = Date.now();
+
+    res.json({
+      success: true,
+      message: buildCosignMessage({
+        medicine_id: medicine.medicine_id,
+        resident_id: resident_id ? parseInt(resident_id) : null,
+        quantity: baseQuantity,
+        dispenser_id: req.user?.user_id || null,
+        wallet_address,
+        timestamp
+      }),
+      timestamp,
+      is_controlled: medicine.is_controlled
+    });
+  } catch (err) {
+    console.error('Error building co-sign message:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    next(err);
+  }
+});
+
+/**
+ * GET /api/releases/clinical-check
+ * Allergy / condition / pregnancy conflicts for a medicine and resident, before releasing
+ * Query: medicine_id, resident_id
+ */
+router.get("/clinical-check", async (req, res, next) => {
+  try {
+    const medicineId = parseInt(req.query.medicine_id);
+    const residentId = parseInt(req.query.resident_id);
+
+    if (isNaN(medicineId) || isNaN(residentId)) {
+      return res.status(400).json({ error: 'medicine_id and resident_id are required' });
+    }
+
+    const [medicine, resident] = await Promise.all([
+      prisma.medicine_records.findUnique({
+        where: { medicine_id: medicineId },
+        include: { catalog: { select: clinicalCatalogSelect } }
+      }),
+      loadClinicalProfile(prisma, residentId)
+    ]);
+
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+    if (!resident) {
+      return res.status(404).json({ error: 'Resident not found' });
+    }
+
+    const findings = findClinicalConflicts(medicine, resident);
+
+    res.json({
+      success: true,
+      data: findings,
+      blocked: findings.some(f => f.level === 'BLOCK'),
+      override_required: findings.some(f => f.level === 'OVERRIDE_REQUIRED')
+    });
+  } catch (err) {
+    console.error('Error running clinical check:', err);
+    next(err);
+  }
+});
+
 /**
  * GET all medicine releases with barangay filtering
  */
@@ -163,6 +292,14 @@ router.get("/", async (req, res, next) => {
               full_name: true,
               wallet_address: true
             }
+          },
+          reversals: {
+            select: {
+              reversal_id: true,
+              quantity_returned: true,
+              reason: true,
+              reversed_at: true
+            }
           }
         },
         orderBy: { date_released: 'desc' },
@@ -223,6 +360,27 @@ router.get("/:id", async (req, res, next) => {
             full_name: true,
             wallet_address: true
           }
+        },
+        cosigned_by_user: {
+          select: {
+            full_name: true,
+            wallet_address: true
+          }
+        },
+        consultation: {
+          select: {
+            consultation_id: true,
+            scheduled_date: true,
+            diagnosis: true
+          }
+        },
+        prescription_item: true,
+        reversals: {
+          include: {
+            reversed_by_user: { select: { full_name: true } },
+            transaction: true
+          },
+          orderBy: { reversed_at: 'asc' }
         }
       }
     });
@@ -249,6 +407,13 @@ router.get("/:id", async (req, res, next) => {
 
 /**
  * POST new release with barangay validation
+ * When stock_id is omitted, batches are picked first-expiry-first-out
+ * and the release is split across as many batches as needed
+ * Prescription-only / controlled medicines need a valid prescription, stay within the
+ * per-resident quantity cap and (controlled) carry a co-sign: { wallet_address, signature, timestamp }
+ * prescription_item_id fills (fully or partly) a consultation prescription line item
+ * Same generic to the same resident within the duplicate window warns or blocks (override_reason)
+ * Allergy / condition / pregnancy conflicts block or need clinical_override_reason
  */
 router.post("/", async (req, res, next) => {
   try {
@@ -256,11 +421,26 @@ router.post("/", async (req, res, next) => {
     const walletAddress = req.headers['x-wallet-address'];
     const user = req.user || null;
     
-    const { medicine_id, stock_id } = req.body;
+    // unit is optional; quantities are stored in the medicine's base unit
+    const {
+      medicine_id,
+      stock_id,
+      unit,
+      cosign,
+      prescription_number,
+      prescribing_doctor,
+      prescription_date,
+      prescription_item_id,
+      consultation_id,
+      override_reason,
+      clinical_override_reason,
+      ...releaseFields
+    } = req.body;
 
     // Verify medicine exists and user has access to its barangay
     const medicine = await prisma.medicine_records.findUnique({
-      where: { medicine_id: parseInt(medicine_id) }
+      where: { medicine_id: parseInt(medicine_id) },
+      include: { catalog: { select: clinicalCatalogSelect } }
     });
 
     if (!medicine) {
@@ -276,68 +456,172 @@ router.post("/", async (req, res, next) => {
       });
     }
 
-    // Verify stock exists
-    const stock = await prisma.medicine_stocks.findUnique({
-      where: { stock_id: parseInt(stock_id) }
-    });
+    const quantityEntered = parseInt(req.body.quantity_released);
 
-    if (!stock) {
-      return res.status(404).json({ error: 'Stock not found' });
+    if (isNaN(quantityEntered) || quantityEntered <= 0) {
+      return res.status(400).json({ error: 'quantity_released must be a positive number' });
     }
 
-    // Check if enough quantity available
-    if (stock.remaining_quantity < req.body.quantity_released) {
-      return res.status(400).json({
-        error: 'Insufficient stock quantity',
-        available: stock.remaining_quantity,
-        requested: req.body.quantity_released
-      });
+    const quantityRequested = unit
+      ? await convertToBaseUnits(prisma, medicine, quantityEntered, unit)
+      : quantityEntered;
+
+    // Filling a consultation prescription: the consultation supplies the resident and prescriber
+    const prescriptionItemId = prescription_item_id ? parseInt(prescription_item_id) : null;
+    const prescriptionItem = prescriptionItemId
+      ? await loadPrescriptionItem(prisma, prescriptionItemId)
+      : null;
+
+    if (prescriptionItemId && !prescriptionItem) {
+      return res.status(404).json({ error: 'Prescription item not found' });
+    }
+    if (prescriptionItem && consultation_id && parseInt(consultation_id) !== prescriptionItem.consultation_id) {
+      return res.status(400).json({ error: 'Prescription item belongs to a different consultation' });
     }
 
-    // Create release
-    const release = await prisma.medicine_releases.create({ 
-      data: {
-        ...req.body,
-        released_by_user_id: user?.user_id || null,
-        released_by_wallet: walletAddress || null
-      },
-      include: {
-        medicine: {
-          select: {
-            medicine_name: true,
-            barangay: true
-          }
-        }
-      }
+    const residentId = releaseFields.resident_id
+      ? parseInt(releaseFields.resident_id)
+      : prescriptionItem?.consultation.resident_id || null;
+    const prescriptionFields = { prescription_number, prescribing_doctor, prescription_date };
+    const prescription = validatePrescription(
+      medicine,
+      prescriptionItem ? prescriptionFromItem(prescriptionItem, prescriptionFields) : prescriptionFields
+    );
+    const clinicalCheck = await enforceClinicalChecks(prisma, {
+      medicine,
+      residentId,
+      user,
+      clinical_override_reason
+    });
+    const cosigner = await verifyCosign(prisma, {
+      medicine,
+      user,
+      cosign,
+      residentId,
+      quantity: quantityRequested
     });
 
-    // Update stock quantity
-    await prisma.medicine_stocks.update({
-      where: { stock_id: parseInt(stock_id) },
-      data: {
-        remaining_quantity: {
-          decrement: req.body.quantity_released
-        }
+    // Check, decrement, ledger row and audit commit together; batch rows stay
+    // locked until the transaction ends so concurrent releases cannot oversell
+    const residentName = releaseFields.resident_name || prescriptionItem?.consultation.patient_name;
+
+    const { releases, allocations, quantityCap, filledItem, duplicateCheck } = await runInLedger(async (tx) => {
+      // Medicine row lock serializes releases of this medicine, so the cap check cannot be raced
+      await lockMedicine(tx, medicine.medicine_id);
+      const quantityCap = await enforceQuantityCap(tx, medicine, residentId, quantityRequested);
+      await assertCosignUnused(tx, cosigner);
+      const duplicateCheck = await checkDuplicateDispensing(tx, {
+        medicine,
+        residentId,
+        residentName,
+        prescriptionItemId,
+        user,
+        override_reason
+      });
+
+      const lockedItem = prescriptionItemId
+        ? await lockPrescriptionItem(tx, prescriptionItemId)
+        : null;
+      if (lockedItem) {
+        assertItemFillable(lockedItem, medicine, residentId, quantityRequested);
+      }
+
+      // No batch picked by the caller - allocate FEFO across batches
+      const allocations = stock_id
+        ? [{ stock_id: parseInt(stock_id), quantity: quantityRequested }]
+        : await allocateFefo(tx, medicine.medicine_id, quantityRequested);
+
+      const releases = [];
+
+      for (const allocation of allocations) {
+        const release = await tx.medicine_releases.create({
+          data: {
+            ...releaseFields,
+            ...prescription,
+            cosigned_by_user_id: cosigner?.user_id || null,
+            cosigned_at: cosigner ? new Date() : null,
+            cosign_signature_hash: cosigner?.signature_hash || null,
+            resident_id: residentId,
+            resident_name: residentName,
+            consultation_id: lockedItem?.consultation_id || (consultation_id ? parseInt(consultation_id) : null),
+            prescription_item_id: lockedItem?.item_id || null,
+            medicine_id: medicine.medicine_id,
+            stock_id: allocation.stock_id,
+            quantity_released: allocation.quantity,
+            released_by_user_id: user?.user_id || null,
+            released_by_wallet: walletAddress || null
+          },
+          include: {
+            medicine: {
+              select: {
+                medicine_name: true,
+                barangay: true
+              }
+            }
+          }
+        });
+
+        await applyStockChange(tx, {
+          req,
+          stockId: allocation.stock_id,
+          quantity: allocation.quantity,
+          transactionType: 'REMOVAL',
+          medicineId: medicine.medicine_id,
+          notes: `Medicine release #${release.release_id}`,
+          performedByWallet: walletAddress,
+          rejectRecalled: true
+        });
+
+        // POST /api/releases - Create release
+        await writeAudit(tx, req, {
+          tableName: 'medicine_releases',
+          recordId: release.release_id,
+          action: 'CREATE',
+          oldValues: null,
+          newValues: {
+            ...release,
+            ...(duplicateCheck && { duplicate_check: duplicateCheck }),
+            ...(clinicalCheck && { clinical_check: clinicalCheck })
+          }
+        });
+
+        releases.push(release);
       }
+
+      const filledItem = lockedItem
+        ? await recordFill(tx, lockedItem, quantityRequested)
+        : null;
+
+      return { releases, allocations, quantityCap, filledItem, duplicateCheck };
     });
-    
-    // POST /api/releases - Create release
-    await logAuditFromRequest({
-      req,
-      tableName: 'medicine_releases',
-      recordId: release.release_id,
-      action: 'CREATE',
-      oldValues: null,
-      newValues: release,
-    }).catch(err => console.error('Audit log failed:', err));
-    
+
+    if (stock_id) {
+      return res.status(201).json({
+        success: true,
+        data: releases[0],
+        quantityCap,
+        prescriptionItem: filledItem,
+        duplicateWarning: duplicateCheck,
+        clinicalWarnings: clinicalCheck,
+        message: `Release created for ${medicine.barangay}`
+      });
+    }
+
     res.status(201).json({
       success: true,
-      data: release,
-      message: `Release created for ${medicine.barangay}`
+      data: releases,
+      allocations,
+      quantityCap,
+      prescriptionItem: filledItem,
+      duplicateWarning: duplicateCheck,
+      clinicalWarnings: clinicalCheck,
+      message: `Release created for ${medicine.barangay} from ${allocations.length} batch(es)`
     });
   } catch (err) {
     console.error('Error creating release:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     res.status(500).json({ 
       error: 'Failed to create release',
       details: err.message 
@@ -400,8 +684,13 @@ router.patch("/:id", async (req, res, next) => {
   }
 });
 
+// Release fields that can be corrected in place; quantity, batch, resident and
+// prescription-line corrections go through a reversal and a new release
+const EDITABLE_RELEASE_FIELDS = ['concern', 'notes', 'dosage_instructions', 'prescription_number', 'prescribing_doctor', 'prescription_date'];
+
 /**
  * PUT update release with barangay access check
+ * Only EDITABLE_RELEASE_FIELDS can be changed; anything touching stock is refused with 400
  */
 router.put("/:id", async (req, res, next) => {
   try {
@@ -415,7 +704,8 @@ router.put("/:id", async (req, res, next) => {
       include: {
         medicine: {
           select: { barangay: true }
-        }
+        },
+        reversals: { select: { reversal_id: true } }
       }
     });
     
@@ -427,10 +717,37 @@ router.put("/:id", async (req, res, next) => {
     if (user && !canModifyRecord(user, oldRelease.medicine.barangay)) {
       return res.status(403).json({ error: 'Access denied' });
     }
+
+    // A reversed release is part of the ledger history and stays as recorded
+    if (oldRelease.reversals.length > 0) {
+      return res.status(409).json({
+        error: 'Release has been reversed and can no longer be changed',
+        reversal_id: oldRelease.reversals[0].reversal_id
+      });
+    }
     
+    const notEditable = Object.keys(req.body).filter(field => !EDITABLE_RELEASE_FIELDS.includes(field));
+    if (notEditable.length > 0) {
+      return res.status(400).json({
+        error: 'Only descriptive fields of a release can be edited; reverse the release and record a new one to change quantity, batch or recipient',
+        fields: notEditable,
+        editable: EDITABLE_RELEASE_FIELDS
+      });
+    }
+
+    const data = Object.fromEntries(EDITABLE_RELEASE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    if (data.prescription_date) {
+      data.prescription_date = new Date(data.prescription_date);
+      if (isNaN(data.prescription_date.getTime())) {
+        return res.status(400).json({ error: 'prescription_date is not a valid date' });
+      }
+    }
+
     const release = await prisma.medicine_releases.update({
       where: { release_id: releaseId },
-      data: req.body
+      data
     });
     
     // PUT /api/releases/:id - Update release
@@ -469,7 +786,8 @@ router.delete("/:id", async (req, res, next) => {
       include: {
         medicine: {
           select: { barangay: true }
-        }
+        },
+        reversals: { select: { reversal_id: true } }
       }
     });
     
@@ -482,37 +800,66 @@ router.delete("/:id", async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Restore stock quantity before deleting
-    await prisma.medicine_stocks.update({
-      where: { stock_id: oldRelease.stock_id },
-      data: {
-        remaining_quantity: {
-          increment: oldRelease.quantity_released
-        }
+    // A reversed release is part of the ledger history and stays as recorded
+    if (oldRelease.reversals.length > 0) {
+      return res.status(409).json({
+        error: 'Release has been reversed and can no longer be changed',
+        reversal_id: oldRelease.reversals[0].reversal_id
+      });
+    }
+
+    // Stock goes back through the ledger (ADDITION row) together with the delete
+    await runInLedger(async (tx) => {
+      await lockMedicine(tx, oldRelease.medicine_id);
+
+      const reversed = await tx.release_reversals.findFirst({
+        where: { release_id: releaseId },
+        select: { reversal_id: true }
+      });
+      if (reversed) {
+        throw new StockLedgerError('Release has been reversed and can no longer be changed', 409, reversed);
       }
+
+      const { count } = await tx.medicine_releases.deleteMany({ where: { release_id: releaseId } });
+      if (count === 0) {
+        throw new StockLedgerError('Release not found', 404);
+      }
+
+      await applyStockChange(tx, {
+        req,
+        stockId: oldRelease.stock_id,
+        quantity: oldRelease.quantity_released,
+        transactionType: 'ADDITION',
+        medicineId: oldRelease.medicine_id,
+        notes: `Medicine release #${releaseId} deleted`,
+        performedByWallet: walletAddress
+      });
+
+      // Deleted release no longer counts towards its prescription item
+      if (oldRelease.prescription_item_id) {
+        const item = await lockPrescriptionItem(tx, oldRelease.prescription_item_id);
+        await recordFill(tx, item, -oldRelease.quantity_released);
+      }
+
+      // DELETE /api/releases/:id - Delete release
+      await writeAudit(tx, req, {
+        tableName: 'medicine_releases',
+        recordId: releaseId,
+        action: 'DELETE',
+        oldValues: oldRelease,
+        newValues: null
+      });
     });
     
-    await prisma.medicine_releases.delete({
-      where: { release_id: releaseId }
-    });
-    
-    // DELETE /api/releases/:id - Delete release
-    await logAuditFromRequest({
-      req,
-      tableName: 'medicine_releases',
-      recordId: releaseId,
-      action: 'DELETE',
-      oldValues: oldRelease,
-      newValues: null,
-    }).catch(err => console.error('Audit log failed:', err));
-    
     res.json({ 
       success: true,
       message: "Release deleted successfully and stock restored" 
     });
   } catch (err) {
     console.error('Error deleting release:', err);
-    if (err.code === "P2025") {
+    if (err instanceof StockLedgerError) {
+      res.status(err.status).json({ error: err.message, ...err.details });
+    } else if (err.code === "P2025") {
       res.status(404).json({ error: "Release not found" });
     } else {
       next(err);
@@ -520,6 +867,169 @@ router.delete("/:id", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/releases/:id/reverse
+ * Return a release to its original batch (patient returned it / dispensed in error)
+ * The stock comes back through a stock_transactions ADDITION; the release row is left
+ * untouched and linked to the reversal. Anchored releases get their reversal anchored too.
+ * A release can be reversed in parts until everything released has come back.
+ * Body: { reason, quantity? (default: all not yet returned), notes? }
+ */
+router.post("/:id/reverse", requireRole('ADMIN', 'PHARMACIST', 'STAFF'), async (req, res, next) => {
+  try {
+    const releaseId = Number(req.params.id);
+    const walletAddress = req.headers['x-wallet-address'];
+    const user = req.user;
+    const { reason, notes } = req.body;
+
+    if (!REVERSAL_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${REVERSAL_REASONS.join(', ')}` });
+    }
+
+    const release = await prisma.medicine_releases.findUnique({
+      where: { release_id: releaseId },
+      include: {
+        medicine: { select: { medicine_id: true, medicine_name: true, barangay: true } },
+        reversals: { select: { quantity_returned: true } }
+      }
+    });
+
+    if (!release) {
+      return res.status(404).json({ error: "Release not found" });
+    }
+
+    if (!canModifyRecord(user, release.medicine.barangay)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const alreadyReturned = release.reversals.reduce((sum, r) => sum + r.quantity_returned, 0);
+    const returnable = release.quantity_released - alreadyReturned;
+    if (returnable <= 0) {
+      return res.status(409).json({
+        error: 'Release has already been fully reversed',
+        quantity_released: release.quantity_released
+      });
+    }
+
+    const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity) : returnable;
+    if (isNaN(quantity) || quantity <= 0 || quantity > returnable) {
+      return res.status(400).json({
+        error: `quantity must be between 1 and ${returnable}`,
+        quantity_released: release.quantity_released,
+        quantity_returned: alreadyReturned
+      });
+    }
+
+    const reversal = await runInLedger(async (tx) => {
+      await lockMedicine(tx, release.medicine_id);
+
+      // Re-check under the lock so concurrent reversals cannot return more than was released
+      const returned = await tx.release_reversals.aggregate({
+        where: { release_id: releaseId },
+        _sum: { quantity_returned: true }
+      });
+      const returnedSoFar = returned._sum.quantity_returned || 0;
+      if (returnedSoFar + quantity > release.quantity_released) {
+        throw new StockLedgerError('Reversal would return more than was released', 409, {
+          quantity_released: release.quantity_released,
+          quantity_returned: returnedSoFar,
+          requested: quantity
+        });
+      }
+
+      const { transaction } = await applyStockChange(tx, {
+        req,
+        stockId: release.stock_id,
+        quantity,
+        transactionType: 'ADDITION',
+        medicineId: release.medicine_id,
+        notes: `Reversal of release #${releaseId} (${reason})`,
+        performedByWallet: walletAddress
+      });
+
+      const reversal = await tx.release_reversals.create({
+        data: {
+          release_id: releaseId,
+          stock_id: release.stock_id,
+          quantity_returned: quantity,
+          reason,
+          notes: notes || null,
+          transaction_id: transaction.transaction_id,
+          reversed_by_user_id: user.user_id,
+          reversed_by_wallet: walletAddress || null
+        }
+      });
+
+      // Returned units no longer count towards the prescription they filled
+      if (release.prescription_item_id) {
+        const item = await lockPrescriptionItem(tx, release.prescription_item_id);
+        await recordFill(tx, item, -quantity);
+      }
+
+      await writeAudit(tx, req, {
+        tableName: 'medicine_releases',
+        recordId: releaseId,
+        action: 'REVERSE',
+        oldValues: release,
+        newValues: reversal
+      });
+
+      return reversal;
+    });
+
+    const blockchain = await anchorReversal(reversal, release);
+
+    res.status(201).json({
+      success: true,
+      data: reversal,
+      blockchain,
+      message: `${quantity} unit(s) of ${release.medicine.medicine_name} returned to stock`
+    });
+  } catch (err) {
+    console.error('Error reversing release:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /api/releases/reversals/:reversalId/anchor
+ * Retry anchoring a reversal whose on-chain write failed
+ */
+router.post("/reversals/:reversalId/anchor", requireRole('ADMIN', 'PHARMACIST'), async (req, res, next) => {
+  try {
+    const reversal = await prisma.release_reversals.findUnique({
+      where: { reversal_id: Number(req.params.reversalId) },
+      include: { release: { include: { medicine: { select: { barangay: true } } } } }
+    });
+
+    if (!reversal) {
+      return res.status(404).json({ error: 'Reversal not found' });
+    }
+
+    if (!canModifyRecord(req.user, reversal.release.medicine.barangay)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (reversal.blockchain_tx_hash) {
+      return res.status(409).json({
+        error: 'Reversal is already anchored',
+        blockchain_tx_hash: reversal.blockchain_tx_hash
+      });
+    }
+
+    const { release, ...reversalData } = reversal;
+    const blockchain = await anchorReversal(reversalData, release);
+
+    res.status(blockchain.anchored ? 200 : 502).json({ success: blockchain.anchored, blockchain });
+  } catch (err) {
+    console.error('Error anchoring reversal:', err);
+    next(err);
+  }
+});
+
 /**
  * GET /api/releases/barangay/:barangay
  * Get releases for specific barangay (admin only)
@@ -3,7 +3,9 @@ import express from "express";
 import { PrismaClient } from "@prisma/client";
 import { logAuditFromRequest } from '../utils/auditLogger.js';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, requireRole } from '../middleware/auth.js';
+import { runInLedger, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { APPROVER_ROLES, approvalRequirement, assertCanDecide } from '../services/removalApproval.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -25,16 +27,19 @@ router.get("/stats", async (req, res, next) => {
       totalRemovals,
       todayRemovals,
       thisMonthRemovals,
-      removalsByReason
+      removalsByReason,
+      pendingApprovals
     ] = await Promise.all([
       prisma.stock_removals.count({
         where: {
-          medicine: barangayFilter
+          medicine: barangayFilter,
+          status: 'APPROVED'
         }
       }),
       prisma.stock_removals.count({
         where: {
           medicine: barangayFilter,
+          status: 'APPROVED',
           date_removed: {
             gte: new Date(new Date().setHours(0, 0, 0, 0))
           }
@@ -43,6 +48,7 @@ router.get("/stats", async (req, res, next) => {
       prisma.stock_removals.count({
         where: {
           medicine: barangayFilter,
+          status: 'APPROVED',
           date_removed: {
             gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
           }
@@ -51,12 +57,19 @@ router.get("/stats", async (req, res, next) => {
       prisma.stock_removals.groupBy({
         by: ['reason'],
         where: {
-          medicine: barangayFilter
+          medicine: barangayFilter,
+          status: 'APPROVED'
         },
         _count: true,
         _sum: {
           quantity_removed: true
         }
+      }),
+      prisma.stock_removals.count({
+        where: {
+          medicine: barangayFilter,
+          status: 'PENDING'
+        }
       })
     ]);
 
@@ -66,6 +79,7 @@ router.get("/stats", async (req, res, next) => {
         totalRemovals,
         todayRemovals,
         thisMonthRemovals,
+        pendingApprovals,
         removalsByReason: removalsByReason.reduce((acc, item) => {
           acc[item.reason] = {
             count: item._count,
@@ -94,7 +108,8 @@ router.get("/stats/summary", async (req, res, next) => {
     const { start_date, end_date } = req.query;
     
     const where = {
-      medicine: barangayFilter
+      medicine: barangayFilter,
+      status: 'APPROVED'
     };
 
     if (start_date || end_date) {
@@ -183,7 +198,7 @@ router.get("/", async (req, res, next) => {
     const user = req.user || null;
     const barangayFilter = getBarangayFilter(user);
     
-    const { medicine_id, stock_id, reason, start_date, end_date, barangay, page = 1, limit = 50 } = req.query;
+    const { medicine_id, stock_id, reason, status, start_date, end_date, barangay, page = 1, limit = 50 } = req.query;
     
     const where = {
       medicine: barangayFilter
@@ -197,6 +212,7 @@ router.get("/", async (req, res, next) => {
     if (medicine_id) where.medicine_id = parseInt(medicine_id);
     if (stock_id) where.stock_id = parseInt(stock_id);
     if (reason) where.reason = reason;
+    if (status) where.status = status;
     if (start_date || end_date) {
       where.date_removed = {};
       if (start_date) where.date_removed.gte = new Date(start_date);
@@ -258,6 +274,61 @@ router.get("/", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/removals/pending
+ * LOST / DAMAGED removals waiting for approval, oldest first
+ */
+router.get("/pending", async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const barangayFilter = getBarangayFilter(user);
+
+    const removals = await prisma.stock_removals.findMany({
+      where: {
+        medicine: barangayFilter,
+        status: 'PENDING'
+      },
+      include: {
+        medicine: {
+          select: {
+            medicine_id: true,
+            medicine_name: true,
+            generic_name: true,
+            barangay: true
+          }
+        },
+        stock: {
+          select: {
+            stock_id: true,
+            batch_number: true,
+            expiry_date: true,
+            remaining_quantity: true,
+            unit_cost: true
+          }
+        },
+        removed_by_user: {
+          select: {
+            user_id: true,
+            full_name: true,
+            wallet_address: true
+          }
+        }
+      },
+      orderBy: { created_at: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: removals,
+      total: removals.length,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching pending removals:', err);
+    next(err);
+  }
+});
+
 /**
  * GET /api/removals/:id
  * Get single removal by ID with barangay access check
@@ -283,7 +354,14 @@ router.get('/:id', async (req, res) => {
           }
         },
         stock: true,
-        removed_by_user: true
+        removed_by_user: true,
+        decided_by_user: {
+          select: {
+            user_id: true,
+            full_name: true,
+            role: true
+          }
+        }
       }
     });
 
@@ -301,7 +379,10 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /api/removals
  * Create new removal with barangay validation
- * ✅ FIXED: Does NOT update stock quantity here - frontend does it after blockchain
+ * Stock is decremented in the same transaction through the inventory ledger,
+ * except for LOST / DAMAGED removals over the approval thresholds, which are saved as PENDING
+ * Clients must not PATCH /stocks/:id afterwards: after blockchain confirmation only
+ * PATCH /removals/:id/blockchain is called (the stock PATCH rejects a second decrement)
  */
 router.post("/", async (req, res, next) => {
   try {
@@ -351,82 +432,332 @@ router.post("/", async (req, res, next) => {
       });
     }
 
-    // Check stock availability (validation only, DO NOT update yet)
+    // The authenticated user is always the requester; body fields only name
+    // the remover for unauthenticated (legacy) clients
+    let userId = null;
+    let requesterWallet = null;
+
+    if (user) {
+      userId = user.user_id;
+      requesterWallet = user.wallet_address ? user.wallet_address.toLowerCase() : null;
+    } else {
+      userId = removed_by_user_id ? parseInt(removed_by_user_id) : null;
+      requesterWallet = removed_by_wallet ? removed_by_wallet.toLowerCase() : null;
+
+      if (requesterWallet && !userId) {
+        const userRecord = await prisma.users.findUnique({
+          where: { wallet_address: requesterWallet }
+        });
+        if (userRecord) {
+          userId = userRecord.user_id;
+        }
+      }
+    }
+
+    const quantityToRemove = parseInt(quantity_removed);
+
+    if (isNaN(quantityToRemove) || quantityToRemove <= 0) {
+      return res.status(400).json({ error: 'quantity_removed must be a positive number' });
+    }
+
     const stock = await prisma.medicine_stocks.findUnique({
-      where: { stock_id: parseInt(stock_id) }
+      where: { stock_id: parseInt(stock_id) },
+      select: { stock_id: true, medicine_id: true, remaining_quantity: true, unit_cost: true }
+    });
+
+    if (!stock || stock.medicine_id !== medicine.medicine_id) {
+      return res.status(404).json({ error: 'Stock not found for this medicine' });
+    }
+
+    const approval = approvalRequirement({
+      reason,
+      quantity: quantityToRemove,
+      unitCost: stock.unit_cost
     });
 
-    if (!stock) {
-      return res.status(404).json({ error: "Stock not found" });
+    // The second-person check compares the approver with the requester, so it must be known
+    if (approval.required && !user) {
+      return res.status(401).json({
+        error: 'Authentication required for removals that need approval',
+        exceeded: approval.exceeded
+      });
     }
 
-    if (stock.remaining_quantity < quantity_removed) {
+    if (approval.required && quantityToRemove > stock.remaining_quantity) {
       return res.status(400).json({
-        error: "Insufficient stock quantity",
+        error: 'Insufficient stock',
         available: stock.remaining_quantity,
-        requested: quantity_removed
+        requested: quantityToRemove
       });
     }
 
-    // Find user_id from wallet address if provided
-    let userId = removed_by_user_id ? parseInt(removed_by_user_id) : null;
-    
-    if (removed_by_wallet && !userId) {
-      const userRecord = await prisma.users.findUnique({
-        where: { wallet_address: removed_by_wallet.toLowerCase() }
+    // Removal row, stock decrement, ledger row and audit commit together
+    const removal = await runInLedger(async (tx) => {
+      // Generate new removal_id
+      const lastRemoval = await tx.stock_removals.findFirst({
+        orderBy: { removal_id: "desc" }
       });
-      if (userRecord) {
-        userId = userRecord.user_id;
+      const newRemovalId = lastRemoval ? lastRemoval.removal_id + 1 : 1;
+
+      // Pending removals leave the stock alone until approved
+      if (!approval.required) {
+        await applyStockChange(tx, {
+          req,
+          stockId: parseInt(stock_id),
+          quantity: quantityToRemove,
+          transactionType: 'REMOVAL',
+          medicineId: parseInt(medicine_id),
+          notes: `Stock removal #${newRemovalId} (${reason})`,
+          transactionDate: new Date(date_removed),
+          performedByWallet: requesterWallet
+        });
       }
+
+      const removal = await tx.stock_removals.create({
+        data: {
+          removal_id: newRemovalId,
+          medicine_id: parseInt(medicine_id),
+          stock_id: parseInt(stock_id),
+          quantity_removed: quantityToRemove,
+          reason,
+          notes: notes || null,
+          date_removed: new Date(date_removed),
+          removed_by_user_id: userId,
+          removed_by_wallet: requesterWallet,
+          status: approval.required ? 'PENDING' : 'APPROVED',
+          estimated_value: approval.estimated_value
+        },
+        include: {
+          medicine: {
+            select: {
+              medicine_name: true,
+              barangay: true
+            }
+          },
+          stock: true,
+          removed_by_user: true
+        }
+      });
+
+      // POST /api/removals - Create removal
+      await writeAudit(tx, req, {
+        tableName: 'stock_removals',
+        recordId: removal.removal_id,
+        action: 'CREATE',
+        oldValues: null,
+        newValues: removal
+      });
+
+      return removal;
+    });
+
+    if (approval.required) {
+      return res.status(202).json({
+        success: true,
+        data: removal,
+        approval: {
+          exceeded: approval.exceeded,
+          thresholds: approval.thresholds,
+          approver_roles: APPROVER_ROLES
+        },
+        message: 'Removal is pending approval; stock is unchanged until a pharmacist or administrator approves it'
+      });
     }
 
-    // Use authenticated user if available
-    if (user && !userId) {
-      userId = user.user_id;
+    res.status(201).json({
+      success: true,
+      data: removal,
+      message: `Stock removal recorded for ${medicine.barangay}`
+    });
+  } catch (err) {
+    console.error('Error creating removal:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    next(err);
+  }
+});
+
+/**
+ * Load a removal for an approval decision, or send the error response
+ * Returns null when a response has already been sent
+ */
+async function findRemovalForDecision(req, res) {
+  const removalId = parseInt(req.params.id);
+  if (!removalId || isNaN(removalId)) {
+    res.status(400).json({ error: 'Invalid removal ID' });
+    return null;
+  }
+
+  const removal = await prisma.stock_removals.findUnique({
+    where: { removal_id: removalId },
+    include: {
+      medicine: {
+        select: { medicine_name: true, barangay: true }
+      }
     }
+  });
+
+  if (!removal) {
+    res.status(404).json({ error: 'Removal not found' });
+    return null;
+  }
+
+  if (!canModifyRecord(req.user, removal.medicine.barangay)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  if (removal.status !== 'PENDING') {
+    res.status(409).json({ error: `Removal is already ${removal.status.toLowerCase()}`, status: removal.status });
+    return null;
+  }
+
+  return removal;
+}
+
+/**
+ * PATCH /api/removals/:id/approve
+ * Approve a pending removal; the stock is decremented now
+ * Body: decision_notes (optional)
+ */
+router.patch("/:id/approve", requireRole(...APPROVER_ROLES), async (req, res, next) => {
+  try {
+    const removal = await findRemovalForDecision(req, res);
+    if (!removal) return;
+
+    assertCanDecide(req.user, removal);
+
+    const updated = await runInLedger(async (tx) => {
+      // Only one decision wins if two approvers act at once
+      const claimed = await tx.stock_removals.updateMany({
+        where: { removal_id: removal.removal_id, status: 'PENDING' },
+        data: {
+          status: 'APPROVED',
+          decided_by_user_id: req.user.user_id,
+          decided_at: new Date(),
+          decision_notes: req.body.decision_notes || null
+        }
+      });
+
+      if (claimed.count === 0) {
+        throw new StockLedgerError('Removal was already decided', 409);
+      }
+
+      await applyStockChange(tx, {
+        req,
+        stockId: removal.stock_id,
+        quantity: removal.quantity_removed,
+        transactionType: 'REMOVAL',
+        medicineId: removal.medicine_id,
+        notes: `Stock removal #${removal.removal_id} (${removal.reason}) approved`,
+        transactionDate: removal.date_removed,
+        performedByWallet: removal.removed_by_wallet
+      });
+
+      return tx.stock_removals.findUnique({
+        where: { removal_id: removal.removal_id },
+        include: {
+          medicine: {
+            select: { medicine_name: true, barangay: true }
+          },
+          stock: true,
+          removed_by_user: true,
+          decided_by_user: {
+            select: { user_id: true, full_name: true, role: true }
+          }
+        }
+      });
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'stock_removals',
+      recordId: updated.removal_id,
+      action: 'APPROVE',
+      oldValues: removal,
+      newValues: updated,
+    }).catch(err => console.error('Audit log failed:', err));
 
-    // Generate new removal_id
-    const lastRemoval = await prisma.stock_removals.findFirst({
-      orderBy: { removal_id: "desc" }
+    res.json({
+      success: true,
+      data: updated,
+      message: `Removal approved; ${updated.quantity_removed} unit(s) removed from stock`
     });
-    const newRemovalId = lastRemoval ? lastRemoval.removal_id + 1 : 1;
+  } catch (err) {
+    console.error('Error approving removal:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/removals/:id/reject
+ * Reject a pending removal; the stock is never touched
+ * Body: decision_notes (required)
+ */
+router.patch("/:id/reject", requireRole(...APPROVER_ROLES), async (req, res, next) => {
+  try {
+    const { decision_notes } = req.body;
 
-    // ✅ FIXED: Create removal record WITHOUT updating stock quantity
-    // Stock quantity will be updated by frontend AFTER blockchain confirmation
-    const removal = await prisma.stock_removals.create({
+    if (!decision_notes || !decision_notes.trim()) {
+      return res.status(400).json({ error: 'decision_notes is required when rejecting a removal' });
+    }
+
+    const removal = await findRemovalForDecision(req, res);
+    if (!removal) return;
+
+    assertCanDecide(req.user, removal);
+
+    const claimed = await prisma.stock_removals.updateMany({
+      where: { removal_id: removal.removal_id, status: 'PENDING' },
       data: {
-        removal_id: newRemovalId,
-        medicine_id: parseInt(medicine_id),
-        stock_id: parseInt(stock_id),
-        quantity_removed: parseInt(quantity_removed),
-        reason,
-        notes: notes || null,
-        date_removed: new Date(date_removed),
-        removed_by_user_id: userId,
-        removed_by_wallet: removed_by_wallet ? removed_by_wallet.toLowerCase() : null
-      },
+        status: 'REJECTED',
+        decided_by_user_id: req.user.user_id,
+        decided_at: new Date(),
+        decision_notes: decision_notes.trim()
+      }
+    });
+
+    if (claimed.count === 0) {
+      return res.status(409).json({ error: 'Removal was already decided' });
+    }
+
+    const updated = await prisma.stock_removals.findUnique({
+      where: { removal_id: removal.removal_id },
       include: {
         medicine: {
-          select: {
-            medicine_name: true,
-            barangay: true
-          }
+          select: { medicine_name: true, barangay: true }
         },
         stock: true,
-        removed_by_user: true
+        removed_by_user: true,
+        decided_by_user: {
+          select: { user_id: true, full_name: true, role: true }
+        }
       }
     });
 
-    // ✅ NOTE: Stock quantity is NOT updated here!
-    // Frontend will call PATCH /stocks/:id after blockchain confirmation
+    await logAuditFromRequest({
+      req,
+      tableName: 'stock_removals',
+      recordId: updated.removal_id,
+      action: 'REJECT',
+      oldValues: removal,
+      newValues: updated,
+    }).catch(err => console.error('Audit log failed:', err));
 
-    res.status(201).json({
+    res.json({
       success: true,
-      data: removal,
-      message: `Stock removal record created for ${medicine.barangay} (stock quantity will be updated after blockchain confirmation)`
+      data: updated,
+      message: 'Removal rejected; stock unchanged'
     });
   } catch (err) {
-    console.error('Error creating removal:', err);
+    console.error('Error rejecting removal:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     next(err);
   }
 });
@@ -467,6 +798,11 @@ router.patch("/:id/blockchain", async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Only removals that actually left stock are anchored
+    if (oldRemoval.status !== 'APPROVED') {
+      return res.status(409).json({ error: 'Only approved removals can be synced to the blockchain', status: oldRemoval.status });
+    }
+
     // Update with blockchain info
     const updated = await prisma.stock_removals.update({
       where: { removal_id: removalId },
@@ -528,39 +864,60 @@ router.delete("/:id", async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Restore quantity back to stock
-    await prisma.medicine_stocks.update({
-      where: { stock_id: removal.stock_id },
-      data: {
-        remaining_quantity: {
-          increment: removal.quantity_removed
-        }
+    // Destroyed stock cannot be put back
+    if (removal.disposal_id) {
+      return res.status(409).json({
+        error: 'Removal belongs to a disposal batch and cannot be deleted',
+        disposal_id: removal.disposal_id
+      });
+    }
+
+    // Pending and rejected removals never took anything out of stock
+    const restoreStock = removal.status === 'APPROVED';
+
+    // Delete and restore through the ledger together; the status guard stops a
+    // concurrent approval from being deleted without its stock coming back
+    await runInLedger(async (tx) => {
+      const { count } = await tx.stock_removals.deleteMany({
+        where: { removal_id: removalId, status: removal.status, disposal_id: null }
+      });
+      if (count === 0) {
+        throw new StockLedgerError('Removal changed while it was being deleted; reload and try again', 409, {
+          removal_id: removalId
+        });
       }
-    });
 
-    // Delete removal record
-    await prisma.stock_removals.delete({
-      where: { removal_id: removalId }
-    });
+      if (restoreStock) {
+        await applyStockChange(tx, {
+          req,
+          stockId: removal.stock_id,
+          quantity: removal.quantity_removed,
+          transactionType: 'ADDITION',
+          medicineId: removal.medicine_id,
+          notes: `Stock removal #${removalId} deleted`
+        });
+      }
 
-    // Log deletion
-    await logAuditFromRequest({
-      req,
-      tableName: 'stock_removals',
-      recordId: removalId,
-      action: 'DELETE',
-      oldValues: removal,
-      newValues: null,
-    }).catch(err => console.error('Audit log failed:', err));
+      await writeAudit(tx, req, {
+        tableName: 'stock_removals',
+        recordId: removalId,
+        action: 'DELETE',
+        oldValues: removal,
+        newValues: null
+      });
+    });
 
     res.json({
       success: true,
-      message: "Removal deleted and stock restored",
+      message: restoreStock ? "Removal deleted and stock restored" : "Removal deleted",
       removed_removal_id: removalId,
-      restored_quantity: removal.quantity_removed
+      restored_quantity: restoreStock ? removal.quantity_removed : 0
     });
   } catch (err) {
     console.error('Error deleting removal:', err);
+    if (err instanceof StockLedgerError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     next(err);
   }
 });
@@ -0,0 +1,143 @@
+// backend/routes/replenishment.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter } from '../middleware/baranggayAccess.js';
+import { netReleasedByMedicine } from '../services/medicationHistory.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const DEFAULT_USAGE_WINDOW_DAYS = 90;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const DEFAULT_REVIEW_PERIOD_DAYS = 30; // Monthly requisition to the municipal warehouse
+const DEFAULT_SAFETY_DAYS = 7;
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+/**
+ * Work out replenishment levels for one medicine
+ * Stored levels win; missing ones are derived from average daily usage
+ */
+function computeReplenishment(medicine, onHand, averageDailyUsage, { leadTimeDays, reviewPeriodDays, safetyDays }) {
+  const safetyStock = medicine.safety_stock ?? Math.ceil(averageDailyUsage * safetyDays);
+  const reorderPoint = medicine.reorder_point ?? Math.ceil(averageDailyUsage * leadTimeDays) + safetyStock;
+  const targetLevel = medicine.target_stock_level
+    ?? Math.ceil(averageDailyUsage * (leadTimeDays + reviewPeriodDays)) + safetyStock;
+
+  return {
+    safety_stock: safetyStock,
+    reorder_point: reorderPoint,
+    target_stock_level: targetLevel,
+    levels_configured: medicine.reorder_point !== null
+      || medicine.safety_stock !== null
+      || medicine.target_stock_level !== null,
+    below_reorder_point: onHand <= reorderPoint,
+    days_of_stock_left: averageDailyUsage > 0 ? Math.floor(onHand / averageDailyUsage) : null,
+    suggested_order_quantity: Math.max(0, targetLevel - onHand)
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/replenishment/suggestions
+ * Suggested order quantities per medicine from recent release velocity
+ * Query: barangay (admin only), usage_days, lead_time_days, review_period_days,
+ *        safety_days, only_needed=true to drop medicines with nothing to order
+ */
+router.get('/suggestions', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const barangayFilter = getBarangayFilter(user);
+    const { barangay, only_needed } = req.query;
+
+    const usageDays = parsePositiveInt(req.query.usage_days, DEFAULT_USAGE_WINDOW_DAYS);
+    const options = {
+      leadTimeDays: parsePositiveInt(req.query.lead_time_days, DEFAULT_LEAD_TIME_DAYS),
+      reviewPeriodDays: parsePositiveInt(req.query.review_period_days, DEFAULT_REVIEW_PERIOD_DAYS),
+      safetyDays: parsePositiveInt(req.query.safety_days, DEFAULT_SAFETY_DAYS)
+    };
+
+    let where = { ...barangayFilter, is_active: true };
+    if (barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where = { barangay, is_active: true };
+    }
+
+    const now = new Date();
+    const usageSince = new Date(now.getTime() - usageDays * 24 * 60 * 60 * 1000);
+
+    const medicines = await prisma.medicine_records.findMany({
+      where,
+      include: {
+        medicine_stocks: {
+          where: { is_active: true, expiry_date: { gt: now } },
+          select: { remaining_quantity: true, recall_id: true }
+        }
+      },
+      orderBy: { medicine_name: 'asc' }
+    });
+
+    const releasedByMedicine = await netReleasedByMedicine(prisma, medicines.map(m => m.medicine_id), usageSince);
+
+    const suggestions = medicines.map(medicine => {
+      // Batches frozen by a recall cannot be dispensed, so they do not cover demand
+      const onHand = medicine.medicine_stocks
+        .filter(s => !s.recall_id)
+        .reduce((sum, s) => sum + s.remaining_quantity, 0);
+      const frozen = medicine.medicine_stocks
+        .filter(s => s.recall_id)
+        .reduce((sum, s) => sum + s.remaining_quantity, 0);
+      const released = releasedByMedicine[medicine.medicine_id] || 0;
+      const averageDailyUsage = released / usageDays;
+
+      return {
+        medicine_id: medicine.medicine_id,
+        medicine_name: medicine.medicine_name,
+        generic_name: medicine.generic_name,
+        strength: medicine.strength,
+        dosage_form: medicine.dosage_form,
+        barangay: medicine.barangay,
+        on_hand: onHand,
+        frozen_by_recall: frozen,
+        released_in_window: released,
+        average_daily_usage: Number(averageDailyUsage.toFixed(2)),
+        ...computeReplenishment(medicine, onHand, averageDailyUsage, options)
+      };
+    });
+
+    const data = only_needed === 'true'
+      ? suggestions.filter(s => s.suggested_order_quantity > 0)
+      : suggestions;
+
+    res.json({
+      success: true,
+      data,
+      parameters: {
+        usage_days: usageDays,
+        lead_time_days: options.leadTimeDays,
+        review_period_days: options.reviewPeriodDays,
+        safety_days: options.safetyDays
+      },
+      summary: {
+        medicines: data.length,
+        belowReorderPoint: data.filter(s => s.below_reorder_point).length,
+        totalSuggestedQuantity: data.reduce((sum, s) => sum + s.suggested_order_quantity, 0)
+      },
+      barangay: user?.assigned_barangay || barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error computing replenishment suggestions:', err);
+    next(err);
+  }
+});
+
+export default router;
@@ -3,6 +3,11 @@ import express from "express";
 import { PrismaClient } from "@prisma/client";
 import { logAuditFromRequest } from '../utils/auditLogger.js';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { residentReleaseWhere, summarizeByGeneric } from '../services/medicationHistory.js';
+import { findResidentMatches } from '../services/residentMatching.js';
+import { runInLedger, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { adminOnly } from '../middleware/auth.js';
+import { calculateAgeCategory, isSeniorCitizen, ageFieldsOn, recomputeResidentAges } from '../services/residentAges.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,16 +16,73 @@ const prisma = new PrismaClient();
 // HELPER FUNCTIONS
 // ============================================
 
-function calculateAgeCategory(age) {
-  if (age === null || age === undefined) return null;
-  if (age <= 1.99) return 'ZERO_TO_23_MONTHS';
-  if (age <= 4.99) return 'TWENTY_FOUR_TO_59_MONTHS';
-  if (age <= 5.99) return 'SIXTY_TO_71_MONTHS';
-  return 'ABOVE_71_MONTHS';
+/**
+ * Parse the as_of query of the statistics endpoints; null when absent
+ */
+function parseAsOf(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
 }
 
-function isSeniorCitizen(age) {
-  return age !== null && age >= 60;
+/**
+ * Senior citizen and age category counts derived from date_of_birth as of a date
+ * Only residents born by then and still alive then are counted; is_active reflects today,
+ * so merged duplicates are left out instead. Those without a date of birth are UNKNOWN
+ */
+async function ageBreakdownAsOf(where, asOf) {
+  const { is_active, ...scope } = where;
+  const residents = await prisma.residents.findMany({
+    where: {
+      ...scope,
+      merged_into_id: null,
+      AND: [
+        { OR: [{ date_of_birth: null }, { date_of_birth: { lte: asOf } }] },
+        { OR: [{ date_of_death: null }, { date_of_death: { gt: asOf } }] }
+      ]
+    },
+    select: { date_of_birth: true }
+  });
+
+  const ageCategories = {};
+  let seniorCitizens = 0;
+  for (const resident of residents) {
+    const fields = ageFieldsOn(resident.date_of_birth, asOf);
+    const category = fields?.age_category || 'UNKNOWN';
+    ageCategories[category] = (ageCategories[category] || 0) + 1;
+    if (fields?.is_senior_citizen) seniorCitizens += 1;
+  }
+
+  return { residents: residents.length, seniorCitizens, ageCategories };
+}
+
+const ALLERGY_SEVERITIES = ['MILD', 'MODERATE', 'SEVERE'];
+
+/**
+ * Load a resident the user may modify; sends the error response and returns null otherwise
+ */
+async function findAccessibleResident(req, res) {
+  const user = req.user || null;
+  const resident = await prisma.residents.findUnique({
+    where: { resident_id: Number(req.params.id) },
+    select: { resident_id: true, full_name: true, barangay: true, is_pregnant: true, allergies: true, medical_conditions: true }
+  });
+
+  if (!resident) {
+    res.status(404).json({ error: "Resident not found" });
+    return null;
+  }
+
+  if (user && !canModifyRecord(user, resident.barangay)) {
+    res.status(403).json({ 
+      error: 'Access denied to this barangay',
+      residentBarangay: resident.barangay,
+      yourBarangay: user.assigned_barangay
+    });
+    return null;
+  }
+
+  return resident;
 }
 
 // ============================================
@@ -29,11 +91,12 @@ function isSeniorCitizen(age) {
 
 /**
  * POST /api/residents/check-duplicate
- * Check if a resident with similar details already exists
+ * Score existing residents against the entered details (phonetic / edit-distance names,
+ * date of birth tolerance, phone, household number)
  */
 router.post("/check-duplicate", async (req, res, next) => {
   try {
-    const { first_name, last_name, date_of_birth, middle_name } = req.body;
+    const { first_name, last_name, middle_name, date_of_birth, age, phone, barangay, household_no } = req.body;
 
     if (!first_name || !last_name) {
       return res.status(400).json({ 
@@ -41,45 +104,15 @@ router.post("/check-duplicate", async (req, res, next) => {
       });
     }
 
-    // Build search conditions
-    const searchConditions = {
-      first_name: { equals: first_name.trim(), mode: 'insensitive' },
-      last_name: { equals: last_name.trim(), mode: 'insensitive' },
-      is_active: true
-    };
-
-    // Add middle name if provided
-    if (middle_name && middle_name.trim()) {
-      searchConditions.middle_name = { 
-        equals: middle_name.trim(), 
-        mode: 'insensitive' 
-      };
-    }
-
-    // Add date of birth if provided
-    if (date_of_birth) {
-      searchConditions.date_of_birth = new Date(date_of_birth).toISOString();
-    }
-
-    // Search for potential duplicates
-    const potentialDuplicates = await prisma.residents.findMany({
-      where: searchConditions,
-      select: {
-        resident_id: true,
-        first_name: true,
-        middle_name: true,
-        last_name: true,
-        full_name: true,
-        date_of_birth: true,
-        age: true,
-        gender: true,
-        barangay: true,
-        address: true,
-        phone: true,
-        is_4ps_member: true,
-        is_pregnant: true,
-        is_senior_citizen: true
-      }
+    const potentialDuplicates = await findResidentMatches(prisma, {
+      first_name,
+      middle_name,
+      last_name,
+      date_of_birth,
+      age,
+      phone,
+      barangay,
+      household_no
     });
 
     if (potentialDuplicates.length > 0) {
@@ -178,6 +211,7 @@ router.get("/export/all", async (req, res, next) => {
 /**
  * GET /api/residents/statistics
  * Get statistics for dashboard widgets with barangay filtering
+ * Query: barangay, as_of (ages, age categories and seniors computed from date_of_birth on that date)
  */
 router.get("/statistics", async (req, res, next) => {
   try {
@@ -185,6 +219,10 @@ router.get("/statistics", async (req, res, next) => {
     const barangayFilter = getBarangayFilter(user);
     
     const { barangay } = req.query;
+    const asOf = parseAsOf(req.query.as_of);
+    if (asOf === undefined) {
+      return res.status(400).json({ error: 'as_of is not a valid date' });
+    }
     
     let where = { ...barangayFilter, is_active: true };
     if (barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
@@ -218,16 +256,17 @@ router.get("/statistics", async (req, res, next) => {
           }) 
         : null
     ]);
+    const asOfAges = asOf ? await ageBreakdownAsOf(where, asOf) : null;
     
     res.json({
       success: true,
       stats: {
-        totalResidents,
+        totalResidents: asOfAges ? asOfAges.residents : totalResidents,
         fourPsMembers,
         pregnantResidents,
-        seniorCitizens,
+        seniorCitizens: asOfAges ? asOfAges.seniorCitizens : seniorCitizens,
         birthRegistered,
-        ageCategories: ageCategories.reduce((acc, cat) => {
+        ageCategories: asOfAges ? asOfAges.ageCategories : ageCategories.reduce((acc, cat) => {
           acc[cat.age_category || 'UNKNOWN'] = cat._count;
           return acc;
         }, {}),
@@ -236,7 +275,8 @@ router.get("/statistics", async (req, res, next) => {
           return acc;
         }, {}) : null
       },
-      barangay: user?.assigned_barangay || barangay || 'ALL'
+      barangay: user?.assigned_barangay || barangay || 'ALL',
+      as_of: asOf
     });
   } catch (error) {
     console.error('Error fetching resident statistics:', error);
@@ -247,6 +287,7 @@ router.get("/statistics", async (req, res, next) => {
 /**
  * GET /api/residents/statistics/barangay/:barangay
  * Get barangay-specific statistics
+ * Query: as_of (ages, age categories and seniors computed from date_of_birth on that date)
  */
 router.get("/statistics/barangay/:barangay", async (req, res, next) => {
   try {
@@ -261,6 +302,11 @@ router.get("/statistics/barangay/:barangay", async (req, res, next) => {
       });
     }
     
+    const asOf = parseAsOf(req.query.as_of);
+    if (asOf === undefined) {
+      return res.status(400).json({ error: 'as_of is not a valid date' });
+    }
+
     const where = { barangay, is_active: true };
     
     const [
@@ -288,17 +334,18 @@ router.get("/statistics/barangay/:barangay", async (req, res, next) => {
         _count: true
       })
     ]);
+    const asOfAges = asOf ? await ageBreakdownAsOf(where, asOf) : null;
     
     res.json({
       success: true,
       barangay,
       stats: {
-        totalResidents,
+        totalResidents: asOfAges ? asOfAges.residents : totalResidents,
         fourPsMembers,
         pregnantResidents,
-        seniorCitizens,
+        seniorCitizens: asOfAges ? asOfAges.seniorCitizens : seniorCitizens,
         birthRegistered,
-        ageCategories: ageCategories.reduce((acc, cat) => {
+        ageCategories: asOfAges ? asOfAges.ageCategories : ageCategories.reduce((acc, cat) => {
           acc[cat.age_category || 'UNKNOWN'] = cat._count;
           return acc;
         }, {}),
@@ -306,7 +353,8 @@ router.get("/statistics/barangay/:barangay", async (req, res, next) => {
           acc[g.gender || 'UNKNOWN'] = g._count;
           return acc;
         }, {})
-      }
+      },
+      as_of: asOf
     });
   } catch (error) {
     console.error('Error fetching barangay statistics:', error);
@@ -372,6 +420,34 @@ router.get("/compare/barangays", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/residents/ages/recompute
+ * Run the scheduled age recomputation now (admin only)
+ * Body: { barangay?, dry_run? }
+ */
+router.post("/ages/recompute", adminOnly, async (req, res, next) => {
+  try {
+    const { barangay, dry_run } = req.body;
+
+    const result = await recomputeResidentAges(prisma, {
+      barangay: barangay || null,
+      dryRun: dry_run === true || dry_run === 'true',
+      req
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.updated > 0
+        ? `Updated ages of ${result.updated} resident(s)`
+        : `${result.changed} resident(s) with outdated ages`
+    });
+  } catch (err) {
+    console.error('Error recomputing resident ages:', err);
+    next(err);
+  }
+});
+
 // ============================================
 // CRUD ENDPOINTS
 // ============================================
@@ -557,6 +633,339 @@ router.get("/:id", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/residents/:id/medications
+ * Medication history across every barangay health center, newest first
+ * Query: from, to, include_unlinked=false (skip releases matched only by name)
+ */
+router.get("/:id/medications", async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const residentId = Number(req.params.id);
+    const { from, to, include_unlinked } = req.query;
+
+    const resident = await prisma.residents.findUnique({
+      where: { resident_id: residentId },
+      select: { resident_id: true, full_name: true, first_name: true, last_name: true, barangay: true }
+    });
+
+    if (!resident) {
+      return res.status(404).json({ error: "Resident not found" });
+    }
+
+    if (user && !canModifyRecord(user, resident.barangay)) {
+      return res.status(403).json({ 
+        error: 'Access denied to this barangay',
+        residentBarangay: resident.barangay,
+        yourBarangay: user.assigned_barangay
+      });
+    }
+
+    // Releases recorded without resident_id are matched on the resident's name
+    const residentWhere = residentReleaseWhere({
+      residentId,
+      residentName: include_unlinked === 'false'
+        ? null
+        : resident.full_name || `${resident.first_name} ${resident.last_name}`
+    });
+
+    const dateFilter = {};
+    if (from) dateFilter.gte = new Date(from);
+    if (to) dateFilter.lte = new Date(to);
+
+    const releases = await prisma.medicine_releases.findMany({
+      where: {
+        AND: [
+          residentWhere,
+          ...(from || to ? [{ date_released: dateFilter }] : [])
+        ]
+      },
+      select: {
+        release_id: true,
+        resident_id: true,
+        quantity_released: true,
+        date_released: true,
+        concern: true,
+        dosage_instructions: true,
+        prescription_number: true,
+        prescribing_doctor: true,
+        consultation_id: true,
+        prescription_item_id: true,
+        medicine: {
+          select: {
+            medicine_id: true,
+            medicine_name: true,
+            generic_name: true,
+            strength: true,
+            dosage_form: true,
+            base_unit: true,
+            catalog_id: true,
+            barangay: true
+          }
+        },
+        stock: { select: { batch_number: true, expiry_date: true } },
+        released_by_user: { select: { full_name: true } },
+        reversals: { select: { reversal_id: true, quantity_returned: true, reason: true, reversed_at: true } }
+      },
+      orderBy: { date_released: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: releases.map(release => ({
+        ...release,
+        matched_on: release.resident_id ? 'resident_id' : 'resident_name'
+      })),
+      byGeneric: summarizeByGeneric(releases),
+      resident
+    });
+  } catch (error) {
+    console.error('Error fetching medication history:', error);
+    next(error);
+  }
+});
+
+// ============================================
+// ALLERGIES AND CONDITIONS
+// ============================================
+
+/**
+ * GET /api/residents/:id/clinical-profile
+ * Structured allergies and conditions, pregnancy status and the legacy free-text notes
+ * Query: include_inactive=true
+ */
+router.get("/:id/clinical-profile", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const activeOnly = req.query.include_inactive === 'true' ? {} : { is_active: true };
+
+    const [allergies, conditions] = await Promise.all([
+      prisma.resident_allergies.findMany({
+        where: { resident_id: resident.resident_id, ...activeOnly },
+        include: { catalog: { select: { catalog_id: true, generic_name: true, strength: true } } },
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.resident_conditions.findMany({
+        where: { resident_id: resident.resident_id, ...activeOnly },
+        orderBy: { created_at: 'desc' }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        resident_id: resident.resident_id,
+        full_name: resident.full_name,
+        is_pregnant: resident.is_pregnant,
+        allergies,
+        conditions,
+        legacy: {
+          allergies: resident.allergies,
+          medical_conditions: resident.medical_conditions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching clinical profile:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/residents/:id/allergies
+ * Body: { allergen, catalog_id?, reaction?, severity=MODERATE, notes? }
+ */
+router.post("/:id/allergies", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const { allergen, catalog_id, reaction, severity = 'MODERATE', notes } = req.body;
+
+    if (!ALLERGY_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of ${ALLERGY_SEVERITIES.join(', ')}` });
+    }
+
+    let catalogEntry = null;
+    if (catalog_id) {
+      catalogEntry = await prisma.medicine_catalog.findUnique({ where: { catalog_id: parseInt(catalog_id) } });
+      if (!catalogEntry) {
+        return res.status(404).json({ error: 'Catalog entry not found' });
+      }
+    }
+
+    if (!(allergen && allergen.trim()) && !catalogEntry) {
+      return res.status(400).json({ error: 'allergen or catalog_id is required' });
+    }
+
+    const allergy = await prisma.resident_allergies.create({
+      data: {
+        resident_id: resident.resident_id,
+        allergen: allergen?.trim() || catalogEntry.generic_name,
+        catalog_id: catalogEntry?.catalog_id || null,
+        reaction: reaction || null,
+        severity,
+        notes: notes || null,
+        recorded_by: req.user?.user_id || null
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'resident_allergies',
+      recordId: allergy.allergy_id,
+      action: 'CREATE',
+      newValues: allergy
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.status(201).json({ success: true, data: allergy });
+  } catch (error) {
+    console.error('Error adding allergy:', error);
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/residents/:id/allergies/:allergyId
+ * Update an allergy; is_active=false retires it
+ */
+router.patch("/:id/allergies/:allergyId", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const existing = await prisma.resident_allergies.findFirst({
+      where: { allergy_id: Number(req.params.allergyId), resident_id: resident.resident_id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Allergy not found' });
+    }
+
+    const { allergen, reaction, severity, notes, is_active } = req.body;
+
+    if (severity !== undefined && !ALLERGY_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of ${ALLERGY_SEVERITIES.join(', ')}` });
+    }
+
+    const allergy = await prisma.resident_allergies.update({
+      where: { allergy_id: existing.allergy_id },
+      data: {
+        ...(allergen !== undefined && { allergen }),
+        ...(reaction !== undefined && { reaction }),
+        ...(severity !== undefined && { severity }),
+        ...(notes !== undefined && { notes }),
+        ...(is_active !== undefined && { is_active: Boolean(is_active) }),
+        updated_at: new Date()
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'resident_allergies',
+      recordId: allergy.allergy_id,
+      action: 'UPDATE',
+      oldValues: existing,
+      newValues: allergy
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({ success: true, data: allergy });
+  } catch (error) {
+    console.error('Error updating allergy:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/residents/:id/conditions
+ * Body: { condition_name, condition_code?, diagnosed_date?, notes? }
+ */
+router.post("/:id/conditions", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const { condition_name, condition_code, diagnosed_date, notes } = req.body;
+
+    if (!condition_name || !condition_name.trim()) {
+      return res.status(400).json({ error: 'condition_name is required' });
+    }
+
+    const condition = await prisma.resident_conditions.create({
+      data: {
+        resident_id: resident.resident_id,
+        condition_name: condition_name.trim(),
+        condition_code: condition_code ? condition_code.trim().toUpperCase() : null,
+        diagnosed_date: diagnosed_date ? new Date(diagnosed_date) : null,
+        notes: notes || null,
+        recorded_by: req.user?.user_id || null
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'resident_conditions',
+      recordId: condition.condition_id,
+      action: 'CREATE',
+      newValues: condition
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.status(201).json({ success: true, data: condition });
+  } catch (error) {
+    console.error('Error adding condition:', error);
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/residents/:id/conditions/:conditionId
+ * Update a condition; is_active=false marks it resolved
+ */
+router.patch("/:id/conditions/:conditionId", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const existing = await prisma.resident_conditions.findFirst({
+      where: { condition_id: Number(req.params.conditionId), resident_id: resident.resident_id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Condition not found' });
+    }
+
+    const { condition_name, condition_code, diagnosed_date, notes, is_active } = req.body;
+
+    const condition = await prisma.resident_conditions.update({
+      where: { condition_id: existing.condition_id },
+      data: {
+        ...(condition_name !== undefined && { condition_name }),
+        ...(condition_code !== undefined && { condition_code: condition_code ? condition_code.trim().toUpperCase() : null }),
+        ...(diagnosed_date !== undefined && { diagnosed_date: diagnosed_date ? new Date(diagnosed_date) : null }),
+        ...(notes !== undefined && { notes }),
+        ...(is_active !== undefined && { is_active: Boolean(is_active) }),
+        updated_at: new Date()
+      }
+    });
+
+    await logAuditFromRequest({
+      req,
+      tableName: 'resident_conditions',
+      recordId: condition.condition_id,
+      action: 'UPDATE',
+      oldValues: existing,
+      newValues: condition
+    }).catch(err => console.error('Audit log failed:', err));
+
+    res.json({ success: true, data: condition });
+  } catch (error) {
+    console.error('Error updating condition:', error);
+    next(error);
+  }
+});
+
 /**
  * POST /api/residents
  * Create new resident with duplicate check
@@ -625,8 +1034,11 @@ router.post("/", async (req, res, next) => {
       data.birth_registry_date = new Date(data.birth_registry_date).toISOString();
     }
     
-    // Calculate age category from age
-    if (data.age !== null && data.age !== undefined) {
+    // Age follows date_of_birth when there is one
+    const dobFields = data.date_of_birth ? ageFieldsOn(data.date_of_birth) : null;
+    if (dobFields) {
+      Object.assign(data, dobFields);
+    } else if (data.age !== null && data.age !== undefined) {
       data.age_category = calculateAgeCategory(data.age);
       data.is_senior_citizen = isSeniorCitizen(data.age);
     }
@@ -708,8 +1120,11 @@ router.put("/:id", async (req, res, next) => {
       data.birth_registry_date = new Date(data.birth_registry_date).toISOString();
     }
     
-    // Calculate age category from age
-    if (data.age !== null && data.age !== undefined) {
+    // Age follows date_of_birth when there is one
+    const dobFields = data.date_of_birth ? ageFieldsOn(data.date_of_birth) : null;
+    if (dobFields) {
+      Object.assign(data, dobFields);
+    } else if (data.age !== null && data.age !== undefined) {
       data.age_category = calculateAgeCategory(data.age);
       data.is_senior_citizen = isSeniorCitizen(data.age);
     }
@@ -756,6 +1171,230 @@ router.put("/:id", async (req, res, next) => {
   }
 });
 
+// ============================================
+// DUPLICATE MERGING
+// ============================================
+
+// Blank fields on the surviving record that a merged duplicate may fill in
+const MERGE_FILLABLE_FIELDS = [
+  'middle_name',
+  'date_of_birth',
+  'gender',
+  'zone',
+  'philhealth_number',
+  'birth_registry_date',
+  'birth_certificate_no',
+  'address',
+  'phone',
+  'emergency_contact',
+  'emergency_phone',
+  'medical_conditions',
+  'allergies'
+];
+
+/**
+ * GET /api/residents/:id/duplicates
+ * Likely duplicate records of this resident, scored by the matching engine
+ */
+router.get("/:id/duplicates", async (req, res, next) => {
+  try {
+    const resident = await findAccessibleResident(req, res);
+    if (!resident) return;
+
+    const details = await prisma.residents.findUnique({ where: { resident_id: resident.resident_id } });
+    const candidates = await findResidentMatches(prisma, details, {
+      excludeIds: [resident.resident_id],
+      minScore: parseInt(req.query.min_score) || undefined
+    });
+
+    res.json({ success: true, data: candidates, total: candidates.length });
+  } catch (error) {
+    console.error('Error finding duplicate residents:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/residents/:id/merge
+ * Fold duplicate resident records into this one (admin only)
+ * Releases, consultations, allergies, conditions, household stays and household / family headships move to this resident;
+ * the duplicates are deactivated. Refused (409) while more than one of them has an active
+ * pregnancy or the same vaccine dose is recorded on two of them
+ * Body: { duplicate_ids: [] }
+ */
+router.post("/:id/merge", adminOnly, async (req, res, next) => {
+  try {
+    const residentId = Number(req.params.id);
+    const duplicateIds = [...new Set((req.body.duplicate_ids || [])
+      .map(id => parseInt(id))
+      .filter(id => !isNaN(id) && id !== residentId))];
+
+    if (duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'duplicate_ids must list at least one other resident' });
+    }
+
+    const target = await prisma.residents.findUnique({ where: { resident_id: residentId } });
+    if (!target) {
+      return res.status(404).json({ error: "Resident not found" });
+    }
+    if (target.merged_into_id) {
+      return res.status(409).json({ error: 'Resident was itself merged into another record', merged_into_id: target.merged_into_id });
+    }
+
+    const duplicates = await prisma.residents.findMany({
+      where: { resident_id: { in: duplicateIds }, merged_into_id: null }
+    });
+    if (duplicates.length !== duplicateIds.length) {
+      const found = duplicates.map(d => d.resident_id);
+      return res.status(404).json({
+        error: 'Some duplicates were not found or are already merged',
+        missing: duplicateIds.filter(id => !found.includes(id))
+      });
+    }
+
+    const result = await runInLedger(async (tx) => {
+      const where = { resident_id: { in: duplicateIds } };
+      const mergedIds = [residentId, ...duplicateIds];
+
+      // The survivor may hold one active pregnancy and one record per vaccine dose;
+      // conflicting records must be closed or voided before merging
+      const activeEpisodes = await tx.pregnancy_episodes.findMany({
+        where: { resident_id: { in: mergedIds }, status: 'ACTIVE' },
+        select: { episode_id: true, resident_id: true }
+      });
+      if (activeEpisodes.length > 1) {
+        throw new StockLedgerError('More than one of these residents has an active pregnancy episode', 409, {
+          active_episodes: activeEpisodes
+        });
+      }
+
+      const doses = await tx.immunization_records.findMany({
+        where: { resident_id: { in: mergedIds }, is_voided: false },
+        select: { record_id: true, resident_id: true, schedule_id: true }
+      });
+      const conflictingDoses = doses.filter(dose =>
+        doses.some(other => other.schedule_id === dose.schedule_id && other.resident_id !== dose.resident_id)
+      );
+      if (conflictingDoses.length > 0) {
+        throw new StockLedgerError('The same vaccine dose is recorded on more than one of these residents; void the duplicates first', 409, {
+          conflicting_doses: conflictingDoses
+        });
+      }
+
+      const releases = await tx.medicine_releases.updateMany({ where, data: { resident_id: residentId } });
+      const consultations = await tx.consultations.updateMany({ where, data: { resident_id: residentId } });
+      const allergies = await tx.resident_allergies.updateMany({ where, data: { resident_id: residentId } });
+      const conditions = await tx.resident_conditions.updateMany({ where, data: { resident_id: residentId } });
+      const pregnancies = await tx.pregnancy_episodes.updateMany({ where, data: { resident_id: residentId } });
+      const immunizations = await tx.immunization_records.updateMany({ where, data: { resident_id: residentId } });
+
+      // Household stays move too; the survivor keeps a single current household
+      const currentStay = await tx.household_memberships.findFirst({
+        where: { resident_id: residentId, end_date: null }
+      });
+      await tx.household_memberships.updateMany({ where, data: { resident_id: residentId } });
+      const openStays = await tx.household_memberships.findMany({
+        where: { resident_id: residentId, end_date: null },
+        include: { household: true, family: true },
+        orderBy: { start_date: 'desc' }
+      });
+      const keptStay = openStays.find(m => m.membership_id === currentStay?.membership_id) || openStays[0];
+      if (openStays.length > 1) {
+        await tx.household_memberships.updateMany({
+          where: { membership_id: { in: openStays.filter(m => m.membership_id !== keptStay.membership_id).map(m => m.membership_id) } },
+          data: { end_date: new Date(), notes: `Closed when merged into resident #${residentId}`, updated_at: new Date() }
+        });
+      }
+
+      // Households and families headed by a duplicate are headed by the survivor
+      const householdHeads = await tx.households.updateMany({
+        where: { head_resident_id: { in: duplicateIds } },
+        data: { head_resident_id: residentId, updated_at: new Date() }
+      });
+      const familyHeads = await tx.families.updateMany({
+        where: { head_resident_id: { in: duplicateIds } },
+        data: { head_resident_id: residentId, updated_at: new Date() }
+      });
+
+      // Records merged into a duplicate earlier now point at the survivor
+      await tx.residents.updateMany({
+        where: { merged_into_id: { in: duplicateIds } },
+        data: { merged_into_id: residentId }
+      });
+
+      await tx.residents.updateMany({
+        where,
+        data: { is_active: false, merged_into_id: residentId, merged_at: new Date(), updated_at: new Date() }
+      });
+
+      // Fill blanks on the survivor, taking the most recently updated duplicate first
+      const filled = {};
+      const sources = [...duplicates].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+      for (const field of MERGE_FILLABLE_FIELDS) {
+        if (target[field] !== null && target[field] !== '') continue;
+        const source = sources.find(d => d[field] !== null && d[field] !== '');
+        if (source) filled[field] = source[field];
+      }
+      if (target.age === null) {
+        const source = sources.find(d => d.age !== null);
+        if (source) {
+          filled.age = source.age;
+          filled.age_category = calculateAgeCategory(source.age);
+          filled.is_senior_citizen = isSeniorCitizen(source.age);
+        }
+      }
+
+      if (keptStay && !currentStay) {
+        filled.household_id = keptStay.household_id;
+        filled.household_no = keptStay.household.household_no;
+        filled.family_id = keptStay.family_id;
+        filled.family_no = keptStay.family?.family_no || null;
+      }
+
+      const resident = await tx.residents.update({
+        where: { resident_id: residentId },
+        data: { ...filled, updated_at: new Date() }
+      });
+
+      const moved = {
+        medicine_releases: releases.count,
+        consultations: consultations.count,
+        allergies: allergies.count,
+        conditions: conditions.count,
+        pregnancy_episodes: pregnancies.count,
+        immunization_records: immunizations.count,
+        household_heads: householdHeads.count,
+        family_heads: familyHeads.count
+      };
+
+      await writeAudit(tx, req, {
+        tableName: 'residents',
+        recordId: residentId,
+        action: 'MERGE',
+        oldValues: { duplicates },
+        newValues: { resident_id: residentId, merged_ids: duplicateIds, moved, filled }
+      });
+
+      return { resident, moved, filled: Object.keys(filled) };
+    });
+
+    res.json({
+      success: true,
+      data: result.resident,
+      merged: duplicateIds,
+      moved: result.moved,
+      filledFields: result.filled,
+      message: `Merged ${duplicateIds.length} duplicate record(s) into ${target.full_name || `${target.first_name} ${target.last_name}`}`
+    });
+  } catch (error) {
+    console.error('Error merging residents:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/residents/:id
  * Soft delete resident with barangay access check
@@ -0,0 +1,630 @@
+// backend/routes/stockCounts.js
+// Physical stock counts (cycle counts) per barangay
+// Staff enter counted quantities per batch; approved variances are posted through the inventory ledger
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { requireRole } from '../middleware/auth.js';
+import { runInLedger, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { approvalRequirement } from '../services/removalApproval.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Reasons a count adjustment can be booked under
+const COUNT_ADJUSTMENT_REASONS = ['LOST', 'ENTRY_ERROR'];
+
+const stockCountInclude = {
+  items: {
+    include: {
+      stock: { select: { stock_id: true, batch_number: true, expiry_date: true, remaining_quantity: true, unit_cost: true, storage_location: true } },
+      medicine: { select: { medicine_id: true, medicine_name: true, generic_name: true, strength: true, dosage_form: true } },
+      counted_by_user: { select: { full_name: true } }
+    },
+    orderBy: { count_item_id: 'asc' }
+  },
+  started_by_user: { select: { full_name: true, wallet_address: true } },
+  submitted_by_user: { select: { full_name: true, wallet_address: true } },
+  posted_by_user: { select: { full_name: true, wallet_address: true } }
+};
+
+/**
+ * Move a count session between statuses, guarding against concurrent transitions
+ */
+async function transitionStockCount(tx, countId, fromStatuses, data) {
+  const { count } = await tx.stock_counts.updateMany({
+    where: { count_id: countId, status: { in: fromStatuses } },
+    data: { ...data, updated_at: new Date() }
+  });
+
+  if (count === 0) {
+    throw new StockLedgerError(`Stock count is not in ${fromStatuses.join(' or ')} status`, 409, {
+      count_id: countId
+    });
+  }
+}
+
+/**
+ * Variance report for a count session
+ * Only counted batches appear as lines; uncounted batches are listed by id
+ */
+function buildVarianceReport(stockCount) {
+  const counted = stockCount.items.filter(item => item.counted_quantity !== null);
+
+  const lines = counted.map(item => {
+    const unitCost = item.stock?.unit_cost !== null && item.stock?.unit_cost !== undefined
+      ? Number(item.stock.unit_cost)
+      : null;
+
+    return {
+      count_item_id: item.count_item_id,
+      stock_id: item.stock_id,
+      batch_number: item.stock?.batch_number,
+      medicine_id: item.medicine_id,
+      medicine_name: item.medicine?.medicine_name,
+      system_quantity: item.system_quantity,
+      counted_quantity: item.counted_quantity,
+      variance: item.variance,
+      variance_value: unitCost !== null ? Number((unitCost * item.variance).toFixed(2)) : null,
+      adjustment_reason: item.adjustment_reason,
+      approved: item.approved,
+      transaction_id: item.transaction_id,
+      removal_id: item.removal_id,
+      // Shortage over the removal approval thresholds, waiting on a second approver
+      pending_approval: item.removal_id !== null && item.transaction_id === null,
+      notes: item.notes
+    };
+  });
+
+  const withVariance = lines.filter(l => l.variance !== 0);
+  const shortages = withVariance.filter(l => l.variance < 0);
+  const surpluses = withVariance.filter(l => l.variance > 0);
+  const sumValue = (rows) => Number(rows.reduce((sum, l) => sum + (l.variance_value || 0), 0).toFixed(2));
+
+  return {
+    count_id: stockCount.count_id,
+    barangay: stockCount.barangay,
+    status: stockCount.status,
+    generated_at: new Date().toISOString(),
+    lines,
+    uncounted_stock_ids: stockCount.items
+      .filter(item => item.counted_quantity === null)
+      .map(item => item.stock_id),
+    totals: {
+      batches_in_session: stockCount.items.length,
+      batches_counted: lines.length,
+      batches_with_variance: withVariance.length,
+      shortage_units: shortages.reduce((sum, l) => sum - l.variance, 0),
+      surplus_units: surpluses.reduce((sum, l) => sum + l.variance, 0),
+      net_variance_units: withVariance.reduce((sum, l) => sum + l.variance, 0),
+      shortage_value: sumValue(shortages),
+      surplus_value: sumValue(surpluses)
+    }
+  };
+}
+
+const loadStockCount = (countId) => prisma.stock_counts.findUnique({
+  where: { count_id: countId },
+  include: stockCountInclude
+});
+
+const handleStockCountError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/stock-counts
+ * List count sessions for the user's barangay
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { status, barangay } = req.query;
+
+    const where = { ...getBarangayFilter(user) };
+    if (barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      where.barangay = barangay;
+    }
+    if (status) where.status = status;
+
+    const stockCounts = await prisma.stock_counts.findMany({
+      where,
+      include: {
+        started_by_user: { select: { full_name: true } },
+        posted_by_user: { select: { full_name: true } },
+        _count: { select: { items: true } }
+      },
+      orderBy: { count_date: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: stockCounts,
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching stock counts:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/stock-counts/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const stockCount = await loadStockCount(parseInt(req.params.id));
+
+    if (!stockCount) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (user && !canModifyRecord(user, stockCount.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    res.json({ success: true, data: stockCount });
+  } catch (err) {
+    console.error('Error fetching stock count:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/stock-counts/:id/variance
+ * Variance report; posted sessions return the report saved at posting time
+ */
+router.get('/:id/variance', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const stockCount = await loadStockCount(parseInt(req.params.id));
+
+    if (!stockCount) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (user && !canModifyRecord(user, stockCount.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    res.json({
+      success: true,
+      data: stockCount.status === 'POSTED' && stockCount.variance_report
+        ? stockCount.variance_report
+        : buildVarianceReport(stockCount)
+    });
+  } catch (err) {
+    console.error('Error building variance report:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/stock-counts
+ * Start a count session; every active batch of the barangay is added to the count sheet
+ * Body: { barangay?, notes?, medicine_ids? } - medicine_ids limits the sheet for partial cycle counts
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { barangay, notes, medicine_ids } = req.body;
+
+    let assignedBarangay = barangay;
+    if (user && user.role !== 'ADMIN' && user.role !== 'MUNICIPAL_STAFF') {
+      assignedBarangay = user.assigned_barangay;
+    }
+    if (!assignedBarangay) {
+      assignedBarangay = 'MUNICIPAL';
+    }
+
+    const stockWhere = {
+      is_active: true,
+      medicine: { barangay: assignedBarangay, is_active: true }
+    };
+    if (Array.isArray(medicine_ids) && medicine_ids.length > 0) {
+      stockWhere.medicine_id = { in: medicine_ids.map(id => parseInt(id)) };
+    }
+
+    const stockCount = await runInLedger(async (tx) => {
+      const inProgress = await tx.stock_counts.findFirst({
+        where: { barangay: assignedBarangay, status: { in: ['OPEN', 'SUBMITTED'] } }
+      });
+
+      if (inProgress) {
+        throw new StockLedgerError('A stock count is already in progress for this barangay', 409, {
+          count_id: inProgress.count_id
+        });
+      }
+
+      const stocks = await tx.medicine_stocks.findMany({
+        where: stockWhere,
+        select: { stock_id: true, medicine_id: true, remaining_quantity: true },
+        orderBy: [{ medicine_id: 'asc' }, { expiry_date: 'asc' }]
+      });
+
+      if (stocks.length === 0) {
+        throw new StockLedgerError('No active stock batches to count', 400, { barangay: assignedBarangay });
+      }
+
+      const created = await tx.stock_counts.create({
+        data: {
+          barangay: assignedBarangay,
+          notes: notes || null,
+          started_by_user_id: user?.user_id || null,
+          items: {
+            create: stocks.map(stock => ({
+              stock_id: stock.stock_id,
+              medicine_id: stock.medicine_id,
+              system_quantity: stock.remaining_quantity
+            }))
+          }
+        },
+        include: stockCountInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_counts',
+        recordId: created.count_id,
+        action: 'CREATE',
+        newValues: { ...created, items: created.items.length }
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: stockCount,
+      message: `Stock count started for ${assignedBarangay} with ${stockCount.items.length} batch(es)`
+    });
+  } catch (err) {
+    handleStockCountError(res, next, 'Error starting stock count:')(err);
+  }
+});
+
+/**
+ * PUT /api/stock-counts/:id/items
+ * Enter counted quantities while the session is OPEN
+ * The system quantity is re-read when a batch is counted so releases made earlier in the day are not counted as variance
+ * Body: { items: [{ stock_id, counted_quantity, adjustment_reason?, notes? }] }
+ */
+router.put('/:id/items', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const countId = parseInt(req.params.id);
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one counted item is required' });
+    }
+
+    const existing = await prisma.stock_counts.findUnique({ where: { count_id: countId } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const stockCount = await runInLedger(async (tx) => {
+      const [locked] = await tx.$queryRaw`
+        SELECT status FROM stock_counts WHERE count_id = ${countId} FOR UPDATE
+      `;
+
+      if (locked.status !== 'OPEN') {
+        throw new StockLedgerError('Counts can only be entered while the stock count is OPEN', 409);
+      }
+
+      for (const entry of items) {
+        const countedQuantity = parseInt(entry.counted_quantity);
+
+        if (isNaN(countedQuantity) || countedQuantity < 0) {
+          throw new StockLedgerError('counted_quantity must be zero or more', 400, { stock_id: entry.stock_id });
+        }
+
+        if (entry.adjustment_reason && !COUNT_ADJUSTMENT_REASONS.includes(entry.adjustment_reason)) {
+          throw new StockLedgerError(`adjustment_reason must be one of ${COUNT_ADJUSTMENT_REASONS.join(', ')}`, 400, {
+            stock_id: entry.stock_id
+          });
+        }
+
+        const item = await tx.stock_count_items.findUnique({
+          where: { count_id_stock_id: { count_id: countId, stock_id: parseInt(entry.stock_id) } },
+          include: { stock: { select: { remaining_quantity: true } } }
+        });
+
+        if (!item) {
+          throw new StockLedgerError('Batch is not on this count sheet', 400, { stock_id: entry.stock_id });
+        }
+
+        await tx.stock_count_items.update({
+          where: { count_item_id: item.count_item_id },
+          data: {
+            system_quantity: item.stock.remaining_quantity,
+            counted_quantity: countedQuantity,
+            variance: countedQuantity - item.stock.remaining_quantity,
+            adjustment_reason: entry.adjustment_reason || null,
+            notes: entry.notes ?? item.notes,
+            counted_by_user_id: user?.user_id || null,
+            counted_at: new Date()
+          }
+        });
+      }
+
+      await tx.stock_counts.update({
+        where: { count_id: countId },
+        data: { updated_at: new Date() }
+      });
+
+      return tx.stock_counts.findUnique({ where: { count_id: countId }, include: stockCountInclude });
+    });
+
+    res.json({
+      success: true,
+      data: stockCount,
+      variance: buildVarianceReport(stockCount).totals
+    });
+  } catch (err) {
+    handleStockCountError(res, next, 'Error recording counted quantities:')(err);
+  }
+});
+
+/**
+ * PATCH /api/stock-counts/:id/submit
+ * Close the count sheet and hand it over for approval
+ */
+router.patch('/:id/submit', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const countId = parseInt(req.params.id);
+    const existing = await loadStockCount(countId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    if (!existing.items.some(item => item.counted_quantity !== null)) {
+      return res.status(400).json({ error: 'No batches have been counted yet' });
+    }
+
+    const stockCount = await runInLedger(async (tx) => {
+      await transitionStockCount(tx, countId, ['OPEN'], {
+        status: 'SUBMITTED',
+        submitted_by_user_id: user?.user_id || null,
+        submitted_at: new Date()
+      });
+
+      const updated = await tx.stock_counts.findUnique({ where: { count_id: countId }, include: stockCountInclude });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_counts',
+        recordId: countId,
+        action: 'SUBMIT',
+        oldValues: { status: existing.status },
+        newValues: buildVarianceReport(updated)
+      });
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      data: stockCount,
+      variance: buildVarianceReport(stockCount)
+    });
+  } catch (err) {
+    handleStockCountError(res, next, 'Error submitting stock count:')(err);
+  }
+});
+
+/**
+ * POST /api/stock-counts/:id/post
+ * Approve the count and post every approved variance in one transaction
+ * Shortages become a REMOVAL plus a stock_removals row (LOST unless ENTRY_ERROR was given);
+ * surpluses become an ADDITION. LOST shortages over the removal approval thresholds are
+ * saved as PENDING removals instead and leave the stock alone until someone other than
+ * the poster approves them. The variance report is saved on the session.
+ * Body: { rejected_stock_ids?: [] } - batches whose variance should NOT be posted
+ */
+router.post('/:id/post', requireRole('ADMIN', 'PHARMACIST'), async (req, res, next) => {
+  try {
+    const user = req.user;
+    const countId = parseInt(req.params.id);
+    const rejectedStockIds = (req.body.rejected_stock_ids || []).map(id => parseInt(id));
+    const existing = await loadStockCount(countId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (!canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const stockCount = await runInLedger(async (tx) => {
+      const postedAt = new Date();
+
+      await transitionStockCount(tx, countId, ['SUBMITTED'], {
+        status: 'POSTED',
+        posted_by_user_id: user.user_id,
+        posted_at: postedAt
+      });
+
+      const items = await tx.stock_count_items.findMany({
+        where: { count_id: countId, counted_quantity: { not: null } },
+        orderBy: [{ medicine_id: 'asc' }, { stock_id: 'asc' }]
+      });
+
+      for (const item of items) {
+        const approved = !rejectedStockIds.includes(item.stock_id);
+
+        if (!approved || item.variance === 0) {
+          await tx.stock_count_items.update({
+            where: { count_item_id: item.count_item_id },
+            data: { approved }
+          });
+          continue;
+        }
+
+        const shortage = item.variance < 0;
+        const reason = item.adjustment_reason || (shortage ? 'LOST' : 'ENTRY_ERROR');
+        let removalId = null;
+        let approval = { required: false, estimated_value: null };
+
+        if (shortage) {
+          const lastRemoval = await tx.stock_removals.findFirst({
+            orderBy: { removal_id: 'desc' }
+          });
+          removalId = lastRemoval ? lastRemoval.removal_id + 1 : 1;
+
+          const stock = await tx.medicine_stocks.findUnique({
+            where: { stock_id: item.stock_id },
+            select: { unit_cost: true }
+          });
+          approval = approvalRequirement({ reason, quantity: -item.variance, unitCost: stock?.unit_cost });
+        }
+
+        // Pending shortages are decremented when the removal is approved
+        let transaction = null;
+        if (!approval.required) {
+          ({ transaction } = await applyStockChange(tx, {
+            req,
+            stockId: item.stock_id,
+            quantity: Math.abs(item.variance),
+            transactionType: shortage ? 'REMOVAL' : 'ADDITION',
+            medicineId: item.medicine_id,
+            notes: shortage
+              ? `Stock count #${countId} shortage, removal #${removalId} (${reason})`
+              : `Stock count #${countId} surplus (${reason})`,
+            transactionDate: postedAt
+          }));
+        }
+
+        if (shortage) {
+          const removal = await tx.stock_removals.create({
+            data: {
+              removal_id: removalId,
+              medicine_id: item.medicine_id,
+              stock_id: item.stock_id,
+              quantity_removed: -item.variance,
+              reason,
+              notes: [`Stock count #${countId} variance`, item.notes].filter(Boolean).join(' - '),
+              date_removed: postedAt,
+              removed_by_user_id: user.user_id,
+              removed_by_wallet: user.wallet_address ? user.wallet_address.toLowerCase() : null,
+              status: approval.required ? 'PENDING' : 'APPROVED',
+              estimated_value: approval.estimated_value
+            }
+          });
+
+          await writeAudit(tx, req, {
+            tableName: 'stock_removals',
+            recordId: removal.removal_id,
+            action: 'CREATE',
+            newValues: removal
+          });
+        }
+
+        await tx.stock_count_items.update({
+          where: { count_item_id: item.count_item_id },
+          data: {
+            approved: true,
+            adjustment_reason: reason,
+            transaction_id: transaction ? transaction.transaction_id : null,
+            removal_id: removalId
+          }
+        });
+      }
+
+      const posted = await tx.stock_counts.findUnique({ where: { count_id: countId }, include: stockCountInclude });
+      const report = buildVarianceReport(posted);
+
+      const saved = await tx.stock_counts.update({
+        where: { count_id: countId },
+        data: { variance_report: report },
+        include: stockCountInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_counts',
+        recordId: countId,
+        action: 'POST',
+        oldValues: { status: existing.status },
+        newValues: report
+      });
+
+      return saved;
+    });
+
+    res.json({
+      success: true,
+      data: stockCount,
+      variance: stockCount.variance_report,
+      message: `Stock count #${countId} posted`
+    });
+  } catch (err) {
+    handleStockCountError(res, next, 'Error posting stock count:')(err);
+  }
+});
+
+/**
+ * PATCH /api/stock-counts/:id/cancel
+ * Abandon a session that has not been posted; nothing is adjusted
+ */
+router.patch('/:id/cancel', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const countId = parseInt(req.params.id);
+    const existing = await prisma.stock_counts.findUnique({ where: { count_id: countId } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.barangay)) {
+      return res.status(403).json({ error: 'Access denied to this barangay' });
+    }
+
+    const stockCount = await runInLedger(async (tx) => {
+      await transitionStockCount(tx, countId, ['OPEN', 'SUBMITTED'], {
+        status: 'CANCELLED',
+        cancelled_at: new Date()
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_counts',
+        recordId: countId,
+        action: 'CANCEL',
+        oldValues: { status: existing.status },
+        newValues: { status: 'CANCELLED', reason: req.body.reason || null }
+      });
+
+      return tx.stock_counts.findUnique({ where: { count_id: countId } });
+    });
+
+    res.json({ success: true, data: stockCount });
+  } catch (err) {
+    handleStockCountError(res, next, 'Error cancelling stock count:')(err);
+  }
+});
+
+export default router;
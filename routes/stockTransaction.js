@@ -3,6 +3,7 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
 import { logAuditFromRequest } from '../utils/auditLogger.js';
+import { runInLedger, applyStockChange, StockLedgerError } from '../services/inventoryLedger.js';
 import NodeCache from 'node-cache';
 
 const router = express.Router();
@@ -290,7 +291,8 @@ router.get('/:id', async (req, res, next) => {
 /**
  * ----------------------------------------------------------------
  * POST /stock-transactions
- * Create new stock transaction
+ * Apply a stock ADDITION or REMOVAL through the inventory ledger
+ * quantity_before / quantity_after are read from the locked stock row
  * ----------------------------------------------------------------
  */
 router.post('/', async (req, res, next) => {
@@ -301,8 +303,6 @@ router.post('/', async (req, res, next) => {
       stock_id,
       transaction_type,
       quantity_changed,
-      quantity_before,
-      quantity_after,
       transaction_date,
       performed_by_wallet,
       blockchain_tx_hash,
@@ -312,12 +312,11 @@ router.post('/', async (req, res, next) => {
     const user = req.user || null;
 
     // Validate required fields
-    if (!stock_id || !transaction_type || !quantity_changed || 
-        quantity_before === undefined || quantity_after === undefined) {
+    if (!stock_id || !transaction_type || !quantity_changed) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        required: ['stock_id', 'transaction_type', 'quantity_changed', 'quantity_before', 'quantity_after']
+        required: ['stock_id', 'transaction_type', 'quantity_changed']
       });
     }
 
@@ -367,40 +366,33 @@ router.post('/', async (req, res, next) => {
       });
     }
 
-    // Create the transaction
-    const transaction = await prisma.stock_transactions.create({
-      data: {
-        stock_id: parseInt(stock_id),
-        transaction_type,
-        quantity_changed: parseInt(quantity_changed),
-        quantity_before: parseInt(quantity_before),
-        quantity_after: parseInt(quantity_after),
-        transaction_date: transaction_date ? new Date(transaction_date) : new Date(),
-        performed_by_wallet: performed_by_wallet?.toLowerCase() || null,
-        blockchain_tx_hash: blockchain_tx_hash || null,
-        notes: notes || null
-      },
-      include: {
-        stock: {
-          include: {
-            medicine: true
+    // Check, quantity update, ledger row and audit commit together
+    const transaction = await runInLedger(async (tx) => {
+      const { transaction } = await applyStockChange(tx, {
+        req,
+        stockId: parseInt(stock_id),
+        quantity: parseInt(quantity_changed),
+        transactionType: transaction_type,
+        notes: notes || null,
+        transactionDate: transaction_date,
+        performedByWallet: performed_by_wallet,
+        blockchainTxHash: blockchain_tx_hash
+      });
+
+      return tx.stock_transactions.findUnique({
+        where: { transaction_id: transaction.transaction_id },
+        include: {
+          stock: {
+            include: {
+              medicine: true
+            }
           }
         }
-      }
+      });
     });
 
     console.log('✅ Transaction created:', transaction.transaction_id);
 
-    // POST /api/stock-transactions - Create transaction
-    await logAuditFromRequest({
-      req,
-      tableName: 'stock_transactions',
-      recordId: transaction.transaction_id,
-      action: 'CREATE',
-      oldValues: null,
-      newValues: transaction,
-    }).catch(err => console.error('Audit log failed:', err));
-
     // Invalidate cache if blockchain info is already present
     if (blockchain_tx_hash) {
       hashCache.del('blockchain_hashes');
@@ -414,6 +406,9 @@ router.post('/', async (req, res, next) => {
     });
   } catch (error) {
     console.error('❌ Error creating stock transaction:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
     res.status(500).json({ 
       success: false,
       error: 'Failed to create transaction',
@@ -522,7 +517,7 @@ router.patch('/:id/blockchain', async (req, res, next) => {
 /**
  * ----------------------------------------------------------------
  * DELETE /stock-transactions/:id
- * Delete a transaction (admin only, use with caution)
+ * Refused with 409: ledger rows are corrected with a compensating entry, never deleted
  * ----------------------------------------------------------------
  */
 router.delete('/:id', async (req, res, next) => {
@@ -566,27 +561,14 @@ router.delete('/:id', async (req, res, next) => {
       });
     }
 
-    await prisma.stock_transactions.delete({
-      where: { transaction_id: transactionId }
-    });
-
-   // DELETE /api/stock-transactions/:id - Delete transaction
-  await logAuditFromRequest({
-    req,
-    tableName: 'stock_transactions',
-    recordId: transactionId,
-    action: 'DELETE',
-    oldValues: transaction,
-    newValues: null,
-  }).catch(err => console.error('Audit log failed:', err));
-
-    // Invalidate cache
-    hashCache.del('blockchain_hashes');
-
-    res.json({
-      success: true,
-      message: 'Transaction deleted successfully',
-      deleted_transaction_id: transactionId
+    // The ledger is append-only: as-of valuation replays it, and reversals and
+    // stock counts point at its rows
+    return res.status(409).json({
+      success: false,
+      error: 'Stock transactions cannot be deleted; post an opposite ADDITION or REMOVAL to correct one',
+      transaction_id: transactionId,
+      transaction_type: transaction.transaction_type,
+      quantity_changed: transaction.quantity_changed
     });
   } catch (error) {
     console.error('Error deleting transaction:', error);
@@ -3,10 +3,71 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { logAuditFromRequest } from '../utils/auditLogger.js';
 import { getBarangayFilter } from '../middleware/baranggayAccess.js';
+import { syncMedicineTotal } from '../services/medicineTotals.js';
+import { convertReceivedQuantity, rememberPackSize } from '../services/unitConversion.js';
+import { StockLedgerError } from '../services/inventoryLedger.js';
+import { fieldsFromBarcode, matchCatalogGtin } from '../services/gs1Barcode.js';
+import { findActiveRecall, addIntakeToRecallTask } from '../services/medicineRecalls.js';
+import { netReleasedByMedicine } from '../services/medicationHistory.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_WINDOWS = [30, 60, 90];
+const DEFAULT_USAGE_WINDOW_DAYS = 90;
+
+/**
+ * Parse "30,60,90" into sorted positive day windows
+ */
+function parseExpiryWindows(value) {
+  if (!value) return DEFAULT_EXPIRY_WINDOWS;
+
+  const windows = String(value)
+    .split(',')
+    .map(v => parseInt(v.trim()))
+    .filter(v => !isNaN(v) && v > 0);
+
+  return windows.length > 0 ? [...new Set(windows)].sort((a, b) => a - b) : DEFAULT_EXPIRY_WINDOWS;
+}
+
+/**
+ * Project how much of each batch will be dispensed before it expires
+ * Batches are consumed first-expiry-first-out at a constant daily rate,
+ * so demand not met by an earlier batch (because it ran out or expired) falls to the next one
+ * @param {Array} batches - Unexpired batches of ONE medicine
+ * @param {number} dailyRate - Average units dispensed per day
+ * @param {Date} asOf - Start of the projection
+ * @returns {Map} - stock_id -> { days_until_expiry, projected_usage, projected_expiring_unused }
+ */
+function projectBatchExpiry(batches, dailyRate, asOf) {
+  const projections = new Map();
+  const ordered = [...batches].sort((a, b) =>
+    new Date(a.expiry_date) - new Date(b.expiry_date) || a.stock_id - b.stock_id
+  );
+
+  let consumedByEarlierBatches = 0;
+
+  for (const batch of ordered) {
+    const daysUntilExpiry = Math.max(0, (new Date(batch.expiry_date) - asOf) / DAY_MS);
+    const demandUntilExpiry = dailyRate * daysUntilExpiry;
+    const projectedUsage = Math.min(
+      batch.remaining_quantity,
+      Math.max(0, Math.floor(demandUntilExpiry - consumedByEarlierBatches))
+    );
+
+    consumedByEarlierBatches += projectedUsage;
+
+    projections.set(batch.stock_id, {
+      days_until_expiry: Math.ceil(daysUntilExpiry),
+      projected_usage: projectedUsage,
+      projected_expiring_unused: batch.remaining_quantity - projectedUsage
+    });
+  }
+
+  return projections;
+}
+
 /* ===========================================================
    📦 GET all stocks (with optional filters)
    =========================================================== */
@@ -85,16 +146,21 @@ router.post('/', async (req, res) => {
   try {
     const {
       medicine_id,
-      batch_number,
       quantity,
       unit_cost,
       supplier_name,
       date_received,
-      expiry_date,
       storage_location,
-      added_by_wallet
+      added_by_wallet,
+      unit,
+      pack_size,
+      pack_cost
     } = req.body;
 
+    // A scanned GS1 barcode fills batch_number / expiry_date
+    const scanned = fieldsFromBarcode(req.body);
+    const { batch_number, expiry_date } = scanned || req.body;
+
     if (!medicine_id || !batch_number || !quantity || !expiry_date) {
       return res.status(400).json({
         error: 'Missing required fields: medicine_id, batch_number, quantity, expiry_date'
@@ -102,48 +168,66 @@ router.post('/', async (req, res) => {
     }
 
     const medicine = await prisma.medicine_records.findUnique({
-      where: { medicine_id: parseInt(medicine_id) }
+      where: { medicine_id: parseInt(medicine_id) },
+      include: { catalog: true }
     });
     if (!medicine) return res.status(404).json({ error: 'Medicine not found' });
 
+    if (isNaN(new Date(expiry_date).getTime())) {
+      return res.status(400).json({ error: 'Invalid expiry date' });
+    }
+
     const existingStock = await prisma.medicine_stocks.findFirst({
       where: { medicine_id: parseInt(medicine_id), batch_number, is_active: true }
     });
     if (existingStock)
       return res.status(400).json({ error: 'Batch number already exists for this medicine' });
 
-    const stock_id = Date.now();
+    // Received packs (e.g. 5 boxes of 100) are stored as base units (500 tablets)
+    const received = await convertReceivedQuantity(prisma, medicine, {
+      quantity,
+      unit,
+      pack_size,
+      unit_cost,
+      pack_cost
+    });
+
+    // Only a valid intake records the scanned GTIN on the catalog entry
+    await matchCatalogGtin(prisma, medicine.catalog, scanned?.scan.gtin);
+
+    // A lot named by an active recall is frozen as it arrives
+    const recall = await findActiveRecall(prisma, medicine, batch_number);
 
     const stock = await prisma.medicine_stocks.create({
       data: {
-        stock_id,
         medicine_id: parseInt(medicine_id),
         batch_number,
-        quantity: parseInt(quantity),
-        remaining_quantity: parseInt(quantity),
-        unit_cost: parseFloat(unit_cost) || 0,
-        total_cost: (parseFloat(unit_cost) || 0) * parseInt(quantity),
+        quantity: received.quantity,
+        remaining_quantity: received.quantity,
+        unit_cost: received.unit_cost,
+        total_cost: received.total_cost,
+        received_unit: received.received_unit,
+        pack_size: received.pack_size,
+        packs_received: received.packs_received,
         supplier_name,
         date_received: new Date(date_received || Date.now()),
         expiry_date: new Date(expiry_date),
         storage_location: storage_location || 'Main Storage',
         is_active: true,
         added_by_wallet,
-        blockchain_status: 'PENDING',
+        ...(recall && { recall_id: recall.recall_id }),
         created_at: new Date()
       }
     });
 
-    // 🔁 Recalculate total quantity for this medicine
-    const total = await prisma.medicine_stocks.aggregate({
-      where: { medicine_id: parseInt(medicine_id), is_active: true },
-      _sum: { remaining_quantity: true }
-    });
+    if (recall) {
+      await addIntakeToRecallTask(prisma, recall.recall_id, medicine.barangay, { stocks: 1, quantity: received.quantity });
+    }
 
-    await prisma.medicine_records.update({
-      where: { medicine_id: parseInt(medicine_id) },
-      data: { total_quantity: total._sum.remaining_quantity || 0 }
-    });
+    await rememberPackSize(prisma, medicine, unit, pack_size);
+
+    // 🔁 Recalculate total quantity for this medicine
+    await syncMedicineTotal(prisma, parseInt(medicine_id));
 
     // POST /api/stocks - Create stock
     await logAuditFromRequest({
@@ -155,15 +239,26 @@ router.post('/', async (req, res) => {
       newValues: stock,
     }).catch(err => console.error('Audit log failed:', err));
 
-    res.status(201).json({ success: true, stock });
+    res.status(201).json({
+      success: true,
+      stock,
+      base_unit: medicine.base_unit,
+      ...(scanned && { scan: scanned.scan }),
+      ...(recall && { frozen_by_recall_id: recall.recall_id })
+    });
   } catch (error) {
     console.error('Error creating stock:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /* ===========================================================
-   ✏️ PUT - Update stock (full update)
+   ✏️ PUT - Update stock details
+   quantity and remaining_quantity are owned by the inventory ledger (see PATCH);
+   they are accepted only when unchanged. Fields that are not sent are kept.
    =========================================================== */
 router.put('/:id', async (req, res) => {
   try {
@@ -181,30 +276,42 @@ router.put('/:id', async (req, res) => {
     const oldStock = await prisma.medicine_stocks.findUnique({ where: { stock_id: stockId } });
     if (!oldStock) return res.status(404).json({ error: 'Stock not found' });
 
+    const changed = (value, current) => value !== undefined && parseInt(value) !== current;
+    if (changed(quantity, oldStock.quantity) || changed(remaining_quantity, oldStock.remaining_quantity)) {
+      return res.status(409).json({
+        error: 'quantity and remaining_quantity are updated by the inventory ledger; record a removal, release or stock count instead',
+        quantity: oldStock.quantity,
+        remaining_quantity: oldStock.remaining_quantity
+      });
+    }
+
+    const hasUnitCost = unit_cost !== undefined && unit_cost !== null && unit_cost !== '';
+    const unitCost = hasUnitCost ? Number(unit_cost) : null;
+    if (hasUnitCost && (isNaN(unitCost) || unitCost < 0)) {
+      return res.status(400).json({ error: 'unit_cost must be a non-negative number' });
+    }
+
+    const expiryDate = expiry_date !== undefined ? new Date(expiry_date) : null;
+    if (expiryDate && isNaN(expiryDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid expiry date' });
+    }
+
     const stock = await prisma.medicine_stocks.update({
       where: { stock_id: stockId },
       data: {
         batch_number,
-        quantity: parseInt(quantity),
-        remaining_quantity: parseInt(remaining_quantity),
-        unit_cost: parseFloat(unit_cost),
-        total_cost: parseFloat(unit_cost) * parseInt(quantity),
+        ...(hasUnitCost && {
+          unit_cost: unitCost,
+          total_cost: Number((unitCost * oldStock.quantity).toFixed(2))
+        }),
         supplier_name,
-        expiry_date: new Date(expiry_date),
+        ...(expiryDate && { expiry_date: expiryDate }),
         storage_location
       }
     });
 
     // 🔁 Recalculate total quantity
-    const total = await prisma.medicine_stocks.aggregate({
-      where: { medicine_id: oldStock.medicine_id, is_active: true },
-      _sum: { remaining_quantity: true }
-    });
-
-    await prisma.medicine_records.update({
-      where: { medicine_id: oldStock.medicine_id },
-      data: { total_quantity: total._sum.remaining_quantity || 0 }
-    });
+    await syncMedicineTotal(prisma, oldStock.medicine_id);
 
     // PUT /api/stocks/:id - Update stock
     await logAuditFromRequest({
@@ -225,6 +332,10 @@ router.put('/:id', async (req, res) => {
 
 /* ===========================================================
    ✏️ PATCH - Partially update stock (quantity/remaining only)
+   remaining_quantity is owned by the inventory ledger: releases, removals,
+   transfers and stock counts change it server-side. Clients used to PATCH the
+   decremented value after a removal's blockchain confirmation; that call is now
+   accepted only when it matches the current value (a no-op), otherwise 409.
    =========================================================== */
 router.patch('/:id', async (req, res) => {
   try {
@@ -236,24 +347,23 @@ router.patch('/:id', async (req, res) => {
     });
     if (!oldStock) return res.status(404).json({ error: 'Stock not found' });
 
+    if (remaining_quantity !== undefined && parseInt(remaining_quantity) !== oldStock.remaining_quantity) {
+      return res.status(409).json({
+        error: 'remaining_quantity is updated by the inventory ledger; record a removal, release or stock count instead',
+        remaining_quantity: oldStock.remaining_quantity
+      });
+    }
+
     const updatedStock = await prisma.medicine_stocks.update({
       where: { stock_id: stockId },
       data: {
         quantity: quantity !== undefined ? parseInt(quantity) : oldStock.quantity,
-        remaining_quantity: remaining_quantity !== undefined ? parseInt(remaining_quantity) : oldStock.remaining_quantity
+        remaining_quantity: oldStock.remaining_quantity
       }
     });
 
     // 🔁 Recalculate total quantity for the linked medicine
-    const total = await prisma.medicine_stocks.aggregate({
-      where: { medicine_id: oldStock.medicine_id, is_active: true },
-      _sum: { remaining_quantity: true }
-    });
-
-    await prisma.medicine_records.update({
-      where: { medicine_id: oldStock.medicine_id },
-      data: { total_quantity: total._sum.remaining_quantity || 0 }
-    });
+    await syncMedicineTotal(prisma, oldStock.medicine_id);
 
     // PATCH /api/stocks/:id - Partial update
     await logAuditFromRequest({
@@ -288,15 +398,7 @@ router.delete('/:id', async (req, res) => {
     });
 
     // 🔁 Recalculate total quantity
-    const total = await prisma.medicine_stocks.aggregate({
-      where: { medicine_id: stock.medicine_id, is_active: true },
-      _sum: { remaining_quantity: true }
-    });
-
-    await prisma.medicine_records.update({
-      where: { medicine_id: stock.medicine_id },
-      data: { total_quantity: total._sum.remaining_quantity || 0 }
-    });
+    await syncMedicineTotal(prisma, stock.medicine_id);
 
     // DELETE /api/stocks/:id - Soft delete
     await logAuditFromRequest({
@@ -320,10 +422,13 @@ router.delete('/:id', async (req, res) => {
    =========================================================== */
 router.get('/status/expired', async (req, res) => {
   try {
+    const barangayFilter = getBarangayFilter(req.user || null);
+
     const expiredStocks = await prisma.medicine_stocks.findMany({
       where: {
         is_active: true,
-        expiry_date: { lt: new Date() }
+        expiry_date: { lt: new Date() },
+        medicine: barangayFilter
       },
       include: { medicine: true },
       orderBy: { expiry_date: 'desc' }
@@ -337,21 +442,149 @@ router.get('/status/expired', async (req, res) => {
 });
 
 /* ===========================================================
-   ⚠️ GET low stock items
+   ⏳ GET near-expiry batches with projected waste
+   Query: windows=30,60,90 (alert windows in days),
+          usage_days (dispensing-rate lookback, default 90),
+          barangay (admin / municipal staff only)
+   Batches frozen by a recall are left out: they are never dispensed
    =========================================================== */
-router.get('/status/low-stock', async (req, res) => {
+router.get('/status/near-expiry', async (req, res) => {
   try {
-    const threshold = parseInt(req.query.threshold) || 10;
+    const user = req.user || null;
+    const windows = parseExpiryWindows(req.query.windows);
+    const usageDays = parseInt(req.query.usage_days) > 0
+      ? parseInt(req.query.usage_days)
+      : DEFAULT_USAGE_WINDOW_DAYS;
+
+    let medicineWhere = getBarangayFilter(user);
+    if (req.query.barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      medicineWhere = { barangay: req.query.barangay };
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + windows[windows.length - 1] * DAY_MS);
 
-    const lowStocks = await prisma.medicine_stocks.findMany({
+    // Every unexpired batch is needed for the projection: earlier batches absorb demand first
+    const batches = await prisma.medicine_stocks.findMany({
       where: {
         is_active: true,
-        remaining_quantity: { lte: threshold }
+        remaining_quantity: { gt: 0 },
+        expiry_date: { gt: now },
+        recall_id: null,
+        medicine: medicineWhere
       },
-      include: { medicine: true },
-      orderBy: { remaining_quantity: 'asc' }
+      include: {
+        medicine: {
+          select: { medicine_id: true, medicine_name: true, generic_name: true, strength: true, dosage_form: true, barangay: true }
+        }
+      },
+      orderBy: { expiry_date: 'asc' }
+    });
+
+    const medicineIds = [...new Set(batches.map(b => b.medicine_id))];
+    const released = await netReleasedByMedicine(prisma, medicineIds, new Date(now.getTime() - usageDays * DAY_MS));
+
+    const dailyRates = Object.fromEntries(
+      Object.entries(released).map(([medicineId, quantity]) => [medicineId, quantity / usageDays])
+    );
+
+    const projections = new Map();
+    for (const medicineId of medicineIds) {
+      const medicineBatches = batches.filter(b => b.medicine_id === medicineId);
+      for (const [stockId, projection] of projectBatchExpiry(medicineBatches, dailyRates[medicineId] || 0, now)) {
+        projections.set(stockId, projection);
+      }
+    }
+
+    const data = batches
+      .filter(b => new Date(b.expiry_date) <= horizon)
+      .map(batch => {
+        const projection = projections.get(batch.stock_id);
+        const unitCost = batch.unit_cost !== null ? Number(batch.unit_cost) : null;
+
+        return {
+          stock_id: batch.stock_id,
+          batch_number: batch.batch_number,
+          expiry_date: batch.expiry_date,
+          remaining_quantity: batch.remaining_quantity,
+          storage_location: batch.storage_location,
+          medicine: batch.medicine,
+          alert_window_days: windows.find(w => projection.days_until_expiry <= w),
+          average_daily_usage: Number((dailyRates[batch.medicine_id] || 0).toFixed(2)),
+          ...projection,
+          value_at_risk: unitCost !== null
+            ? Number((unitCost * projection.projected_expiring_unused).toFixed(2))
+            : null
+        };
+      });
+
+    const summary = windows.map(window => {
+      const inWindow = data.filter(d => d.alert_window_days === window);
+      return {
+        window_days: window,
+        batches: inWindow.length,
+        remaining_quantity: inWindow.reduce((sum, d) => sum + d.remaining_quantity, 0),
+        projected_expiring_unused: inWindow.reduce((sum, d) => sum + d.projected_expiring_unused, 0),
+        value_at_risk: Number(inWindow.reduce((sum, d) => sum + (d.value_at_risk || 0), 0).toFixed(2))
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      summary,
+      parameters: { windows, usage_days: usageDays },
+      barangay: medicineWhere.barangay || 'ALL'
+    });
+  } catch (error) {
+    console.error('Error forecasting stock expiry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* ===========================================================
+   ⚠️ GET low stock medicines
+   Compares each medicine's usable total (active, unexpired, not frozen by a recall)
+   with its reorder_point; medicines without one fall back to ?threshold (default 10)
+   Query: threshold, barangay (admin / municipal staff only)
+   =========================================================== */
+router.get('/status/low-stock', async (req, res) => {
+  try {
+    const user = req.user || null;
+    const threshold = parseInt(req.query.threshold) || 10;
+
+    let medicineWhere = getBarangayFilter(user);
+    if (req.query.barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+      medicineWhere = { barangay: req.query.barangay };
+    }
+
+    const medicines = await prisma.medicine_records.findMany({
+      where: { ...medicineWhere, is_active: true },
+      include: {
+        medicine_stocks: {
+          where: { is_active: true, expiry_date: { gt: new Date() }, recall_id: null },
+          select: { stock_id: true, batch_number: true, remaining_quantity: true, expiry_date: true }
+        }
+      },
+      orderBy: { medicine_name: 'asc' }
     });
 
+    const lowStocks = medicines
+      .map(({ medicine_stocks, ...medicine }) => {
+        const onHand = medicine_stocks.reduce((sum, s) => sum + s.remaining_quantity, 0);
+        const reorderPoint = medicine.reorder_point ?? threshold;
+        return {
+          ...medicine,
+          on_hand: onHand,
+          reorder_point_used: reorderPoint,
+          reorder_point_configured: medicine.reorder_point !== null,
+          shortfall: Math.max(0, reorderPoint - onHand),
+          batches: medicine_stocks
+        };
+      })
+      .filter(medicine => medicine.on_hand <= medicine.reorder_point_used)
+      .sort((a, b) => a.on_hand - b.on_hand);
+
     res.json(lowStocks);
   } catch (error) {
     console.error('Error fetching low stock items:', error);
@@ -0,0 +1,624 @@
+// backend/routes/transfers.js
+// Stock transfers between the MUNICIPAL store and barangay health centers
+// Flow: REQUESTED -> APPROVED -> DISPATCHED (source decremented) -> RECEIVED (destination stocked)
+// A dispatched transfer that never arrives is RETURNED: the source batch gets the stock back
+import express from 'express';
+import { PrismaClient, Barangay } from '@prisma/client';
+import { getBarangayFilter, canModifyRecord } from '../middleware/baranggayAccess.js';
+import { runInLedger, lockMedicine, applyStockChange, writeAudit, StockLedgerError } from '../services/inventoryLedger.js';
+import { findActiveRecall, addIntakeToRecallTask } from '../services/medicineRecalls.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const transferInclude = {
+  source_stock: {
+    select: {
+      stock_id: true,
+      batch_number: true,
+      expiry_date: true,
+      remaining_quantity: true,
+      medicine: {
+        select: { medicine_id: true, medicine_name: true, generic_name: true, strength: true, barangay: true }
+      }
+    }
+  },
+  destination_stock: {
+    select: {
+      stock_id: true,
+      batch_number: true,
+      expiry_date: true,
+      remaining_quantity: true,
+      medicine: {
+        select: { medicine_id: true, medicine_name: true, barangay: true }
+      }
+    }
+  },
+  requested_by_user: { select: { full_name: true, wallet_address: true } },
+  approved_by_user: { select: { full_name: true, wallet_address: true } },
+  dispatched_by_user: { select: { full_name: true, wallet_address: true } },
+  received_by_user: { select: { full_name: true, wallet_address: true } }
+};
+
+/**
+ * Move a transfer from one status to the next, guarding against concurrent transitions
+ * Throws (and rolls back the transaction) if the transfer is no longer in fromStatus
+ */
+async function transitionTransfer(tx, transferId, fromStatuses, data) {
+  const { count } = await tx.stock_transfers.updateMany({
+    where: { transfer_id: transferId, status: { in: fromStatuses } },
+    data: { ...data, updated_at: new Date() }
+  });
+
+  if (count === 0) {
+    throw new StockLedgerError(`Transfer is not in ${fromStatuses.join(' or ')} status`, 409, {
+      transfer_id: transferId
+    });
+  }
+
+  return tx.stock_transfers.findUnique({
+    where: { transfer_id: transferId },
+    include: transferInclude
+  });
+}
+
+/**
+ * Find the destination barangay's record for the same medicine, creating one if needed
+ * Matched on the catalog entry when the source is linked, otherwise on name and strength
+ */
+async function findOrCreateDestinationMedicine(tx, sourceMedicine, barangay, userId) {
+  const existing = await tx.medicine_records.findFirst({
+    where: {
+      barangay,
+      is_active: true,
+      ...(sourceMedicine.catalog_id
+        ? { catalog_id: sourceMedicine.catalog_id }
+        : {
+            medicine_name: { equals: sourceMedicine.medicine_name, mode: 'insensitive' },
+            strength: sourceMedicine.strength
+          })
+    }
+  });
+
+  if (existing) return existing;
+
+  return tx.medicine_records.create({
+    data: {
+      medicine_name: sourceMedicine.medicine_name,
+      medicine_type: sourceMedicine.medicine_type,
+      description: sourceMedicine.description,
+      generic_name: sourceMedicine.generic_name,
+      dosage_form: sourceMedicine.dosage_form,
+      strength: sourceMedicine.strength,
+      manufacturer: sourceMedicine.manufacturer,
+      category: sourceMedicine.category,
+      storage_requirements: sourceMedicine.storage_requirements,
+      base_unit: sourceMedicine.base_unit,
+      requires_prescription: sourceMedicine.requires_prescription,
+      is_controlled: sourceMedicine.is_controlled,
+      max_quantity_per_period: sourceMedicine.max_quantity_per_period,
+      quantity_period_days: sourceMedicine.quantity_period_days,
+      catalog_id: sourceMedicine.catalog_id,
+      barangay,
+      created_by: userId,
+      is_active: true,
+      created_at: new Date()
+    }
+  });
+}
+
+const loadTransfer = (transferId) => prisma.stock_transfers.findUnique({
+  where: { transfer_id: transferId },
+  include: transferInclude
+});
+
+const handleTransferError = (res, next, label) => (err) => {
+  console.error(label, err);
+  if (err instanceof StockLedgerError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  next(err);
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/transfers
+ * List transfers where the user's barangay is the source or destination
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const barangayFilter = getBarangayFilter(user);
+    const { status, barangay, page = 1, limit = 50 } = req.query;
+
+    const where = {};
+    const scopedBarangay = barangayFilter.barangay !== undefined
+      ? barangayFilter.barangay
+      : barangay;
+
+    if (scopedBarangay !== undefined) {
+      where.OR = [{ from_barangay: scopedBarangay }, { to_barangay: scopedBarangay }];
+    }
+    if (status) where.status = status;
+
+    const [transfers, total] = await Promise.all([
+      prisma.stock_transfers.findMany({
+        where,
+        include: transferInclude,
+        orderBy: { requested_at: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.stock_transfers.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      },
+      barangay: user?.assigned_barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error fetching transfers:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/transfers/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transfer = await loadTransfer(parseInt(req.params.id));
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, transfer.from_barangay) && !canModifyRecord(user, transfer.to_barangay)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    console.error('Error fetching transfer:', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/transfers
+ * Request a transfer of part of a batch to another barangay
+ * Either the source or the destination barangay may raise the request
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const { source_stock_id, to_barangay, quantity, notes } = req.body;
+
+    if (!source_stock_id || !to_barangay || !quantity) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['source_stock_id', 'to_barangay', 'quantity']
+      });
+    }
+
+    if (!Object.values(Barangay).includes(to_barangay)) {
+      return res.status(400).json({ error: 'to_barangay is not a valid barangay', to_barangay });
+    }
+
+    const parsedQuantity = parseInt(quantity);
+    if (isNaN(parsedQuantity) || parsedQuantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive number' });
+    }
+
+    const stock = await prisma.medicine_stocks.findUnique({
+      where: { stock_id: parseInt(source_stock_id) },
+      include: { medicine: { select: { barangay: true, medicine_name: true } } }
+    });
+
+    if (!stock || !stock.is_active) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    if (stock.recall_id) {
+      return res.status(409).json({ error: 'Stock batch is frozen by a recall', recall_id: stock.recall_id });
+    }
+
+    const fromBarangay = stock.medicine.barangay;
+
+    if (fromBarangay === to_barangay) {
+      return res.status(400).json({ error: 'Source and destination barangay must differ' });
+    }
+
+    if (user && !canModifyRecord(user, fromBarangay) && !canModifyRecord(user, to_barangay)) {
+      return res.status(403).json({
+        error: 'Cannot request a transfer between barangays you do not belong to',
+        fromBarangay,
+        toBarangay: to_barangay,
+        yourBarangay: user.assigned_barangay
+      });
+    }
+
+    if (stock.remaining_quantity < parsedQuantity) {
+      return res.status(400).json({
+        error: 'Insufficient stock quantity',
+        available: stock.remaining_quantity,
+        requested: parsedQuantity
+      });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      const created = await tx.stock_transfers.create({
+        data: {
+          source_stock_id: stock.stock_id,
+          from_barangay: fromBarangay,
+          to_barangay,
+          quantity: parsedQuantity,
+          notes: notes || null,
+          requested_by_user_id: user?.user_id || null
+        },
+        include: transferInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: created.transfer_id,
+        action: 'CREATE',
+        newValues: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: `Transfer of ${parsedQuantity} x ${stock.medicine.medicine_name} requested from ${fromBarangay} to ${to_barangay}`
+    });
+  } catch (err) {
+    handleTransferError(res, next, 'Error creating transfer:')(err);
+  }
+});
+
+/**
+ * PATCH /api/transfers/:id/approve
+ * Source barangay approves giving up the stock
+ */
+router.patch('/:id/approve', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transferId = parseInt(req.params.id);
+    const existing = await loadTransfer(transferId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.from_barangay)) {
+      return res.status(403).json({ error: 'Only the source barangay can approve this transfer' });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      const updated = await transitionTransfer(tx, transferId, ['REQUESTED'], {
+        status: 'APPROVED',
+        approved_by_user_id: user?.user_id || null,
+        approved_at: new Date()
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: transferId,
+        action: 'APPROVE',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, next, 'Error approving transfer:')(err);
+  }
+});
+
+/**
+ * PATCH /api/transfers/:id/dispatch
+ * Source leg: decrement the source batch and record the outgoing stock transaction
+ */
+router.patch('/:id/dispatch', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transferId = parseInt(req.params.id);
+    const existing = await loadTransfer(transferId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.from_barangay)) {
+      return res.status(403).json({ error: 'Only the source barangay can dispatch this transfer' });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      const updated = await transitionTransfer(tx, transferId, ['APPROVED'], {
+        status: 'DISPATCHED',
+        dispatched_by_user_id: user?.user_id || null,
+        dispatched_at: new Date()
+      });
+
+      await applyStockChange(tx, {
+        req,
+        stockId: existing.source_stock_id,
+        quantity: existing.quantity,
+        transactionType: 'REMOVAL',
+        notes: `Transfer #${transferId} dispatched to ${existing.to_barangay}`,
+        rejectRecalled: true
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: transferId,
+        action: 'DISPATCH',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, next, 'Error dispatching transfer:')(err);
+  }
+});
+
+/**
+ * PATCH /api/transfers/:id/receive
+ * Destination leg: stock the same batch_number and expiry under the destination barangay
+ */
+router.patch('/:id/receive', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transferId = parseInt(req.params.id);
+    const existing = await loadTransfer(transferId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.to_barangay)) {
+      return res.status(403).json({ error: 'Only the destination barangay can receive this transfer' });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      // Claim the transition first so a second receive cannot stock the batch twice
+      await transitionTransfer(tx, transferId, ['DISPATCHED'], {
+        status: 'RECEIVED',
+        received_by_user_id: user?.user_id || null,
+        received_at: new Date()
+      });
+
+      const sourceStock = await tx.medicine_stocks.findUnique({
+        where: { stock_id: existing.source_stock_id },
+        include: { medicine: true }
+      });
+
+      const destinationMedicine = await findOrCreateDestinationMedicine(
+        tx,
+        sourceStock.medicine,
+        existing.to_barangay,
+        user?.user_id || null
+      );
+
+      // Quantities move in base units, so both sides must count in the same unit
+      if (destinationMedicine.base_unit !== sourceStock.medicine.base_unit) {
+        throw new StockLedgerError('Destination medicine uses a different base unit', 400, {
+          source_base_unit: sourceStock.medicine.base_unit,
+          destination_base_unit: destinationMedicine.base_unit
+        });
+      }
+
+      await lockMedicine(tx, destinationMedicine.medicine_id);
+
+      let destinationStock = await tx.medicine_stocks.findUnique({
+        where: {
+          medicine_id_batch_number: {
+            medicine_id: destinationMedicine.medicine_id,
+            batch_number: sourceStock.batch_number
+          }
+        }
+      });
+
+      // A lot named by an active recall while in transit is frozen as it arrives
+      const recall = destinationStock?.recall_id
+        ? null
+        : await findActiveRecall(tx, destinationMedicine, sourceStock.batch_number);
+      const recallId = destinationStock?.recall_id || recall?.recall_id || null;
+
+      if (destinationStock) {
+        await tx.medicine_stocks.update({
+          where: { stock_id: destinationStock.stock_id },
+          data: {
+            quantity: { increment: existing.quantity },
+            is_active: true,
+            ...(recall && { recall_id: recall.recall_id })
+          }
+        });
+      } else {
+        // Created empty; the ADDITION below brings it to the transferred quantity
+        destinationStock = await tx.medicine_stocks.create({
+          data: {
+            medicine_id: destinationMedicine.medicine_id,
+            batch_number: sourceStock.batch_number,
+            quantity: existing.quantity,
+            remaining_quantity: 0,
+            unit_cost: sourceStock.unit_cost,
+            total_cost: sourceStock.unit_cost !== null
+              ? Number(sourceStock.unit_cost) * existing.quantity
+              : null,
+            supplier_id: sourceStock.supplier_id,
+            supplier_name: sourceStock.supplier_name,
+            date_received: new Date(),
+            expiry_date: sourceStock.expiry_date,
+            storage_location: 'Main Storage',
+            is_active: true,
+            added_by_user_id: user?.user_id || null,
+            added_by_wallet: user?.wallet_address || null,
+            ...(recall && { recall_id: recall.recall_id }),
+            created_at: new Date()
+          }
+        });
+      }
+
+      if (recallId) {
+        await addIntakeToRecallTask(tx, recallId, existing.to_barangay, {
+          stocks: recall ? 1 : 0,
+          quantity: existing.quantity
+        });
+      }
+
+      await applyStockChange(tx, {
+        req,
+        stockId: destinationStock.stock_id,
+        quantity: existing.quantity,
+        transactionType: 'ADDITION',
+        notes: `Transfer #${transferId} received from ${existing.from_barangay}`
+      });
+
+      const updated = await tx.stock_transfers.update({
+        where: { transfer_id: transferId },
+        data: { destination_stock_id: destinationStock.stock_id },
+        include: transferInclude
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: transferId,
+        action: 'RECEIVE',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, next, 'Error receiving transfer:')(err);
+  }
+});
+
+/**
+ * PATCH /api/transfers/:id/cancel
+ * Either side may cancel until the stock has been dispatched; after that see /return
+ */
+router.patch('/:id/cancel', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transferId = parseInt(req.params.id);
+    const existing = await loadTransfer(transferId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.from_barangay) && !canModifyRecord(user, existing.to_barangay)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      const updated = await transitionTransfer(tx, transferId, ['REQUESTED', 'APPROVED'], {
+        status: 'CANCELLED',
+        cancelled_at: new Date(),
+        notes: req.body.reason
+          ? [existing.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n')
+          : existing.notes
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: transferId,
+        action: 'CANCEL',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return updated;
+    });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, next, 'Error cancelling transfer:')(err);
+  }
+});
+
+/**
+ * PATCH /api/transfers/:id/return
+ * Source barangay takes back a dispatched transfer that was never received
+ * The quantity goes back onto the source batch through a ledger ADDITION
+ * Body: { reason? }
+ */
+router.patch('/:id/return', async (req, res, next) => {
+  try {
+    const user = req.user || null;
+    const transferId = parseInt(req.params.id);
+    const existing = await loadTransfer(transferId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (user && !canModifyRecord(user, existing.from_barangay)) {
+      return res.status(403).json({ error: 'Only the source barangay can take back this transfer' });
+    }
+
+    const transfer = await runInLedger(async (tx) => {
+      const updated = await transitionTransfer(tx, transferId, ['DISPATCHED'], {
+        status: 'RETURNED',
+        returned_at: new Date(),
+        notes: req.body.reason
+          ? [existing.notes, `Returned: ${req.body.reason}`].filter(Boolean).join('\n')
+          : existing.notes
+      });
+
+      await applyStockChange(tx, {
+        req,
+        stockId: existing.source_stock_id,
+        quantity: existing.quantity,
+        transactionType: 'ADDITION',
+        notes: `Transfer #${transferId} to ${existing.to_barangay} returned`
+      });
+
+      await writeAudit(tx, req, {
+        tableName: 'stock_transfers',
+        recordId: transferId,
+        action: 'RETURN',
+        oldValues: existing,
+        newValues: updated
+      });
+
+      return tx.stock_transfers.findUnique({ where: { transfer_id: transferId }, include: transferInclude });
+    });
+
+    res.json({ success: true, data: transfer });
+  } catch (err) {
+    handleTransferError(res, next, 'Error returning transfer:')(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+// backend/routes/valuation.js
+// Inventory valuation, cost of dispensing and removal-loss reports
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { getBarangayFilter } from '../middleware/baranggayAccess.js';
+import {
+  VALUATION_METHODS,
+  parseValuationMethod,
+  categoryOf,
+  groupValues,
+  valueOnHand,
+  valueReleases,
+  valueRemovals
+} from '../services/inventoryValuation.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toMoney = (value) => Number(Number(value).toFixed(2));
+
+const GROUPINGS = {
+  barangay: (row) => row.medicine.barangay,
+  category: (row) => categoryOf(row.medicine),
+  medicine: (row) => `${row.medicine.medicine_id}:${row.medicine.medicine_name}`,
+  reason: (row) => row.reason
+};
+
+/**
+ * Barangay scope for a report: own barangay for barangay staff,
+ * optional ?barangay= for admin and municipal staff
+ */
+function reportScope(req) {
+  const user = req.user || null;
+  if (req.query.barangay && user && (user.role === 'ADMIN' || user.role === 'MUNICIPAL_STAFF')) {
+    return { barangay: req.query.barangay };
+  }
+  return getBarangayFilter(user);
+}
+
+/**
+ * Parse and validate method / dates / group_by shared by every report
+ * Returns { error } when the query is invalid
+ */
+function parseReportQuery(req, { defaultGroupBy, allowedGroupings }) {
+  const method = parseValuationMethod(req.query.method);
+  if (!method) {
+    return { error: `method must be one of ${VALUATION_METHODS.join(', ')}` };
+  }
+
+  const groupBy = req.query.group_by || defaultGroupBy;
+  if (!allowedGroupings.includes(groupBy)) {
+    return { error: `group_by must be one of ${allowedGroupings.join(', ')}` };
+  }
+
+  const now = new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = req.query.to ? new Date(req.query.to) : now;
+  const asOf = req.query.as_of ? new Date(req.query.as_of) : now;
+
+  if ([from, to, asOf].some(d => isNaN(d.getTime()))) {
+    return { error: 'Invalid date' };
+  }
+
+  return { method, groupBy, from, to, asOf };
+}
+
+const summarize = (rows, groupBy) => ({
+  groups: groupValues(rows, GROUPINGS[groupBy]),
+  total_quantity: rows.reduce((sum, r) => sum + r.quantity, 0),
+  total_value: toMoney(rows.reduce((sum, r) => sum + r.value, 0)),
+  // Units whose cost is unknown; total_value leaves them out
+  unvalued_quantity: rows.reduce((sum, r) => sum + r.unvalued_quantity, 0)
+});
+
+/**
+ * Start and end of a calendar quarter (1-4)
+ */
+function quarterRange(year, quarter) {
+  const start = new Date(year, (quarter - 1) * 3, 1);
+  const end = new Date(year, quarter * 3, 1);
+  end.setMilliseconds(-1);
+  return { start, end };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * GET /api/valuation/on-hand
+ * Value of stock on hand at a point in time
+ * Query: as_of (default now), method=FIFO|WEIGHTED_AVERAGE, group_by=barangay|category|medicine, barangay
+ */
+router.get('/on-hand', async (req, res, next) => {
+  try {
+    const query = parseReportQuery(req, {
+      defaultGroupBy: 'barangay',
+      allowedGroupings: ['barangay', 'category', 'medicine']
+    });
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    const scope = reportScope(req);
+    const rows = await valueOnHand(prisma, scope, query.asOf, query.method);
+
+    res.json({
+      success: true,
+      data: summarize(rows, query.groupBy),
+      parameters: { as_of: query.asOf, method: query.method, group_by: query.groupBy },
+      barangay: scope.barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error valuing stock on hand:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/valuation/dispensing
+ * Cost of medicines released in a period
+ * Query: from, to, method, group_by=barangay|category|medicine, barangay
+ */
+router.get('/dispensing', async (req, res, next) => {
+  try {
+    const query = parseReportQuery(req, {
+      defaultGroupBy: 'barangay',
+      allowedGroupings: ['barangay', 'category', 'medicine']
+    });
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    const scope = reportScope(req);
+    const rows = await valueReleases(prisma, scope, query.from, query.to, query.method);
+
+    res.json({
+      success: true,
+      data: { ...summarize(rows, query.groupBy), releases: rows.length },
+      parameters: { from: query.from, to: query.to, method: query.method, group_by: query.groupBy },
+      barangay: scope.barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error valuing releases:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/valuation/removals
+ * Value lost to stock removals in a period, by RemovalReason by default
+ * Query: from, to, method, group_by=reason|barangay|category|medicine, barangay
+ */
+router.get('/removals', async (req, res, next) => {
+  try {
+    const query = parseReportQuery(req, {
+      defaultGroupBy: 'reason',
+      allowedGroupings: ['reason', 'barangay', 'category', 'medicine']
+    });
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    const scope = reportScope(req);
+    const rows = await valueRemovals(prisma, scope, query.from, query.to, query.method);
+
+    res.json({
+      success: true,
+      data: { ...summarize(rows, query.groupBy), removals: rows.length },
+      parameters: { from: query.from, to: query.to, method: query.method, group_by: query.groupBy },
+      barangay: scope.barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error valuing removals:', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/valuation/quarterly
+ * Quarter summary for the municipal budget office: opening and closing stock value,
+ * cost of dispensing and value lost by removal reason, per barangay
+ * Query: year, quarter (1-4), method, barangay
+ */
+router.get('/quarterly', async (req, res, next) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const quarter = parseInt(req.query.quarter) || Math.floor(now.getMonth() / 3) + 1;
+    const method = parseValuationMethod(req.query.method);
+
+    if (quarter < 1 || quarter > 4) {
+      return res.status(400).json({ error: 'quarter must be between 1 and 4' });
+    }
+    if (!method) {
+      return res.status(400).json({ error: `method must be one of ${VALUATION_METHODS.join(', ')}` });
+    }
+
+    const scope = reportScope(req);
+    const { start, end } = quarterRange(year, quarter);
+    const openingDate = new Date(start.getTime() - 1);
+
+    const opening = await valueOnHand(prisma, scope, openingDate, method);
+    const closing = await valueOnHand(prisma, scope, end, method);
+    const released = await valueReleases(prisma, scope, start, end, method);
+    const removed = await valueRemovals(prisma, scope, start, end, method);
+
+    const barangays = [...new Set([...opening, ...closing, ...released, ...removed].map(r => r.medicine.barangay))].sort();
+    const sumFor = (rows, barangay) => toMoney(
+      rows.filter(r => r.medicine.barangay === barangay).reduce((sum, r) => sum + r.value, 0)
+    );
+
+    const byBarangay = barangays.map(barangay => ({
+      barangay,
+      opening_value: sumFor(opening, barangay),
+      dispensing_cost: sumFor(released, barangay),
+      removal_loss: sumFor(removed, barangay),
+      closing_value: sumFor(closing, barangay),
+      removal_loss_by_reason: groupValues(
+        removed.filter(r => r.medicine.barangay === barangay),
+        GROUPINGS.reason
+      )
+    }));
+
+    const total = (rows) => toMoney(rows.reduce((sum, r) => sum + r.value, 0));
+    const unvalued = (rows) => rows.reduce((sum, r) => sum + r.unvalued_quantity, 0);
+
+    res.json({
+      success: true,
+      data: {
+        byBarangay,
+        totals: {
+          opening_value: total(opening),
+          dispensing_cost: total(released),
+          removal_loss: total(removed),
+          closing_value: total(closing),
+          removal_loss_by_reason: groupValues(removed, GROUPINGS.reason),
+          // Units of unknown cost, left out of the values above
+          unvalued_quantity: {
+            opening: unvalued(opening),
+            dispensing: unvalued(released),
+            removals: unvalued(removed),
+            closing: unvalued(closing)
+          }
+        }
+      },
+      parameters: { year, quarter, from: start, to: end, method },
+      barangay: scope.barangay || 'ALL'
+    });
+  } catch (err) {
+    console.error('Error building quarterly valuation:', err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+// scripts/backfillMedicineCatalog.js
+// Link existing medicine_records rows to the shared catalog.
+// Rows are matched on generic_name (or medicine_name), strength and dosage form,
+// so "Paracetamol 500 mg Tabs" and "paracetamol 500MG tablet" land on one entry
+//
+// Usage:
+//   node scripts/backfillMedicineCatalog.js            # dry run
+//   node scripts/backfillMedicineCatalog.js --apply
+import { PrismaClient } from "@prisma/client";
+import { buildCatalogKey, findOrCreateCatalogEntry } from "../services/medicineCatalog.js";
+
+const prisma = new PrismaClient();
+const shouldApply = process.argv.includes("--apply");
+
+async function backfillMedicineCatalog() {
+  try {
+    console.log("🔍 Finding medicines without a catalog entry...");
+
+    const medicines = await prisma.medicine_records.findMany({
+      where: { catalog_id: null },
+      orderBy: { medicine_id: "asc" }
+    });
+
+    console.log(`📊 Unlinked medicines: ${medicines.length}`);
+
+    if (medicines.length === 0) {
+      console.log("✅ Every medicine is already linked!");
+      return;
+    }
+
+    // Group rows that describe the same drug
+    const groups = new Map();
+    for (const medicine of medicines) {
+      const drug = {
+        generic_name: medicine.generic_name || medicine.medicine_name,
+        strength: medicine.strength,
+        dosage_form: medicine.dosage_form,
+        category: medicine.category
+      };
+      const key = buildCatalogKey(drug);
+
+      if (!groups.has(key)) {
+        groups.set(key, { drug, medicines: [] });
+      }
+      groups.get(key).medicines.push(medicine);
+    }
+
+    console.log(`💊 Distinct drugs: ${groups.size}\n`);
+
+    for (const [key, group] of groups) {
+      const names = [...new Set(group.medicines.map(m => m.medicine_name))];
+      console.log(`   ${key} ← ${group.medicines.length} row(s): ${names.join(", ")}`);
+    }
+
+    if (!shouldApply) {
+      console.log("\nℹ️  Dry run only; run again with --apply to link");
+      return;
+    }
+
+    let linked = 0;
+    for (const group of groups.values()) {
+      let entry;
+      try {
+        entry = await findOrCreateCatalogEntry(prisma, group.drug);
+      } catch (error) {
+        console.log(`   ⚠️  Skipped ${buildCatalogKey(group.drug)}: ${error.message}`);
+        continue;
+      }
+
+      const result = await prisma.medicine_records.updateMany({
+        where: { medicine_id: { in: group.medicines.map(m => m.medicine_id) } },
+        data: { catalog_id: entry.catalog_id }
+      });
+
+      linked += result.count;
+    }
+
+    console.log(`\n✨ Linked ${linked} medicine(s) to ${groups.size} catalog entr${groups.size === 1 ? "y" : "ies"}`);
+
+  } catch (error) {
+    console.error("❌ Error during catalog backfill:", error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the backfill
+backfillMedicineCatalog()
+  .then(() => {
+    console.log("\n✅ Script completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Script failed:", error);
+    process.exit(1);
+  });
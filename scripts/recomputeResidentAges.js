@@ -0,0 +1,65 @@
+// scripts/recomputeResidentAges.js
+// Report (and with --fix, update) residents whose stored age, age_category or
+// is_senior_citizen no longer match their date_of_birth
+//
+// Usage:
+//   node scripts/recomputeResidentAges.js                      # report only
+//   node scripts/recomputeResidentAges.js --fix                # update every barangay
+//   node scripts/recomputeResidentAges.js --fix --barangay=MUNICIPAL
+import { PrismaClient } from "@prisma/client";
+import { recomputeResidentAges } from "../services/residentAges.js";
+
+const prisma = new PrismaClient();
+
+const args = process.argv.slice(2);
+const shouldFix = args.includes("--fix");
+const barangayArg = args.find(arg => arg.startsWith("--barangay="));
+const barangay = barangayArg ? barangayArg.split("=")[1] : null;
+
+async function recomputeAges() {
+  try {
+    console.log(`🔍 Checking resident ages for ${barangay || "all barangays"}...`);
+
+    const result = await recomputeResidentAges(prisma, { barangay, dryRun: !shouldFix });
+    console.log(`📊 Residents with a date of birth: ${result.checked}`);
+
+    if (result.changed === 0) {
+      console.log("✅ Every stored age matches its date of birth!");
+      return;
+    }
+
+    console.log(`\n⚠️  ${result.changed} resident(s) out of date:\n`);
+    for (const change of result.changes) {
+      console.log(
+        `🔴 #${change.resident_id} ${change.full_name} (${change.barangay}): ` +
+        `age ${change.old.age ?? "-"} → ${change.new.age}, ` +
+        `${change.old.age_category || "-"} → ${change.new.age_category}` +
+        (change.old.is_senior_citizen !== change.new.is_senior_citizen ? `, senior ${change.new.is_senior_citizen}` : "")
+      );
+    }
+
+    if (!shouldFix) {
+      console.log("\nℹ️  Run again with --fix to update");
+      return;
+    }
+
+    console.log(`\n✨ Updated ${result.updated} resident(s)`);
+
+  } catch (error) {
+    console.error("❌ Error recomputing resident ages:", error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the check
+recomputeAges()
+  .then(() => {
+    console.log("\n✅ Script completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Script failed:", error);
+    process.exit(1);
+  });
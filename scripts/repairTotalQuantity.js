@@ -0,0 +1,76 @@
+// scripts/repairTotalQuantity.js
+// Report (and with --fix, repair) medicines whose total_quantity has drifted
+// from the sum of their active batches' remaining_quantity
+//
+// Usage:
+//   node scripts/repairTotalQuantity.js                      # report only
+//   node scripts/repairTotalQuantity.js --fix                # repair every barangay
+//   node scripts/repairTotalQuantity.js --fix --barangay=MUNICIPAL
+import { PrismaClient } from "@prisma/client";
+import {
+  findTotalQuantityDrift,
+  summarizeDriftByBarangay,
+  repairTotalQuantityDrift
+} from "../services/medicineTotals.js";
+
+const prisma = new PrismaClient();
+
+const args = process.argv.slice(2);
+const shouldFix = args.includes("--fix");
+const barangayArg = args.find(arg => arg.startsWith("--barangay="));
+const barangay = barangayArg ? barangayArg.split("=")[1] : null;
+
+async function repairTotalQuantity() {
+  try {
+    const where = barangay ? { barangay } : {};
+    console.log(`🔍 Checking total_quantity for ${barangay || "all barangays"}...`);
+
+    const drift = await findTotalQuantityDrift(prisma, where);
+
+    if (drift.length === 0) {
+      console.log("✅ Every medicine total matches its batches!");
+      return;
+    }
+
+    console.log(`\n⚠️  ${drift.length} medicine(s) out of sync:\n`);
+    for (const row of drift) {
+      console.log(
+        `🔴 #${row.medicine_id} ${row.medicine_name} (${row.barangay}): ` +
+        `recorded ${row.recorded_total}, batches ${row.actual_total}, drift ${row.drift > 0 ? "+" : ""}${row.drift}`
+      );
+    }
+
+    console.log("\n📊 By barangay:");
+    for (const summary of summarizeDriftByBarangay(drift)) {
+      console.log(`   ${summary.barangay}: ${summary.medicines} medicine(s), ${summary.absolute_drift} unit(s) of drift`);
+    }
+
+    if (!shouldFix) {
+      console.log("\nℹ️  Run again with --fix to repair");
+      return;
+    }
+
+    const repaired = await repairTotalQuantityDrift(prisma, where);
+    console.log(`\n✨ Repaired total_quantity for ${repaired.length} medicine(s)`);
+
+    const remaining = await findTotalQuantityDrift(prisma, where);
+    console.log(`📊 Medicines still out of sync: ${remaining.length}`);
+
+  } catch (error) {
+    console.error("❌ Error checking total quantities:", error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the check
+repairTotalQuantity()
+  .then(() => {
+    console.log("\n✅ Script completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Script failed:", error);
+    process.exit(1);
+  });
@@ -22,10 +22,23 @@ import scheduleRoutes from "./routes/schedule.js";
 import consultationsRoutes from "./routes/consultations.js";
 import providerProfilesRoutes from "./routes/providerProfiles.js";
 import systemRoutes from "./routes/system.js";
+import replenishmentRoutes from "./routes/replenishment.js";
+import transfersRoutes from "./routes/transfers.js";
+import purchaseOrdersRoutes from "./routes/purchaseOrders.js";
+import stockCountsRoutes from "./routes/stockCounts.js";
+import catalogRoutes from "./routes/catalog.js";
+import valuationRoutes from "./routes/valuation.js";
+import disposalsRoutes from "./routes/disposals.js";
+import recallsRoutes from "./routes/recalls.js";
+import barcodesRoutes from "./routes/barcodes.js";
+import householdsRoutes from "./routes/households.js";
+import maternalRoutes from "./routes/maternal.js";
+import immunizationRoutes from "./routes/immunizations.js";
 
 // Services
 import blockchainService from "./utils/blockchainUtils.js";  // ✅ Added
 import { optionalAuth } from "./middleware/auth.js";
+import { startAgeRecomputeJob } from "./services/residentAges.js";
 // import blockchainListener from "./services/blockchainListener.js"; // optional legacy
 
 const app = express();
@@ -75,6 +88,18 @@ app.use("/schedule", scheduleRoutes);
 app.use("/consultations", consultationsRoutes);
 app.use("/provider-profiles", providerProfilesRoutes);
 app.use("/system", systemRoutes);
+app.use("/replenishment", replenishmentRoutes);
+app.use("/transfers", transfersRoutes);
+app.use("/purchase-orders", purchaseOrdersRoutes);
+app.use("/stock-counts", stockCountsRoutes);
+app.use("/catalog", catalogRoutes);
+app.use("/valuation", valuationRoutes);
+app.use("/disposals", disposalsRoutes);
+app.use("/recalls", recallsRoutes);
+app.use("/barcodes", barcodesRoutes);
+app.use("/households", householdsRoutes);
+app.use("/maternal", maternalRoutes);
+app.use("/immunizations", immunizationRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -96,6 +121,7 @@ prisma.$connect()
   });
 
 const PORT = process.env.PORT || 4000;
+let stopAgeRecompute = null;
 const server = app.listen(PORT, () => {
   console.log(`✅ API running on http://localhost:${PORT}`);
   console.log(
@@ -107,6 +133,12 @@ const server = app.listen(PORT, () => {
   // ✅ Blockchain event listener - DISABLED to prevent filter errors
   console.log("⚠️  Blockchain event listener disabled (prevents RPC filter errors)");
   console.log("✅ Blockchain service available for transactions");
+
+  // Daily refresh of residents.age / age_category / is_senior_citizen from date_of_birth
+  if (process.env.AGE_RECOMPUTE_JOB !== "disabled") {
+    stopAgeRecompute = startAgeRecomputeJob(prisma);
+    console.log("🎂 Resident age recompute job scheduled");
+  }
   
   // Event listener disabled - uncomment below to re-enable
   /*
@@ -147,6 +179,8 @@ const shutdown = async (signal) => {
   server.close(async () => {
     console.log("Server closed");
 
+    if (stopAgeRecompute) stopAgeRecompute();
+
     // Stop blockchain service if needed
     if (blockchainService.stopListening) {
       blockchainService.stopListening();
@@ -0,0 +1,190 @@
+// backend/services/clinicalChecks.js
+// Allergy, condition and pregnancy checks run before a medicine is released to a resident
+// Drug metadata (drug_class, contraindicated_conditions, pregnancy_category) lives on the
+// shared catalog entry; the resident side comes from resident_allergies / resident_conditions.
+//
+// Every finding has a level:
+//   BLOCK             - cannot be dispensed (severe allergy, pregnancy category X)
+//   OVERRIDE_REQUIRED - a PHARMACIST / ADMIN must confirm with clinical_override_reason
+//   INFO              - shown with the release, never stops it
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+export const CLINICAL_OVERRIDE_ROLES = ['ADMIN', 'PHARMACIST'];
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Whole words of a name, lowercased, with plurals folded ("Penicillins" -> ["penicillin"])
+ */
+const tokensOf = (value) => normalize(value)
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map(token => (token.length > 4 && token.endsWith('s') ? token.slice(0, -1) : token));
+
+/**
+ * True when every word of phrase appears, in order and adjacent, among the words of text
+ */
+function containsPhrase(text, phrase) {
+  const words = tokensOf(text);
+  const wanted = tokensOf(phrase);
+  if (wanted.length === 0) return false;
+
+  return words.some((_, start) => wanted.every((word, offset) => words[start + offset] === word));
+}
+
+/**
+ * True when an allergen names this drug: same catalog entry, or the allergen text names
+ * its generic name, brand name or drug class as whole words. Fragments such as "acid"
+ * do not match "mefenamic acid"; "amoxicillin tablets" does match "amoxicillin".
+ */
+function allergenMatches(allergy, medicine) {
+  if (allergy.catalog_id && allergy.catalog_id === medicine.catalog_id) return true;
+
+  if (!normalize(allergy.allergen)) return false;
+
+  const names = [
+    medicine.generic_name,
+    medicine.medicine_name,
+    medicine.catalog?.generic_name,
+    medicine.catalog?.drug_class
+  ].filter(name => normalize(name));
+
+  return names.some(name => containsPhrase(allergy.allergen, name));
+}
+
+/**
+ * Check a medicine against a resident's record
+ * @param {Object} medicine - medicine_records row with catalog
+ * @param {Object} resident - residents row with allergy_entries and condition_entries (active only)
+ * @returns {Array} - Findings [{ level, type, message, ... }]
+ */
+export function findClinicalConflicts(medicine, resident) {
+  const findings = [];
+  const catalog = medicine.catalog || {};
+
+  for (const allergy of resident.allergy_entries || []) {
+    if (!allergenMatches(allergy, medicine)) continue;
+
+    findings.push({
+      level: allergy.severity === 'SEVERE' ? 'BLOCK' : 'OVERRIDE_REQUIRED',
+      type: 'ALLERGY',
+      allergy_id: allergy.allergy_id,
+      allergen: allergy.allergen,
+      severity: allergy.severity,
+      reaction: allergy.reaction,
+      message: `Resident is allergic to ${allergy.allergen}${allergy.reaction ? ` (${allergy.reaction})` : ''}`
+    });
+  }
+
+  // Free-text allergies recorded before structured entries existed
+  const freeText = normalize(resident.allergies);
+  const genericName = normalize(medicine.generic_name || catalog.generic_name);
+  if (freeText && genericName && containsPhrase(freeText, genericName) &&
+      !findings.some(f => f.type === 'ALLERGY')) {
+    findings.push({
+      level: 'OVERRIDE_REQUIRED',
+      type: 'ALLERGY',
+      allergen: genericName,
+      source: 'free_text',
+      message: `Resident's allergy notes mention ${genericName}`
+    });
+  }
+
+  const contraindicated = (catalog.contraindicated_conditions || []).map(normalize);
+  for (const condition of resident.condition_entries || []) {
+    const name = normalize(condition.condition_name);
+    const code = normalize(condition.condition_code);
+    const match = contraindicated.find(c => c === name || (code && c === code));
+    if (!match) continue;
+
+    findings.push({
+      level: 'OVERRIDE_REQUIRED',
+      type: 'CONDITION',
+      condition_id: condition.condition_id,
+      condition: condition.condition_name,
+      message: `${medicine.medicine_name} is contraindicated in ${condition.condition_name}`
+    });
+  }
+
+  if (resident.is_pregnant && catalog.pregnancy_category) {
+    const levels = { X: 'BLOCK', D: 'OVERRIDE_REQUIRED', C: 'INFO' };
+    const level = levels[catalog.pregnancy_category];
+
+    if (level) {
+      findings.push({
+        level,
+        type: 'PREGNANCY',
+        pregnancy_category: catalog.pregnancy_category,
+        message: `${medicine.medicine_name} is pregnancy category ${catalog.pregnancy_category}`
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Load the parts of a resident's record the checks read
+ */
+export function loadClinicalProfile(client, residentId) {
+  return client.residents.findUnique({
+    where: { resident_id: residentId },
+    select: {
+      resident_id: true,
+      full_name: true,
+      is_pregnant: true,
+      allergies: true,
+      medical_conditions: true,
+      allergy_entries: { where: { is_active: true } },
+      condition_entries: { where: { is_active: true } }
+    }
+  });
+}
+
+/**
+ * Run the checks for a release and decide whether it may go ahead
+ * Throws 409 when something blocks or needs an override that was not given
+ * @param {Object} client - PrismaClient
+ * @param {Object} params - { medicine, residentId, user, clinical_override_reason }
+ * @returns {Promise<Object|null>} - { findings, overridden_by?, override_reason? } or null when nothing was found
+ */
+export async function enforceClinicalChecks(client, { medicine, residentId, user, clinical_override_reason }) {
+  if (!residentId) return null;
+
+  const resident = await loadClinicalProfile(client, residentId);
+  if (!resident) return null;
+
+  const findings = findClinicalConflicts(medicine, resident);
+  if (findings.length === 0) return null;
+
+  const blocking = findings.filter(f => f.level === 'BLOCK');
+  if (blocking.length > 0) {
+    throw new StockLedgerError(`${medicine.medicine_name} cannot be dispensed to this resident`, 409, {
+      clinical_warnings: findings
+    });
+  }
+
+  const needsOverride = findings.some(f => f.level === 'OVERRIDE_REQUIRED');
+  if (!needsOverride) {
+    return { findings };
+  }
+
+  const reason = (clinical_override_reason || '').trim();
+  if (!reason || !user || !CLINICAL_OVERRIDE_ROLES.includes(user.role)) {
+    throw new StockLedgerError('Release conflicts with the resident\'s record and needs a pharmacist override', 409, {
+      clinical_warnings: findings,
+      override_required: true,
+      hint: `A ${CLINICAL_OVERRIDE_ROLES.join(' or ')} may proceed with clinical_override_reason`
+    });
+  }
+
+  return { findings, overridden_by: user.user_id, override_reason: reason };
+}
+
+export default {
+  CLINICAL_OVERRIDE_ROLES,
+  findClinicalConflicts,
+  loadClinicalProfile,
+  enforceClinicalChecks
+};
@@ -0,0 +1,320 @@
+// backend/services/dispensingRules.js
+// Dispensing rules for prescription-only and controlled medicines
+// The flags live on medicine_records; a controlled medicine is always prescription-only.
+//   requires_prescription   - release needs a prescription number, prescriber and a current prescription date
+//   is_controlled           - as above, plus a co-sign from a second PHARMACIST / ADMIN
+//   max_quantity_per_period - base units one resident may receive per quantity_period_days
+//                             (counted across every barangay row of the same catalog drug)
+
+import crypto from 'crypto';
+import { StockLedgerError } from './inventoryLedger.js';
+import { verifySignature } from '../middleware/auth.js';
+import { canModifyRecord } from '../middleware/baranggayAccess.js';
+
+export const PRESCRIPTION_VALIDITY_DAYS = 30;
+export const DEFAULT_PERIOD_DAYS = 30;
+export const RULE_EDITOR_ROLES = ['ADMIN', 'MUNICIPAL_STAFF', 'PHARMACIST'];
+export const COSIGNER_ROLES = ['ADMIN', 'PHARMACIST'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COSIGN_VALIDITY_MS = 5 * 60 * 1000;
+// Co-sign timestamps may run this far ahead of the server clock
+const COSIGN_CLOCK_SKEW_MS = 60 * 1000;
+
+export const requiresPrescription = (medicine) =>
+  Boolean(medicine.requires_prescription || medicine.is_controlled);
+
+/**
+ * Read dispensing-rule fields from a medicine create/update body
+ * Only fields present in the body are returned, so PUT leaves the rest untouched;
+ * sending any of them needs an authenticated RULE_EDITOR_ROLES user
+ * @param {Object} body - Request body
+ * @param {Object|null} user - Authenticated user
+ * @returns {Object} - Prisma data for medicine_records
+ */
+export function parseDispensingRules(body, user) {
+  const fields = ['requires_prescription', 'is_controlled', 'max_quantity_per_period', 'quantity_period_days'];
+  const present = fields.filter(field => body[field] !== undefined);
+
+  if (present.length === 0) return {};
+
+  // Authentication is optional on the medicine routes, so anonymous callers are refused here
+  if (!user) {
+    throw new StockLedgerError('Authentication required to change dispensing rules', 401, { fields: present });
+  }
+
+  if (!RULE_EDITOR_ROLES.includes(user.role)) {
+    throw new StockLedgerError('Only pharmacists and administrators can change dispensing rules', 403, {
+      fields: present,
+      yourRole: user.role
+    });
+  }
+
+  const data = {};
+
+  for (const flag of ['requires_prescription', 'is_controlled']) {
+    if (body[flag] !== undefined) {
+      data[flag] = body[flag] === true || body[flag] === 'true';
+    }
+  }
+
+  for (const field of ['max_quantity_per_period', 'quantity_period_days']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+
+    const parsed = parseInt(body[field]);
+    if (isNaN(parsed) || parsed <= 0) {
+      throw new StockLedgerError(`${field} must be a positive number`, 400, { [field]: body[field] });
+    }
+    data[field] = parsed;
+  }
+
+  // Controlled medicines are always prescription-only
+  if (data.is_controlled) {
+    data.requires_prescription = true;
+  }
+
+  return data;
+}
+
+/**
+ * Check the prescription on a release of a prescription-only medicine
+ * @param {Object} medicine - medicine_records row
+ * @param {Object} prescription - { prescription_number, prescribing_doctor, prescription_date }
+ * @param {Date} now - Release time
+ * @returns {Object} - Normalized prescription fields for the release row
+ */
+export function validatePrescription(medicine, { prescription_number, prescribing_doctor, prescription_date }, now = new Date()) {
+  const number = (prescription_number || '').toString().trim();
+  const doctor = (prescribing_doctor || '').toString().trim();
+  const date = prescription_date ? new Date(prescription_date) : null;
+
+  if (!requiresPrescription(medicine)) {
+    return {
+      prescription_number: number || null,
+      prescribing_doctor: doctor || null,
+      prescription_date: date && !isNaN(date.getTime()) ? date : null
+    };
+  }
+
+  const missing = [
+    !number && 'prescription_number',
+    !doctor && 'prescribing_doctor',
+    medicine.is_controlled && !date && 'prescription_date'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new StockLedgerError(`${medicine.medicine_name} can only be dispensed with a valid prescription`, 400, {
+      missing,
+      requires_prescription: true,
+      is_controlled: medicine.is_controlled
+    });
+  }
+
+  if (date) {
+    if (isNaN(date.getTime())) {
+      throw new StockLedgerError('Invalid prescription_date', 400, { prescription_date });
+    }
+    if (date > now) {
+      throw new StockLedgerError('prescription_date cannot be in the future', 400, { prescription_date: date });
+    }
+
+    const ageDays = Math.floor((now - date) / DAY_MS);
+    if (ageDays > PRESCRIPTION_VALIDITY_DAYS) {
+      throw new StockLedgerError('Prescription has expired', 400, {
+        prescription_date: date,
+        age_days: ageDays,
+        validity_days: PRESCRIPTION_VALIDITY_DAYS
+      });
+    }
+  }
+
+  return { prescription_number: number, prescribing_doctor: doctor, prescription_date: date };
+}
+
+/**
+ * Enforce the per-resident quantity cap
+ * Run inside the release transaction after the medicine row is locked
+ * @param {Object} tx - Transaction client
+ * @param {Object} medicine - medicine_records row
+ * @param {number|null} residentId - Resident receiving the medicine
+ * @param {number} quantity - Base units being released
+ * @param {Date} now - Release time
+ * @returns {Promise<Object|null>} - Cap usage, or null when the medicine has no cap
+ */
+export async function enforceQuantityCap(tx, medicine, residentId, quantity, now = new Date()) {
+  if (!medicine.max_quantity_per_period) return null;
+
+  if (!residentId) {
+    throw new StockLedgerError(`resident_id is required to dispense ${medicine.medicine_name}`, 400, {
+      max_quantity_per_period: medicine.max_quantity_per_period
+    });
+  }
+
+  const periodDays = medicine.quantity_period_days || DEFAULT_PERIOD_DAYS;
+  const since = new Date(now.getTime() - periodDays * DAY_MS);
+
+  const releaseWhere = {
+    resident_id: residentId,
+    date_released: { gte: since },
+    medicine: medicine.catalog_id
+      ? { catalog_id: medicine.catalog_id }
+      : { medicine_id: medicine.medicine_id }
+  };
+
+  // Units returned through a reversal do not count against the cap
+  const [dispensed, returned] = await Promise.all([
+    tx.medicine_releases.aggregate({
+      where: releaseWhere,
+      _sum: { quantity_released: true }
+    }),
+    tx.release_reversals.aggregate({
+      where: { release: releaseWhere },
+      _sum: { quantity_returned: true }
+    })
+  ]);
+
+  const alreadyDispensed = (dispensed._sum.quantity_released || 0) - (returned._sum.quantity_returned || 0);
+  const usage = {
+    limit: medicine.max_quantity_per_period,
+    period_days: periodDays,
+    already_dispensed: alreadyDispensed,
+    requested: quantity,
+    remaining: Math.max(0, medicine.max_quantity_per_period - alreadyDispensed)
+  };
+
+  if (alreadyDispensed + quantity > medicine.max_quantity_per_period) {
+    throw new StockLedgerError(
+      `Quantity exceeds the limit of ${medicine.max_quantity_per_period} ${medicine.base_unit || 'unit'}(s) per ${periodDays} days for this resident`,
+      409,
+      usage
+    );
+  }
+
+  return usage;
+}
+
+/**
+ * Message a co-signer signs with their wallet to approve one controlled release
+ * Names the medicine, resident, quantity and the dispensing user, so it cannot be
+ * reused for a different release
+ */
+export function buildCosignMessage({ medicine_id, resident_id, quantity, dispenser_id, wallet_address, timestamp }) {
+  return `GenLunaMedChain Controlled Release Co-sign\n\nMedicine: ${medicine_id}\nResident: ${resident_id || 'N/A'}\nQuantity: ${quantity}\nDispensed by: ${dispenser_id || 'N/A'}\nCo-signer: ${(wallet_address || '').toLowerCase()}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Hash stored on the release so each co-sign signature is used once
+ */
+export const cosignSignatureHash = (signature) =>
+  crypto.createHash('sha256').update(signature.toLowerCase()).digest('hex');
+
+/**
+ * Verify the co-sign on a controlled release
+ * @param {Object} client - PrismaClient
+ * @param {Object} params - { medicine, user, cosign: { wallet_address, signature, timestamp }, residentId, quantity }
+ * @returns {Promise<Object|null>} - Co-signing user, or null when the medicine is not controlled
+ */
+export async function verifyCosign(client, { medicine, user, cosign, residentId, quantity }) {
+  if (!medicine.is_controlled) return null;
+
+  if (!user) {
+    throw new StockLedgerError('Controlled medicines can only be dispensed by a signed-in user', 401);
+  }
+
+  if (!cosign || !cosign.wallet_address || !cosign.signature || !cosign.timestamp) {
+    throw new StockLedgerError(`${medicine.medicine_name} is a controlled medicine and needs a co-sign`, 400, {
+      is_controlled: true,
+      hint: 'Have a second pharmacist or administrator sign the message from GET /releases/cosign-message'
+    });
+  }
+
+  const signedAt = /^\d+$/.test(String(cosign.timestamp)) ? Number(cosign.timestamp) : NaN;
+  if (isNaN(signedAt)) {
+    throw new StockLedgerError('Co-sign timestamp is not valid', 400);
+  }
+  if (signedAt > Date.now() + COSIGN_CLOCK_SKEW_MS) {
+    throw new StockLedgerError('Co-sign timestamp is in the future', 401);
+  }
+  if (Date.now() - signedAt > COSIGN_VALIDITY_MS) {
+    throw new StockLedgerError('Co-sign expired; sign a new message', 401);
+  }
+
+  const message = buildCosignMessage({
+    medicine_id: medicine.medicine_id,
+    resident_id: residentId,
+    quantity,
+    dispenser_id: user.user_id,
+    wallet_address: cosign.wallet_address,
+    timestamp: cosign.timestamp
+  });
+
+  if (!verifySignature(message, cosign.signature, cosign.wallet_address)) {
+    throw new StockLedgerError('Co-sign signature verification failed', 401);
+  }
+
+  const cosigner = await client.users.findUnique({
+    where: { wallet_address: cosign.wallet_address.toLowerCase() },
+    select: { user_id: true, full_name: true, role: true, assigned_barangay: true, is_active: true }
+  });
+
+  if (!cosigner || !cosigner.is_active) {
+    throw new StockLedgerError('Co-signer is not an active user', 403);
+  }
+  if (cosigner.user_id === user.user_id) {
+    throw new StockLedgerError('A controlled release must be co-signed by a different user', 403);
+  }
+  if (!COSIGNER_ROLES.includes(cosigner.role)) {
+    throw new StockLedgerError(`Co-signer must be one of: ${COSIGNER_ROLES.join(', ')}`, 403, {
+      cosignerRole: cosigner.role
+    });
+  }
+  if (!canModifyRecord(cosigner, medicine.barangay)) {
+    throw new StockLedgerError('Co-signer has no access to this barangay', 403, {
+      medicineBarangay: medicine.barangay,
+      cosignerBarangay: cosigner.assigned_barangay
+    });
+  }
+
+  return { ...cosigner, signature_hash: cosignSignatureHash(cosign.signature) };
+}
+
+/**
+ * Refuse a co-sign signature that an earlier release already used
+ * Call with the medicine row locked: the signed message names the medicine,
+ * so the lock serializes every release that could reuse the signature
+ * @param {Object} tx - Transaction client
+ * @param {Object|null} cosigner - Result of verifyCosign
+ */
+export async function assertCosignUnused(tx, cosigner) {
+  if (!cosigner) return;
+
+  const used = await tx.medicine_releases.findFirst({
+    where: { cosign_signature_hash: cosigner.signature_hash },
+    select: { release_id: true }
+  });
+
+  if (used) {
+    throw new StockLedgerError('Co-sign has already been used; sign a new message', 409, {
+      release_id: used.release_id
+    });
+  }
+}
+
+export default {
+  PRESCRIPTION_VALIDITY_DAYS,
+  DEFAULT_PERIOD_DAYS,
+  RULE_EDITOR_ROLES,
+  COSIGNER_ROLES,
+  requiresPrescription,
+  parseDispensingRules,
+  validatePrescription,
+  enforceQuantityCap,
+  buildCosignMessage,
+  cosignSignatureHash,
+  verifyCosign,
+  assertCosignUnused
+};
@@ -0,0 +1,149 @@
+// backend/services/disposalCertificate.js
+// Destruction certificates for disposal batches
+// A batch groups approved EXPIRED / DAMAGED removals of one barangay; once certified its
+// PDF is rendered once, stored as-is, and the SHA-256 of those bytes is anchored on-chain.
+
+import crypto from 'crypto';
+import { renderPdf } from '../utils/pdfDocument.js';
+import { StockLedgerError } from './inventoryLedger.js';
+
+export const DISPOSAL_REASONS = ['EXPIRED', 'DAMAGED'];
+export const DISPOSAL_METHODS = [
+  'INCINERATION',
+  'ENCAPSULATION',
+  'INERTIZATION',
+  'CHEMICAL_DECOMPOSITION',
+  'RETURN_TO_SUPPLIER',
+  'OTHER'
+];
+export const CERTIFIER_ROLES = ['ADMIN', 'PHARMACIST'];
+export const MIN_WITNESSES = 2;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const formatLabel = (value) => (value || '').toString().replace(/_/g, ' ');
+
+/**
+ * Certificate number, e.g. DC-2026-00042
+ */
+export const certificateNumber = (disposal, certifiedAt) =>
+  `DC-${new Date(certifiedAt).getFullYear()}-${String(disposal.disposal_id).padStart(5, '0')}`;
+
+/**
+ * Validate witnesses sent with a disposal batch
+ * @param {Array} witnesses - [{ user_id, designation? }] or plain user ids
+ * @returns {Array} - [{ user_id, designation }] without duplicates
+ */
+export function parseWitnesses(witnesses) {
+  if (!Array.isArray(witnesses)) {
+    throw new StockLedgerError('witnesses must be a list of users', 400);
+  }
+
+  const parsed = witnesses.map(w => (typeof w === 'object' && w !== null
+    ? { user_id: parseInt(w.user_id), designation: w.designation || null }
+    : { user_id: parseInt(w), designation: null }));
+
+  if (parsed.some(w => isNaN(w.user_id))) {
+    throw new StockLedgerError('Each witness needs a user_id', 400);
+  }
+
+  const unique = [...new Map(parsed.map(w => [w.user_id, w])).values()];
+  if (unique.length < MIN_WITNESSES) {
+    throw new StockLedgerError(`A disposal needs at least ${MIN_WITNESSES} different witnesses`, 400, {
+      witnesses: unique.length
+    });
+  }
+
+  return unique;
+}
+
+/**
+ * Certificate text for a disposal batch
+ * @param {Object} disposal - disposal_batches row with removals (medicine, stock), witnesses (user) and users
+ * @returns {Array} - Lines for renderPdf
+ */
+export function buildCertificateLines(disposal) {
+  const totalUnits = disposal.removals.reduce((sum, r) => sum + r.quantity_removed, 0);
+  const totalValue = disposal.removals.reduce(
+    (sum, r) => sum + (r.stock?.unit_cost !== null && r.stock?.unit_cost !== undefined
+      ? r.quantity_removed * Number(r.stock.unit_cost)
+      : 0),
+    0
+  );
+
+  const lines = [
+    { text: 'Municipality of General Luna, Quezon', align: 'center' },
+    { text: 'Municipal Health Office', align: 'center' },
+    { text: 'CERTIFICATE OF DESTRUCTION', size: 16, bold: true, align: 'center', gap: 16 },
+    { text: `Certificate No. ${disposal.certificate_number}`, align: 'center', gap: 4 },
+
+    { text: 'This certifies that the medicines listed below were removed from inventory and destroyed as follows:', gap: 20 },
+    { text: `Barangay: ${formatLabel(disposal.barangay)}`, gap: 8 },
+    `Disposal method: ${formatLabel(disposal.disposal_method)}`,
+    `Disposal date: ${formatDate(disposal.disposal_date)}`,
+    `Disposal site: ${disposal.disposal_site || '-'}`,
+    ...(disposal.notes ? [`Notes: ${disposal.notes}`] : []),
+
+    { text: 'Items destroyed', bold: true, size: 12, gap: 14 }
+  ];
+
+  disposal.removals.forEach((removal, index) => {
+    const medicine = removal.medicine || {};
+    const name = [medicine.medicine_name, medicine.strength, medicine.dosage_form].filter(Boolean).join(' ');
+    lines.push({
+      text: `${index + 1}. ${name} - batch ${removal.stock?.batch_number || '-'}, ` +
+        `expiry ${formatDate(removal.stock?.expiry_date)}, ${removal.quantity_removed} unit(s), ` +
+        `${formatLabel(removal.reason)} (removal #${removal.removal_id})`,
+      gap: index === 0 ? 4 : 0
+    });
+  });
+
+  lines.push(
+    { text: `Total: ${disposal.removals.length} removal(s), ${totalUnits} unit(s), estimated value PHP ${totalValue.toFixed(2)}`, bold: true, gap: 8 },
+    { text: 'Witnesses', bold: true, size: 12, gap: 14 }
+  );
+
+  disposal.witnesses.forEach(witness => {
+    lines.push(
+      { text: '______________________________', gap: 18 },
+      `${witness.user?.full_name || `User #${witness.user_id}`} - ${witness.designation || formatLabel(witness.user?.role)}`
+    );
+  });
+
+  lines.push(
+    { text: 'Certified by', bold: true, size: 12, gap: 18 },
+    { text: '______________________________', gap: 18 },
+    `${disposal.certified_by_user?.full_name || '-'} - ${formatLabel(disposal.certified_by_user?.role)}`,
+    { text: `Certified on ${new Date(disposal.certified_at).toISOString()}`, size: 8, gap: 16 },
+    { text: 'The SHA-256 hash of this document is anchored on the GenLunaMedChain blockchain record for this disposal.', size: 8 }
+  );
+
+  return lines;
+}
+
+/**
+ * Render the certificate and hash its bytes
+ * @returns {Object} - { pdf: Buffer, hash: '0x...' }
+ */
+export function renderCertificate(disposal) {
+  const pdf = renderPdf(buildCertificateLines(disposal), {
+    title: `Certificate of Destruction ${disposal.certificate_number}`,
+    author: 'General Luna Municipal Health Office'
+  });
+
+  return { pdf, hash: certificateHash(pdf) };
+}
+
+export const certificateHash = (pdf) =>
+  '0x' + crypto.createHash('sha256').update(pdf).digest('hex');
+
+export default {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  CERTIFIER_ROLES,
+  MIN_WITNESSES,
+  certificateNumber,
+  parseWitnesses,
+  buildCertificateLines,
+  renderCertificate,
+  certificateHash
+};
@@ -0,0 +1,301 @@
+// backend/services/gs1Barcode.js
+// GS1 barcode / DataMatrix payloads (as sent by a scanner) turned into stock fields
+// Accepts the raw form (FNC1 / GS separated, optional ]d2 / ]C1 / ]Q3 symbology prefix),
+// the human-readable "(01)...(17)...(10)..." form, and a bare GTIN-8/12/13/14 from a retail box.
+//
+// Application identifiers used here:
+//   01 GTIN   10 lot / batch   11 production date   15 best before   17 expiry   21 serial   30 count
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+const GS = '\u001d';
+
+// AI -> { label, length } for fixed-length data, { label, max } for variable-length data
+const APPLICATION_IDENTIFIERS = {
+  '00': { label: 'sscc', length: 18 },
+  '01': { label: 'gtin', length: 14 },
+  '02': { label: 'content_gtin', length: 14 },
+  '10': { label: 'lot', max: 20 },
+  '11': { label: 'production_date', length: 6 },
+  '12': { label: 'due_date', length: 6 },
+  '13': { label: 'packaging_date', length: 6 },
+  '15': { label: 'best_before_date', length: 6 },
+  '16': { label: 'sell_by_date', length: 6 },
+  '17': { label: 'expiry_date', length: 6 },
+  '20': { label: 'variant', length: 2 },
+  '21': { label: 'serial', max: 20 },
+  '22': { label: 'consumer_product_variant', max: 20 },
+  '30': { label: 'count', max: 8 },
+  '37': { label: 'count_of_trade_items', max: 8 },
+  '240': { label: 'additional_product_id', max: 30 },
+  '241': { label: 'customer_part_number', max: 30 },
+  '250': { label: 'secondary_serial', max: 30 },
+  '400': { label: 'order_number', max: 30 },
+  '710': { label: 'nhrn_de', max: 20 },
+  '711': { label: 'nhrn_fr', max: 20 },
+  '712': { label: 'nhrn_es', max: 20 },
+  '713': { label: 'nhrn_br', max: 20 },
+  '714': { label: 'nhrn_pt', max: 20 },
+  '715': { label: 'nhrn_us', max: 20 },
+  '7003': { label: 'expiry_date_time', length: 10 }
+};
+
+const DATE_LABELS = ['production_date', 'due_date', 'packaging_date', 'best_before_date', 'sell_by_date', 'expiry_date'];
+
+/**
+ * Length of the AI at the start of the data, from its first two digits
+ * (measure AIs 310n-369n are four digits: the fourth is the decimal position)
+ */
+function aiLengthAt(data, pos) {
+  const prefix = data.slice(pos, pos + 2);
+  if (/^3[1-6]$/.test(prefix) || prefix === '70') return 4;
+  if (['24', '25', '40', '71'].includes(prefix)) return 3;
+  return 2;
+}
+
+/**
+ * Definition for an AI; company-internal 90-99 and measures 310n-369n are accepted generically
+ */
+function definitionFor(ai) {
+  if (APPLICATION_IDENTIFIERS[ai]) return APPLICATION_IDENTIFIERS[ai];
+  if (/^9\d$/.test(ai)) return { label: `internal_${ai}`, max: 90 };
+  if (/^3[1-6]\d\d$/.test(ai)) return { label: `measure_${ai}`, length: 6 };
+  return null;
+}
+
+/**
+ * GTIN check digit (GS1 mod 10)
+ */
+export function isValidGtin(gtin) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(gtin)) return false;
+
+  const digits = gtin.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * GTIN-8/12/13 padded to the 14-digit form stored on the catalog
+ */
+export const normalizeGtin = (gtin) => (gtin ? String(gtin).trim().padStart(14, '0') : null);
+
+/**
+ * Parse a GS1 YYMMDD date; DD 00 means the last day of the month
+ * The century follows the GS1 sliding window (up to 49 years back, 50 ahead)
+ * @returns {string} - YYYY-MM-DD
+ */
+function parseGs1Date(value, now = new Date()) {
+  const yy = parseInt(value.slice(0, 2));
+  const mm = parseInt(value.slice(2, 4));
+  let dd = parseInt(value.slice(4, 6));
+
+  if (isNaN(yy) || isNaN(mm) || isNaN(dd) || mm < 1 || mm > 12) return null;
+
+  const currentYear = now.getFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  const diff = yy - (currentYear % 100);
+  const year = century + yy + (diff > 50 ? -100 : diff < -49 ? 100 : 0);
+
+  const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+  if (dd === 0) dd = lastDay;
+  if (dd > lastDay) return null;
+
+  return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+}
+
+/**
+ * Split the payload into [ai, value] pairs
+ */
+function splitElements(payload) {
+  // Human-readable form: (01)09506000134352(17)261231(10)ABC123
+  if (payload.startsWith('(')) {
+    const elements = [...payload.matchAll(/\((\d{2,4})\)([^(]*)/g)].map(m => [m[1], m[2].trim()]);
+    if (elements.length === 0) {
+      throw new StockLedgerError('Unreadable GS1 barcode', 400, { payload });
+    }
+    return elements;
+  }
+
+  const elements = [];
+  let pos = 0;
+
+  while (pos < payload.length) {
+    if (payload[pos] === GS) {
+      pos += 1;
+      continue;
+    }
+
+    const ai = payload.slice(pos, pos + aiLengthAt(payload, pos));
+    const definition = definitionFor(ai);
+    if (!definition) {
+      throw new StockLedgerError(`Unknown GS1 application identifier ${ai}`, 400, { position: pos });
+    }
+    pos += ai.length;
+
+    let value;
+    if (definition.length) {
+      value = payload.slice(pos, pos + definition.length);
+      pos += definition.length;
+    } else {
+      const end = payload.indexOf(GS, pos);
+      value = payload.slice(pos, end === -1 ? payload.length : end);
+      pos += value.length;
+    }
+
+    elements.push([ai, value]);
+  }
+
+  return elements;
+}
+
+/**
+ * Parse a scanned barcode
+ * @param {string} raw - Scanner output
+ * @returns {Object} - { format, gtin, lot, expiry_date, production_date, best_before_date, serial, count, elements }
+ */
+export function parseGs1(raw, now = new Date()) {
+  if (!raw || !String(raw).trim()) {
+    throw new StockLedgerError('payload is required', 400);
+  }
+
+  // Symbology identifier (]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR, ]e0 DataBar) and textual GS markers
+  const payload = String(raw)
+    .trim()
+    .replace(/^\][A-Za-z]\d/, '')
+    .replace(/<GS>|\{GS\}|\\x1d|\^\]/gi, GS)
+    .replace(/^\u001d+/, '');
+
+  // A plain EAN / UPC off a retail box
+  if (/^\d{8}$|^\d{12,14}$/.test(payload)) {
+    if (!isValidGtin(payload)) {
+      throw new StockLedgerError('GTIN check digit is invalid', 400, { gtin: payload });
+    }
+    return {
+      format: 'GTIN',
+      gtin: normalizeGtin(payload),
+      lot: null,
+      expiry_date: null,
+      production_date: null,
+      best_before_date: null,
+      serial: null,
+      count: null,
+      elements: [{ ai: '01', label: 'gtin', value: normalizeGtin(payload) }]
+    };
+  }
+
+  const elements = splitElements(payload).map(([ai, value]) => {
+    const definition = definitionFor(ai) || { label: `ai_${ai}` };
+
+    if (definition.length && value.length !== definition.length) {
+      throw new StockLedgerError(`GS1 field (${ai}) must be ${definition.length} characters`, 400, { ai, value });
+    }
+    if (definition.max && value.length > definition.max) {
+      throw new StockLedgerError(`GS1 field (${ai}) is longer than ${definition.max} characters`, 400, { ai, value });
+    }
+
+    return { ai, label: definition.label, value };
+  });
+
+  const fields = Object.fromEntries(elements.map(e => [e.label, e.value]));
+
+  if (fields.gtin && !isValidGtin(fields.gtin)) {
+    throw new StockLedgerError('GTIN check digit is invalid', 400, { gtin: fields.gtin });
+  }
+
+  const dates = {};
+  for (const label of DATE_LABELS) {
+    if (!fields[label]) continue;
+    dates[label] = parseGs1Date(fields[label], now);
+    if (!dates[label]) {
+      throw new StockLedgerError(`GS1 ${label.replace(/_/g, ' ')} is not a valid date`, 400, { value: fields[label] });
+    }
+  }
+
+  return {
+    format: 'GS1',
+    gtin: normalizeGtin(fields.gtin),
+    lot: fields.lot || null,
+    expiry_date: dates.expiry_date || null,
+    production_date: dates.production_date || null,
+    best_before_date: dates.best_before_date || null,
+    serial: fields.serial || null,
+    count: fields.count ? parseInt(fields.count) : null,
+    elements
+  };
+}
+
+/**
+ * Fill batch_number / expiry_date on a stock intake body from its scanned barcode
+ * Values typed alongside the scan must agree with it
+ * @param {Object} body - Request body with barcode and optional batch_number / expiry_date
+ * @returns {Object|null} - { scan, batch_number, expiry_date }, or null when nothing was scanned
+ */
+export function fieldsFromBarcode(body) {
+  if (!body.barcode) return null;
+
+  const scan = parseGs1(body.barcode);
+  const conflicts = [];
+
+  if (body.expiry_date && isNaN(new Date(body.expiry_date).getTime())) {
+    throw new StockLedgerError('expiry_date is not a valid date', 400, { expiry_date: body.expiry_date });
+  }
+
+  if (body.batch_number && scan.lot && body.batch_number.trim().toLowerCase() !== scan.lot.toLowerCase()) {
+    conflicts.push({ field: 'batch_number', entered: body.batch_number, scanned: scan.lot });
+  }
+  if (body.expiry_date && scan.expiry_date &&
+      new Date(body.expiry_date).toISOString().slice(0, 10) !== scan.expiry_date) {
+    conflicts.push({ field: 'expiry_date', entered: body.expiry_date, scanned: scan.expiry_date });
+  }
+
+  if (conflicts.length > 0) {
+    throw new StockLedgerError('Entered values do not match the scanned barcode', 400, { conflicts });
+  }
+
+  return {
+    scan,
+    batch_number: body.batch_number || scan.lot,
+    expiry_date: body.expiry_date || scan.expiry_date
+  };
+}
+
+/**
+ * Check a scanned GTIN against a catalog entry and record it the first time one is scanned
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} catalog - medicine_catalog row (catalog_id, gtin)
+ * @param {string} gtin - Scanned GTIN-14
+ */
+export async function matchCatalogGtin(client, catalog, gtin) {
+  if (!gtin || !catalog) return;
+
+  if (catalog.gtin && catalog.gtin !== gtin) {
+    throw new StockLedgerError('Scanned product does not match this medicine', 400, {
+      scanned_gtin: gtin,
+      catalog_gtin: catalog.gtin
+    });
+  }
+
+  if (!catalog.gtin) {
+    const owner = await client.medicine_catalog.findUnique({ where: { gtin }, select: { catalog_id: true } });
+    if (owner && owner.catalog_id !== catalog.catalog_id) {
+      throw new StockLedgerError('Scanned GTIN belongs to a different catalog entry', 400, {
+        scanned_gtin: gtin,
+        catalog_id: owner.catalog_id
+      });
+    }
+
+    await client.medicine_catalog.update({
+      where: { catalog_id: catalog.catalog_id },
+      data: { gtin, updated_at: new Date() }
+    });
+  }
+}
+
+export default {
+  isValidGtin,
+  normalizeGtin,
+  parseGs1,
+  fieldsFromBarcode,
+  matchCatalogGtin
+};
@@ -0,0 +1,209 @@
+// backend/services/householdRegistry.js
+// Household and family registry behind residents.household_no / family_no
+// Membership is kept as dated stays (end_date null = current member) so births, moves
+// and deaths stay on record; the resident's household / family columns follow the current stay.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+export const MEMBERSHIP_START_REASONS = ['REGISTERED', 'BIRTH', 'MOVED_IN'];
+export const MEMBERSHIP_END_REASONS = ['MOVED_OUT', 'DEATH'];
+
+const UNDER_FIVE_CATEGORIES = ['ZERO_TO_23_MONTHS', 'TWENTY_FOUR_TO_59_MONTHS'];
+
+export const memberSelect = {
+  resident_id: true,
+  full_name: true,
+  first_name: true,
+  last_name: true,
+  gender: true,
+  date_of_birth: true,
+  age: true,
+  age_category: true,
+  phone: true,
+  is_4ps_member: true,
+  is_philhealth_member: true,
+  philhealth_number: true,
+  is_senior_citizen: true,
+  is_pregnant: true,
+  is_birth_registered: true,
+  date_of_death: true
+};
+
+/**
+ * Program flags shown for a household member
+ */
+export const memberFlags = (resident) => ({
+  is_4ps_member: resident.is_4ps_member,
+  is_philhealth_member: resident.is_philhealth_member,
+  is_senior_citizen: resident.is_senior_citizen,
+  is_pregnant: resident.is_pregnant,
+  is_under_five: UNDER_FIVE_CATEGORIES.includes(resident.age_category)
+});
+
+/**
+ * Household figures for field visits and 4Ps compliance checks
+ * @param {Array} members - Current residents of the household
+ * @returns {Object}
+ */
+export function summarizeHousehold(members) {
+  const flags = members.map(member => ({ resident_id: member.resident_id, ...memberFlags(member) }));
+  const count = (key) => flags.filter(f => f[key]).length;
+  const is4psHousehold = flags.some(f => f.is_4ps_member);
+
+  return {
+    members: members.length,
+    four_ps_members: count('is_4ps_member'),
+    philhealth_members: count('is_philhealth_member'),
+    senior_citizens: count('is_senior_citizen'),
+    pregnant: count('is_pregnant'),
+    under_five: count('is_under_five'),
+    is_4ps_household: is4psHousehold,
+    // 4Ps households are covered by PhilHealth; members without it need enrolment
+    missing_philhealth: is4psHousehold
+      ? flags.filter(f => !f.is_philhealth_member).map(f => f.resident_id)
+      : [],
+    // Pregnant women and children under five have health-center visit conditions under 4Ps
+    health_visit_required: is4psHousehold
+      ? flags.filter(f => f.is_pregnant || f.is_under_five).map(f => f.resident_id)
+      : []
+  };
+}
+
+/**
+ * Parse a membership date (defaults to today) and reject future dates
+ */
+export function parseMembershipDate(value, label = 'date') {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) {
+    throw new StockLedgerError(`${label} is not a valid date`, 400);
+  }
+  if (date > new Date()) {
+    throw new StockLedgerError(`${label} cannot be in the future`, 400);
+  }
+  return date;
+}
+
+/**
+ * Close a current membership and detach the resident from the household
+ * A death also records date_of_death and deactivates the resident
+ * @param {Object} tx - Transaction client
+ * @param {Object} membership - Current household_memberships row
+ * @param {Object} params - { reason, date, notes }
+ */
+export async function endMembership(tx, membership, { reason, date, notes }) {
+  if (!MEMBERSHIP_END_REASONS.includes(reason)) {
+    throw new StockLedgerError(`reason must be one of ${MEMBERSHIP_END_REASONS.join(', ')}`, 400);
+  }
+  if (date < new Date(membership.start_date)) {
+    throw new StockLedgerError('Leaving date is before the resident joined the household', 400, {
+      start_date: membership.start_date
+    });
+  }
+
+  const ended = await tx.household_memberships.update({
+    where: { membership_id: membership.membership_id },
+    data: {
+      end_date: date,
+      end_reason: reason,
+      notes: notes ? [membership.notes, notes].filter(Boolean).join('\n') : membership.notes,
+      updated_at: new Date()
+    }
+  });
+
+  await tx.residents.update({
+    where: { resident_id: membership.resident_id },
+    data: {
+      household_id: null,
+      household_no: null,
+      family_id: null,
+      family_no: null,
+      ...(reason === 'DEATH' && { date_of_death: date, is_active: false, is_pregnant: false }),
+      updated_at: new Date()
+    }
+  });
+
+  // A head who leaves is no longer head of the household or family
+  await tx.households.updateMany({
+    where: { household_id: membership.household_id, head_resident_id: membership.resident_id },
+    data: { head_resident_id: null, updated_at: new Date() }
+  });
+  await tx.families.updateMany({
+    where: { household_id: membership.household_id, head_resident_id: membership.resident_id },
+    data: { head_resident_id: null, updated_at: new Date() }
+  });
+
+  return ended;
+}
+
+/**
+ * Add a resident to a household, closing their stay in any other household as a move
+ * @param {Object} tx - Transaction client
+ * @param {Object} household - households row
+ * @param {Object} params - { resident, family, relationship_to_head, reason, date, notes, userId }
+ * @returns {Promise<Object>} - { membership, previous }
+ */
+export async function joinHousehold(tx, household, { resident, family, relationship_to_head, reason, date, notes, userId }) {
+  if (!MEMBERSHIP_START_REASONS.includes(reason)) {
+    throw new StockLedgerError(`reason must be one of ${MEMBERSHIP_START_REASONS.join(', ')}`, 400);
+  }
+  if (resident.date_of_death) {
+    throw new StockLedgerError('Resident is recorded as deceased', 409, { resident_id: resident.resident_id });
+  }
+  if (family && family.household_id !== household.household_id) {
+    throw new StockLedgerError('Family belongs to a different household', 400, { family_id: family.family_id });
+  }
+
+  const current = await tx.household_memberships.findFirst({
+    where: { resident_id: resident.resident_id, end_date: null }
+  });
+
+  let previous = null;
+  if (current?.household_id === household.household_id) {
+    throw new StockLedgerError('Resident is already a member of this household', 409, {
+      membership_id: current.membership_id
+    });
+  }
+  if (current) {
+    previous = await endMembership(tx, current, { reason: 'MOVED_OUT', date, notes: `Moved to household ${household.household_no}` });
+  }
+
+  const membership = await tx.household_memberships.create({
+    data: {
+      household_id: household.household_id,
+      family_id: family?.family_id || null,
+      resident_id: resident.resident_id,
+      relationship_to_head: relationship_to_head || null,
+      start_date: date,
+      start_reason: reason,
+      notes: notes || null,
+      recorded_by: userId || null
+    }
+  });
+
+  await tx.residents.update({
+    where: { resident_id: resident.resident_id },
+    data: {
+      household_id: household.household_id,
+      household_no: household.household_no,
+      family_id: family?.family_id || null,
+      family_no: family?.family_no || null,
+      barangay: household.barangay,
+      ...(household.zone && { zone: household.zone }),
+      ...(household.address && { address: household.address }),
+      updated_at: new Date()
+    }
+  });
+
+  return { membership, previous };
+}
+
+export default {
+  MEMBERSHIP_START_REASONS,
+  MEMBERSHIP_END_REASONS,
+  memberSelect,
+  memberFlags,
+  summarizeHousehold,
+  parseMembershipDate,
+  endMembership,
+  joinHousehold
+};
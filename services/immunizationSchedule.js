@@ -0,0 +1,223 @@
+// backend/services/immunizationSchedule.js
+// Child immunization: due / overdue status of each EPI dose and barangay coverage figures
+// Ages come from vaccine_schedule in days from date_of_birth; a later dose of an antigen
+// waits for the previous one and then for its minimum interval.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A dose this many days past its due date counts as overdue (defaulter)
+export const OVERDUE_GRACE_DAYS = parseInt(process.env.IMMUNIZATION_OVERDUE_DAYS) || 14;
+
+// Doses given up to this many days early are still valid (WHO 4-day grace period)
+export const EARLY_DOSE_GRACE_DAYS = 4;
+
+// Fully Immunized Child: every FIC dose given before the first birthday
+export const FIC_AGE_DAYS = 365;
+
+// Children tracked by the scheduler (under five years)
+export const TRACKING_AGE_DAYS = 1825;
+
+export const DOSE_STATUSES = ['GIVEN', 'UPCOMING', 'DUE', 'OVERDUE', 'EXPIRED'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(startOfDay(date).getTime() + days * DAY_MS);
+
+/**
+ * Whole days between date of birth and a date
+ */
+export const ageInDays = (dob, on = new Date()) =>
+  Math.floor((startOfDay(on) - startOfDay(dob)) / DAY_MS);
+
+/**
+ * Label for a dose, e.g. "PENTA 2"
+ */
+export const doseLabel = (dose) => `${dose.antigen_code} ${dose.dose_number}`;
+
+/**
+ * Status of every scheduled dose for one child
+ * @param {Array} schedule - Active vaccine_schedule rows
+ * @param {Array} records - The child's non-voided immunization_records
+ * @param {Date} dob - Date of birth
+ * @param {Date} asOf - Reference date (default today)
+ * @returns {Array} - [{ ...dose, status, due_date, overdue_date, expires_on, date_given, record_id, waiting_for }]
+ */
+export function doseStatuses(schedule, records, dob, asOf = new Date()) {
+  const today = startOfDay(asOf);
+  const given = new Map(
+    records
+      .filter(record => startOfDay(record.date_given) <= today)
+      .map(record => [record.schedule_id, record])
+  );
+  const byDose = new Map(schedule.map(dose => [`${dose.antigen_code}:${dose.dose_number}`, dose]));
+
+  return schedule.map(dose => {
+    const record = given.get(dose.schedule_id);
+    const expiresOn = dose.max_age_days !== null && dose.max_age_days !== undefined
+      ? addDays(dob, dose.max_age_days)
+      : null;
+    const base = {
+      schedule_id: dose.schedule_id,
+      antigen_code: dose.antigen_code,
+      antigen_name: dose.antigen_name,
+      dose_number: dose.dose_number,
+      counts_toward_fic: dose.counts_toward_fic,
+      expires_on: expiresOn
+    };
+
+    if (record) {
+      return { ...base, status: 'GIVEN', date_given: record.date_given, record_id: record.record_id, due_date: null, overdue_date: null, waiting_for: null };
+    }
+
+    let dueDate = addDays(dob, dose.min_age_days);
+    let waitingFor = null;
+
+    const previous = byDose.get(`${dose.antigen_code}:${dose.dose_number - 1}`);
+    if (previous) {
+      const previousRecord = given.get(previous.schedule_id);
+      if (!previousRecord) {
+        waitingFor = doseLabel(previous);
+      } else if (dose.min_interval_days) {
+        const fromPrevious = addDays(previousRecord.date_given, dose.min_interval_days);
+        if (fromPrevious > dueDate) dueDate = fromPrevious;
+      }
+    }
+
+    let status;
+    if (expiresOn && today > expiresOn) status = 'EXPIRED';
+    else if (waitingFor || today < dueDate) status = 'UPCOMING';
+    else if (today > addDays(dueDate, OVERDUE_GRACE_DAYS)) status = 'OVERDUE';
+    else status = 'DUE';
+
+    return {
+      ...base,
+      status,
+      date_given: null,
+      record_id: null,
+      due_date: waitingFor ? null : dueDate,
+      overdue_date: waitingFor ? null : addDays(dueDate, OVERDUE_GRACE_DAYS),
+      waiting_for: waitingFor
+    };
+  });
+}
+
+/**
+ * Whether every FIC dose was given before the first birthday
+ * @param {Array} statuses - Output of doseStatuses
+ */
+export function isFullyImmunized(statuses, dob) {
+  const ficDoses = statuses.filter(dose => dose.counts_toward_fic);
+  if (ficDoses.length === 0) return false;
+
+  const firstBirthday = addDays(dob, FIC_AGE_DAYS);
+  return ficDoses.every(dose => dose.status === 'GIVEN' && startOfDay(dose.date_given) <= firstBirthday);
+}
+
+/**
+ * Check a dose about to be recorded against age, order and interval rules
+ * @param {Object} dose - vaccine_schedule row
+ * @param {Object} params - { dob, dateGiven, records } (records = the child's non-voided records)
+ */
+export function validateDose(dose, { dob, dateGiven, records }) {
+  const age = ageInDays(dob, dateGiven);
+  if (age < 0) {
+    throw new StockLedgerError('date_given is before the date of birth', 400);
+  }
+  if (age < dose.min_age_days - EARLY_DOSE_GRACE_DAYS) {
+    throw new StockLedgerError(`${doseLabel(dose)} cannot be given before ${dose.min_age_days} days of age`, 400, {
+      age_days: age,
+      min_age_days: dose.min_age_days
+    });
+  }
+  if (dose.max_age_days !== null && dose.max_age_days !== undefined && age > dose.max_age_days) {
+    throw new StockLedgerError(`${doseLabel(dose)} is only given up to ${dose.max_age_days} days of age`, 400, {
+      age_days: age,
+      max_age_days: dose.max_age_days
+    });
+  }
+
+  const duplicate = records.find(record => record.schedule_id === dose.schedule_id);
+  if (duplicate) {
+    throw new StockLedgerError(`${doseLabel(dose)} is already recorded`, 409, { record_id: duplicate.record_id });
+  }
+
+  if (dose.dose_number > 1) {
+    const previous = records.find(record =>
+      record.schedule.antigen_code === dose.antigen_code && record.schedule.dose_number === dose.dose_number - 1
+    );
+    if (!previous) {
+      throw new StockLedgerError(`${dose.antigen_code} ${dose.dose_number - 1} must be recorded first`, 400);
+    }
+    const gap = ageInDays(previous.date_given, dateGiven);
+    if (dose.min_interval_days && gap < dose.min_interval_days - EARLY_DOSE_GRACE_DAYS) {
+      throw new StockLedgerError(`${doseLabel(dose)} needs at least ${dose.min_interval_days} days after the previous dose`, 400, {
+        previous_date_given: previous.date_given,
+        days_since_previous: gap
+      });
+    }
+  }
+}
+
+/**
+ * Per-dose and FIC coverage for a set of children on a reference date
+ * A child is eligible for a dose once past its minimum age (and under five);
+ * FIC coverage is measured on the 12-23 month cohort
+ * @param {Array} schedule - Active vaccine_schedule rows
+ * @param {Array} children - [{ date_of_birth, records }]
+ * @param {Date} asOf - Reference date
+ * @returns {Object} - { doses, fic }
+ */
+export function coverageFor(schedule, children, asOf = new Date()) {
+  const doses = schedule.map(dose => ({
+    schedule_id: dose.schedule_id,
+    antigen_code: dose.antigen_code,
+    dose_number: dose.dose_number,
+    eligible: 0,
+    given: 0
+  }));
+  const fic = { cohort: 0, fully_immunized: 0 };
+
+  for (const child of children) {
+    const age = ageInDays(child.date_of_birth, asOf);
+    if (age < 0 || age >= TRACKING_AGE_DAYS) continue;
+
+    const statuses = doseStatuses(schedule, child.records, child.date_of_birth, asOf);
+    statuses.forEach((status, index) => {
+      if (age < schedule[index].min_age_days) return;
+      doses[index].eligible += 1;
+      if (status.status === 'GIVEN') doses[index].given += 1;
+    });
+
+    if (age >= 365 && age < 730) {
+      fic.cohort += 1;
+      if (isFullyImmunized(statuses, child.date_of_birth)) fic.fully_immunized += 1;
+    }
+  }
+
+  const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+  return {
+    doses: doses.map(dose => ({ ...dose, coverage_pct: percent(dose.given, dose.eligible) })),
+    fic: { ...fic, coverage_pct: percent(fic.fully_immunized, fic.cohort) }
+  };
+}
+
+export default {
+  OVERDUE_GRACE_DAYS,
+  EARLY_DOSE_GRACE_DAYS,
+  FIC_AGE_DAYS,
+  TRACKING_AGE_DAYS,
+  DOSE_STATUSES,
+  ageInDays,
+  doseLabel,
+  doseStatuses,
+  isFullyImmunized,
+  validateDose,
+  coverageFor
+};
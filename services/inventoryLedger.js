@@ -0,0 +1,270 @@
+// backend/services/inventoryLedger.js
+// Shared inventory ledger for GenLunaMedChain
+// Every stock mutation runs through here so the quantity check, the update,
+// the stock_transactions row and the audit entry commit (or roll back) together
+
+import { PrismaClient } from '@prisma/client';
+import { getIpAddress, getUserAgent } from '../utils/auditLogger.js';
+import { syncMedicineTotal } from './medicineTotals.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Error raised inside a ledger transaction; aborts the whole transaction
+ * Routes turn it into a JSON response using status and details
+ */
+export class StockLedgerError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'StockLedgerError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a callback inside a single database transaction
+ * @param {Function} fn - Receives the transaction client
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+export function runInLedger(fn) {
+  return prisma.$transaction(fn);
+}
+
+/**
+ * Lock a medicine row for the rest of the transaction
+ * Always taken before any of its stock rows so concurrent ledger
+ * transactions acquire locks in the same order
+ * @param {Object} tx - Transaction client
+ * @param {number} medicineId - Medicine to lock
+ */
+export async function lockMedicine(tx, medicineId) {
+  const rows = await tx.$queryRaw`
+    SELECT medicine_id FROM medicines WHERE medicine_id = ${medicineId} FOR UPDATE
+  `;
+
+  if (rows.length === 0) {
+    throw new StockLedgerError('Medicine not found', 404, { medicine_id: medicineId });
+  }
+}
+
+/**
+ * Lock a stock row for the rest of the transaction (SELECT ... FOR UPDATE)
+ * @param {Object} tx - Transaction client
+ * @param {number} stockId - Stock to lock
+ * @returns {Promise<Object>} - Locked stock row
+ */
+export async function lockStock(tx, stockId) {
+  const rows = await tx.$queryRaw`
+    SELECT * FROM stocks WHERE stock_id = ${stockId} FOR UPDATE
+  `;
+
+  if (rows.length === 0) {
+    throw new StockLedgerError('Stock not found', 404, { stock_id: stockId });
+  }
+
+  return rows[0];
+}
+
+/**
+ * Lock every releasable batch of a medicine in first-expiry-first-out order
+ * Expired, inactive, empty and recall-frozen batches are skipped
+ * @param {Object} tx - Transaction client
+ * @param {number} medicineId - Medicine whose batches to lock
+ * @returns {Promise<Array>} - Locked stock rows, soonest expiry first
+ */
+export async function lockFefoBatches(tx, medicineId) {
+  await lockMedicine(tx, medicineId);
+
+  return tx.$queryRaw`
+    SELECT * FROM stocks
+    WHERE medicine_id = ${medicineId}
+      AND is_active = true
+      AND remaining_quantity > 0
+      AND expiry_date > NOW()
+      AND recall_id IS NULL
+    ORDER BY expiry_date ASC, date_received ASC, stock_id ASC
+    FOR UPDATE
+  `;
+}
+
+/**
+ * Plan a first-expiry-first-out allocation across a medicine's batches
+ * @param {Object} tx - Transaction client
+ * @param {number} medicineId - Medicine to allocate from
+ * @param {number} quantity - Total quantity to release
+ * @returns {Promise<Array>} - [{ stock_id, batch_number, expiry_date, quantity }]
+ */
+export async function allocateFefo(tx, medicineId, quantity) {
+  const batches = await lockFefoBatches(tx, medicineId);
+
+  const available = batches.reduce((sum, batch) => sum + batch.remaining_quantity, 0);
+  if (available < quantity) {
+    throw new StockLedgerError('Insufficient unexpired stock quantity', 400, {
+      available,
+      requested: quantity
+    });
+  }
+
+  const allocations = [];
+  let outstanding = quantity;
+
+  for (const batch of batches) {
+    if (outstanding <= 0) break;
+
+    const take = Math.min(batch.remaining_quantity, outstanding);
+    allocations.push({
+      stock_id: batch.stock_id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      quantity: take
+    });
+    outstanding -= take;
+  }
+
+  return allocations;
+}
+
+/**
+ * Write an audit entry through the transaction client
+ * Same shape as logAuditFromRequest, but rolls back with the transaction
+ */
+export async function writeAudit(tx, req, { tableName, recordId, action, oldValues = null, newValues = null }) {
+  const user = req?.user || null;
+
+  return tx.audit_log.create({
+    data: {
+      table_name: tableName,
+      record_id: recordId,
+      action: action.toUpperCase(),
+      old_values: oldValues ? JSON.parse(JSON.stringify(oldValues)) : null,
+      new_values: newValues ? JSON.parse(JSON.stringify(newValues)) : null,
+      changed_by: user?.user_id || null,
+      changed_by_wallet: user?.wallet_address || null,
+      ip_address: req ? getIpAddress(req) : null,
+      user_agent: req ? getUserAgent(req) : null,
+      changed_at: new Date()
+    }
+  });
+}
+
+/**
+ * Lock a stock row, check it, apply the quantity change and record it
+ * The medicine's total_quantity is recomputed in the same transaction
+ * @param {Object} tx - Transaction client
+ * @param {Object} params
+ * @param {Object} params.req - Express request (for audit user/IP)
+ * @param {number} params.stockId - Stock to change
+ * @param {number} params.quantity - Positive quantity to add or remove
+ * @param {string} params.transactionType - ADDITION or REMOVAL
+ * @param {number} params.medicineId - If given, the stock must belong to this medicine
+ * @param {string} params.notes - Stored on the stock_transactions row
+ * @param {Date} params.transactionDate - Defaults to now
+ * @param {string} params.performedByWallet - Defaults to the authenticated user's wallet
+ * @param {string} params.blockchainTxHash - Optional on-chain reference
+ * @param {boolean} params.rejectRecalled - Refuse batches frozen by a recall (releases, transfers)
+ * @returns {Promise<Object>} - { stock, transaction }
+ */
+export async function applyStockChange(tx, {
+  req,
+  stockId,
+  quantity,
+  transactionType,
+  medicineId = null,
+  notes = null,
+  transactionDate = null,
+  performedByWallet = null,
+  blockchainTxHash = null,
+  rejectRecalled = false
+}) {
+  if (!['ADDITION', 'REMOVAL'].includes(transactionType)) {
+    throw new StockLedgerError('Invalid transaction_type. Must be ADDITION or REMOVAL');
+  }
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new StockLedgerError('Quantity must be a positive number', 400, { requested: quantity });
+  }
+
+  const target = await tx.medicine_stocks.findUnique({
+    where: { stock_id: stockId },
+    select: { medicine_id: true }
+  });
+
+  if (!target) {
+    throw new StockLedgerError('Stock not found', 404, { stock_id: stockId });
+  }
+
+  await lockMedicine(tx, target.medicine_id);
+  const locked = await lockStock(tx, stockId);
+
+  if (medicineId !== null && locked.medicine_id !== medicineId) {
+    throw new StockLedgerError('Stock does not belong to this medicine', 400, {
+      stock_id: stockId,
+      medicine_id: medicineId
+    });
+  }
+
+  if (rejectRecalled && locked.recall_id) {
+    throw new StockLedgerError('Stock batch is frozen by a recall', 409, {
+      stock_id: stockId,
+      batch_number: locked.batch_number,
+      recall_id: locked.recall_id
+    });
+  }
+
+  const quantityBefore = locked.remaining_quantity;
+
+  if (transactionType === 'REMOVAL' && quantityBefore < quantity) {
+    throw new StockLedgerError('Insufficient stock quantity', 400, {
+      stock_id: stockId,
+      available: quantityBefore,
+      requested: quantity
+    });
+  }
+
+  const quantityAfter = transactionType === 'ADDITION'
+    ? quantityBefore + quantity
+    : quantityBefore - quantity;
+
+  const stock = await tx.medicine_stocks.update({
+    where: { stock_id: stockId },
+    data: { remaining_quantity: quantityAfter }
+  });
+
+  await syncMedicineTotal(tx, locked.medicine_id);
+
+  const transaction = await tx.stock_transactions.create({
+    data: {
+      stock_id: stockId,
+      transaction_type: transactionType,
+      quantity_changed: quantity,
+      quantity_before: quantityBefore,
+      quantity_after: quantityAfter,
+      transaction_date: transactionDate ? new Date(transactionDate) : new Date(),
+      performed_by_wallet: (performedByWallet || req?.user?.wallet_address)?.toLowerCase() || null,
+      blockchain_tx_hash: blockchainTxHash || null,
+      notes
+    }
+  });
+
+  await writeAudit(tx, req, {
+    tableName: 'stock_transactions',
+    recordId: transaction.transaction_id,
+    action: 'CREATE',
+    oldValues: { remaining_quantity: quantityBefore },
+    newValues: transaction
+  });
+
+  return { stock, transaction };
+}
+
+export default {
+  StockLedgerError,
+  runInLedger,
+  lockMedicine,
+  lockStock,
+  lockFefoBatches,
+  allocateFefo,
+  writeAudit,
+  applyStockChange
+};
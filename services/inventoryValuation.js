@@ -0,0 +1,262 @@
+// backend/services/inventoryValuation.js
+// Inventory valuation for GenLunaMedChain
+// All quantities are base units and unit_cost is per base unit, so value = quantity x unit cost.
+//
+// Cost methods:
+//   FIFO             - every batch is a cost layer; units on hand, released or removed
+//                      are valued at the unit_cost of the batch they sit in / came from
+//   WEIGHTED_AVERAGE - units are valued at the medicine's average unit_cost over every
+//                      batch received up to that point in time
+//
+// A null unit_cost means the cost is unknown. Such units are not valued at 0: they are
+// left out of averages and reported as unvalued_quantity next to the value.
+
+export const VALUATION_METHODS = ['FIFO', 'WEIGHTED_AVERAGE'];
+
+const toMoney = (value) => Number(Number(value).toFixed(2));
+
+const hasCost = (unitCost) => unitCost !== null && unitCost !== undefined;
+
+/**
+ * Quantity, unit cost and value of one row; units of unknown cost are counted as unvalued
+ */
+const valueRow = (quantity, unitCost) => ({
+  quantity,
+  unit_cost: unitCost === null ? null : Number(unitCost.toFixed(4)),
+  value: unitCost === null ? 0 : quantity * unitCost,
+  unvalued_quantity: unitCost === null ? quantity : 0
+});
+
+export const parseValuationMethod = (method) => {
+  const normalized = (method || 'FIFO').toString().toUpperCase().replace(/[\s-]/g, '_');
+  return VALUATION_METHODS.includes(normalized) ? normalized : null;
+};
+
+export const categoryOf = (medicine) =>
+  medicine.category || medicine.catalog?.category || 'Uncategorized';
+
+const medicineSelect = {
+  medicine_id: true,
+  medicine_name: true,
+  barangay: true,
+  category: true,
+  base_unit: true,
+  catalog: { select: { category: true } }
+};
+
+/**
+ * Load every batch received up to asOf with its quantity on hand at asOf
+ * Quantity at asOf = remaining now, with ledger movements after asOf rolled back
+ * @param {Object} client - PrismaClient
+ * @param {Object} medicineWhere - medicine_records filter (barangay scoping)
+ * @param {Date} asOf - Point in time
+ * @returns {Promise<Array>} - Batches with quantity_at_date and medicine
+ */
+export async function loadBatchesAt(client, medicineWhere, asOf) {
+  const batches = await client.medicine_stocks.findMany({
+    where: {
+      is_active: true,
+      date_received: { lte: asOf },
+      medicine: medicineWhere
+    },
+    select: {
+      stock_id: true,
+      medicine_id: true,
+      batch_number: true,
+      quantity: true,
+      remaining_quantity: true,
+      unit_cost: true,
+      date_received: true,
+      expiry_date: true,
+      medicine: { select: medicineSelect }
+    },
+    orderBy: [{ date_received: 'asc' }, { stock_id: 'asc' }]
+  });
+
+  const movements = await client.stock_transactions.groupBy({
+    by: ['stock_id', 'transaction_type'],
+    where: {
+      stock_id: { in: batches.map(b => b.stock_id) },
+      transaction_date: { gt: asOf }
+    },
+    _sum: { quantity_changed: true }
+  });
+
+  const laterChange = movements.reduce((acc, row) => {
+    const sign = row.transaction_type === 'ADDITION' ? 1 : -1;
+    acc[row.stock_id] = (acc[row.stock_id] || 0) + sign * (row._sum.quantity_changed || 0);
+    return acc;
+  }, {});
+
+  return batches.map(batch => ({
+    ...batch,
+    quantity_at_date: Math.max(0, batch.remaining_quantity - (laterChange[batch.stock_id] || 0))
+  }));
+}
+
+/**
+ * Weighted-average unit cost per medicine over batches received up to a date
+ * Batches of unknown cost are left out of the average
+ * @param {Array} batches - Batches with quantity, unit_cost, date_received, medicine_id
+ * @returns {Function} - (medicineId, date) => average unit cost (null if no batch has a cost)
+ */
+export function buildAverageCostLookup(batches) {
+  const byMedicine = batches.reduce((acc, batch) => {
+    (acc[batch.medicine_id] = acc[batch.medicine_id] || []).push(batch);
+    return acc;
+  }, {});
+
+  for (const list of Object.values(byMedicine)) {
+    list.sort((a, b) => new Date(a.date_received) - new Date(b.date_received));
+  }
+
+  return (medicineId, date) => {
+    let quantity = 0;
+    let cost = 0;
+
+    for (const batch of byMedicine[medicineId] || []) {
+      if (new Date(batch.date_received) > new Date(date)) break;
+      if (!hasCost(batch.unit_cost)) continue;
+      quantity += batch.quantity;
+      cost += batch.quantity * Number(batch.unit_cost);
+    }
+
+    return quantity > 0 ? cost / quantity : null;
+  };
+}
+
+/**
+ * Unit cost of a movement or holding under the chosen method; null when unknown
+ */
+export function unitCostFor(method, batch, medicineId, date, averageCostAt) {
+  if (method === 'WEIGHTED_AVERAGE') return averageCostAt(medicineId, date);
+  return hasCost(batch?.unit_cost) ? Number(batch.unit_cost) : null;
+}
+
+/**
+ * Sum rows into groups
+ * @param {Array} rows - Items with quantity, value and unvalued_quantity
+ * @param {Function} keyOf - row => group key
+ * @returns {Array} - [{ key, quantity, value, unvalued_quantity, lines }] sorted by value, largest first
+ */
+export function groupValues(rows, keyOf) {
+  const groups = rows.reduce((acc, row) => {
+    const key = keyOf(row);
+    if (!acc[key]) acc[key] = { key, quantity: 0, value: 0, unvalued_quantity: 0, lines: 0 };
+    acc[key].quantity += row.quantity;
+    acc[key].value += row.value;
+    acc[key].unvalued_quantity += row.unvalued_quantity || 0;
+    acc[key].lines += 1;
+    return acc;
+  }, {});
+
+  return Object.values(groups)
+    .map(group => ({ ...group, value: toMoney(group.value) }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * On-hand value at a point in time
+ * @returns {Promise<Array>} - One row per batch with quantity and value
+ */
+export async function valueOnHand(client, medicineWhere, asOf, method) {
+  const batches = await loadBatchesAt(client, medicineWhere, asOf);
+  const averageCostAt = buildAverageCostLookup(batches);
+
+  return batches
+    .filter(batch => batch.quantity_at_date > 0)
+    .map(batch => {
+      const unitCost = unitCostFor(method, batch, batch.medicine_id, asOf, averageCostAt);
+      return {
+        stock_id: batch.stock_id,
+        batch_number: batch.batch_number,
+        medicine: batch.medicine,
+        ...valueRow(batch.quantity_at_date, unitCost)
+      };
+    });
+}
+
+/**
+ * Cost of medicines released between from and to
+ * @returns {Promise<Array>} - One row per release with quantity and value
+ */
+export async function valueReleases(client, medicineWhere, from, to, method) {
+  const releases = await client.medicine_releases.findMany({
+    where: {
+      date_released: { gte: from, lte: to },
+      medicine: medicineWhere
+    },
+    select: {
+      release_id: true,
+      medicine_id: true,
+      quantity_released: true,
+      date_released: true,
+      stock: { select: { unit_cost: true } },
+      medicine: { select: medicineSelect },
+      reversals: { select: { quantity_returned: true } }
+    }
+  });
+
+  const averageCostAt = method === 'WEIGHTED_AVERAGE'
+    ? buildAverageCostLookup(await loadBatchesAt(client, medicineWhere, to))
+    : null;
+
+  // Units returned to stock through a reversal are not a cost of dispensing
+  return releases
+    .map(release => {
+      const quantity = release.quantity_released - release.reversals.reduce((sum, r) => sum + r.quantity_returned, 0);
+      return {
+        release_id: release.release_id,
+        medicine: release.medicine,
+        ...valueRow(quantity, unitCostFor(method, release.stock, release.medicine_id, release.date_released, averageCostAt))
+      };
+    })
+    .filter(row => row.quantity > 0);
+}
+
+/**
+ * Value lost to stock removals between from and to
+ * @returns {Promise<Array>} - One row per removal with reason, quantity and value
+ */
+export async function valueRemovals(client, medicineWhere, from, to, method) {
+  const removals = await client.stock_removals.findMany({
+    where: {
+      date_removed: { gte: from, lte: to },
+      status: 'APPROVED',
+      medicine: medicineWhere
+    },
+    select: {
+      removal_id: true,
+      medicine_id: true,
+      quantity_removed: true,
+      reason: true,
+      date_removed: true,
+      stock: { select: { unit_cost: true } },
+      medicine: { select: medicineSelect }
+    }
+  });
+
+  const averageCostAt = method === 'WEIGHTED_AVERAGE'
+    ? buildAverageCostLookup(await loadBatchesAt(client, medicineWhere, to))
+    : null;
+
+  return removals.map(removal => ({
+    removal_id: removal.removal_id,
+    reason: removal.reason,
+    medicine: removal.medicine,
+    ...valueRow(removal.quantity_removed, unitCostFor(method, removal.stock, removal.medicine_id, removal.date_removed, averageCostAt))
+  }));
+}
+
+export default {
+  VALUATION_METHODS,
+  parseValuationMethod,
+  categoryOf,
+  loadBatchesAt,
+  buildAverageCostLookup,
+  unitCostFor,
+  groupValues,
+  valueOnHand,
+  valueReleases,
+  valueRemovals
+};
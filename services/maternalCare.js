@@ -0,0 +1,186 @@
+// backend/services/maternalCare.js
+// Pregnancy episodes: prenatal / postpartum visit schedules, risk flags and overdue visits
+// Prenatal contacts follow the WHO 8-contact model by gestational week; postpartum checks
+// are counted in days from delivery. Dates are anchored on the LMP (EDD - 280 days when unknown).
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+
+// Gestational week of each prenatal contact
+export const PRENATAL_SCHEDULE_WEEKS = [12, 20, 26, 30, 34, 36, 38, 40];
+
+// Days after delivery of each postpartum check
+export const POSTPARTUM_SCHEDULE = [
+  { days: 1, label: 'Postpartum check (24 hours)' },
+  { days: 3, label: 'Postpartum check (day 3)' },
+  { days: 14, label: 'Postpartum check (week 2)' },
+  { days: 42, label: 'Postpartum check (week 6)' }
+];
+
+// A visit this many days past due counts as overdue
+export const VISIT_GRACE_DAYS = parseInt(process.env.MATERNAL_VISIT_GRACE_DAYS) || 7;
+
+export const PREGNANCY_OUTCOMES = ['LIVE_BIRTH', 'STILLBIRTH', 'MISCARRIAGE', 'ABORTION', 'TRANSFERRED_OUT', 'LOST_TO_FOLLOW_UP'];
+// Outcomes followed by postpartum checks
+export const BIRTH_OUTCOMES = ['LIVE_BIRTH', 'STILLBIRTH'];
+
+export const RISK_FLAGS = [
+  'AGE_UNDER_18',
+  'AGE_35_OR_OLDER',
+  'GRAND_MULTIPARA',
+  'PREVIOUS_CESAREAN',
+  'PREVIOUS_STILLBIRTH_OR_MISCARRIAGE',
+  'HYPERTENSION',
+  'DIABETES',
+  'ANEMIA',
+  'MULTIPLE_PREGNANCY',
+  'MALPRESENTATION',
+  'VAGINAL_BLEEDING',
+  'SHORT_HEIGHT',
+  'OTHER'
+];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Work out LMP and EDD from whichever was given
+ * @returns {Object} - { lmp_date, edd }
+ */
+export function resolvePregnancyDates({ lmp_date, edd }) {
+  const lmp = lmp_date ? new Date(lmp_date) : null;
+  const due = edd ? new Date(edd) : null;
+
+  if ((lmp && isNaN(lmp.getTime())) || (due && isNaN(due.getTime()))) {
+    throw new StockLedgerError('lmp_date / edd is not a valid date', 400);
+  }
+  if (!lmp && !due) {
+    throw new StockLedgerError('lmp_date or edd is required', 400);
+  }
+  if (lmp && lmp > new Date()) {
+    throw new StockLedgerError('lmp_date cannot be in the future', 400);
+  }
+
+  return {
+    lmp_date: lmp,
+    edd: due || addDays(lmp, PREGNANCY_DAYS)
+  };
+}
+
+/**
+ * Gestational age in whole weeks on a date
+ */
+export const gestationalWeeks = (edd, on = new Date()) =>
+  Math.floor((new Date(on) - addDays(edd, -PREGNANCY_DAYS)) / (7 * DAY_MS));
+
+/**
+ * Due date of a scheduled prenatal contact, or null for an additional visit
+ * @param {Date} edd - Expected delivery date
+ * @param {number} sequence - 1-based contact number
+ */
+export function prenatalDueDate(edd, sequence) {
+  const week = PRENATAL_SCHEDULE_WEEKS[sequence - 1];
+  return week ? addDays(edd, week * 7 - PREGNANCY_DAYS) : null;
+}
+
+/**
+ * Prenatal visits still ahead when the pregnancy is registered
+ * Contacts whose week has already passed are not scheduled
+ * @returns {Array} - [{ visit_type, sequence, label, due_date }]
+ */
+export function buildPrenatalSchedule(edd, registeredOn = new Date()) {
+  const today = startOfDay(registeredOn);
+
+  return PRENATAL_SCHEDULE_WEEKS
+    .map((week, index) => ({
+      visit_type: 'PRENATAL',
+      sequence: index + 1,
+      label: `Prenatal contact ${index + 1} (week ${week})`,
+      due_date: prenatalDueDate(edd, index + 1)
+    }))
+    .filter(visit => visit.due_date >= today);
+}
+
+/**
+ * Postpartum checks counted from the delivery date
+ */
+export const buildPostpartumSchedule = (outcomeDate) =>
+  POSTPARTUM_SCHEDULE.map((check, index) => ({
+    visit_type: 'POSTPARTUM',
+    sequence: index + 1,
+    label: check.label,
+    due_date: addDays(outcomeDate, check.days)
+  }));
+
+/**
+ * Read "140/90" into { systolic, diastolic }
+ */
+export function parseBloodPressure(value) {
+  const match = (value || '').toString().match(/^\s*(\d{2,3})\s*\/\s*(\d{2,3})\s*$/);
+  if (!match) return null;
+  return { systolic: parseInt(match[1]), diastolic: parseInt(match[2]) };
+}
+
+/**
+ * Clean up risk flags and add the ones that follow from age, parity and blood pressure
+ * @param {Object} params - { flags, resident, edd, para, blood_pressure }
+ * @returns {Array} - Sorted, de-duplicated flags
+ */
+export function deriveRiskFlags({ flags = [], resident = null, edd = null, para = null, blood_pressure = null }) {
+  const list = (Array.isArray(flags) ? flags : [flags]).filter(Boolean).map(f => f.toString().toUpperCase());
+  const unknown = list.filter(f => !RISK_FLAGS.includes(f));
+  if (unknown.length > 0) {
+    throw new StockLedgerError(`Unknown risk flag(s): ${unknown.join(', ')}`, 400, { risk_flags: RISK_FLAGS });
+  }
+
+  const result = new Set(list);
+
+  // Mother's age at the expected delivery date
+  if (resident?.date_of_birth && edd) {
+    const dob = new Date(resident.date_of_birth);
+    const due = new Date(edd);
+    let age = due.getFullYear() - dob.getFullYear();
+    if (due.getMonth() < dob.getMonth() || (due.getMonth() === dob.getMonth() && due.getDate() < dob.getDate())) age -= 1;
+    if (age < 18) result.add('AGE_UNDER_18');
+    if (age >= 35) result.add('AGE_35_OR_OLDER');
+  } else if (resident?.age !== null && resident?.age !== undefined) {
+    if (resident.age < 18) result.add('AGE_UNDER_18');
+    if (resident.age >= 35) result.add('AGE_35_OR_OLDER');
+  }
+
+  if (para !== null && para !== undefined && parseInt(para) >= 5) result.add('GRAND_MULTIPARA');
+
+  const bp = parseBloodPressure(blood_pressure);
+  if (bp && (bp.systolic >= 140 || bp.diastolic >= 90)) result.add('HYPERTENSION');
+
+  return [...result].sort();
+}
+
+/**
+ * Scheduled visits due before this date are overdue
+ */
+export const overdueCutoff = (now = new Date()) => addDays(startOfDay(now), -VISIT_GRACE_DAYS);
+
+export default {
+  PRENATAL_SCHEDULE_WEEKS,
+  POSTPARTUM_SCHEDULE,
+  VISIT_GRACE_DAYS,
+  PREGNANCY_OUTCOMES,
+  BIRTH_OUTCOMES,
+  RISK_FLAGS,
+  resolvePregnancyDates,
+  gestationalWeeks,
+  prenatalDueDate,
+  buildPrenatalSchedule,
+  buildPostpartumSchedule,
+  parseBloodPressure,
+  deriveRiskFlags,
+  overdueCutoff
+};
@@ -0,0 +1,252 @@
+// backend/services/medicationHistory.js
+// Per-resident medication history and the duplicate-dispensing guard
+// A "generic" is the shared catalog entry when the medicine is linked to one, otherwise
+// its generic_name, so the same drug released from two barangay health centers matches.
+//
+// Guard settings:
+//   DUPLICATE_DISPENSING_WINDOW_DAYS - default window (7); medicine_catalog.duplicate_window_days overrides, 0 turns it off
+//   DUPLICATE_DISPENSING_MODE        - WARN (release goes through with a warning) or BLOCK (409 unless overridden)
+// Controlled medicines are always blocked.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_WINDOW_DAYS = parseInt(process.env.DUPLICATE_DISPENSING_WINDOW_DAYS) || 7;
+export const DEFAULT_MODE = process.env.DUPLICATE_DISPENSING_MODE === 'BLOCK' ? 'BLOCK' : 'WARN';
+export const OVERRIDE_ROLES = ['ADMIN', 'PHARMACIST'];
+
+/**
+ * Key that identifies a drug across barangay inventory rows
+ */
+export const genericKeyOf = (medicine) =>
+  medicine.catalog_id
+    ? `catalog:${medicine.catalog_id}`
+    : `generic:${(medicine.generic_name || medicine.medicine_name || '').trim().toLowerCase()}`;
+
+/**
+ * medicine_records filter for every inventory row of the same generic
+ * A linked medicine also matches rows not yet linked to the catalog that carry its generic name
+ */
+export const sameGenericWhere = (medicine) => {
+  const genericName = medicine.catalog?.generic_name || medicine.generic_name || medicine.medicine_name;
+
+  return medicine.catalog_id
+    ? {
+        OR: [
+          { catalog_id: medicine.catalog_id },
+          { catalog_id: null, generic_name: { equals: genericName, mode: 'insensitive' } },
+          { catalog_id: null, medicine_name: { equals: genericName, mode: 'insensitive' } }
+        ]
+      }
+    : {
+        OR: [
+          { generic_name: { equals: genericName, mode: 'insensitive' } },
+          { medicine_name: { equals: medicine.medicine_name, mode: 'insensitive' } }
+        ]
+      };
+};
+
+/**
+ * medicine_releases filter for a resident
+ * Releases recorded without resident_id are matched on the free-text name
+ */
+export function residentReleaseWhere({ residentId, residentName }) {
+  const name = (residentName || '').trim();
+  const conditions = [
+    residentId && { resident_id: residentId },
+    name && { resident_id: null, resident_name: { equals: name, mode: 'insensitive' } }
+  ].filter(Boolean);
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { OR: conditions };
+}
+
+/**
+ * Window and mode for a medicine
+ * @param {Object} medicine - medicine_records row with catalog
+ * @returns {Object} - { windowDays, mode }
+ */
+export function duplicateGuardSettings(medicine) {
+  const override = medicine.catalog?.duplicate_window_days;
+  const windowDays = override !== null && override !== undefined ? override : DEFAULT_WINDOW_DAYS;
+
+  return {
+    windowDays,
+    mode: medicine.is_controlled ? 'BLOCK' : DEFAULT_MODE
+  };
+}
+
+/**
+ * Earlier releases of the same generic to the same resident inside the window
+ * Partial fills of one prescription item are not duplicates of each other
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} params - { medicine, residentId, residentName, windowDays, prescriptionItemId, now }
+ * @returns {Promise<Array>}
+ */
+export async function findRecentDuplicates(client, { medicine, residentId, residentName, windowDays, prescriptionItemId = null, now = new Date() }) {
+  const residentWhere = residentReleaseWhere({ residentId, residentName });
+  if (!residentWhere || !windowDays) return [];
+
+  const releases = await client.medicine_releases.findMany({
+    where: {
+      AND: [
+        residentWhere,
+        { medicine: sameGenericWhere(medicine) },
+        { date_released: { gte: new Date(now.getTime() - windowDays * DAY_MS) } },
+        ...(prescriptionItemId
+          ? [{ OR: [{ prescription_item_id: null }, { prescription_item_id: { not: prescriptionItemId } }] }]
+          : [])
+      ]
+    },
+    select: {
+      release_id: true,
+      resident_id: true,
+      resident_name: true,
+      quantity_released: true,
+      date_released: true,
+      prescription_item_id: true,
+      medicine: { select: { medicine_id: true, medicine_name: true, barangay: true } },
+      reversals: { select: { quantity_returned: true } }
+    },
+    orderBy: { date_released: 'desc' }
+  });
+
+  // A fully reversed release was never really dispensed
+  return releases.filter(release => release.reversals.reduce((sum, r) => sum + r.quantity_returned, 0) < release.quantity_released);
+}
+
+/**
+ * Apply the duplicate-dispensing guard to a release
+ * Throws 409 when blocking; returns a warning object (or null) otherwise
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} params - { medicine, residentId, residentName, prescriptionItemId, user, override_reason }
+ * @returns {Promise<Object|null>}
+ */
+export async function checkDuplicateDispensing(client, { medicine, residentId, residentName, prescriptionItemId, user, override_reason }) {
+  const { windowDays, mode } = duplicateGuardSettings(medicine);
+  const duplicates = await findRecentDuplicates(client, {
+    medicine,
+    residentId,
+    residentName,
+    windowDays,
+    prescriptionItemId
+  });
+
+  if (duplicates.length === 0) return null;
+
+  const details = {
+    window_days: windowDays,
+    mode,
+    previous_releases: duplicates.map(d => ({
+      release_id: d.release_id,
+      date_released: d.date_released,
+      quantity_released: d.quantity_released,
+      medicine_name: d.medicine.medicine_name,
+      barangay: d.medicine.barangay,
+      matched_on: d.resident_id ? 'resident_id' : 'resident_name'
+    }))
+  };
+
+  if (mode === 'WARN') {
+    return { ...details, message: `Same medicine was dispensed to this resident within ${windowDays} days` };
+  }
+
+  const canOverride = user && OVERRIDE_ROLES.includes(user.role) && !medicine.is_controlled;
+  if (canOverride && override_reason && override_reason.trim()) {
+    return {
+      ...details,
+      overridden_by: user.user_id,
+      override_reason: override_reason.trim(),
+      message: 'Duplicate dispensing overridden'
+    };
+  }
+
+  throw new StockLedgerError(
+    `Same medicine was already dispensed to this resident within ${windowDays} days`,
+    409,
+    {
+      ...details,
+      ...(!medicine.is_controlled && { hint: `A ${OVERRIDE_ROLES.join(' or ')} may override with override_reason` })
+    }
+  );
+}
+
+/**
+ * Group a resident's releases by generic
+ * @param {Array} releases - Releases with medicine (catalog_id, generic_name, medicine_name) and optional reversal
+ * @returns {Array} - [{ generic, medicine_name, releases, total_quantity, first_released, last_released, barangays }]
+ */
+export function summarizeByGeneric(releases) {
+  const groups = releases.reduce((acc, release) => {
+    const key = genericKeyOf(release.medicine);
+    if (!acc[key]) {
+      acc[key] = {
+        generic: key,
+        medicine_name: release.medicine.generic_name || release.medicine.medicine_name,
+        releases: 0,
+        total_quantity: 0,
+        first_released: release.date_released,
+        last_released: release.date_released,
+        barangays: new Set()
+      };
+    }
+
+    const group = acc[key];
+    group.releases += 1;
+    group.total_quantity += release.quantity_released - (release.reversals || []).reduce((sum, r) => sum + r.quantity_returned, 0);
+    group.barangays.add(release.medicine.barangay);
+    if (release.date_released < group.first_released) group.first_released = release.date_released;
+    if (release.date_released > group.last_released) group.last_released = release.date_released;
+    return acc;
+  }, {});
+
+  return Object.values(groups)
+    .map(group => ({ ...group, barangays: [...group.barangays] }))
+    .sort((a, b) => new Date(b.last_released) - new Date(a.last_released));
+}
+
+/**
+ * Units dispensed per medicine since a date, net of what was returned through reversals
+ * Used as the dispensing rate for replenishment and expiry projections
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Array} medicineIds - medicine_records ids
+ * @param {Date} since - Start of the usage window
+ * @returns {Promise<Object>} - { [medicine_id]: net units released }
+ */
+export async function netReleasedByMedicine(client, medicineIds, since) {
+  const releaseWhere = { medicine_id: { in: medicineIds }, date_released: { gte: since } };
+
+  const released = await client.medicine_releases.groupBy({
+    by: ['medicine_id'],
+    where: releaseWhere,
+    _sum: { quantity_released: true }
+  });
+  const returned = await client.release_reversals.findMany({
+    where: { release: releaseWhere },
+    select: { quantity_returned: true, release: { select: { medicine_id: true } } }
+  });
+
+  const net = released.reduce((acc, row) => {
+    acc[row.medicine_id] = row._sum.quantity_released || 0;
+    return acc;
+  }, {});
+  for (const reversal of returned) {
+    net[reversal.release.medicine_id] = (net[reversal.release.medicine_id] || 0) - reversal.quantity_returned;
+  }
+  return net;
+}
+
+export default {
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_MODE,
+  OVERRIDE_ROLES,
+  genericKeyOf,
+  sameGenericWhere,
+  residentReleaseWhere,
+  duplicateGuardSettings,
+  findRecentDuplicates,
+  checkDuplicateDispensing,
+  summarizeByGeneric,
+  netReleasedByMedicine
+};
@@ -0,0 +1,155 @@
+// backend/services/medicineCatalog.js
+// Shared medicine catalog (formulary): one entry per generic name + strength + dosage form.
+// Each barangay's medicine_records row points at a catalog entry so the same drug
+// can be compared across barangays regardless of how its name was typed
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+// Common abbreviations and plurals seen in encoded dosage forms
+const DOSAGE_FORM_ALIASES = {
+  tab: 'tablet',
+  tabs: 'tablet',
+  tablets: 'tablet',
+  cap: 'capsule',
+  caps: 'capsule',
+  capsules: 'capsule',
+  syr: 'syrup',
+  syrups: 'syrup',
+  susp: 'suspension',
+  inj: 'injection',
+  injections: 'injection',
+  amp: 'ampule',
+  ampoule: 'ampule',
+  ampules: 'ampule',
+  sachets: 'sachet',
+  drops: 'drop'
+};
+
+const normalizeText = (value) => (value || '')
+  .toString()
+  .toLowerCase()
+  .replace(/[^a-z0-9+/.%\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Normalize a strength such as "500 mg", "500MG" or "500 mg." to "500mg"
+ */
+export function normalizeStrength(strength) {
+  return normalizeText((strength || '').toString().replace(/[µμ]g/gi, 'mcg'))
+    .replace(/\s+/g, '')
+    .replace(/\.$/, '')
+    .replace(/milligrams?/g, 'mg')
+    .replace(/micrograms?/g, 'mcg')
+    .replace(/(\d)ug/g, '$1mcg')
+    .replace(/grams?/g, 'g')
+    .replace(/milliliters?|millilitres?/g, 'ml');
+}
+
+/**
+ * Normalize a dosage form such as "Tabs" or "Tablets" to "tablet"
+ */
+export function normalizeDosageForm(dosageForm) {
+  const form = normalizeText(dosageForm).replace(/\./g, '');
+  return DOSAGE_FORM_ALIASES[form] || form;
+}
+
+/**
+ * Build the unique catalog key for a generic name, strength and dosage form
+ */
+export function buildCatalogKey({ generic_name, strength, dosage_form }) {
+  return [
+    normalizeText(generic_name).replace(/\./g, ''),
+    normalizeStrength(strength),
+    normalizeDosageForm(dosage_form)
+  ].join('|');
+}
+
+/**
+ * Find the catalog entry for a drug, creating it if this is the first time it is seen
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} drug - { generic_name, strength, dosage_form, category, description }
+ * @returns {Promise<Object>} - Catalog entry
+ */
+export async function findOrCreateCatalogEntry(client, { generic_name, strength, dosage_form, category, description }) {
+  if (!generic_name || !generic_name.toString().trim()) {
+    throw new StockLedgerError('generic_name is required for a catalog entry');
+  }
+
+  const catalogKey = buildCatalogKey({ generic_name, strength, dosage_form });
+
+  const entry = await client.medicine_catalog.upsert({
+    where: { catalog_key: catalogKey },
+    update: {},
+    create: {
+      generic_name: generic_name.toString().trim(),
+      strength: strength ? strength.toString().trim() : null,
+      dosage_form: dosage_form ? dosage_form.toString().trim() : null,
+      category: category || null,
+      description: description || null,
+      catalog_key: catalogKey
+    }
+  });
+
+  return followCatalogMerges(client, entry);
+}
+
+/**
+ * Resolve a merged catalog entry to the entry it was merged into
+ * Deactivated entries that were not merged cannot be linked
+ * @returns {Promise<Object>} - Active catalog entry
+ */
+export async function followCatalogMerges(client, entry) {
+  let current = entry;
+  const seen = new Set();
+
+  while (current.merged_into_id && !seen.has(current.catalog_id)) {
+    seen.add(current.catalog_id);
+    current = await client.medicine_catalog.findUnique({ where: { catalog_id: current.merged_into_id } });
+  }
+
+  if (!current || !current.is_active) {
+    throw new StockLedgerError('Catalog entry is inactive', 409, {
+      catalog_id: entry.catalog_id,
+      catalog_key: entry.catalog_key
+    });
+  }
+
+  return current;
+}
+
+/**
+ * Resolve the catalog entry for a medicine payload
+ * An explicit catalog_id wins; otherwise the entry is matched (or created)
+ * from generic_name (falling back to medicine_name), strength and dosage_form
+ * @returns {Promise<Object>} - Catalog entry
+ */
+export async function resolveCatalogEntry(client, { catalog_id, generic_name, medicine_name, strength, dosage_form, category }) {
+  if (catalog_id !== undefined && catalog_id !== null && catalog_id !== '') {
+    const entry = await client.medicine_catalog.findUnique({
+      where: { catalog_id: parseInt(catalog_id) }
+    });
+
+    if (!entry || !entry.is_active) {
+      throw new StockLedgerError('Catalog entry not found', 404, { catalog_id });
+    }
+
+    return entry;
+  }
+
+  return findOrCreateCatalogEntry(client, {
+    generic_name: generic_name || medicine_name,
+    strength,
+    dosage_form,
+    category
+  });
+}
+
+export default {
+  normalizeStrength,
+  normalizeDosageForm,
+  buildCatalogKey,
+  findOrCreateCatalogEntry,
+  followCatalogMerges,
+  resolveCatalogEntry
+};
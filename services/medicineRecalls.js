@@ -0,0 +1,228 @@
+// backend/services/medicineRecalls.js
+// Batch recalls: which stocks a recall covers, who received them, and the per-barangay tasks
+// A recall names one drug (catalog entry, or generic name for medicines outside the catalog)
+// and the recalled lot numbers; batch numbers are matched case-insensitively in every barangay.
+// Batches received while a recall is ACTIVE are frozen on arrival.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+export const RECALL_MANAGER_ROLES = ['ADMIN', 'MUNICIPAL_STAFF', 'PHARMACIST'];
+export const RECALL_DISPOSITIONS = ['REMOVE', 'RETURN_TO_SUPPLIER'];
+
+/**
+ * Clean up the recalled batch numbers
+ * @param {Array|string} batchNumbers - List, or comma / newline separated text
+ * @returns {Array} - Trimmed, de-duplicated batch numbers
+ */
+export function parseBatchNumbers(batchNumbers) {
+  const list = Array.isArray(batchNumbers)
+    ? batchNumbers
+    : (batchNumbers || '').toString().split(/[,\n]/);
+
+  const seen = new Map();
+  for (const raw of list) {
+    const batch = (raw || '').toString().trim();
+    if (batch && !seen.has(batch.toLowerCase())) seen.set(batch.toLowerCase(), batch);
+  }
+
+  if (seen.size === 0) {
+    throw new StockLedgerError('batch_numbers must list at least one recalled lot', 400);
+  }
+
+  return [...seen.values()];
+}
+
+/**
+ * Work out the recalled drug from catalog_id, medicine_id or generic_name
+ * @returns {Promise<Object>} - { catalog_id, generic_name }
+ */
+export async function resolveRecallDrug(client, { catalog_id, medicine_id, generic_name }) {
+  if (catalog_id) {
+    const catalog = await client.medicine_catalog.findUnique({
+      where: { catalog_id: parseInt(catalog_id) },
+      select: { catalog_id: true, generic_name: true }
+    });
+    if (!catalog) {
+      throw new StockLedgerError('Catalog entry not found', 404, { catalog_id });
+    }
+    return catalog;
+  }
+
+  if (medicine_id) {
+    const medicine = await client.medicine_records.findUnique({
+      where: { medicine_id: parseInt(medicine_id) },
+      select: { catalog_id: true, generic_name: true, medicine_name: true }
+    });
+    if (!medicine) {
+      throw new StockLedgerError('Medicine not found', 404, { medicine_id });
+    }
+    return { catalog_id: medicine.catalog_id, generic_name: medicine.generic_name || medicine.medicine_name };
+  }
+
+  const name = (generic_name || '').trim();
+  if (!name) {
+    throw new StockLedgerError('A recall needs a catalog_id, medicine_id or generic_name', 400);
+  }
+  return { catalog_id: null, generic_name: name };
+}
+
+/**
+ * medicine_records filter for every inventory row of the recalled drug
+ * Rows linked to the catalog entry, plus unlinked rows with the same generic name
+ */
+export const recallMedicineWhere = (recall) => ({
+  OR: [
+    ...(recall.catalog_id ? [{ catalog_id: recall.catalog_id }] : []),
+    { catalog_id: null, generic_name: { equals: recall.generic_name, mode: 'insensitive' } },
+    { catalog_id: null, medicine_name: { equals: recall.generic_name, mode: 'insensitive' } }
+  ]
+});
+
+/**
+ * medicine_stocks filter for the recalled batches
+ */
+export const recallStockWhere = (recall) => ({
+  medicine: recallMedicineWhere(recall),
+  OR: recall.batch_numbers.map(batch => ({ batch_number: { equals: batch, mode: 'insensitive' } }))
+});
+
+/**
+ * ACTIVE recall naming this batch of a medicine, for stock arriving after the recall was issued
+ * Matches the drug the same way recallMedicineWhere does, from the medicine's side
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} medicine - medicine_records row (catalog_id, generic_name, medicine_name)
+ * @param {string} batchNumber - Received batch number
+ * @returns {Promise<Object|null>} - The oldest matching recall, or null
+ */
+export async function findActiveRecall(client, medicine, batchNumber) {
+  const batch = (batchNumber || '').toString().trim().toLowerCase();
+  if (!batch) return null;
+
+  const names = [medicine.generic_name, medicine.medicine_name].filter(Boolean);
+  const drugMatch = medicine.catalog_id
+    ? [{ catalog_id: medicine.catalog_id }]
+    : names.map(name => ({ generic_name: { equals: name, mode: 'insensitive' } }));
+  if (drugMatch.length === 0) return null;
+
+  const recalls = await client.medicine_recalls.findMany({
+    where: { status: 'ACTIVE', OR: drugMatch },
+    select: { recall_id: true, batch_numbers: true },
+    orderBy: { recall_id: 'asc' }
+  });
+
+  return recalls.find(recall => recall.batch_numbers.some(b => b.trim().toLowerCase() === batch)) || null;
+}
+
+/**
+ * Add stock frozen on arrival to the barangay's recall task, reopening a completed one
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {number} recallId - Recall the stock was frozen under
+ * @param {string} barangay - Barangay that received it
+ * @param {Object} added - { stocks: newly frozen batches, quantity: units received }
+ */
+export async function addIntakeToRecallTask(client, recallId, barangay, { stocks = 0, quantity = 0 }) {
+  const existing = await client.recall_tasks.findUnique({
+    where: { recall_id_barangay: { recall_id: recallId, barangay } }
+  });
+
+  if (!existing) {
+    return client.recall_tasks.create({
+      data: { recall_id: recallId, barangay, stocks_affected: stocks, quantity_affected: quantity }
+    });
+  }
+
+  return client.recall_tasks.update({
+    where: { task_id: existing.task_id },
+    data: {
+      stocks_affected: { increment: stocks },
+      quantity_affected: { increment: quantity },
+      ...(existing.status === 'COMPLETED' && { status: 'OPEN', completed_at: null, completed_by_user_id: null }),
+      updated_at: new Date()
+    }
+  });
+}
+
+/**
+ * Releases made from the recalled batches; fully reversed releases are left out
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Array} stockIds - Affected stock ids
+ * @param {Object} medicineFilter - Extra medicine_records filter (barangay scope)
+ * @returns {Promise<Array>}
+ */
+export async function findRecallRecipients(client, stockIds, medicineFilter = {}) {
+  if (stockIds.length === 0) return [];
+
+  const releases = await client.medicine_releases.findMany({
+    where: { stock_id: { in: stockIds }, medicine: medicineFilter },
+    select: {
+      release_id: true,
+      stock_id: true,
+      resident_id: true,
+      resident_name: true,
+      resident_age: true,
+      quantity_released: true,
+      date_released: true,
+      resident: { select: { resident_id: true, full_name: true, phone: true, barangay: true } },
+      medicine: { select: { medicine_id: true, medicine_name: true, barangay: true } },
+      stock: { select: { batch_number: true } },
+      reversals: { select: { quantity_returned: true } }
+    },
+    orderBy: { date_released: 'desc' }
+  });
+
+  return releases
+    .map(({ reversals, ...release }) => ({
+      ...release,
+      quantity_kept: release.quantity_released - reversals.reduce((sum, r) => sum + r.quantity_returned, 0)
+    }))
+    .filter(release => release.quantity_kept > 0);
+}
+
+/**
+ * Key identifying one recipient, so repeat releases to a resident count once
+ */
+const recipientKey = (release) =>
+  release.resident_id ? `resident:${release.resident_id}` : `name:${(release.resident_name || '').trim().toLowerCase()}`;
+
+/**
+ * Per-barangay figures for the recall tasks
+ * @param {Array} stocks - Affected stocks with medicine.barangay
+ * @param {Array} recipients - From findRecallRecipients
+ * @returns {Object} - { [barangay]: { stocks_affected, quantity_affected, recipients } }
+ */
+export function summarizeByBarangay(stocks, recipients) {
+  const summary = {};
+  const entry = (barangay) => {
+    if (!summary[barangay]) {
+      summary[barangay] = { stocks_affected: 0, quantity_affected: 0, recipients: new Set() };
+    }
+    return summary[barangay];
+  };
+
+  for (const stock of stocks) {
+    const row = entry(stock.medicine.barangay);
+    row.stocks_affected += 1;
+    row.quantity_affected += stock.remaining_quantity;
+  }
+
+  for (const release of recipients) {
+    entry(release.medicine.barangay).recipients.add(recipientKey(release));
+  }
+
+  return Object.fromEntries(
+    Object.entries(summary).map(([barangay, row]) => [barangay, { ...row, recipients: row.recipients.size }])
+  );
+}
+
+export default {
+  RECALL_MANAGER_ROLES,
+  RECALL_DISPOSITIONS,
+  parseBatchNumbers,
+  resolveRecallDrug,
+  recallMedicineWhere,
+  recallStockWhere,
+  findActiveRecall,
+  addIntakeToRecallTask,
+  findRecallRecipients,
+  summarizeByBarangay
+};
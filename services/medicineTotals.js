@@ -0,0 +1,112 @@
+// backend/services/medicineTotals.js
+// medicine_records.total_quantity is a denormalized copy of
+// SUM(remaining_quantity) over the medicine's active batches.
+// Every stock mutation calls syncMedicineTotal; the drift helpers back the
+// consistency-check endpoint and scripts/repairTotalQuantity.js
+
+/**
+ * Recompute one medicine's total_quantity from its active batches
+ * Inside a transaction the medicine row lock makes concurrent recomputations
+ * for the same medicine run one after the other, so the last writer sees every batch change
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {number} medicineId - Medicine to recompute
+ * @returns {Promise<number>} - The new total
+ */
+export async function syncMedicineTotal(client, medicineId) {
+  await client.$queryRaw`
+    SELECT medicine_id FROM medicines WHERE medicine_id = ${medicineId} FOR UPDATE
+  `;
+
+  const total = await client.medicine_stocks.aggregate({
+    where: { medicine_id: medicineId, is_active: true },
+    _sum: { remaining_quantity: true }
+  });
+
+  const totalQuantity = total._sum.remaining_quantity || 0;
+
+  await client.medicine_records.update({
+    where: { medicine_id: medicineId },
+    data: { total_quantity: totalQuantity }
+  });
+
+  return totalQuantity;
+}
+
+/**
+ * Find medicines whose stored total_quantity differs from their batches
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} where - medicine_records filter (e.g. getBarangayFilter output)
+ * @returns {Promise<Array>} - [{ medicine_id, medicine_name, barangay, recorded_total, actual_total, drift }]
+ */
+export async function findTotalQuantityDrift(client, where = {}) {
+  const medicines = await client.medicine_records.findMany({
+    where,
+    select: { medicine_id: true, medicine_name: true, barangay: true, is_active: true, total_quantity: true },
+    orderBy: [{ barangay: 'asc' }, { medicine_name: 'asc' }]
+  });
+
+  const sums = await client.medicine_stocks.groupBy({
+    by: ['medicine_id'],
+    where: { is_active: true, medicine_id: { in: medicines.map(m => m.medicine_id) } },
+    _sum: { remaining_quantity: true }
+  });
+
+  const actualByMedicine = sums.reduce((acc, row) => {
+    acc[row.medicine_id] = row._sum.remaining_quantity || 0;
+    return acc;
+  }, {});
+
+  return medicines
+    .map(medicine => {
+      const actual = actualByMedicine[medicine.medicine_id] || 0;
+      return {
+        medicine_id: medicine.medicine_id,
+        medicine_name: medicine.medicine_name,
+        barangay: medicine.barangay,
+        is_active: medicine.is_active,
+        recorded_total: medicine.total_quantity,
+        actual_total: actual,
+        drift: medicine.total_quantity - actual
+      };
+    })
+    .filter(row => row.drift !== 0);
+}
+
+/**
+ * Summarize drift rows per barangay
+ */
+export function summarizeDriftByBarangay(rows) {
+  const byBarangay = rows.reduce((acc, row) => {
+    if (!acc[row.barangay]) {
+      acc[row.barangay] = { barangay: row.barangay, medicines: 0, absolute_drift: 0 };
+    }
+    acc[row.barangay].medicines += 1;
+    acc[row.barangay].absolute_drift += Math.abs(row.drift);
+    return acc;
+  }, {});
+
+  return Object.values(byBarangay);
+}
+
+/**
+ * Recompute total_quantity for every drifting medicine, one transaction each
+ * @param {Object} client - PrismaClient (not a transaction client)
+ * @param {Object} where - medicine_records filter
+ * @returns {Promise<Array>} - The drift rows that were repaired
+ */
+export async function repairTotalQuantityDrift(client, where = {}) {
+  const drift = await findTotalQuantityDrift(client, where);
+
+  for (const row of drift) {
+    await client.$transaction(tx => syncMedicineTotal(tx, row.medicine_id));
+  }
+
+  return drift;
+}
+
+export default {
+  syncMedicineTotal,
+  findTotalQuantityDrift,
+  summarizeDriftByBarangay,
+  repairTotalQuantityDrift
+};
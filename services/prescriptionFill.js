@@ -0,0 +1,184 @@
+// backend/services/prescriptionFill.js
+// Filling consultation prescription line items through POST /releases
+// An item may be filled over several releases (partial fills) until quantity_dispensed
+// reaches quantity_prescribed; each release row points back to its consultation and item.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+/**
+ * Status of a line item from its prescribed and dispensed quantities
+ */
+export function fillStatus(quantityPrescribed, quantityDispensed) {
+  if (quantityDispensed <= 0) return 'PENDING';
+  if (quantityDispensed >= quantityPrescribed) return 'FILLED';
+  return 'PARTIALLY_FILLED';
+}
+
+/**
+ * Validate line items sent when writing a consultation's prescription
+ * @param {Array} items - [{ medicine_id?, catalog_id?, medicine_name?, dose, frequency, duration_days, quantity, instructions }]
+ * @returns {Array} - Normalized items (catalog / medicine names are resolved by the caller)
+ */
+export function parsePrescriptionItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new StockLedgerError('items must list at least one prescribed medicine', 400);
+  }
+
+  return items.map((item, index) => {
+    const quantity = parseInt(item.quantity ?? item.quantity_prescribed);
+    const medicineId = item.medicine_id ? parseInt(item.medicine_id) : null;
+    const catalogId = item.catalog_id ? parseInt(item.catalog_id) : null;
+    const durationDays = item.duration_days ? parseInt(item.duration_days) : null;
+
+    if (!medicineId && !catalogId && !item.medicine_name) {
+      throw new StockLedgerError('Each item needs a medicine_id, catalog_id or medicine_name', 400, { item: index });
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      throw new StockLedgerError('Each item needs a positive quantity', 400, { item: index });
+    }
+    if (durationDays !== null && (isNaN(durationDays) || durationDays <= 0)) {
+      throw new StockLedgerError('duration_days must be a positive number', 400, { item: index });
+    }
+
+    return {
+      medicine_id: medicineId,
+      catalog_id: catalogId,
+      medicine_name: item.medicine_name || null,
+      dose: item.dose || null,
+      frequency: item.frequency || null,
+      duration_days: durationDays,
+      instructions: item.instructions || null,
+      quantity_prescribed: quantity
+    };
+  });
+}
+
+/**
+ * Load a line item with the consultation details a release needs
+ */
+export function loadPrescriptionItem(client, itemId) {
+  return client.consultation_prescription_items.findUnique({
+    where: { item_id: itemId },
+    include: {
+      consultation: {
+        select: {
+          consultation_id: true,
+          resident_id: true,
+          patient_name: true,
+          patient_barangay: true,
+          status: true,
+          scheduled_date: true,
+          completed_at: true,
+          assigned_doctor: { select: { full_name: true } },
+          assigned_nurse: { select: { full_name: true } }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Prescription fields for a release, taken from the consultation that prescribed it
+ * Explicit values sent with the release win
+ */
+export function prescriptionFromItem(item, { prescription_number, prescribing_doctor, prescription_date }) {
+  const { consultation } = item;
+  const prescriber = consultation.assigned_doctor?.full_name || consultation.assigned_nurse?.full_name;
+
+  return {
+    prescription_number: prescription_number || `CONS-${consultation.consultation_id}-${item.item_id}`,
+    prescribing_doctor: prescribing_doctor || prescriber || null,
+    prescription_date: prescription_date || consultation.completed_at || consultation.scheduled_date
+  };
+}
+
+/**
+ * Check that a release may fill a line item
+ * @param {Object} item - Line item (with consultation)
+ * @param {Object} medicine - medicine_records row being released
+ * @param {number|null} residentId - Resident on the release
+ * @param {number} quantity - Base units being released
+ */
+export function assertItemFillable(item, medicine, residentId, quantity) {
+  if (item.status === 'CANCELLED' || item.consultation.status === 'CANCELLED') {
+    throw new StockLedgerError('This prescription item has been cancelled', 409, { prescription_item_id: item.item_id });
+  }
+
+  const remaining = item.quantity_prescribed - item.quantity_dispensed;
+  if (remaining <= 0) {
+    throw new StockLedgerError('This prescription item is already filled', 409, {
+      prescription_item_id: item.item_id,
+      quantity_prescribed: item.quantity_prescribed,
+      quantity_dispensed: item.quantity_dispensed
+    });
+  }
+
+  const sameMedicine = item.medicine_id === medicine.medicine_id ||
+    (item.catalog_id && item.catalog_id === medicine.catalog_id);
+  if ((item.medicine_id || item.catalog_id) && !sameMedicine) {
+    throw new StockLedgerError('Medicine does not match the prescribed item', 400, {
+      prescribed: item.medicine_name,
+      released: medicine.medicine_name
+    });
+  }
+
+  if (residentId && item.consultation.resident_id && residentId !== item.consultation.resident_id) {
+    throw new StockLedgerError('Resident does not match the consultation', 400, {
+      consultation_resident_id: item.consultation.resident_id,
+      resident_id: residentId
+    });
+  }
+
+  if (quantity > remaining) {
+    throw new StockLedgerError('Quantity exceeds what is left to fill on this prescription item', 409, {
+      prescription_item_id: item.item_id,
+      quantity_prescribed: item.quantity_prescribed,
+      quantity_dispensed: item.quantity_dispensed,
+      remaining,
+      requested: quantity
+    });
+  }
+}
+
+/**
+ * Lock a line item for the rest of the transaction and return its current state
+ * Taken after the medicine row lock, so fills of one item are serialized
+ */
+export async function lockPrescriptionItem(tx, itemId) {
+  const rows = await tx.$queryRaw`
+    SELECT item_id FROM consultation_prescription_items WHERE item_id = ${itemId} FOR UPDATE
+  `;
+
+  if (rows.length === 0) {
+    throw new StockLedgerError('Prescription item not found', 404, { prescription_item_id: itemId });
+  }
+
+  return loadPrescriptionItem(tx, itemId);
+}
+
+/**
+ * Add (or, with a negative quantity, take back) dispensed units on a line item
+ * @returns {Promise<Object>} - Updated line item
+ */
+export async function recordFill(tx, item, quantity) {
+  const dispensed = Math.max(0, item.quantity_dispensed + quantity);
+
+  return tx.consultation_prescription_items.update({
+    where: { item_id: item.item_id },
+    data: {
+      quantity_dispensed: dispensed,
+      ...(item.status !== 'CANCELLED' && { status: fillStatus(item.quantity_prescribed, dispensed) }),
+      updated_at: new Date()
+    }
+  });
+}
+
+export default {
+  fillStatus,
+  parsePrescriptionItems,
+  loadPrescriptionItem,
+  prescriptionFromItem,
+  assertItemFillable,
+  lockPrescriptionItem,
+  recordFill
+};
@@ -0,0 +1,81 @@
+// backend/services/removalApproval.js
+// Second-person approval for large LOST / DAMAGED write-offs
+// A removal over either threshold is saved as PENDING and the stock is left alone; a
+// PHARMACIST / ADMIN other than the requester approves (stock is decremented then) or rejects it.
+//
+// Thresholds:
+//   REMOVAL_APPROVAL_QUANTITY - base units (default 100), 0 turns the quantity check off
+//   REMOVAL_APPROVAL_VALUE    - quantity x batch unit_cost (default 5000), 0 turns the value check off
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+const envNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+export const APPROVAL_REASONS = ['LOST', 'DAMAGED'];
+export const APPROVER_ROLES = ['ADMIN', 'PHARMACIST'];
+export const QUANTITY_THRESHOLD = envNumber(process.env.REMOVAL_APPROVAL_QUANTITY, 100);
+export const VALUE_THRESHOLD = envNumber(process.env.REMOVAL_APPROVAL_VALUE, 5000);
+
+/**
+ * Decide whether a removal has to wait for approval
+ * @param {Object} params - { reason, quantity, unitCost }
+ * @returns {Object} - { required, estimated_value, exceeded: ['quantity'|'value'], thresholds }
+ */
+export function approvalRequirement({ reason, quantity, unitCost }) {
+  const estimatedValue = unitCost !== null && unitCost !== undefined
+    ? Number((quantity * Number(unitCost)).toFixed(2))
+    : null;
+
+  const exceeded = APPROVAL_REASONS.includes(reason)
+    ? [
+        QUANTITY_THRESHOLD > 0 && quantity > QUANTITY_THRESHOLD && 'quantity',
+        VALUE_THRESHOLD > 0 && estimatedValue !== null && estimatedValue > VALUE_THRESHOLD && 'value'
+      ].filter(Boolean)
+    : [];
+
+  return {
+    required: exceeded.length > 0,
+    estimated_value: estimatedValue,
+    exceeded,
+    thresholds: { quantity: QUANTITY_THRESHOLD, value: VALUE_THRESHOLD }
+  };
+}
+
+/**
+ * Check that a user may decide on a pending removal
+ * @param {Object|null} user - Authenticated user
+ * @param {Object} removal - stock_removals row
+ */
+export function assertCanDecide(user, removal) {
+  if (!user || !APPROVER_ROLES.includes(user.role)) {
+    throw new StockLedgerError(`Only ${APPROVER_ROLES.join(' or ')} users can decide on a removal`, 403);
+  }
+
+  // Without a recorded requester there is no way to tell a second person from the first
+  if (!removal.removed_by_user_id && !removal.removed_by_wallet) {
+    throw new StockLedgerError('Removal has no recorded requester and cannot be decided', 409, {
+      removal_id: removal.removal_id
+    });
+  }
+
+  const requestedByWallet = removal.removed_by_wallet &&
+    user.wallet_address && removal.removed_by_wallet === user.wallet_address.toLowerCase();
+
+  if (removal.removed_by_user_id === user.user_id || requestedByWallet) {
+    throw new StockLedgerError('A removal must be approved or rejected by someone other than the requester', 403, {
+      removed_by_user_id: removal.removed_by_user_id
+    });
+  }
+}
+
+export default {
+  APPROVAL_REASONS,
+  APPROVER_ROLES,
+  QUANTITY_THRESHOLD,
+  VALUE_THRESHOLD,
+  approvalRequirement,
+  assertCanDecide
+};
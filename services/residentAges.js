@@ -0,0 +1,167 @@
+// backend/services/residentAges.js
+// residents.age / age_category / is_senior_citizen derived from date_of_birth
+// The stored values are only written at create / update time, so a daily job recomputes
+// them as residents get older; statistics can also derive them for a past reference date.
+
+import { runInLedger, writeAudit } from './inventoryLedger.js';
+
+// Residents updated per transaction by the recompute job
+const RECOMPUTE_BATCH_SIZE = parseInt(process.env.AGE_RECOMPUTE_BATCH_SIZE) || 200;
+
+// Hours between scheduled recomputations
+export const RECOMPUTE_INTERVAL_HOURS = parseInt(process.env.AGE_RECOMPUTE_INTERVAL_HOURS) || 24;
+
+export const AGE_CATEGORIES = ['ZERO_TO_23_MONTHS', 'TWENTY_FOUR_TO_59_MONTHS', 'SIXTY_TO_71_MONTHS', 'ABOVE_71_MONTHS'];
+
+export function calculateAgeCategory(age) {
+  if (age === null || age === undefined) return null;
+  if (age <= 1.99) return 'ZERO_TO_23_MONTHS';
+  if (age <= 4.99) return 'TWENTY_FOUR_TO_59_MONTHS';
+  if (age <= 5.99) return 'SIXTY_TO_71_MONTHS';
+  return 'ABOVE_71_MONTHS';
+}
+
+export function isSeniorCitizen(age) {
+  return age !== null && age !== undefined && age >= 60;
+}
+
+/**
+ * Age in completed years on a date, or null without a (valid) date of birth
+ */
+export function ageOn(dateOfBirth, asOf = new Date()) {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  const on = new Date(asOf);
+  if (isNaN(dob.getTime()) || dob > on) return null;
+
+  let age = on.getFullYear() - dob.getFullYear();
+  if (on.getMonth() < dob.getMonth() || (on.getMonth() === dob.getMonth() && on.getDate() < dob.getDate())) {
+    age -= 1;
+  }
+  return age;
+}
+
+/**
+ * age, age_category and is_senior_citizen as of a date
+ * @returns {Object|null} - null when there is no date of birth to work from
+ */
+export function ageFieldsOn(dateOfBirth, asOf = new Date()) {
+  const age = ageOn(dateOfBirth, asOf);
+  if (age === null) return null;
+
+  return {
+    age,
+    age_category: calculateAgeCategory(age),
+    is_senior_citizen: isSeniorCitizen(age)
+  };
+}
+
+/**
+ * Recompute stored age fields from date_of_birth and audit every change
+ * Deceased residents keep the age they died at
+ * @param {Object} client - Prisma client
+ * @param {Object} options - { asOf, barangay, dryRun, req }
+ * @returns {Promise<Object>} - { checked, changed, updated, changes }
+ */
+export async function recomputeResidentAges(client, { asOf = new Date(), barangay = null, dryRun = false, req = null } = {}) {
+  const residents = await client.residents.findMany({
+    where: {
+      date_of_birth: { not: null },
+      date_of_death: null,
+      ...(barangay && { barangay })
+    },
+    select: {
+      resident_id: true,
+      full_name: true,
+      barangay: true,
+      date_of_birth: true,
+      age: true,
+      age_category: true,
+      is_senior_citizen: true
+    },
+    orderBy: { resident_id: 'asc' }
+  });
+
+  const changes = [];
+  for (const resident of residents) {
+    const fields = ageFieldsOn(resident.date_of_birth, asOf);
+    if (!fields) continue;
+
+    if (
+      fields.age !== resident.age ||
+      fields.age_category !== resident.age_category ||
+      fields.is_senior_citizen !== resident.is_senior_citizen
+    ) {
+      changes.push({
+        resident_id: resident.resident_id,
+        full_name: resident.full_name,
+        barangay: resident.barangay,
+        old: { age: resident.age, age_category: resident.age_category, is_senior_citizen: resident.is_senior_citizen },
+        new: fields
+      });
+    }
+  }
+
+  let updated = 0;
+  if (!dryRun) {
+    for (let start = 0; start < changes.length; start += RECOMPUTE_BATCH_SIZE) {
+      const batch = changes.slice(start, start + RECOMPUTE_BATCH_SIZE);
+
+      updated += await runInLedger(async (tx) => {
+        let count = 0;
+        for (const change of batch) {
+          // Skip residents edited since they were read; the next run picks them up
+          const result = await tx.residents.updateMany({
+            where: { resident_id: change.resident_id, ...change.old },
+            data: { ...change.new, updated_at: new Date() }
+          });
+          if (result.count === 0) continue;
+
+          await writeAudit(tx, req, {
+            tableName: 'residents',
+            recordId: change.resident_id,
+            action: 'AGE_RECOMPUTE',
+            oldValues: change.old,
+            newValues: { ...change.new, as_of: asOf }
+          });
+          count += 1;
+        }
+        return count;
+      });
+    }
+  }
+
+  return { checked: residents.length, changed: changes.length, updated, changes };
+}
+
+/**
+ * Run the recomputation now and then every RECOMPUTE_INTERVAL_HOURS
+ * @returns {Function} - Stops the schedule
+ */
+export function startAgeRecomputeJob(client) {
+  const run = async () => {
+    try {
+      const result = await recomputeResidentAges(client);
+      if (result.updated > 0) {
+        console.log(`🎂 Resident ages recomputed: ${result.updated} of ${result.checked} updated`);
+      }
+    } catch (error) {
+      console.error('❌ Resident age recompute failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, RECOMPUTE_INTERVAL_HOURS * 60 * 60 * 1000);
+  return () => clearInterval(timer);
+}
+
+export default {
+  RECOMPUTE_INTERVAL_HOURS,
+  AGE_CATEGORIES,
+  calculateAgeCategory,
+  isSeniorCitizen,
+  ageOn,
+  ageFieldsOn,
+  recomputeResidentAges,
+  startAgeRecomputeJob
+};
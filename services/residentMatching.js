@@ -0,0 +1,359 @@
+// backend/services/residentMatching.js
+// Shared resident-matching engine for duplicate checks, consultation booking and merges
+// Candidates are scored 0-100 from name similarity (phonetic + edit distance), date of birth
+// (with tolerance for typos), normalized phone number and barangay household number.
+
+export const MATCH_LEVELS = { HIGH: 80, MEDIUM: 60 };
+
+// Minimum score for a candidate to be listed, and for booking to link to it without asking
+export const MIN_CANDIDATE_SCORE = parseInt(process.env.RESIDENT_MATCH_MIN_SCORE) || 50;
+export const AUTO_LINK_SCORE = parseInt(process.env.RESIDENT_MATCH_AUTO_LINK_SCORE) || MATCH_LEVELS.HIGH;
+// Bookings carry only name, age, phone and barangay, so an exact name in the same barangay
+// links from this score as long as it is the only such resident and the age agrees
+export const NAME_BARANGAY_LINK_SCORE = MATCH_LEVELS.MEDIUM;
+
+// Dates of birth this many days apart still count as a near match
+const DOB_TOLERANCE_DAYS = parseInt(process.env.RESIDENT_MATCH_DOB_TOLERANCE_DAYS) || 31;
+
+// Candidates are read and scored in pages of this size so none are cut off
+const CANDIDATE_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const residentSelect = {
+  resident_id: true,
+  first_name: true,
+  middle_name: true,
+  last_name: true,
+  full_name: true,
+  date_of_birth: true,
+  age: true,
+  gender: true,
+  barangay: true,
+  household_no: true,
+  address: true,
+  phone: true,
+  is_4ps_member: true,
+  is_pregnant: true,
+  is_senior_citizen: true
+};
+
+/**
+ * Lowercase, strip accents and punctuation ("Ma. Dela Cruz-Peña" -> "ma dela cruz pena")
+ */
+export const normalizeName = (value) => (value || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Philippine mobile / landline digits in one form: +63 917 123 4567 and 0917-123-4567 -> 09171234567
+ */
+export function normalizePhone(phone) {
+  let digits = (phone || '').toString().replace(/\D/g, '');
+  if (digits.startsWith('63') && digits.length === 12) digits = '0' + digits.slice(2);
+  if (digits.length === 10 && digits.startsWith('9')) digits = '0' + digits;
+  return digits.length >= 7 ? digits : null;
+}
+
+/**
+ * Split a single "patient name" into first / last the way booking always has:
+ * first word is the first name, the rest is the surname
+ */
+export function splitFullName(fullName) {
+  const parts = (fullName || '').toString().trim().split(/\s+/).filter(Boolean);
+  const first_name = parts[0] || '';
+  return { first_name, last_name: parts.slice(1).join(' ') || first_name };
+}
+
+/**
+ * American Soundex code of a name, spaces removed ("Dela Cruz" and "Delacruz" -> D426)
+ */
+export function soundex(value) {
+  const name = normalizeName(value).replace(/\s/g, '');
+  if (!name) return '';
+
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = name[0].toUpperCase();
+  let previous = codes[name[0]] || 0;
+
+  for (const char of name.slice(1)) {
+    const code = codes[char] || 0;
+    if (code && code !== previous) result += code;
+    // h and w do not separate letters with the same code
+    if (char !== 'h' && char !== 'w') previous = code;
+    if (result.length === 4) break;
+  }
+
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Levenshtein edit distance
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two names, 0-1
+ * Spelling variants (Jhon / John) score through edit distance, sound-alikes
+ * (Cristine / Christine, Dela Cruz / Delacruz) through Soundex
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const compactLeft = left.replace(/\s/g, '');
+  const compactRight = right.replace(/\s/g, '');
+  if (compactLeft === compactRight) return 0.97;
+
+  const edit = 1 - editDistance(compactLeft, compactRight) / Math.max(compactLeft.length, compactRight.length);
+  const phonetic = soundex(left) === soundex(right) ? 0.85 : 0;
+
+  return Math.max(edit, phonetic);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD parts) of a DOB, or null
+ */
+function dateParts(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), time: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) };
+}
+
+/**
+ * Compare two dates of birth
+ * @returns {Object|null} - { points, reason } or null when either is missing
+ */
+function compareBirthDates(a, b) {
+  const left = dateParts(a);
+  const right = dateParts(b);
+  if (!left || !right) return null;
+
+  if (left.time === right.time) return { points: 20, reason: 'dob_exact' };
+  // Day and month swapped when encoding (03/04 vs 04/03)
+  if (left.year === right.year && left.month === right.day && left.day === right.month) {
+    return { points: 15, reason: 'dob_swapped' };
+  }
+  if (Math.abs(left.time - right.time) <= DOB_TOLERANCE_DAYS * DAY_MS) return { points: 12, reason: 'dob_near' };
+  // Year mistyped, same birthday
+  if (left.month === right.month && left.day === right.day && Math.abs(left.year - right.year) === 1) {
+    return { points: 10, reason: 'dob_year_off' };
+  }
+  return { points: -15, reason: 'dob_mismatch' };
+}
+
+/**
+ * Score one resident against the entered details
+ * @param {Object} input - { first_name, middle_name, last_name, date_of_birth, age, phone, barangay, household_no }
+ * @param {Object} resident - residents row
+ * @returns {Object} - { score, level, reasons }
+ */
+export function scoreCandidate(input, resident) {
+  const reasons = [];
+  let score = 0;
+
+  const first = nameSimilarity(input.first_name, resident.first_name);
+  const last = nameSimilarity(input.last_name, resident.last_name);
+  // Also compare whole names, for surnames split differently ("Ma. Cristina" / "Maria Cristina")
+  const whole = nameSimilarity(
+    `${input.first_name || ''} ${input.last_name || ''}`,
+    `${resident.first_name || ''} ${resident.last_name || ''}`
+  );
+  const names = Math.max((first * 25 + last * 30) / 55, whole);
+  score += Math.round(names * 55);
+  if (names >= 0.999) reasons.push('name_exact');
+  else if (names >= 0.8) reasons.push('name_similar');
+
+  // Middle name (or initial) only counts when both sides have one
+  const inputMiddle = normalizeName(input.middle_name);
+  const residentMiddle = normalizeName(resident.middle_name);
+  if (inputMiddle && residentMiddle) {
+    if (inputMiddle === residentMiddle ||
+        (inputMiddle[0] === residentMiddle[0] && Math.min(inputMiddle.length, residentMiddle.length) === 1)) {
+      score += 5;
+      reasons.push('middle_name');
+    } else if (nameSimilarity(inputMiddle, residentMiddle) < 0.8) {
+      score -= 5;
+    }
+  }
+
+  const dob = compareBirthDates(input.date_of_birth, resident.date_of_birth);
+  if (dob) {
+    score += dob.points;
+    reasons.push(dob.reason);
+  } else if (input.age !== undefined && input.age !== null && input.age !== '' && resident.age !== null) {
+    if (Math.abs(parseInt(input.age) - resident.age) <= 1) {
+      score += 5;
+      reasons.push('age');
+    }
+  }
+
+  const phone = normalizePhone(input.phone);
+  if (phone && phone === normalizePhone(resident.phone)) {
+    score += 25;
+    reasons.push('phone');
+  }
+
+  if (input.household_no && resident.household_no && input.barangay === resident.barangay &&
+      input.household_no.toString().trim().toLowerCase() === resident.household_no.trim().toLowerCase()) {
+    score += 10;
+    reasons.push('household');
+  } else if (input.barangay && resident.barangay === input.barangay) {
+    score += 5;
+    reasons.push('barangay');
+  }
+
+  score = Math.max(0, Math.min(100, score));
+  const level = score >= MATCH_LEVELS.HIGH ? 'HIGH' : score >= MATCH_LEVELS.MEDIUM ? 'MEDIUM' : 'LOW';
+
+  return { score, level, reasons };
+}
+
+/**
+ * Candidate a booking may be linked to without asking, or null
+ * A HIGH score links; otherwise a single exact-name match in the same barangay links,
+ * unless the entered age disagrees (a parent and child can share a name)
+ * @param {Array} candidates - findResidentMatches result, best first
+ * @param {Object} input - Entered details
+ * @returns {Object|null}
+ */
+export function pickAutoLink(candidates, input) {
+  const [best] = candidates;
+  if (!best) return null;
+  if (best.match_score >= AUTO_LINK_SCORE) return best;
+
+  const hasAge = input.age !== undefined && input.age !== null && input.age !== '';
+  const nameInBarangay = candidates.filter(candidate =>
+    candidate.match_score >= NAME_BARANGAY_LINK_SCORE &&
+    candidate.match_reasons.includes('name_exact') &&
+    (candidate.match_reasons.includes('barangay') || candidate.match_reasons.includes('household')) &&
+    !candidate.match_reasons.includes('dob_mismatch') &&
+    (!hasAge || candidate.age === null || candidate.match_reasons.includes('age'))
+  );
+
+  return nameInBarangay.length === 1 ? nameInBarangay[0] : null;
+}
+
+/**
+ * Database filter for residents worth scoring: anything sharing a phone, household,
+ * name initials or a nearby date of birth with the entered details
+ */
+function candidateWhere(input) {
+  const or = [];
+
+  const phone = normalizePhone(input.phone);
+  if (phone) or.push({ phone: { contains: phone.slice(-7) } });
+
+  if (input.household_no && input.barangay) {
+    or.push({ barangay: input.barangay, household_no: { equals: input.household_no.toString().trim(), mode: 'insensitive' } });
+  }
+
+  const first = normalizeName(input.first_name);
+  const last = normalizeName(input.last_name);
+  if (first && last) {
+    or.push({
+      first_name: { startsWith: first[0], mode: 'insensitive' },
+      last_name: { startsWith: last[0], mode: 'insensitive' }
+    });
+    // Surname typed with a different first letter (Cruz / Kruz): same first name and sound-alike is scored later
+    or.push({ first_name: { equals: input.first_name.trim(), mode: 'insensitive' } });
+  }
+
+  const dob = dateParts(input.date_of_birth);
+  if (dob) {
+    or.push({
+      date_of_birth: {
+        gte: new Date(dob.time - DOB_TOLERANCE_DAYS * DAY_MS),
+        lte: new Date(dob.time + DOB_TOLERANCE_DAYS * DAY_MS)
+      }
+    });
+  }
+
+  return or;
+}
+
+/**
+ * Find likely existing records for the entered resident details
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} input - { first_name, middle_name, last_name, full_name, date_of_birth, age, phone, barangay, household_no }
+ * @param {Object} options - { where: extra residents filter, excludeIds, minScore, limit }
+ * @returns {Promise<Array>} - Residents with match_score, match_level and match_reasons, best first
+ */
+export async function findResidentMatches(client, input, { where = {}, excludeIds = [], minScore = MIN_CANDIDATE_SCORE, limit = 10 } = {}) {
+  const details = input.first_name || !input.full_name ? input : { ...input, ...splitFullName(input.full_name) };
+  const or = candidateWhere(details);
+  if (or.length === 0) return [];
+
+  const matches = [];
+  let cursor = null;
+  let page;
+
+  do {
+    page = await client.residents.findMany({
+      where: {
+        ...where,
+        is_active: true,
+        ...(excludeIds.length > 0 && { resident_id: { notIn: excludeIds } }),
+        OR: or
+      },
+      select: residentSelect,
+      orderBy: { resident_id: 'asc' },
+      take: CANDIDATE_PAGE_SIZE,
+      ...(cursor && { cursor: { resident_id: cursor }, skip: 1 })
+    });
+
+    for (const resident of page) {
+      const { score, level, reasons } = scoreCandidate(details, resident);
+      if (score >= minScore) {
+        matches.push({ ...resident, match_score: score, match_level: level, match_reasons: reasons });
+      }
+    }
+
+    cursor = page.length > 0 ? page[page.length - 1].resident_id : null;
+  } while (page.length === CANDIDATE_PAGE_SIZE);
+
+  return matches
+    .sort((a, b) => b.match_score - a.match_score || a.resident_id - b.resident_id)
+    .slice(0, limit);
+}
+
+export default {
+  MATCH_LEVELS,
+  MIN_CANDIDATE_SCORE,
+  AUTO_LINK_SCORE,
+  NAME_BARANGAY_LINK_SCORE,
+  normalizeName,
+  normalizePhone,
+  splitFullName,
+  soundex,
+  editDistance,
+  nameSimilarity,
+  scoreCandidate,
+  pickAutoLink,
+  findResidentMatches
+};
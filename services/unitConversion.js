@@ -0,0 +1,126 @@
+// backend/services/unitConversion.js
+// Units of measure for stock. Every medicine has a base unit (tablet, ml, sachet...);
+// quantity, remaining_quantity, releases and unit_cost are always stored in that unit.
+// Stock received in packs (box of 100, bottle of 60) is converted here before it is stored.
+
+import { StockLedgerError } from './inventoryLedger.js';
+
+export const normalizeUnitName = (unit) => (unit || '').toString().trim().toLowerCase();
+
+const roundTo = (value, places) => Number(Number(value).toFixed(places));
+
+/**
+ * Base units contained in one `unit` of a medicine
+ * An explicit packSize wins; the base unit itself is 1; anything else must be a
+ * conversion stored in medicine_units
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} medicine - { medicine_id, base_unit } (medicine_id may be missing for a medicine not yet created)
+ * @param {string} unit - Unit the quantity is expressed in
+ * @param {number} packSize - Optional base units per unit, e.g. 100 for a box of 100
+ * @returns {Promise<number>}
+ */
+export async function getConversionFactor(client, medicine, unit, packSize = null) {
+  if (packSize !== null && packSize !== undefined && packSize !== '') {
+    const parsed = parseInt(packSize);
+    if (isNaN(parsed) || parsed <= 0) {
+      throw new StockLedgerError('pack_size must be a positive number', 400, { pack_size: packSize });
+    }
+    return parsed;
+  }
+
+  const unitName = normalizeUnitName(unit);
+  if (!unitName || unitName === normalizeUnitName(medicine.base_unit)) {
+    return 1;
+  }
+
+  const conversion = medicine.medicine_id
+    ? await client.medicine_units.findUnique({
+        where: { medicine_id_unit_name: { medicine_id: medicine.medicine_id, unit_name: unitName } }
+      })
+    : null;
+
+  if (!conversion) {
+    throw new StockLedgerError(`No conversion from ${unitName} to ${medicine.base_unit || 'unit'} for this medicine`, 400, {
+      unit: unitName,
+      base_unit: medicine.base_unit || 'unit',
+      hint: 'Send pack_size or register the unit under /medicines/:id/units'
+    });
+  }
+
+  return conversion.base_quantity;
+}
+
+/**
+ * Convert a received quantity (and its cost) to base units
+ * unit_cost is taken as the cost of one base unit; pack_cost as the cost of one received unit;
+ * both costs are null when neither was sent
+ * @param {Object} client - PrismaClient or transaction client
+ * @param {Object} medicine - { medicine_id, base_unit }
+ * @param {Object} receipt - { quantity, unit, pack_size, unit_cost, pack_cost }
+ * @returns {Promise<Object>} - { quantity, unit_cost, total_cost, received_unit, pack_size, packs_received }
+ */
+export async function convertReceivedQuantity(client, medicine, { quantity, unit, pack_size, unit_cost, pack_cost }) {
+  const packs = parseInt(quantity);
+  if (isNaN(packs) || packs <= 0) {
+    throw new StockLedgerError('Quantity must be a positive number', 400, { quantity });
+  }
+
+  const factor = await getConversionFactor(client, medicine, unit, pack_size);
+  const baseQuantity = packs * factor;
+
+  // No cost sent is stored as unknown (null), never as free
+  const sent = (value) => value !== undefined && value !== null && value !== '';
+  const hasPackCost = sent(pack_cost);
+  const cost = hasPackCost ? Number(pack_cost) : sent(unit_cost) ? Number(unit_cost) : null;
+
+  if (cost !== null && (isNaN(cost) || cost < 0)) {
+    throw new StockLedgerError('Cost must be a non-negative number', 400, { unit_cost, pack_cost });
+  }
+
+  const unitCost = cost === null ? null : hasPackCost ? cost / factor : cost;
+  const totalCost = cost === null ? null : hasPackCost ? cost * packs : cost * baseQuantity;
+
+  return {
+    quantity: baseQuantity,
+    unit_cost: unitCost === null ? null : roundTo(unitCost, 4),
+    total_cost: totalCost === null ? null : roundTo(totalCost, 2),
+    received_unit: normalizeUnitName(unit) || normalizeUnitName(medicine.base_unit) || null,
+    pack_size: factor,
+    packs_received: packs
+  };
+}
+
+/**
+ * Convert a quantity in any known unit of a medicine to base units
+ */
+export async function convertToBaseUnits(client, medicine, quantity, unit) {
+  const factor = await getConversionFactor(client, medicine, unit);
+  return parseInt(quantity) * factor;
+}
+
+/**
+ * Remember a pack size the first time a medicine is received in a named unit,
+ * so later receipts can send just the unit
+ */
+export async function rememberPackSize(client, medicine, unit, packSize) {
+  const unitName = normalizeUnitName(unit);
+  const parsed = parseInt(packSize);
+
+  if (!unitName || unitName === normalizeUnitName(medicine.base_unit) || isNaN(parsed) || parsed <= 1) {
+    return null;
+  }
+
+  return client.medicine_units.upsert({
+    where: { medicine_id_unit_name: { medicine_id: medicine.medicine_id, unit_name: unitName } },
+    update: {},
+    create: { medicine_id: medicine.medicine_id, unit_name: unitName, base_quantity: parsed }
+  });
+}
+
+export default {
+  normalizeUnitName,
+  getConversionFactor,
+  convertReceivedQuantity,
+  convertToBaseUnits,
+  rememberPackSize
+};
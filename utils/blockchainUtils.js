@@ -12,6 +12,13 @@ const require = createRequire(import.meta.url);
 const contractJson = require("../abi/ContractABI.json");
 const contractABI = contractJson.abi || contractJson;
 
+// The contract has no slot for release reversals, so they are stored as receipts under
+// REVERSAL_ID_OFFSET + reversal_id; the original release's receipt hash is never touched
+export const REVERSAL_ID_OFFSET = 1000000000;
+
+// Disposal certificates are stored the same way in the removal slot, under DISPOSAL_ID_OFFSET + disposal_id
+export const DISPOSAL_ID_OFFSET = 1000000000;
+
 class BlockchainService {
   constructor() {
     try {
@@ -146,6 +153,129 @@ class BlockchainService {
     }
   }
 
+  // ✅ Generate hash for a release reversal, chained to the original release's hash
+  generateReversalHash(reversalData, originalHash) {
+    const dataString = JSON.stringify({
+      reversal_id: reversalData.reversal_id,
+      release_id: reversalData.release_id,
+      stock_id: reversalData.stock_id,
+      quantity_returned: reversalData.quantity_returned,
+      reason: reversalData.reason,
+      reversed_at: reversalData.reversed_at?.toISOString() || reversalData.reversed_at,
+      notes: reversalData.notes || '',
+      original_hash: originalHash
+    });
+
+    return '0x' + crypto.createHash('sha256').update(dataString).digest('hex');
+  }
+
+  // ✅ Sync release reversal to blockchain
+  async syncReversalToBlockchain(reversalData, originalRelease) {
+    try {
+      const dataHash = this.generateReversalHash(reversalData, originalRelease.blockchain_hash);
+      const chainId = REVERSAL_ID_OFFSET + reversalData.reversal_id;
+
+      console.log(`📝 Syncing reversal ${reversalData.reversal_id} of release ${reversalData.release_id} to blockchain...`);
+
+      const tx = await this.contract.storeReceiptHash(chainId, dataHash);
+
+      console.log(`⏳ Transaction sent: ${tx.hash}`);
+
+      const receipt = await tx.wait();
+      console.log(`✅ Reversal synced to blockchain. Block: ${receipt.blockNumber}`);
+
+      await prisma.release_reversals.update({
+        where: { reversal_id: reversalData.reversal_id },
+        data: {
+          blockchain_hash: dataHash,
+          blockchain_tx_hash: receipt.hash,
+          last_synced_at: new Date()
+        }
+      });
+
+      await prisma.blockchain_transactions.create({
+        data: {
+          tx_hash: receipt.hash,
+          block_number: BigInt(receipt.blockNumber),
+          contract_address: process.env.CONTRACT_ADDRESS,
+          action_type: 'STORE',
+          entity_type: 'REVERSAL',
+          entity_id: reversalData.reversal_id,
+          from_address: this.wallet.address,
+          gas_used: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : null,
+          event_data: {
+            reversal_id: reversalData.reversal_id,
+            release_id: reversalData.release_id,
+            chain_receipt_id: chainId,
+            quantity_returned: reversalData.quantity_returned,
+            reason: reversalData.reason,
+            original_hash: originalRelease.blockchain_hash,
+            data_hash: dataHash
+          },
+          status: 'CONFIRMED',
+          confirmed_at: new Date()
+        }
+      });
+
+      return { success: true, txHash: receipt.hash, dataHash };
+    } catch (err) {
+      console.error("❌ Error syncing reversal to blockchain:", err.message);
+      throw err;
+    }
+  }
+
+  // ✅ Sync disposal certificate hash to blockchain
+  // The hash is the SHA-256 of the stored certificate PDF, computed when the batch was certified
+  async syncDisposalCertificateToBlockchain(disposal) {
+    try {
+      const chainId = DISPOSAL_ID_OFFSET + disposal.disposal_id;
+
+      console.log(`📝 Syncing disposal certificate ${disposal.certificate_number} to blockchain...`);
+
+      const tx = await this.contract.storeRemovalHash(chainId, disposal.certificate_hash);
+
+      console.log(`⏳ Transaction sent: ${tx.hash}`);
+
+      const receipt = await tx.wait();
+      console.log(`✅ Disposal certificate synced to blockchain. Block: ${receipt.blockNumber}`);
+
+      await prisma.disposal_batches.update({
+        where: { disposal_id: disposal.disposal_id },
+        data: {
+          blockchain_hash: disposal.certificate_hash,
+          blockchain_tx_hash: receipt.hash,
+          last_synced_at: new Date()
+        }
+      });
+
+      await prisma.blockchain_transactions.create({
+        data: {
+          tx_hash: receipt.hash,
+          block_number: BigInt(receipt.blockNumber),
+          contract_address: process.env.CONTRACT_ADDRESS,
+          action_type: 'STORE',
+          entity_type: 'DISPOSAL',
+          entity_id: disposal.disposal_id,
+          from_address: this.wallet.address,
+          gas_used: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : null,
+          event_data: {
+            disposal_id: disposal.disposal_id,
+            certificate_number: disposal.certificate_number,
+            chain_removal_id: chainId,
+            data_hash: disposal.certificate_hash
+          },
+          status: 'CONFIRMED',
+          confirmed_at: new Date()
+        }
+      });
+
+      return { success: true, txHash: receipt.hash, dataHash: disposal.certificate_hash };
+    } catch (err) {
+      console.error("❌ Error syncing disposal certificate to blockchain:", err.message);
+      throw err;
+    }
+  }
+
   async saveEventToDb({ tx_hash, action_type, entity_type, entity_id, from_address, event_data }) {
     try {
       const walletAddr = from_address?.toLowerCase();
@@ -275,11 +405,12 @@ class BlockchainService {
     // Receipt events
     this.contract.on("ReceiptHashStored", async (receiptId, dataHash, addedBy, timestamp, event) => {
       console.log("📥 ReceiptHashStored:", receiptId.toString());
+      const isReversal = Number(receiptId) >= REVERSAL_ID_OFFSET;
       await this.saveEventToDb({
         tx_hash: event.log.transactionHash,
         action_type: "STORE",
-        entity_type: "RECEIPT",
-        entity_id: Number(receiptId),
+        entity_type: isReversal ? "REVERSAL" : "RECEIPT",
+        entity_id: isReversal ? Number(receiptId) - REVERSAL_ID_OFFSET : Number(receiptId),
         from_address: addedBy,
         event_data: { dataHash, timestamp: Number(timestamp) },
       });
@@ -312,11 +443,12 @@ class BlockchainService {
     // ✅ Removal events
     this.contract.on("RemovalHashStored", async (removalId, dataHash, removedBy, timestamp, event) => {
       console.log("🗑️ RemovalHashStored:", removalId.toString());
+      const isDisposal = Number(removalId) >= DISPOSAL_ID_OFFSET;
       await this.saveEventToDb({
         tx_hash: event.log.transactionHash,
         action_type: "STORE",
-        entity_type: "REMOVAL",
-        entity_id: Number(removalId),
+        entity_type: isDisposal ? "DISPOSAL" : "REMOVAL",
+        entity_id: isDisposal ? Number(removalId) - DISPOSAL_ID_OFFSET : Number(removalId),
         from_address: removedBy,
         event_data: { dataHash, timestamp: Number(timestamp) },
       });
@@ -0,0 +1,130 @@
+// utils/pdfDocument.js
+// Minimal text-only PDF writer for printable certificates
+// Output depends only on the lines passed in (no creation date or random document id),
+// so the same record always renders to the same bytes and hashes to the same value.
+
+const PAGE_WIDTH = 595;   // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const DEFAULT_SIZE = 10;
+
+// Standard fonts every PDF reader ships with; F1 regular, F2 bold
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Escape a string for a PDF literal; characters outside Latin-1 become '?'
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Break a line so it fits the page width
+ * Helvetica averages about half the font size per character
+ */
+function wrapText(text, size) {
+  const maxChars = Math.floor((PAGE_WIDTH - MARGIN * 2) / (size * 0.5));
+  const words = String(text).split(/\s+/);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (current && (current + ' ' + word).length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * Lay lines out top to bottom, starting a new page when one fills up
+ * @param {Array} lines - [{ text, size?, bold?, align?: 'left'|'center', gap? }] or plain strings
+ * @returns {Array} - Content stream per page
+ */
+function layoutPages(lines) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const entry of lines) {
+    const line = typeof entry === 'string' ? { text: entry } : entry;
+    const size = line.size || DEFAULT_SIZE;
+    const leading = size * 1.4;
+
+    y -= line.gap || 0;
+
+    for (const part of wrapText(line.text ?? '', size)) {
+      if (y - leading < MARGIN) {
+        pages.push(ops.join('\n'));
+        ops = [];
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+
+      const x = line.align === 'center'
+        ? Math.max(MARGIN, (PAGE_WIDTH - part.length * size * 0.5) / 2)
+        : MARGIN;
+      const font = line.bold ? FONTS.bold : FONTS.regular;
+
+      ops.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(part)}) Tj ET`);
+    }
+  }
+
+  pages.push(ops.join('\n'));
+  return pages;
+}
+
+/**
+ * Render lines of text to a PDF
+ * @param {Array} lines - See layoutPages
+ * @param {Object} info - { title?, author? } for the document information dictionary
+ * @returns {Buffer}
+ */
+export function renderPdf(lines, info = {}) {
+  const pages = layoutPages(lines);
+  const objects = [];
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page + content stream per page
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${escapeText(info.title || '')}) /Author (${escapeText(info.author || '')}) /Producer (GenLunaMedChain) >>`;
+
+  pages.forEach((content, i) => {
+    const pageId = pageIds[i];
+    const stream = Buffer.from(content, 'latin1');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body, 'latin1');
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+export default { renderPdf };